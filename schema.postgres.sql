@@ -0,0 +1,185 @@
+-- Agent Analytics Core — Full Schema (PostgreSQL)
+--
+-- Same tables as schema.sql; epoch-ms columns are BIGINT. properties and
+-- variants stay JSON text so every adapter writes identical rows.
+
+CREATE TABLE IF NOT EXISTS events (
+  id TEXT PRIMARY KEY,
+  project_id TEXT NOT NULL,
+  event TEXT NOT NULL,
+  properties TEXT,
+  user_id TEXT,
+  session_id TEXT,
+  timestamp BIGINT NOT NULL,
+  date TEXT NOT NULL,
+  country TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_events_project_date ON events(project_id, date);
+CREATE INDEX IF NOT EXISTS idx_events_session ON events(session_id);
+CREATE INDEX IF NOT EXISTS idx_events_project_timestamp ON events(project_id, timestamp, id);
+
+CREATE TABLE IF NOT EXISTS sessions (
+  session_id TEXT PRIMARY KEY,
+  user_id TEXT,
+  project_id TEXT NOT NULL,
+  start_time BIGINT NOT NULL,
+  end_time BIGINT NOT NULL,
+  duration BIGINT DEFAULT 0,
+  entry_page TEXT,
+  exit_page TEXT,
+  event_count INTEGER DEFAULT 1,
+  is_bounce INTEGER DEFAULT 1,
+  date TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_project_date ON sessions(project_id, date);
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(project_id, user_id);
+
+CREATE TABLE IF NOT EXISTS identity_map (
+  previous_id TEXT NOT NULL,
+  canonical_id TEXT NOT NULL,
+  project_id TEXT NOT NULL,
+  created_at BIGINT NOT NULL,
+  PRIMARY KEY (previous_id, project_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_identity_canonical ON identity_map(canonical_id, project_id);
+
+CREATE TABLE IF NOT EXISTS experiments (
+  id TEXT PRIMARY KEY,
+  project_id TEXT NOT NULL,
+  key TEXT NOT NULL,
+  name TEXT,
+  description TEXT,
+  status TEXT NOT NULL DEFAULT 'draft',
+  variants TEXT NOT NULL,
+  goal_event TEXT,
+  created_at BIGINT NOT NULL,
+  updated_at BIGINT NOT NULL,
+  archived_at BIGINT,
+  UNIQUE (project_id, key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_experiments_project_status ON experiments(project_id, status);
+
+CREATE TABLE IF NOT EXISTS data_subject_requests (
+  id TEXT PRIMARY KEY,
+  project_id TEXT NOT NULL,
+  action TEXT NOT NULL,
+  subject_hash TEXT NOT NULL,
+  reference TEXT,
+  events INTEGER NOT NULL,
+  sessions INTEGER NOT NULL,
+  identities INTEGER NOT NULL,
+  requested_at BIGINT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_data_subject_requests_subject ON data_subject_requests(project_id, subject_hash);
+
+CREATE TABLE IF NOT EXISTS daily_event_rollups (
+  project_id TEXT NOT NULL,
+  date TEXT NOT NULL,
+  hour INTEGER NOT NULL,
+  event TEXT NOT NULL,
+  event_count INTEGER NOT NULL,
+  PRIMARY KEY (project_id, date, hour, event)
+);
+
+CREATE TABLE IF NOT EXISTS daily_user_rollups (
+  project_id TEXT NOT NULL,
+  date TEXT NOT NULL,
+  event TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  event_count INTEGER NOT NULL,
+  PRIMARY KEY (project_id, date, event, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS daily_session_rollups (
+  project_id TEXT NOT NULL,
+  date TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  session_count INTEGER NOT NULL,
+  bounce_count INTEGER NOT NULL,
+  total_duration BIGINT NOT NULL,
+  event_count INTEGER NOT NULL,
+  PRIMARY KEY (project_id, date, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS rollup_coverage (
+  project_id TEXT PRIMARY KEY,
+  date_from TEXT,
+  date_to TEXT,
+  rebuilt_at BIGINT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS saved_queries (
+  id TEXT PRIMARY KEY,
+  project_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  type TEXT NOT NULL,
+  query TEXT NOT NULL,
+  owner TEXT,
+  created_at BIGINT NOT NULL,
+  updated_at BIGINT NOT NULL,
+  UNIQUE (project_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS dashboards (
+  id TEXT PRIMARY KEY,
+  project_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  saved_query_ids TEXT NOT NULL,
+  owner TEXT,
+  created_at BIGINT NOT NULL,
+  updated_at BIGINT NOT NULL,
+  UNIQUE (project_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id TEXT PRIMARY KEY,
+  key_hash TEXT NOT NULL UNIQUE,
+  key_prefix TEXT NOT NULL,
+  name TEXT NOT NULL,
+  scopes TEXT NOT NULL,
+  projects TEXT,
+  expires_at BIGINT,
+  rotated_from TEXT,
+  created_at BIGINT NOT NULL,
+  revoked_at BIGINT
+);
+
+CREATE TABLE IF NOT EXISTS rejected_events (
+  project_id TEXT NOT NULL,
+  date TEXT NOT NULL,
+  reason TEXT NOT NULL,
+  count INTEGER NOT NULL,
+  PRIMARY KEY (project_id, date, reason)
+);
+
+CREATE TABLE IF NOT EXISTS tracking_plans (
+  project_id TEXT PRIMARY KEY,
+  mode TEXT NOT NULL,
+  plan TEXT NOT NULL,
+  updated_at BIGINT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS schema_violations (
+  project_id TEXT NOT NULL,
+  date TEXT NOT NULL,
+  event TEXT NOT NULL,
+  property TEXT NOT NULL,
+  kind TEXT NOT NULL,
+  count INTEGER NOT NULL,
+  rejected_count INTEGER NOT NULL,
+  last_seen_at BIGINT NOT NULL,
+  PRIMARY KEY (project_id, date, event, property, kind)
+);
+
+-- Migrations recorded by migrate() (see src/db/migrations/)
+CREATE TABLE IF NOT EXISTS schema_migrations (
+  version INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  applied_at BIGINT NOT NULL
+);
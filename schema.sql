@@ -14,6 +14,7 @@ CREATE TABLE IF NOT EXISTS events (
 
 CREATE INDEX IF NOT EXISTS idx_events_project_date ON events(project_id, date);
 CREATE INDEX IF NOT EXISTS idx_events_session ON events(session_id);
+CREATE INDEX IF NOT EXISTS idx_events_project_timestamp ON events(project_id, timestamp, id);
 
 CREATE TABLE IF NOT EXISTS sessions (
   session_id TEXT PRIMARY KEY,
@@ -41,3 +42,141 @@ CREATE TABLE IF NOT EXISTS identity_map (
 );
 
 CREATE INDEX IF NOT EXISTS idx_identity_canonical ON identity_map(canonical_id, project_id);
+
+CREATE TABLE IF NOT EXISTS experiments (
+  id TEXT PRIMARY KEY,
+  project_id TEXT NOT NULL,
+  key TEXT NOT NULL,
+  name TEXT,
+  description TEXT,
+  status TEXT NOT NULL DEFAULT 'draft',
+  variants TEXT NOT NULL,
+  goal_event TEXT,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+  archived_at INTEGER,
+  UNIQUE (project_id, key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_experiments_project_status ON experiments(project_id, status);
+
+CREATE TABLE IF NOT EXISTS data_subject_requests (
+  id TEXT PRIMARY KEY,
+  project_id TEXT NOT NULL,
+  action TEXT NOT NULL,
+  subject_hash TEXT NOT NULL,
+  reference TEXT,
+  events INTEGER NOT NULL,
+  sessions INTEGER NOT NULL,
+  identities INTEGER NOT NULL,
+  requested_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_data_subject_requests_subject ON data_subject_requests(project_id, subject_hash);
+
+CREATE TABLE IF NOT EXISTS daily_event_rollups (
+  project_id TEXT NOT NULL,
+  date TEXT NOT NULL,
+  hour INTEGER NOT NULL,
+  event TEXT NOT NULL,
+  event_count INTEGER NOT NULL,
+  PRIMARY KEY (project_id, date, hour, event)
+);
+
+CREATE TABLE IF NOT EXISTS daily_user_rollups (
+  project_id TEXT NOT NULL,
+  date TEXT NOT NULL,
+  event TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  event_count INTEGER NOT NULL,
+  PRIMARY KEY (project_id, date, event, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS daily_session_rollups (
+  project_id TEXT NOT NULL,
+  date TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  session_count INTEGER NOT NULL,
+  bounce_count INTEGER NOT NULL,
+  total_duration INTEGER NOT NULL,
+  event_count INTEGER NOT NULL,
+  PRIMARY KEY (project_id, date, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS rollup_coverage (
+  project_id TEXT PRIMARY KEY,
+  date_from TEXT,
+  date_to TEXT,
+  rebuilt_at INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS saved_queries (
+  id TEXT PRIMARY KEY,
+  project_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  type TEXT NOT NULL,
+  query TEXT NOT NULL,
+  owner TEXT,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+  UNIQUE (project_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS dashboards (
+  id TEXT PRIMARY KEY,
+  project_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  saved_query_ids TEXT NOT NULL,
+  owner TEXT,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+  UNIQUE (project_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id TEXT PRIMARY KEY,
+  key_hash TEXT NOT NULL UNIQUE,
+  key_prefix TEXT NOT NULL,
+  name TEXT NOT NULL,
+  scopes TEXT NOT NULL,
+  projects TEXT,
+  expires_at INTEGER,
+  rotated_from TEXT,
+  created_at INTEGER NOT NULL,
+  revoked_at INTEGER
+);
+
+CREATE TABLE IF NOT EXISTS rejected_events (
+  project_id TEXT NOT NULL,
+  date TEXT NOT NULL,
+  reason TEXT NOT NULL,
+  count INTEGER NOT NULL,
+  PRIMARY KEY (project_id, date, reason)
+);
+
+CREATE TABLE IF NOT EXISTS tracking_plans (
+  project_id TEXT PRIMARY KEY,
+  mode TEXT NOT NULL,
+  plan TEXT NOT NULL,
+  updated_at INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS schema_violations (
+  project_id TEXT NOT NULL,
+  date TEXT NOT NULL,
+  event TEXT NOT NULL,
+  property TEXT NOT NULL,
+  kind TEXT NOT NULL,
+  count INTEGER NOT NULL,
+  rejected_count INTEGER NOT NULL,
+  last_seen_at INTEGER NOT NULL,
+  PRIMARY KEY (project_id, date, event, property, kind)
+);
+
+-- Migrations recorded by migrate() (see src/db/migrations/)
+CREATE TABLE IF NOT EXISTS schema_migrations (
+  version INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  applied_at INTEGER NOT NULL
+);
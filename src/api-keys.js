@@ -0,0 +1,151 @@
+/**
+ * Built-in API keys.
+ *
+ * Keys are random `aak_` strings shown once, when created or rotated; the
+ * database keeps only their SHA-256 hash and a short prefix to tell them
+ * apart. Each key has scopes (`read`, `write`, `admin`, where admin implies
+ * the other two), an optional list of projects it may touch (null: every
+ * project) and an optional expiry.
+ *
+ * createApiKeyAuth() turns the keys into the handler's validators. They
+ * return `projects` with a valid result, which the handler enforces on
+ * every route; custom validators may return `projects` the same way.
+ */
+
+import { AnalyticsError, ERROR_CODES } from './errors.js';
+
+export const API_KEY_SCOPES = Object.freeze({
+  READ: 'read',
+  WRITE: 'write',
+  ADMIN: 'admin',
+});
+
+export const API_KEY_PREFIX = 'aak_';
+
+export const API_KEY_LIMITS = Object.freeze({
+  name: 256,
+  projects: 100,
+  project: 256,
+});
+
+// Random bytes per key and hex characters kept as its visible prefix
+const KEY_BYTES = 24;
+const PREFIX_CHARS = 8;
+
+function invalid(message) {
+  return new AnalyticsError(ERROR_CODES.MISSING_FIELDS, message, 400);
+}
+
+function toHex(bytes) {
+  return [...bytes].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/** A new plaintext key: `aak_` and 48 hex characters. */
+export function generateApiKey() {
+  return API_KEY_PREFIX + toHex(crypto.getRandomValues(new Uint8Array(KEY_BYTES)));
+}
+
+/** SHA-256 (hex) of a plaintext key, the form it is stored and looked up in. */
+export async function hashApiKey(key) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(key));
+  return toHex(new Uint8Array(digest));
+}
+
+/** The part of a key kept in the clear, enough to recognize it in a list. */
+export function apiKeyPrefix(key) {
+  return key.slice(0, API_KEY_PREFIX.length + PREFIX_CHARS);
+}
+
+function validateScopes(scopes) {
+  const allowed = Object.values(API_KEY_SCOPES);
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw invalid(`scopes must be a non-empty array of: ${allowed.join(', ')}`);
+  }
+  for (const scope of scopes) {
+    if (!allowed.includes(scope)) throw invalid(`invalid scope: ${scope}. allowed: ${allowed.join(', ')}`);
+  }
+  return [...new Set(scopes)];
+}
+
+function validateProjects(projects) {
+  if (projects === undefined || projects === null) return null;
+  if (
+    !Array.isArray(projects) || projects.length === 0 || projects.length > API_KEY_LIMITS.projects
+    || !projects.every(p => typeof p === 'string' && p && p.length <= API_KEY_LIMITS.project)
+  ) {
+    throw invalid(`projects must be null or an array of 1-${API_KEY_LIMITS.projects} project ids`);
+  }
+  return [...new Set(projects)];
+}
+
+function validateExpiresAt(expiresAt, now) {
+  if (expiresAt === undefined || expiresAt === null) return null;
+  if (!Number.isInteger(expiresAt) || expiresAt <= now) {
+    throw invalid('expires_at must be a future timestamp in epoch milliseconds');
+  }
+  return expiresAt;
+}
+
+/** Validate a create payload. Returns the normalized key fields. */
+export function validateApiKeyInput(input = {}, now = Date.now()) {
+  const { name } = input;
+  if (typeof name !== 'string' || !name.trim() || name.length > API_KEY_LIMITS.name) {
+    throw invalid(`name must be a non-empty string (max ${API_KEY_LIMITS.name} chars)`);
+  }
+  return {
+    name: name.trim(),
+    scopes: validateScopes(input.scopes),
+    projects: validateProjects(input.projects),
+    expires_at: validateExpiresAt(input.expires_at, now),
+  };
+}
+
+/** A stored key without its hash. */
+export function parseApiKeyRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    key_prefix: row.key_prefix,
+    scopes: JSON.parse(row.scopes),
+    projects: row.projects === null ? null : JSON.parse(row.projects),
+    expires_at: row.expires_at,
+    rotated_from: row.rotated_from,
+    created_at: row.created_at,
+    revoked_at: row.revoked_at,
+  };
+}
+
+/** Whether `scopes` grant `scope`; admin grants everything. */
+export function hasScope(scopes, scope) {
+  return scopes.includes(scope) || scopes.includes(API_KEY_SCOPES.ADMIN);
+}
+
+/** Whether a validator result may touch `project`; results without `projects` cover every project. */
+export function projectAllowed(auth, project) {
+  return !Array.isArray(auth.projects) || auth.projects.includes(project);
+}
+
+/**
+ * Handler validators backed by the adapter's api_keys table, to spread
+ * into createAnalyticsHandler(). Reads and key management take the key from
+ * the `X-API-Key` header or `?key=`; writes from the header or the body's
+ * `token`. A valid result is `{ valid, key_id, scopes, projects }`.
+ *
+ * @param {import('./db/adapter.js').DbAdapter} db
+ */
+export function createApiKeyAuth(db) {
+  async function check(key, scope) {
+    if (!key) return { valid: false, error: 'API key required' };
+    const apiKey = await db.verifyApiKey(key);
+    if (!apiKey) return { valid: false, error: 'invalid or expired API key' };
+    if (!hasScope(apiKey.scopes, scope)) return { valid: false, error: `API key lacks the ${scope} scope` };
+    return { valid: true, key_id: apiKey.id, scopes: apiKey.scopes, projects: apiKey.projects };
+  }
+
+  return {
+    validateRead: (request, url) => check(request.headers.get('X-API-Key') || url.searchParams.get('key'), API_KEY_SCOPES.READ),
+    validateWrite: (request, body) => check(request.headers.get('X-API-Key') || body?.token, API_KEY_SCOPES.WRITE),
+    validateAdmin: (request, url) => check(request.headers.get('X-API-Key') || url.searchParams.get('key'), API_KEY_SCOPES.ADMIN),
+  };
+}
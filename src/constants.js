@@ -35,6 +35,12 @@ export const ALLOWED_ORDER_BY = Object.freeze(['event_count', 'unique_users', 's
 export const VALID_PERIODS = Object.freeze(['1d', '7d', '14d', '30d', '90d']);
 export const VALID_PAGE_TYPES = Object.freeze(['entry', 'exit', 'both']);
 
+export const EXPERIMENT_STATUSES = Object.freeze({
+  DRAFT: 'draft', RUNNING: 'running', PAUSED: 'paused', COMPLETED: 'completed', ARCHIVED: 'archived',
+});
+export const ALLOWED_EXPERIMENT_STATUSES = Object.freeze(Object.values(EXPERIMENT_STATUSES));
+export const EXPERIMENT_EXPOSURE_EVENT = '$experiment_exposure';
+
 export const DAY_NAMES = Object.freeze(['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']);
 
 // Numeric limits
@@ -48,3 +54,8 @@ export const MAX_BODY_BYTES = 1024 * 1024; // 1 MB
 export const DEFAULT_SAMPLE_SIZE = 5000;
 export const MIN_SAMPLE_SIZE = 100;
 export const MAX_SAMPLE_SIZE = 10_000;
+export const MIN_EXPERIMENT_VARIANTS = 2;
+export const MAX_EXPERIMENT_VARIANTS = 10;
+export const EXPERIMENT_WEIGHT_TOTAL = 100;
+export const DEFAULT_EXPERIMENT_CONFIDENCE = 0.95;
+export const SRM_P_VALUE_THRESHOLD = 0.001;
@@ -0,0 +1,53 @@
+/**
+ * Opaque keyset cursors for paginated listings.
+ *
+ * A cursor is the base64url-encoded JSON array of the sort key of the last
+ * row a client has seen; the next page starts strictly after it. Clients
+ * must treat cursors as opaque strings and pass them back unchanged.
+ */
+
+import { AnalyticsError, ERROR_CODES } from './errors.js';
+
+/** Sort keys, newest first: GET /events by (timestamp, id), GET /sessions by (start_time, session_id). */
+export const CURSOR_KEYS = Object.freeze({
+  events: Object.freeze(['timestamp', 'id']),
+  sessions: Object.freeze(['start_time', 'session_id']),
+});
+
+const KEY_TYPES = Object.freeze({ timestamp: 'number', id: 'string', start_time: 'number', session_id: 'string' });
+
+function invalidCursor() {
+  return new AnalyticsError(ERROR_CODES.INVALID_CURSOR, 'invalid cursor: pass back a next_cursor value unchanged', 400);
+}
+
+export function encodeCursor(keys, row) {
+  const bytes = new TextEncoder().encode(JSON.stringify(keys.map(key => row[key])));
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/** Sort key values from a cursor, in `keys` order; throws INVALID_CURSOR on anything malformed. */
+export function decodeCursor(keys, cursor) {
+  let values;
+  try {
+    const binary = atob(cursor.replace(/-/g, '+').replace(/_/g, '/'));
+    values = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0))));
+  } catch {
+    throw invalidCursor();
+  }
+  if (!Array.isArray(values) || values.length !== keys.length) throw invalidCursor();
+  keys.forEach((key, i) => {
+    if (typeof values[i] !== KEY_TYPES[key] || (KEY_TYPES[key] === 'number' && !Number.isFinite(values[i]))) {
+      throw invalidCursor();
+    }
+  });
+  return values;
+}
+
+/**
+ * Cursor for the page after `rows`, or null when the page came back short
+ * and there is nothing further. A full last page yields a cursor whose
+ * next page may be empty.
+ */
+export function nextCursor(keys, rows, limit) {
+  return rows.length > 0 && rows.length >= limit ? encodeCursor(keys, rows[rows.length - 1]) : null;
+}
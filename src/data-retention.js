@@ -0,0 +1,190 @@
+import { formatDate } from './db/adapter.js';
+import { AnalyticsError, ERROR_CODES } from './errors.js';
+import { MS_PER_DAY } from './constants.js';
+
+// Days are kept in full: a 90-day policy keeps today and the 90 days before it.
+// A missing or null *_days keeps that table forever.
+export const DATA_RETENTION_DEFAULTS = Object.freeze({
+  events_days: null,
+  sessions_days: null,
+  chunk_size: 1000,
+  max_chunks: 100,
+});
+export const DATA_RETENTION_LIMITS = Object.freeze({
+  days: Object.freeze({ min: 1, max: 3650 }),
+  chunk_size: Object.freeze({ min: 1, max: 10000 }),
+  max_chunks: Object.freeze({ min: 1, max: 10000 }),
+});
+
+const POLICY_KEYS = Object.freeze(['events_days', 'sessions_days']);
+
+function invalid(message) {
+  return new AnalyticsError(ERROR_CODES.MISSING_FIELDS, message, 400);
+}
+
+function validateBoundedInteger(value, name, { min, max }) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw invalid(`${name} must be an integer between ${min} and ${max}`);
+  }
+  return value;
+}
+
+function validatePolicy(policy, label) {
+  if (policy === undefined) return {};
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) throw invalid(`${label} must be an object`);
+  const result = {};
+  for (const [key, value] of Object.entries(policy)) {
+    if (!POLICY_KEYS.includes(key)) throw invalid(`${label}.${key} is not a retention setting (use ${POLICY_KEYS.join(', ')})`);
+    result[key] = value === null ? null : validateBoundedInteger(value, `${label}.${key}`, DATA_RETENTION_LIMITS.days);
+  }
+  return result;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {{ default?: Object, projects?: Object<string, Object> }} [options.policies] — `{ events_days, sessions_days }` for every project, overridden per project
+ * @param {string[]} [options.projects] — only these projects (default: every project with data)
+ * @param {boolean} [options.dry_run=false] — count instead of delete
+ * @param {number} [options.chunk_size=1000] — rows per DELETE
+ * @param {number} [options.max_chunks=100] — DELETEs per run, across all projects and tables
+ * @param {number} [options.now=Date.now()] — epoch ms the cutoffs are computed from
+ */
+export function validateDataRetentionOptions(options = {}) {
+  const policies = options.policies ?? {};
+  if (!policies || typeof policies !== 'object' || Array.isArray(policies)) throw invalid('policies must be an object');
+  const defaultPolicy = validatePolicy(policies.default, 'policies.default');
+
+  const overrides = {};
+  if (policies.projects !== undefined) {
+    if (!policies.projects || typeof policies.projects !== 'object' || Array.isArray(policies.projects)) {
+      throw invalid('policies.projects must be an object keyed by project');
+    }
+    for (const [project, policy] of Object.entries(policies.projects)) {
+      overrides[project] = validatePolicy(policy, `policies.projects.${project}`);
+    }
+  }
+
+  let projects = null;
+  if (options.projects !== undefined) {
+    if (!Array.isArray(options.projects) || options.projects.some(p => typeof p !== 'string' || !p)) {
+      throw invalid('projects must be an array of project ids');
+    }
+    projects = [...new Set(options.projects)];
+  }
+
+  const now = options.now ?? Date.now();
+  if (!Number.isFinite(now)) throw invalid('now must be epoch milliseconds');
+
+  return {
+    defaultPolicy,
+    overrides,
+    projects,
+    dryRun: options.dry_run === true,
+    chunkSize: validateBoundedInteger(options.chunk_size ?? DATA_RETENTION_DEFAULTS.chunk_size, 'chunk_size', DATA_RETENTION_LIMITS.chunk_size),
+    maxChunks: validateBoundedInteger(options.max_chunks ?? DATA_RETENTION_DEFAULTS.max_chunks, 'max_chunks', DATA_RETENTION_LIMITS.max_chunks),
+    now,
+  };
+}
+
+/** The effective `{ events_days, sessions_days }` for a project. */
+export function resolveDataRetentionPolicy({ defaultPolicy, overrides }, project) {
+  const policy = {};
+  for (const key of POLICY_KEYS) {
+    policy[key] = overrides[project]?.[key] !== undefined
+      ? overrides[project][key]
+      : defaultPolicy[key] ?? DATA_RETENTION_DEFAULTS[key];
+  }
+  return policy;
+}
+
+/** First day kept by a `days` policy (rows dated before it are purged), or null. */
+export function retentionCutoff(days, now) {
+  if (days === null) return null;
+  return formatDate(now - days * MS_PER_DAY);
+}
+
+/**
+ * Count and chunked-delete statements per table for one project. Deletes go
+ * through a LIMITed subquery on the primary key, which SQLite (without
+ * SQLITE_ENABLE_UPDATE_DELETE_LIMIT) and Postgres both accept. `rollups`
+ * are the statements dropping the same dates from the daily rollups, run
+ * in one batch with every chunk.
+ *
+ * Identity mappings are orphaned once no event or session that survives
+ * the policy mentions their canonical user, which keeps dry-run counts
+ * exact. Only mappings older than the events cutoff go, so a fresh
+ * identify call is never purged ahead of its events.
+ */
+export function buildDataRetentionQueries({ project, eventsBefore, sessionsBefore, chunkSize }) {
+  const queries = {};
+
+  if (eventsBefore) {
+    queries.events = {
+      count: { sql: `SELECT COUNT(*) as n FROM events WHERE project_id = ? AND date < ?`, params: [project, eventsBefore] },
+      purge: {
+        sql: `DELETE FROM events WHERE id IN (
+                SELECT id FROM events WHERE project_id = ? AND date < ? LIMIT ?
+              )`,
+        params: [project, eventsBefore, chunkSize],
+      },
+      rollups: ['daily_event_rollups', 'daily_user_rollups'].map(table => ({
+        sql: `DELETE FROM ${table} WHERE project_id = ? AND date < ?`,
+        params: [project, eventsBefore],
+      })),
+    };
+  }
+
+  if (sessionsBefore) {
+    queries.sessions = {
+      count: { sql: `SELECT COUNT(*) as n FROM sessions WHERE project_id = ? AND date < ?`, params: [project, sessionsBefore] },
+      purge: {
+        sql: `DELETE FROM sessions WHERE session_id IN (
+                SELECT session_id FROM sessions WHERE project_id = ? AND date < ? LIMIT ?
+              )`,
+        params: [project, sessionsBefore, chunkSize],
+      },
+      rollups: [{ sql: `DELETE FROM daily_session_rollups WHERE project_id = ? AND date < ?`, params: [project, sessionsBefore] }],
+    };
+  }
+
+  if (eventsBefore) {
+    const sessionsKept = sessionsBefore ? ' AND s.date >= ?' : '';
+    const orphaned = `FROM identity_map m
+                WHERE m.project_id = ?
+                  AND m.created_at < ?
+                  AND NOT EXISTS (SELECT 1 FROM events e WHERE e.project_id = m.project_id AND e.user_id = m.canonical_id AND e.date >= ?)
+                  AND NOT EXISTS (SELECT 1 FROM sessions s WHERE s.project_id = m.project_id AND s.user_id = m.canonical_id${sessionsKept})`;
+    const params = [project, Date.parse(`${eventsBefore}T00:00:00Z`), eventsBefore];
+    if (sessionsBefore) params.push(sessionsBefore);
+    queries.identities = {
+      count: { sql: `SELECT COUNT(*) as n ${orphaned}`, params },
+      purge: {
+        sql: `DELETE FROM identity_map WHERE project_id = ? AND previous_id IN (
+                SELECT m.previous_id ${orphaned} LIMIT ?
+              )`,
+        params: [project, ...params, chunkSize],
+      },
+    };
+  }
+
+  return queries;
+}
+
+/**
+ * Cron entry point: apply the retention policies with the trigger's
+ * scheduled time. Resolves to the applyRetention() report, per project,
+ * plus `totals` of rows across projects; logging it is up to the caller.
+ * On Cloudflare Workers, call it from `scheduled()` through `ctx.waitUntil`.
+ *
+ * @param {import('./db/base-adapter.js').BaseAdapter} db
+ * @param {Object} options — see validateDataRetentionOptions
+ * @param {{ scheduledTime?: number }} [event] — the scheduled event, if any
+ */
+export async function runScheduledRetention(db, options, event) {
+  const report = await db.applyRetention({ ...options, now: options?.now ?? event?.scheduledTime });
+  const totals = { events: 0, sessions: 0, identities: 0 };
+  for (const project of report.projects) {
+    for (const table of Object.keys(totals)) totals[table] += project[table]?.rows ?? 0;
+  }
+  return { ...report, totals };
+}
@@ -0,0 +1,83 @@
+import { AnalyticsError, ERROR_CODES } from './errors.js';
+
+export const DATA_SUBJECT_ACTIONS = Object.freeze({ DELETE: 'delete', EXPORT: 'export' });
+
+function invalid(message) {
+  return new AnalyticsError(ERROR_CODES.MISSING_FIELDS, message, 400);
+}
+
+export function validateDataSubjectRequest(options = {}) {
+  const { project, user_id, reference } = options;
+  if (!project || typeof project !== 'string') throw invalid('project required');
+  if (!user_id || typeof user_id !== 'string' || user_id.length > 256) {
+    throw invalid('user_id must be a non-empty string (max 256 chars)');
+  }
+  if (reference !== undefined && reference !== null && (typeof reference !== 'string' || reference.length > 256)) {
+    throw invalid('reference must be a string (max 256 chars)');
+  }
+  return { project, userId: user_id, reference: reference ?? null };
+}
+
+/**
+ * SHA-256 (hex) of project and canonical user id. The audit log keeps this
+ * instead of the id itself: re-hashing an id proves its request was
+ * handled, without the log holding on to erased personal data.
+ */
+export async function hashDataSubject(project, canonicalId) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${project}:${canonicalId}`));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/** `column` is the canonical user or any previous_id linked to them. */
+function subjectUser(column, project, canonicalId) {
+  return {
+    sql: `(${column} = ? OR ${column} IN (SELECT previous_id FROM identity_map WHERE project_id = ? AND canonical_id = ?))`,
+    params: [canonicalId, project, canonicalId],
+  };
+}
+
+/**
+ * WHERE clauses selecting every row that belongs to a data subject: their
+ * events (plus anonymous events inside their sessions), sessions, and
+ * identity mappings. Linked ids are resolved in SQL rather than bound one
+ * by one, so heavily merged users never exceed the driver's bind limit.
+ */
+export function buildDataSubjectScope({ project, canonicalId }) {
+  const user = subjectUser('user_id', project, canonicalId);
+  return {
+    events: {
+      table: 'events',
+      where: `project_id = ? AND (${user.sql} OR session_id IN (SELECT session_id FROM sessions WHERE project_id = ? AND ${user.sql}))`,
+      params: [project, ...user.params, project, ...user.params],
+    },
+    sessions: {
+      table: 'sessions',
+      where: `project_id = ? AND ${user.sql}`,
+      params: [project, ...user.params],
+    },
+    identities: {
+      table: 'identity_map',
+      where: 'project_id = ? AND (canonical_id = ? OR previous_id = ?)',
+      params: [project, canonicalId, canonicalId],
+    },
+  };
+}
+
+/**
+ * Deletes in dependency order: events first (they look up the user's
+ * sessions), then sessions, then the mappings both of them look up.
+ */
+export function buildDataSubjectDeleteStatements(scope) {
+  return [scope.events, scope.sessions, scope.identities].map(({ table, where, params }) => ({
+    sql: `DELETE FROM ${table} WHERE ${where}`,
+    params,
+  }));
+}
+
+export function buildDataSubjectAuditStatement({ id, project, action, subjectHash, reference, counts, requestedAt }) {
+  return {
+    sql: `INSERT INTO data_subject_requests (id, project_id, action, subject_hash, reference, events, sessions, identities, requested_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    params: [id, project, action, subjectHash, reference, counts.events, counts.sessions, counts.identities, requestedAt],
+  };
+}
@@ -38,6 +38,16 @@ export function parseSince(since) {
   return formatDate(d);
 }
 
+/**
+ * Parse an inclusive `until` date (ISO date or timestamp) into YYYY-MM-DD.
+ * Returns null — no upper bound — if missing/invalid.
+ */
+export function parseUntil(until) {
+  if (!until) return null;
+  const d = new Date(until);
+  return isNaN(d.getTime()) ? null : formatDate(d);
+}
+
 /**
  * Parse `since` into epoch ms (for timestamp-based queries like hourly).
  */
@@ -56,12 +66,48 @@ export function parseSinceMs(since) {
  * @property {function} trackBatch - Insert multiple events
  * @property {function} getStats - Aggregated stats for a project
  * @property {function} getEvents - Raw event query
+ * @property {function} [exportEvents] - One keyset-paged page of raw events for GET /export
  * @property {function} listProjects - List all projects (returns array of {id, name, token, created})
  * @property {function} upsertSession - Upsert a session row
  * @property {function} getSessions - List sessions with filters
  * @property {function} getSessionStats - Aggregate session metrics
  * @property {function} cleanupSessions - Delete sessions older than date
+ * @property {function} [deleteUserData] - Erase a user's events, sessions and identity mappings, with an audit record
+ * @property {function} [exportUserData] - Every row held about a user, with an audit record
+ * @property {function} [rebuildRollups] - Recompute a project's daily rollups from raw rows so stats reads can use them
+ * @property {function} [applyRetention] - Purge events, sessions and orphaned identities past per-project retention policies
+ * @property {function} [getSchemaVersion] - Highest applied schema migration (0 if never migrated)
  * @property {function} [query] - Optional richer analytics query helper for non-OSS consumers
  * @property {function} [getProperties] - Optional event/property discovery helper for non-OSS consumers
  * @property {function} [getPropertiesReceived] - Optional richer property sampling helper for non-OSS consumers
+ * @property {function} [getFunnel] - Ordered multi-step funnel with per-step conversion and timing
+ * @property {function} [getRetention] - Cohort retention matrix by day, week or month
+ * @property {function} [getExperimentConfig] - Running experiments for the tracker ([{ key, variants }])
+ * @property {function} [listExperiments] - List experiments for a project
+ * @property {function} [createExperiment] - Register an experiment with weighted variants
+ * @property {function} [updateExperiment] - Change name, status, variants or goal of an experiment
+ * @property {function} [archiveExperiment] - Archive an experiment (read-only afterwards)
+ * @property {function} [getExperimentResults] - Per-variant conversions, lift and significance for an experiment
+ * @property {function} [listSavedQueries] - Saved queries of a project, optionally by type or owner
+ * @property {function} [createSavedQuery] - Save a query, paths, funnel or breakdown body under a name
+ * @property {function} [updateSavedQuery] - Change the name, type, body or owner of a saved query
+ * @property {function} [deleteSavedQuery] - Delete a saved query and drop it from dashboards
+ * @property {function} [runSavedQuery] - Run a saved query with optional date range overrides
+ * @property {function} [listDashboards] - Dashboards of a project
+ * @property {function} [createDashboard] - Group saved queries into a named dashboard
+ * @property {function} [updateDashboard] - Change a dashboard's name, description, queries or owner
+ * @property {function} [deleteDashboard] - Delete a dashboard (its saved queries stay)
+ * @property {function} [getDashboardWithQueries] - A dashboard with its saved queries, optionally run
+ * @property {function} [listApiKeys] - API keys without their hashes, newest first
+ * @property {function} [createApiKey] - Create a scoped API key; the plaintext is returned once
+ * @property {function} [rotateApiKey] - Replace an API key with a new one of the same settings
+ * @property {function} [revokeApiKey] - Revoke an API key
+ * @property {function} [verifyApiKey] - The active key a plaintext API key belongs to, or null
+ * @property {function} [recordRejectedEvents] - Count events refused at ingestion, per project, day and reason
+ * @property {function} [getRejectedEvents] - Refused event counts of a project by day and reason
+ * @property {function} [getTrackingPlan] - A project's tracking plan, or null
+ * @property {function} [getTrackingPlanProjects] - Projects that have a tracking plan
+ * @property {function} [setTrackingPlan] - Create or replace a project's tracking plan
+ * @property {function} [recordSchemaViolations] - Tally tracking plan violations per day, event, property and kind
+ * @property {function} [getSchemaViolations] - Tracking plan violations of a project over a period
  */
@@ -6,11 +6,16 @@
  *   _queryAll(sql, params) — execute read, return array of rows
  *   _queryOne(sql, params) — execute read, return first row or null
  *   _batch(statements)     — execute [{sql, params}, ...] atomically
+ *
+ * SQL is written with `?` placeholders and SQLite functions; subclasses for
+ * other engines pass a dialect (see dialect.js) and translate placeholders.
  */
 
-import { formatDate, today, parseSince, parseSinceMs } from './adapter.js';
+import { formatDate, today, parseSince, parseSinceMs, parseUntil } from './adapter.js';
 import { ulid } from '../ulid.js';
 import { AnalyticsError, ERROR_CODES } from '../errors.js';
+import { SQLITE_DIALECT } from './dialect.js';
+import { CURSOR_KEYS, decodeCursor } from '../cursor.js';
 import {
   buildEventInsertStatement,
   buildIdentifyStatements,
@@ -18,63 +23,95 @@ import {
 } from './identity-aware.js';
 import {
   GRANULARITY, VALID_GRANULARITIES,
-  METRICS, ALLOWED_METRICS,
+  METRICS,
   COUNT_MODES, ALLOWED_COUNT_MODES,
-  GROUP_BY_FIELDS, ALLOWED_GROUP_BY,
-  FILTER_OPS, FILTERABLE_FIELDS,
   ALLOWED_ORDER_BY,
   DEFAULT_LIMIT, MAX_LIMIT, TOP_EVENTS_LIMIT, MS_PER_DAY,
   DEFAULT_SAMPLE_SIZE, MIN_SAMPLE_SIZE, MAX_SAMPLE_SIZE,
-  DAY_NAMES, VALID_PERIODS,
+  DAY_NAMES, VALID_PERIODS, EXPERIMENT_STATUSES,
 } from '../constants.js';
 import { buildPathsQueries, buildPathsResponse, validatePathsOptions } from '../path-analytics.js';
+import { buildFunnelQuery, buildFunnelResponse, validateFunnelOptions } from '../funnel-analytics.js';
+import { buildRetentionQueries, buildRetentionResponse, validateRetentionOptions } from '../retention-analytics.js';
+import {
+  DATA_SUBJECT_ACTIONS,
+  validateDataSubjectRequest,
+  hashDataSubject,
+  buildDataSubjectScope,
+  buildDataSubjectDeleteStatements,
+  buildDataSubjectAuditStatement,
+} from '../data-subject.js';
+import {
+  validateDataRetentionOptions,
+  resolveDataRetentionPolicy,
+  retentionCutoff,
+  buildDataRetentionQueries,
+} from '../data-retention.js';
+import {
+  ROLLUP_SOURCES,
+  ROLLUP_TABLES_RECHECK_MS,
+  eventAggregates,
+  sessionAggregates,
+  validateRollupRebuildOptions,
+  rollupsCover,
+  mergeRollupCoverage,
+  buildEventRollupStatements,
+  buildSessionRollupStatements,
+  buildRollupIdentifyStatements,
+  buildRollupSubjectStatements,
+  buildRollupRebuildStatements,
+  buildRollupCoverageStatement,
+} from '../rollups.js';
+import { validateExportOptions } from '../event-export.js';
+import { validatePropertyKey, validateFilters, buildFilterSql } from '../filters.js';
+import { OTHER_GROUP, resolveGroupBy, isTimeGroup, timeGroupGranularity, renameGroupColumns } from '../query-groups.js';
+import { delta, resolveComparePeriod, bucketStart, bucketOffset, compareRows } from '../period-compare.js';
+import {
+  PERCENTILES,
+  resolveQueryMetrics,
+  buildPropertyMetricSelect,
+  buildPercentileCte,
+} from '../property-metrics.js';
+import {
+  validateTimezone,
+  isUtcTimezone,
+  zonedToday,
+  zonedDate,
+  parseZonedSince,
+  zonedBounds,
+  buildLocalTimeExpr,
+} from '../timezone.js';
+import {
+  validateExperimentInput,
+  validateExperimentUpdate,
+  parseExperimentRow,
+  buildExperimentConfig,
+  validateExperimentResultsOptions,
+  buildExperimentResultsQuery,
+  buildExperimentResults,
+} from '../experiments.js';
+import {
+  SAVED_QUERY_TYPES,
+  SAVED_QUERY_RUNNERS,
+  validateSavedQueryInput,
+  validateSavedQueryUpdate,
+  parseSavedQueryRow,
+  buildRunOptions,
+  buildDashboardRunOptions,
+  validateDashboardInput,
+  validateDashboardUpdate,
+  parseDashboardRow,
+} from '../saved-queries.js';
+import {
+  generateApiKey,
+  hashApiKey,
+  apiKeyPrefix,
+  validateApiKeyInput,
+  parseApiKeyRow,
+} from '../api-keys.js';
+import { validateTrackingPlanInput, parseTrackingPlanRow } from '../tracking-plan.js';
 
-export function validatePropertyKey(key) {
-  if (!key || key.length > 128 || !/^[a-zA-Z0-9_]+$/.test(key)) {
-    throw new AnalyticsError(ERROR_CODES.INVALID_PROPERTY_KEY, 'Invalid property filter key', 400);
-  }
-}
-
-function getFilterFieldSuggestion(field) {
-  if (typeof field !== 'string') return null;
-  if (FILTERABLE_FIELDS.includes(field)) return null;
-  if (field.startsWith('properties.')) return null;
-  if (!/^[a-zA-Z0-9_]+$/.test(field)) return null;
-  return `properties.${field}`;
-}
-
-function invalidFilterMessage(index, reason, field, suggestion) {
-  if (reason === 'missing_keys') {
-    return `filters[${index}] must include field, op, and value`;
-  }
-
-  if (suggestion) {
-    return `invalid filter field: ${field}. Built-in fields are ${FILTERABLE_FIELDS.join(', ')}. Event properties must use properties.<key>, for example ${suggestion}`;
-  }
-
-  return `invalid filter field: ${field}. Built-in fields are ${FILTERABLE_FIELDS.join(', ')}. Event properties must use properties.<key>`;
-}
-
-function normalizeTimestampFilterValue(value) {
-  if (typeof value === 'number') {
-    if (Number.isFinite(value)) return value;
-  } else if (typeof value === 'string') {
-    const trimmed = value.trim();
-    if (/^-?\d+$/.test(trimmed)) {
-      const numeric = Number(trimmed);
-      if (Number.isFinite(numeric)) return numeric;
-    }
-
-    const parsed = Date.parse(trimmed);
-    if (Number.isFinite(parsed)) return parsed;
-  }
-
-  throw new AnalyticsError(
-    ERROR_CODES.INVALID_BODY,
-    'invalid timestamp filter value: expected epoch milliseconds or ISO timestamp',
-    400,
-  );
-}
+export { validatePropertyKey };
 
 function resolveCountMode(_metrics, count_mode) {
   if (count_mode !== undefined && !ALLOWED_COUNT_MODES.includes(count_mode)) {
@@ -89,16 +126,16 @@ function resolveCountMode(_metrics, count_mode) {
   return COUNT_MODES.RAW;
 }
 
-function buildEventCountSelect(countMode, groupBy = []) {
+function buildEventCountSelect(countMode, groupBy = [], source = 'filtered') {
   if (countMode === COUNT_MODES.RAW) return 'COUNT(*) as event_count';
-  return buildSessionThenUserEventCountSelect(groupBy);
+  return buildSessionThenUserEventCountSelect(groupBy, source);
 }
 
 function buildNullSafeEquality(column, leftAlias, rightAlias) {
   return `((${leftAlias}.${column} = ${rightAlias}.${column}) OR (${leftAlias}.${column} IS NULL AND ${rightAlias}.${column} IS NULL))`;
 }
 
-function buildSessionThenUserEventCountSelect(groupBy = []) {
+function buildSessionThenUserEventCountSelect(groupBy = [], source = 'filtered') {
   const sameGroupConditions = groupBy
     .map((column) => buildNullSafeEquality(column, 'other', 'current'))
     .join(' AND ');
@@ -108,7 +145,7 @@ function buildSessionThenUserEventCountSelect(groupBy = []) {
     WHEN current.session_id IS NOT NULL AND current.user_id IS NOT NULL THEN 'u:' || current.user_id || ':s:' || current.session_id
     WHEN current.session_id IS NOT NULL THEN 's:' || current.session_id
     WHEN current.user_id IS NOT NULL AND EXISTS (
-      SELECT 1 FROM filtered other
+      SELECT 1 FROM ${source} other
       WHERE other.user_id = current.user_id
         AND other.session_id IS NOT NULL${sameGroupClause}
     ) THEN NULL
@@ -117,7 +154,44 @@ function buildSessionThenUserEventCountSelect(groupBy = []) {
   END) as event_count`;
 }
 
+/**
+ * SELECT list for query() metrics over CTE `source` (aliased current),
+ * grouped by `columns`, with the percentile CTEs and joins it needs.
+ * `prefix` keeps CTE names apart when one statement aggregates twice.
+ */
+function buildQueryAggregates({ metrics, columns, countMode, dialect, source = 'filtered', prefix = '' }) {
+  const selects = columns.map((column) => `current.${column} as ${column}`);
+  // Percentiles need a ranked pass of their own: one CTE each, joined per group
+  const ctes = [];
+  const joins = [];
+  for (const m of metrics) {
+    if (typeof m === 'object' && m.fn in PERCENTILES) {
+      const cte = `${prefix}percentile_${ctes.length}`;
+      ctes.push(buildPercentileCte(m, cte, columns, dialect, source));
+      const on = columns.map((column) => buildNullSafeEquality(column, cte, 'current')).join(' AND ');
+      joins.push(` LEFT JOIN ${cte} ON ${on || '1 = 1'}`);
+      selects.push(`MAX(${cte}.value) as ${m.name}`);
+    } else if (typeof m === 'object') {
+      selects.push(buildPropertyMetricSelect(m, dialect));
+    }
+    if (m === METRICS.EVENT_COUNT) selects.push(buildEventCountSelect(countMode, columns, source));
+    if (m === METRICS.UNIQUE_USERS) selects.push('COUNT(DISTINCT current.user_id) as unique_users');
+    if (m === METRICS.SESSION_COUNT) selects.push('COUNT(DISTINCT current.session_id) as session_count');
+    if (m === METRICS.BOUNCE_RATE) selects.push('COUNT(DISTINCT current.session_id) as _session_count_for_bounce');
+    if (m === METRICS.AVG_DURATION) selects.push('COUNT(DISTINCT current.session_id) as _session_count_for_duration');
+  }
+  if (selects.length === 0) selects.push(buildEventCountSelect(countMode, columns, source));
+  return { selects, ctes, joins };
+}
+
 export class BaseAdapter {
+  /**
+   * @param {Object} [opts]
+   * @param {typeof SQLITE_DIALECT} [opts.dialect] — SQL dialect, SQLite by default
+   */
+  constructor({ dialect = SQLITE_DIALECT } = {}) {
+    this.dialect = dialect;
+  }
 
   // --- Abstract primitives (subclasses MUST override) ---
 
@@ -126,6 +200,15 @@ export class BaseAdapter {
   async _queryOne(sql, params) { throw new Error('_queryOne not implemented'); }
   async _batch(statements) { throw new Error('_batch not implemented'); }
 
+  // --- Schema ---
+
+  /** Highest applied migration (see migrate.js); 0 before the first migrate(). */
+  async getSchemaVersion() {
+    if (!(await this._queryOne(this.dialect.tableExists, ['schema_migrations']))) return 0;
+    const row = await this._queryOne('SELECT MAX(version) as version FROM schema_migrations', []);
+    return row?.version ?? 0;
+  }
+
   _buildWhere(project, fromDate, filters = []) {
     const parts = ['project_id = ?', 'date >= ?'];
     const params = [project, fromDate];
@@ -135,6 +218,54 @@ export class BaseAdapter {
     return { clause: parts.join(' AND '), params };
   }
 
+  /**
+   * Row bounds and local-time expressions for a report over the local
+   * dates fromDate..toDate (toDate null = open-ended) in `timezone`.
+   *
+   * UTC reads the stored `date` column, so rollups and the date index apply
+   * as before. Other zones bound rows on epoch-ms column `time` at local
+   * midnights, alongside the UTC dates those instants span so the index
+   * still narrows the scan, and bucket on `time` shifted into the zone.
+   *
+   * @returns {{ utc: boolean, where: string, params: Array, date: string, local: string }}
+   *   `where` without a leading AND; `date` the local YYYY-MM-DD and
+   *   `local` the local wall-clock epoch ms, as SQL expressions
+   */
+  _zonedWindow({ timezone, fromDate, toDate = null, time = 'timestamp' }) {
+    if (isUtcTimezone(timezone)) {
+      return {
+        utc: true,
+        where: toDate ? 'date >= ? AND date <= ?' : 'date >= ?',
+        params: toDate ? [fromDate, toDate] : [fromDate],
+        date: 'date',
+        local: time,
+      };
+    }
+    const { fromMs, toMs } = zonedBounds(timezone, fromDate, toDate);
+    const local = buildLocalTimeExpr(time, timezone, fromMs, toMs ?? Date.now());
+    return {
+      utc: false,
+      where: toDate
+        ? `date >= ? AND date <= ? AND ${time} >= ? AND ${time} < ?`
+        : `date >= ? AND ${time} >= ?`,
+      params: toDate
+        ? [formatDate(fromMs), formatDate(toMs - 1), fromMs, toMs]
+        : [formatDate(fromMs), fromMs],
+      date: this.dialect.epochDate(local),
+      local,
+    };
+  }
+
+  /** ` AND …` selecting rows after a newest-first [key, tiebreak] cursor; empty without one. */
+  _buildKeysetClause([key, tiebreak], cursor) {
+    if (cursor == null) return { clause: '', params: [] };
+    const [value, tiebreakValue] = decodeCursor([key, tiebreak], cursor);
+    return {
+      clause: ` AND (${key} < ? OR (${key} = ? AND ${tiebreak} < ?))`,
+      params: [value, value, tiebreakValue],
+    };
+  }
+
   // --- Session upsert SQL builder ---
 
   _sessionUpsertSqlAndParams(project, event_data) {
@@ -145,89 +276,111 @@ export class BaseAdapter {
       timestamp: event_data.timestamp,
       properties: event_data.properties,
       count: event_data._count || 1,
+      dialect: this.dialect,
     });
   }
 
+  /** The session upsert, wrapped in the statements that keep its daily rollup in step when `rollups` is set. */
+  _sessionUpsertStatements(project, event_data, rollups) {
+    const upsert = this._sessionUpsertSqlAndParams(project, event_data);
+    if (!rollups) return [upsert];
+    const rollup = buildSessionRollupStatements({ sessionId: event_data.session_id });
+    return [rollup.before, upsert, rollup.after];
+  }
+
   // --- Write methods ---
 
-  async trackEvent({ project, event, properties, user_id, session_id, timestamp }) {
+  async trackEvent({ project, event, properties, user_id, session_id, timestamp, country }) {
+    const id = ulid();
     const eventStatement = buildEventInsertStatement({
-      id: ulid(),
+      id,
       project,
       event,
       properties,
       user_id,
       session_id,
       timestamp,
+      country,
     });
 
-    if (!session_id) {
-      return this._run(eventStatement.sql, eventStatement.params);
+    const rollups = await this._hasRollupTables();
+    const statements = [eventStatement];
+    if (rollups) statements.push(...buildEventRollupStatements({ eventId: id, dialect: this.dialect }));
+    if (session_id) {
+      statements.push(...this._sessionUpsertStatements(project, { session_id, user_id, timestamp, properties }, rollups));
     }
-
-    const session = this._sessionUpsertSqlAndParams(project, { session_id, user_id, timestamp, properties });
-    return this._batch([
-      eventStatement,
-      { sql: session.sql, params: session.params },
-    ]);
+    return this._batch(statements);
   }
 
   async trackBatch(events) {
+    const rollups = await this._hasRollupTables();
     const stmts = [];
 
     for (const e of events) {
+      const id = ulid();
       stmts.push(buildEventInsertStatement({
-        id: ulid(),
+        id,
         ...e,
       }));
+      if (rollups) stmts.push(...buildEventRollupStatements({ eventId: id, dialect: this.dialect }));
     }
 
     for (const e of events) {
       if (!e.session_id) continue;
       const ts = e.timestamp || Date.now();
-      stmts.push(this._sessionUpsertSqlAndParams(e.project, {
+      stmts.push(...this._sessionUpsertStatements(e.project, {
         session_id: e.session_id,
         user_id: e.user_id,
         timestamp: ts,
         properties: e.properties,
-      }));
+      }, rollups));
     }
 
     return this._batch(stmts);
   }
 
   async upsertSession(sessionData) {
-    const { sql, params } = this._sessionUpsertSqlAndParams(
-      sessionData.project_id || sessionData.project, sessionData,
-    );
-    return this._run(sql, params);
+    return this._batch(this._sessionUpsertStatements(
+      sessionData.project_id || sessionData.project, sessionData, await this._hasRollupTables(),
+    ));
   }
 
   // --- Read methods ---
 
-  async getSessions({ project, since, user_id, is_bounce, limit = DEFAULT_LIMIT }) {
+  /**
+   * Sessions newest first. `cursor` (a next_cursor from the previous page,
+   * see cursor.js) continues after the last session seen; `until` bounds
+   * the range from above the way `since` bounds it from below.
+   */
+  async getSessions({ project, since, until, user_id, is_bounce, cursor, limit = DEFAULT_LIMIT }) {
     const fromDate = parseSince(since);
     const safeLimit = Math.min(limit, MAX_LIMIT);
     const { clause, params } = this._buildWhere(project, fromDate, [
+      ['date <= ?', parseUntil(until)],
       ['user_id = ?', user_id],
       ['is_bounce = ?', is_bounce != null ? Number(is_bounce) : undefined],
     ]);
-    params.push(safeLimit);
+    const keyset = this._buildKeysetClause(CURSOR_KEYS.sessions, cursor);
+    params.push(...keyset.params, safeLimit);
     return this._queryAll(
-      `SELECT * FROM sessions WHERE ${clause} ORDER BY start_time DESC LIMIT ?`, params,
+      `SELECT * FROM sessions WHERE ${clause}${keyset.clause} ORDER BY start_time DESC, session_id DESC LIMIT ?`, params,
     );
   }
 
-  async getSessionStats({ project, since }) {
-    const fromDate = parseSince(since);
+  async getSessionStats({ project, since, timezone }) {
+    const tz = validateTimezone(timezone);
+    const fromDate = parseZonedSince(since, tz);
+    const window = this._zonedWindow({ timezone: tz, fromDate, time: 'start_time' });
+    const source = window.utc ? await this._rollupSource(project, fromDate, today()) : ROLLUP_SOURCES.RAW;
+    const agg = sessionAggregates(source, this.dialect);
     const row = await this._queryOne(
-      `SELECT COUNT(*) as total_sessions,
-              SUM(CASE WHEN is_bounce = 1 THEN 1 ELSE 0 END) as bounced_sessions,
-              SUM(duration) as total_duration,
-              SUM(event_count) as total_events,
-              COUNT(DISTINCT user_id) as unique_users
-       FROM sessions WHERE project_id = ? AND date >= ?`,
-      [project, fromDate],
+      `SELECT ${agg.sessions} as total_sessions,
+              ${agg.bounced} as bounced_sessions,
+              ${agg.duration} as total_duration,
+              ${agg.events} as total_events,
+              ${agg.users} as unique_users
+       FROM ${agg.table} WHERE project_id = ? AND ${window.where}${agg.where}`,
+      [project, ...window.params],
     );
 
     const total = row?.total_sessions || 0;
@@ -246,73 +399,243 @@ export class BaseAdapter {
   }
 
   async cleanupSessions({ project, before_date }) {
-    return this._run(
-      `DELETE FROM sessions WHERE project_id = ? AND date < ?`,
-      [project, before_date],
+    const statements = [{ sql: `DELETE FROM sessions WHERE project_id = ? AND date < ?`, params: [project, before_date] }];
+    if (await this._hasRollupTables()) {
+      statements.push({ sql: `DELETE FROM daily_session_rollups WHERE project_id = ? AND date < ?`, params: [project, before_date] });
+    }
+    return this._batch(statements);
+  }
+
+  // --- Data retention ---
+
+  /**
+   * Delete rows older than each project's retention policy, in chunks of
+   * `chunk_size`, stopping after `max_chunks` deletes (`complete: false`)
+   * so a scheduled run stays bounded; the next run continues. Events and
+   * sessions go first, then identity mappings they no longer reference.
+   * With `dry_run`, `rows` is what would be deleted.
+   *
+   * @param {Object} [options] — see validateDataRetentionOptions
+   */
+  async applyRetention(options = {}) {
+    const opts = validateDataRetentionOptions(options);
+    const projects = opts.projects ?? (await this._queryAll(
+      `SELECT project_id FROM events
+       UNION SELECT project_id FROM sessions
+       UNION SELECT project_id FROM identity_map
+       ORDER BY project_id`,
+      [],
+    )).map(r => r.project_id);
+
+    let chunksLeft = opts.maxChunks;
+    let complete = true;
+    const report = [];
+    for (const project of projects) {
+      const policy = resolveDataRetentionPolicy(opts, project);
+      const eventsBefore = retentionCutoff(policy.events_days, opts.now);
+      const sessionsBefore = retentionCutoff(policy.sessions_days, opts.now);
+      const queries = buildDataRetentionQueries({ project, eventsBefore, sessionsBefore, chunkSize: opts.chunkSize });
+      const entry = {
+        project,
+        policy,
+        events: eventsBefore ? { before: eventsBefore, rows: 0 } : null,
+        sessions: sessionsBefore ? { before: sessionsBefore, rows: 0 } : null,
+        identities: eventsBefore ? { before: eventsBefore, rows: 0 } : null,
+      };
+
+      for (const [table, { count, purge, rollups }] of Object.entries(queries)) {
+        const matched = (await this._queryOne(count.sql, count.params))?.n ?? 0;
+        if (opts.dryRun) {
+          entry[table].rows = matched;
+          continue;
+        }
+        // Each chunk drops the expired rollup dates with it, so the rollups never count purged rows
+        const expired = rollups && await this._hasRollupTables() ? rollups : [];
+        const needed = Math.ceil(matched / opts.chunkSize);
+        const chunks = Math.min(needed, chunksLeft);
+        for (let i = 0; i < chunks; i++) await this._batch([purge, ...expired]);
+        if (needed === 0 && expired.length > 0) await this._batch(expired);
+        chunksLeft -= chunks;
+        if (chunks < needed) complete = false;
+        entry[table].rows = Math.min(matched, chunks * opts.chunkSize);
+      }
+      report.push(entry);
+    }
+
+    return { dry_run: opts.dryRun, complete, projects: report };
+  }
+
+  // --- Rollups ---
+
+  /**
+   * Recompute a project's daily rollups from raw rows for a date range and
+   * record the range as covered, in one batch. Run it once per project to
+   * switch its stats reads over; large histories can go a range at a time,
+   * leaving `date_to` off the newest range so coverage stays open-ended.
+   *
+   * @param {Object} options — see validateRollupRebuildOptions
+   */
+  async rebuildRollups(options) {
+    const { project, dateFrom, dateTo } = validateRollupRebuildOptions(options);
+    const existing = await this._queryOne(
+      `SELECT date_from, date_to FROM rollup_coverage WHERE project_id = ?`, [project],
     );
+    const coverage = mergeRollupCoverage(existing, { date_from: dateFrom, date_to: dateTo });
+
+    await this._batch([
+      ...buildRollupRebuildStatements({ project, dateFrom, dateTo, dialect: this.dialect }),
+      buildRollupCoverageStatement({ project, coverage, rebuiltAt: Date.now() }),
+    ]);
+    return { project, date_from: dateFrom, date_to: dateTo, coverage };
   }
 
-  async getStats({ project, since, groupBy = GRANULARITY.DAY }) {
-    const fromDate = parseSince(since);
+  /**
+   * Whether migrate() has created the rollup tables. Until it has, writes
+   * leave rollups out rather than fail, which is safe because reads only
+   * use rollups inside the coverage rebuildRollups() records afterwards.
+   * Found tables are remembered; missing ones are looked for again after
+   * ROLLUP_TABLES_RECHECK_MS, or at once after migrate() on this adapter.
+   */
+  async _hasRollupTables() {
+    if (this._rollupTables === true) return true;
+    if (this._rollupTables && this._rollupTables.recheckAt > Date.now()) return false;
+    // daily_user_rollups is the newest of them (migration 11)
+    const found = Boolean(await this._queryOne(this.dialect.tableExists, ['daily_user_rollups']));
+    if (!found && this._rollupTables === undefined) {
+      console.warn('Daily rollup tables are missing: writes skip rollups until migrate() has run');
+    }
+    this._rollupTables = found || { recheckAt: Date.now() + ROLLUP_TABLES_RECHECK_MS };
+    return found;
+  }
+
+  /** ROLLUP_SOURCES.ROLLUP when fromDate..toDate lies inside the project's rollup coverage. */
+  async _rollupSource(project, fromDate, toDate) {
+    if (!(await this._hasRollupTables())) return ROLLUP_SOURCES.RAW;
+    const coverage = await this._queryOne(
+      `SELECT date_from, date_to FROM rollup_coverage WHERE project_id = ?`, [project],
+    );
+    return rollupsCover(coverage, fromDate, toDate) ? ROLLUP_SOURCES.ROLLUP : ROLLUP_SOURCES.RAW;
+  }
+
+  async getStats({ project, since, groupBy = GRANULARITY.DAY, timezone, compare }) {
+    const tz = validateTimezone(timezone);
+    const fromDate = parseZonedSince(since, tz);
     const fromMs = parseSinceMs(since);
+    const toDate = zonedToday(tz);
     if (!VALID_GRANULARITIES.includes(groupBy)) groupBy = GRANULARITY.DAY;
+    const previousPeriod = resolveComparePeriod(compare, { from: fromDate, to: toDate, fromMs, toMs: Date.now(), timezone: tz });
 
-    let bucketExpr;
-    if (groupBy === GRANULARITY.HOUR) {
-      bucketExpr = `strftime('%Y-%m-%dT%H:00', timestamp / 1000, 'unixepoch')`;
-    } else if (groupBy === GRANULARITY.WEEK) {
-      bucketExpr = `date(date, 'weekday 0', '-6 days')`;
-    } else if (groupBy === GRANULARITY.MONTH) {
-      bucketExpr = `strftime('%Y-%m', date)`;
-    } else {
-      bucketExpr = `date`;
-    }
+    const [current, sessions] = await Promise.all([
+      this._getStatsReport({ project, timezone: tz, fromDate, fromMs, groupBy }),
+      this.getSessionStats({ project, since, timezone: tz }),
+    ]);
 
-    const dateCol = groupBy === GRANULARITY.HOUR ? 'timestamp' : 'date';
-    const bindVal = groupBy === GRANULARITY.HOUR ? fromMs : fromDate;
+    const result = {
+      source: current.source,
+      period: { from: fromDate, to: toDate, groupBy, timezone: tz },
+      totals: current.totals,
+      timeSeries: current.timeSeries,
+      events: current.events,
+      sessions,
+    };
+    if (!previousPeriod) return result;
+
+    // Only the current top events are looked up, so none drops out of the previous top
+    const previous = await this._getStatsReport({
+      project, timezone: tz, groupBy,
+      fromDate: previousPeriod.from, toDate: previousPeriod.to,
+      fromMs: previousPeriod.fromMs, toMs: previousPeriod.toMs,
+      events: current.events.map((e) => e.event),
+    });
+    const start = (period) => bucketStart(groupBy, { ...period, timezone: tz });
+    const currentStart = start({ from: fromDate, fromMs });
+    const previousStart = start(previousPeriod);
+    const counts = { metrics: ['unique_users', 'total_events'] };
+    return {
+      ...result,
+      compare: previousPeriod.mode,
+      previous_period: { from: previousPeriod.from, to: previousPeriod.to, groupBy, timezone: tz },
+      totals: compareRows([current.totals ?? {}], [previous.totals ?? {}], { ...counts, currentKey: () => '' })[0],
+      timeSeries: compareRows(current.timeSeries, previous.timeSeries, {
+        ...counts,
+        currentKey: (row) => String(bucketOffset(groupBy, row.bucket, currentStart)),
+        previousKey: (row) => String(bucketOffset(groupBy, row.bucket, previousStart)),
+        labels: ['bucket'],
+      }),
+      events: compareRows(current.events, previous.events, {
+        metrics: ['count', 'unique_users'], currentKey: (row) => row.event,
+      }),
+    };
+  }
 
-    const timeSeriesQuery = `SELECT ${bucketExpr} as bucket, COUNT(DISTINCT user_id) as unique_users, COUNT(*) as total_events
-       FROM events WHERE project_id = ? AND ${dateCol} >= ?
+  /**
+   * getStats() time series, top events and totals for one period. `toDate`
+   * and `toMs` (exclusive) bound the period when it is not the current one;
+   * `events` restricts the top events to those names.
+   */
+  async _getStatsReport({ project, timezone, fromDate, toDate = null, fromMs, toMs = null, groupBy, events = null }) {
+    const window = this._zonedWindow({ timezone, fromDate, toDate });
+
+    const bucketExpr = groupBy === GRANULARITY.HOUR
+      ? this.dialect.hourBucket(window.local)
+      : this.dialect.dateBucket(window.date, groupBy);
+
+    const hourly = groupBy === GRANULARITY.HOUR;
+    const seriesWhere = hourly ? (toMs ? 'timestamp >= ? AND timestamp < ?' : 'timestamp >= ?') : window.where;
+    const seriesParams = hourly ? (toMs ? [fromMs, toMs] : [fromMs]) : window.params;
+
+    // Hourly series start mid-hour and other zones split UTC days, which
+    // day rollups cannot answer
+    const source = hourly || !window.utc
+      ? ROLLUP_SOURCES.RAW
+      : await this._rollupSource(project, fromDate, toDate ?? today());
+    const agg = eventAggregates(source);
+
+    const eventFilter = events ? ` AND event IN (${events.map(() => '?').join(', ')})` : '';
+    const timeSeriesQuery = `SELECT ${bucketExpr} as bucket, ${agg.users} as unique_users, ${agg.events} as total_events
+       FROM ${agg.table} WHERE project_id = ? AND ${seriesWhere}
        GROUP BY bucket ORDER BY bucket`;
 
-    const [timeSeries, eventCounts, totals, sessions] = await Promise.all([
-      this._queryAll(timeSeriesQuery, [project, bindVal]),
+    const [timeSeries, eventCounts, totals] = await Promise.all([
+      this._queryAll(timeSeriesQuery, [project, ...seriesParams]),
 
-      this._queryAll(
-        `SELECT event, COUNT(*) as count, COUNT(DISTINCT user_id) as unique_users
-         FROM events WHERE project_id = ? AND date >= ?
+      events?.length === 0 ? [] : this._queryAll(
+        `SELECT event, ${agg.events} as count, ${agg.users} as unique_users
+         FROM ${agg.table} WHERE project_id = ? AND ${window.where}${eventFilter}
          GROUP BY event ORDER BY count DESC LIMIT ${TOP_EVENTS_LIMIT}`,
-        [project, fromDate],
+        [project, ...window.params, ...(events ?? [])],
       ),
 
       this._queryOne(
-        `SELECT COUNT(DISTINCT user_id) as unique_users, COUNT(*) as total_events
-         FROM events WHERE project_id = ? AND date >= ?`,
-        [project, fromDate],
+        `SELECT ${agg.users} as unique_users, ${agg.events} as total_events
+         FROM ${agg.table} WHERE project_id = ? AND ${window.where}`,
+        [project, ...window.params],
       ),
-
-      this.getSessionStats({ project, since }),
     ]);
 
-    return {
-      period: { from: fromDate, to: today(), groupBy },
-      totals,
-      timeSeries,
-      events: eventCounts,
-      sessions,
-    };
+    return { source, timeSeries, events: eventCounts, totals };
   }
 
-  async getEvents({ project, event, session_id, since, limit = DEFAULT_LIMIT }) {
+  /**
+   * Events newest first, ties broken by id so pages never overlap. Paged
+   * like getSessions() with `cursor` and `until`, and narrowed by the same
+   * `filters` as query().
+   */
+  async getEvents({ project, event, session_id, since, until, cursor, filters, limit = DEFAULT_LIMIT }) {
     const fromDate = parseSince(since);
+    const toDate = parseUntil(until);
     const safeLimit = Math.min(limit, MAX_LIMIT);
     const { clause, params } = this._buildWhere(project, fromDate, [
+      ['date <= ?', toDate],
       ['event = ?', event],
       ['session_id = ?', session_id],
     ]);
-    params.push(safeLimit);
+    const filterClauses = await this._buildFilterClauses({ project, filters, fromDate, toDate: toDate ?? today() });
+    const filterSql = filterClauses.whereParts.map(part => ` AND ${part}`).join('');
+    const keyset = this._buildKeysetClause(CURSOR_KEYS.events, cursor);
+    params.push(...filterClauses.params, ...keyset.params, safeLimit);
     const rows = await this._queryAll(
-      `SELECT * FROM events WHERE ${clause} ORDER BY timestamp DESC LIMIT ?`, params,
+      `SELECT * FROM events WHERE ${clause}${filterSql}${keyset.clause} ORDER BY timestamp DESC, id DESC LIMIT ?`, params,
     );
     return rows.map(e => ({ ...e, properties: e.properties ? JSON.parse(e.properties) : null }));
   }
@@ -328,9 +651,10 @@ export class BaseAdapter {
       ),
 
       this._queryAll(
-        `SELECT DISTINCT properties FROM events
+        `SELECT properties FROM events
          WHERE project_id = ? AND properties IS NOT NULL AND date >= ? AND date <= ?
-         ORDER BY timestamp DESC LIMIT ${DEFAULT_LIMIT}`,
+         GROUP BY properties
+         ORDER BY MAX(timestamp) DESC LIMIT ${DEFAULT_LIMIT}`,
         [project, fromDate, toDate],
       ),
     ]);
@@ -349,119 +673,190 @@ export class BaseAdapter {
     };
   }
 
-  async _createInvalidFilterFieldError({ project, index, field, reason, fromDate, toDate }) {
-    const suggestion = getFilterFieldSuggestion(field);
-    const availableProperties = await this._getPropertiesForWindow({ project, fromDate, toDate });
-    return new AnalyticsError(
-      ERROR_CODES.INVALID_FILTER_FIELD,
-      invalidFilterMessage(index, reason, field, suggestion),
-      400,
-      {
-        suggested_field: suggestion,
-        available_properties: availableProperties,
-      },
-    );
+  /**
+   * WHERE clauses and params for a `filters` list or tree (see filters.js);
+   * shared by query(), getEvents(), getBreakdown() and exportEvents().
+   * Unknown fields come back with the window's event and property names.
+   */
+  async _buildFilterClauses({ project, filters, fromDate, toDate }) {
+    let tree;
+    try {
+      tree = validateFilters(filters, { dialect: this.dialect });
+    } catch (err) {
+      if (err.code === ERROR_CODES.INVALID_FILTER_FIELD) {
+        err.details = { ...err.details, available_properties: await this._getPropertiesForWindow({ project, fromDate, toDate }) };
+      }
+      throw err;
+    }
+    const { sql, params } = buildFilterSql(tree, this.dialect);
+    return { whereParts: sql ? [sql] : [], params };
   }
 
-  async query({ project, metrics = [METRICS.EVENT_COUNT], filters, date_from, date_to, group_by = [], order_by, order, limit = DEFAULT_LIMIT, count_mode }) {
-    for (const m of metrics) {
-      if (!ALLOWED_METRICS.includes(m)) throw new AnalyticsError(ERROR_CODES.INVALID_METRIC, `invalid metric: ${m}. allowed: ${ALLOWED_METRICS.join(', ')}`, 400);
-    }
-    for (const g of group_by) {
-      if (!ALLOWED_GROUP_BY.includes(g)) throw new AnalyticsError(ERROR_CODES.INVALID_GROUP_BY, `invalid group_by: ${g}. allowed: ${ALLOWED_GROUP_BY.join(', ')}`, 400);
-    }
+  async query({ project, metrics = [METRICS.EVENT_COUNT], filters, date_from, date_to, group_by = [], order_by, order, limit = DEFAULT_LIMIT, count_mode, timezone, compare }) {
+    const tz = validateTimezone(timezone);
+    // Property metrics resolve to { fn, key, name }; built-in ones stay strings
+    const resolvedMetrics = resolveQueryMetrics(metrics);
+    const propertyMetrics = new Set(resolvedMetrics.filter((m) => typeof m !== 'string').map((m) => m.name));
     const resolvedCountMode = resolveCountMode(metrics, count_mode);
 
-    const selectParts = group_by.map((column) => `current.${column} as ${column}`);
-    for (const m of metrics) {
-      if (m === METRICS.EVENT_COUNT) selectParts.push(buildEventCountSelect(resolvedCountMode, group_by));
-      if (m === METRICS.UNIQUE_USERS) selectParts.push('COUNT(DISTINCT current.user_id) as unique_users');
-      if (m === METRICS.SESSION_COUNT) selectParts.push('COUNT(DISTINCT current.session_id) as session_count');
-      if (m === METRICS.BOUNCE_RATE) selectParts.push('COUNT(DISTINCT current.session_id) as _session_count_for_bounce');
-      if (m === METRICS.AVG_DURATION) selectParts.push('COUNT(DISTINCT current.session_id) as _session_count_for_duration');
-    }
-    if (selectParts.length === 0) selectParts.push(buildEventCountSelect(resolvedCountMode, group_by));
-
-    const fromDate = parseSince(date_from);
-    const toDate = date_to || today();
-    const whereParts = ['project_id = ?', 'date >= ?', 'date <= ?'];
-    const params = [project, fromDate, toDate];
-
-    if (filters !== undefined && !Array.isArray(filters)) {
-      throw new AnalyticsError(ERROR_CODES.INVALID_BODY, 'filters must be an array', 400);
-    }
-
-    if (filters) {
-      for (let index = 0; index < filters.length; index++) {
-        const f = filters[index];
-        if (!f || typeof f !== 'object' || Array.isArray(f) || !f.field || !f.op || f.value === undefined) {
-          throw await this._createInvalidFilterFieldError({
-            project,
-            index,
-            field: typeof f?.field === 'string' ? f.field : typeof f?.property === 'string' ? f.property : undefined,
-            reason: 'missing_keys',
-            fromDate,
-            toDate,
-          });
-        }
-
-        const sqlOp = FILTER_OPS[f.op];
-        if (!sqlOp) throw new AnalyticsError(ERROR_CODES.INVALID_FILTER_OP, `invalid filter op: ${f.op}. allowed: ${Object.keys(FILTER_OPS).join(', ')}`, 400);
-
-        if (FILTERABLE_FIELDS.includes(f.field)) {
-          const filterValue = f.field === 'timestamp' ? normalizeTimestampFilterValue(f.value) : f.value;
-          if (f.op === 'contains') {
-            whereParts.push(`${f.field} LIKE '%' || ? || '%'`);
-          } else {
-            whereParts.push(`${f.field} ${sqlOp} ?`);
-          }
-          params.push(filterValue);
-        } else if (f.field.startsWith('properties.')) {
-          const propKey = f.field.replace('properties.', '');
-          validatePropertyKey(propKey);
-          if (f.op === 'contains') {
-            whereParts.push(`json_extract(properties, '$.${propKey}') LIKE '%' || ? || '%'`);
-          } else {
-            whereParts.push(`json_extract(properties, '$.${propKey}') ${sqlOp} ?`);
-          }
-          params.push(f.value);
-        } else {
-          throw await this._createInvalidFilterFieldError({
-            project,
-            index,
-            field: f.field,
-            reason: 'invalid_field',
-            fromDate,
-            toDate,
-          });
-        }
-      }
+    const fromDate = parseZonedSince(date_from, tz);
+    const toDate = date_to || zonedToday(tz);
+    const previousPeriod = resolveComparePeriod(compare, { from: fromDate, to: toDate, ...zonedBounds(tz, fromDate, toDate), timezone: tz });
+    const window = this._zonedWindow({ timezone: tz, fromDate, toDate });
+    const groups = resolveGroupBy(group_by, { localTime: window.local, dialect: this.dialect });
+    const columns = groups.map((g) => g.column);
+
+    const whereParts = ['project_id = ?'];
+    const params = [project];
+    let source = 'events';
+    if (window.utc) {
+      whereParts.push(window.where);
+      params.push(...window.params);
+    } else {
+      // `date` becomes the local day, so group_by and filters on it follow the zone
+      source = `(SELECT id, project_id, event, properties, user_id, session_id, timestamp, country, ${window.date} as date
+        FROM events WHERE project_id = ? AND ${window.where}) zoned`;
+      params.unshift(project, ...window.params);
     }
 
-    let sql = `WITH filtered AS (
-      SELECT * FROM events WHERE ${whereParts.join(' AND ')}
-    )
-    SELECT ${selectParts.join(', ')} FROM filtered current`;
-    if (group_by.length > 0) sql += ` GROUP BY ${group_by.map((column) => `current.${column}`).join(', ')}`;
-
-    const defaultOrder = group_by.includes(GROUP_BY_FIELDS.DATE) ? GROUP_BY_FIELDS.DATE : metrics[0];
-    const orderField = order_by && ALLOWED_ORDER_BY.includes(order_by) ? order_by : defaultOrder;
+    const filterClauses = await this._buildFilterClauses({ project, filters, fromDate, toDate });
+    whereParts.push(...filterClauses.whereParts);
+    params.push(...filterClauses.params);
+
+    const derived = groups.filter((g) => g.expr).map((g) => `, ${g.expr} as ${g.column}`).join('');
+    const aggregate = buildQueryAggregates({ metrics: resolvedMetrics, columns, countMode: resolvedCountMode, dialect: this.dialect });
+    const ctes = [
+      `filtered AS (
+      SELECT *${derived} FROM ${source} WHERE ${whereParts.join(' AND ')}
+    )`,
+      ...aggregate.ctes,
+      `grouped AS (
+      SELECT ${aggregate.selects.join(', ')} FROM filtered current${aggregate.joins.join('')}${
+        columns.length > 0 ? ` GROUP BY ${columns.map((column) => `current.${column}`).join(', ')}` : ''}
+    )`,
+    ];
+
+    // Time dimensions read best in order; otherwise the first metric ranks groups
+    const groupColumns = new Map(groups.map((g) => [g.name, g.column]));
+    const defaultOrder = groups.find((g) => isTimeGroup(g.name))?.column ?? (resolvedMetrics[0]?.name ?? resolvedMetrics[0]);
+    const orderField = groupColumns.get(order_by)
+      ?? (order_by && (ALLOWED_ORDER_BY.includes(order_by) || propertyMetrics.has(order_by)) ? order_by : defaultOrder);
     const orderDir = order === 'asc' ? 'ASC' : 'DESC';
-    sql += ` ORDER BY ${orderField} ${orderDir}`;
+    // Ties fall back to the group columns, with SQLite's NULL placement
+    // spelled out so every dialect returns rows in the same order
+    const orderTerms = [`${orderField} ${orderDir} ${orderDir === 'ASC' ? 'NULLS FIRST' : 'NULLS LAST'}`];
+    for (const column of columns) {
+      if (column !== orderField) orderTerms.push(`${column} ASC NULLS FIRST`);
+    }
+    const orderBy = orderTerms.join(', ');
 
     const maxLimit = Math.min(limit, MAX_LIMIT);
-    sql += ` LIMIT ?`;
-    params.push(maxLimit);
+    // One row past the limit tells whether groups are left over for an "other" row
+    const fetchLimit = columns.length > 0 ? maxLimit + 1 : maxLimit;
+    let rows = await this._queryAll(
+      `WITH ${ctes.join(',\n    ')}
+    SELECT * FROM grouped ORDER BY ${orderBy} LIMIT ?`,
+      [...params, fetchLimit],
+    );
 
-    const rows = await this._queryAll(sql, params);
+    if (rows.length > maxLimit) {
+      // Re-aggregate everything outside the top groups: unique counts and
+      // percentiles of the rest cannot be summed from their group rows
+      const rest = buildQueryAggregates({
+        metrics: resolvedMetrics, columns: [], countMode: resolvedCountMode, dialect: this.dialect, source: 'rest', prefix: 'rest_',
+      });
+      const sameGroup = columns.map((column) => buildNullSafeEquality(column, 'top_groups', 'f')).join(' AND ');
+      const other = await this._queryOne(
+        `WITH ${[
+          ...ctes,
+          `top_groups AS (SELECT ${columns.join(', ')} FROM grouped ORDER BY ${orderBy} LIMIT ?)`,
+          `rest AS (
+      SELECT * FROM filtered f WHERE NOT EXISTS (SELECT 1 FROM top_groups WHERE ${sameGroup})
+    )`,
+          ...rest.ctes,
+        ].join(',\n    ')}
+    SELECT ${rest.selects.join(', ')} FROM rest current${rest.joins.join('')}`,
+        [...params, maxLimit],
+      );
+      rows = [...rows.slice(0, maxLimit), { ...Object.fromEntries(columns.map((column) => [column, OTHER_GROUP])), ...other }];
+    }
+    rows = renameGroupColumns(rows, groups);
 
-    return {
-      period: { from: fromDate, to: toDate },
+    const result = {
+      period: { from: fromDate, to: toDate, timezone: tz },
       metrics,
       group_by,
       rows,
       count: rows.length,
     };
+    if (!previousPeriod) return result;
+
+    // Up to MAX_LIMIT previous groups, so groups ranked lower now still find theirs
+    const previous = await this.query({
+      project, metrics, filters, group_by, count_mode, timezone: tz,
+      date_from: previousPeriod.from, date_to: previousPeriod.to, limit: MAX_LIMIT,
+    });
+    const timeGroups = groups.map((g) => timeGroupGranularity(g.name));
+    const groupKey = (period) => {
+      const starts = timeGroups.map((granularity) => granularity && bucketStart(granularity, { ...period, timezone: tz }));
+      return (row) => {
+        if (groups.length > 0 && groups.every((g) => row[g.name] === OTHER_GROUP)) return null;
+        return JSON.stringify(groups.map((g, i) => (timeGroups[i] ? bucketOffset(timeGroups[i], row[g.name], starts[i]) : row[g.name])));
+      };
+    };
+    return {
+      ...result,
+      compare: previousPeriod.mode,
+      previous_period: { from: previousPeriod.from, to: previousPeriod.to, timezone: tz },
+      rows: compareRows(rows, previous.rows, {
+        currentKey: groupKey({ from: fromDate, fromMs: zonedBounds(tz, fromDate).fromMs }),
+        previousKey: groupKey(previousPeriod),
+        metrics: resolvedMetrics.map((m) => m.name ?? m),
+        counts: resolvedMetrics.filter((m) => typeof m === 'string'),
+        labels: groups.filter((g, i) => timeGroups[i]).map((g) => g.name),
+      }),
+    };
+  }
+
+  /**
+   * One page of raw events for export, oldest first. Pages are keyed on
+   * (timestamp, id) rather than OFFSET, so each page is a range scan of
+   * idx_events_project_timestamp and rows written mid-export cannot shift
+   * later pages.
+   * Pass the returned `next` back as `after`; it is null on the last page.
+   */
+  async exportEvents({ project, event, filters, date_from, date_to, after, page_size }) {
+    const { pageSize } = validateExportOptions({ page_size });
+    const fromDate = parseSince(date_from);
+    const toDate = date_to || today();
+    const whereParts = ['project_id = ?', 'date >= ?', 'date <= ?'];
+    const params = [project, fromDate, toDate];
+    if (event) {
+      whereParts.push('event = ?');
+      params.push(event);
+    }
+
+    const filterClauses = await this._buildFilterClauses({ project, filters, fromDate, toDate });
+    whereParts.push(...filterClauses.whereParts);
+    params.push(...filterClauses.params);
+
+    // The first page starts at midnight of date_from, so it walks the index too
+    const start = after ?? { timestamp: Date.parse(`${fromDate}T00:00:00Z`), id: '' };
+    whereParts.push('(timestamp, id) > (?, ?)');
+    params.push(start.timestamp, start.id);
+    params.push(pageSize + 1);
+
+    const rows = await this._queryAll(
+      `SELECT id, event, properties, user_id, session_id, timestamp, date, country
+       FROM events WHERE ${whereParts.join(' AND ')}
+       ORDER BY timestamp, id LIMIT ?`,
+      params,
+    );
+    const hasMore = rows.length > pageSize;
+    const events = (hasMore ? rows.slice(0, pageSize) : rows)
+      .map(e => ({ ...e, properties: e.properties ? JSON.parse(e.properties) : null }));
+    const last = events[events.length - 1];
+    return { events, next: hasMore ? { timestamp: last.timestamp, id: last.id } : null };
   }
 
   async listProjects() {
@@ -488,7 +883,7 @@ export class BaseAdapter {
          FROM events
          WHERE project_id = ? AND date >= ? AND properties IS NOT NULL
          ORDER BY timestamp DESC LIMIT ?
-       ) e, json_each(e.properties) j
+       ) e, ${this.dialect.jsonEach('e.properties')} j
        ORDER BY j.key, e.event`,
       [project, fromDate, safeSample],
     );
@@ -502,39 +897,39 @@ export class BaseAdapter {
 
   // --- Analytics endpoints ---
 
-  async getBreakdown({ project, property, event, since, limit = TOP_EVENTS_LIMIT }) {
+  async getBreakdown({ project, property, event, since, filters, limit = TOP_EVENTS_LIMIT }) {
     validatePropertyKey(property);
     const fromDate = parseSince(since);
     const safeLimit = Math.min(Math.max(limit, 1), MAX_LIMIT);
+    const extracted = this.dialect.jsonExtract('properties', property);
 
-    let sql = `SELECT json_extract(properties, '$.${property}') as value,
-                      COUNT(*) as count,
-                      COUNT(DISTINCT user_id) as unique_users
-               FROM events
-               WHERE project_id = ? AND date >= ?
-                 AND properties IS NOT NULL
-                 AND json_extract(properties, '$.${property}') IS NOT NULL`;
-    const params = [project, fromDate];
-
+    let where = 'project_id = ? AND date >= ?';
+    const whereParams = [project, fromDate];
     if (event) {
-      sql += ` AND event = ?`;
-      params.push(event);
+      where += ` AND event = ?`;
+      whereParams.push(event);
     }
+    const filterClauses = await this._buildFilterClauses({ project, filters, fromDate, toDate: today() });
+    for (const part of filterClauses.whereParts) where += ` AND ${part}`;
+    whereParams.push(...filterClauses.params);
 
-    sql += ` GROUP BY value ORDER BY count DESC LIMIT ?`;
-    params.push(safeLimit);
-
-    const values = await this._queryAll(sql, params);
+    const values = await this._queryAll(
+      `SELECT ${extracted} as value,
+              COUNT(*) as count,
+              COUNT(DISTINCT user_id) as unique_users
+       FROM events
+       WHERE ${where}
+         AND properties IS NOT NULL
+         AND ${extracted} IS NOT NULL
+       GROUP BY value ORDER BY count DESC LIMIT ?`,
+      [...whereParams, safeLimit],
+    );
 
     // Totals
-    let totalSql = `SELECT COUNT(*) as total_events,
-                           SUM(CASE WHEN json_extract(properties, '$.${property}') IS NOT NULL THEN 1 ELSE 0 END) as total_with_property
-                    FROM events WHERE project_id = ? AND date >= ?`;
-    const totalParams = [project, fromDate];
-    if (event) {
-      totalSql += ` AND event = ?`;
-      totalParams.push(event);
-    }
+    const totalSql = `SELECT COUNT(*) as total_events,
+                             SUM(CASE WHEN ${extracted} IS NOT NULL THEN 1 ELSE 0 END) as total_with_property
+                      FROM events WHERE ${where}`;
+    const totalParams = whereParams;
     const totals = await this._queryOne(totalSql, totalParams);
 
     return {
@@ -546,54 +941,55 @@ export class BaseAdapter {
     };
   }
 
-  async getInsights({ project, period = '7d' }) {
+  async getInsights({ project, period = '7d', timezone }) {
     if (!VALID_PERIODS.includes(period)) {
       throw new AnalyticsError(ERROR_CODES.MISSING_FIELDS, `invalid period: ${period}. allowed: ${VALID_PERIODS.join(', ')}`, 400);
     }
+    const tz = validateTimezone(timezone);
     const periodDays = parseInt(period, 10);
     const now = Date.now();
-    const currentEnd = today();
+    const currentEnd = zonedToday(tz);
     const currentStartMs = now - periodDays * MS_PER_DAY;
-    const currentStart = formatDate(currentStartMs);
+    const currentStart = zonedDate(tz, currentStartMs);
     const previousEndMs = currentStartMs - 1;
     const previousStartMs = previousEndMs - periodDays * MS_PER_DAY;
-    const previousStart = formatDate(previousStartMs);
-    const previousEnd = formatDate(previousEndMs);
+    const previousStart = zonedDate(tz, previousStartMs);
+    const previousEnd = zonedDate(tz, previousEndMs);
+
+    const windows = (time) => [
+      this._zonedWindow({ timezone: tz, fromDate: currentStart, toDate: currentEnd, time }),
+      this._zonedWindow({ timezone: tz, fromDate: previousStart, toDate: previousEnd, time }),
+    ];
+    const [curEventWindow, prevEventWindow] = windows('timestamp');
+    const [curSessionWindow, prevSessionWindow] = windows('start_time');
+
+    const source = curEventWindow.utc
+      ? await this._rollupSource(project, previousStart, currentEnd)
+      : ROLLUP_SOURCES.RAW;
+    const events = eventAggregates(source);
+    const sessions = sessionAggregates(source, this.dialect);
+
+    const eventQuery = (window) => this._queryOne(
+      `SELECT ${events.events} as total_events, ${events.users} as unique_users
+       FROM ${events.table} WHERE project_id = ? AND ${window.where}`,
+      [project, ...window.params],
+    );
+    const sessionQuery = (window) => this._queryOne(
+      `SELECT ${sessions.sessions} as total_sessions,
+              ${sessions.bounced} as bounced,
+              ${sessions.avgDuration} as avg_duration
+       FROM ${sessions.table} WHERE project_id = ? AND ${window.where}${sessions.where}`,
+      [project, ...window.params],
+    );
 
     // Run 4 queries: current events, previous events, current sessions, previous sessions
     const [curEvents, prevEvents, curSessions, prevSessions] = await Promise.all([
-      this._queryOne(
-        `SELECT COUNT(*) as total_events, COUNT(DISTINCT user_id) as unique_users
-         FROM events WHERE project_id = ? AND date >= ? AND date <= ?`,
-        [project, currentStart, currentEnd],
-      ),
-      this._queryOne(
-        `SELECT COUNT(*) as total_events, COUNT(DISTINCT user_id) as unique_users
-         FROM events WHERE project_id = ? AND date >= ? AND date <= ?`,
-        [project, previousStart, previousEnd],
-      ),
-      this._queryOne(
-        `SELECT COUNT(*) as total_sessions,
-                SUM(CASE WHEN is_bounce = 1 THEN 1 ELSE 0 END) as bounced,
-                AVG(duration) as avg_duration
-         FROM sessions WHERE project_id = ? AND date >= ? AND date <= ?`,
-        [project, currentStart, currentEnd],
-      ),
-      this._queryOne(
-        `SELECT COUNT(*) as total_sessions,
-                SUM(CASE WHEN is_bounce = 1 THEN 1 ELSE 0 END) as bounced,
-                AVG(duration) as avg_duration
-         FROM sessions WHERE project_id = ? AND date >= ? AND date <= ?`,
-        [project, previousStart, previousEnd],
-      ),
+      eventQuery(curEventWindow),
+      eventQuery(prevEventWindow),
+      sessionQuery(curSessionWindow),
+      sessionQuery(prevSessionWindow),
     ]);
 
-    function delta(current, previous) {
-      const change = current - previous;
-      const change_pct = previous > 0 ? Math.round((change / previous) * 100) : (current > 0 ? null : 0);
-      return { current, previous, change, change_pct };
-    }
-
     const curTotal = curEvents?.total_events || 0;
     const prevTotal = prevEvents?.total_events || 0;
     const curUsers = curEvents?.unique_users || 0;
@@ -614,8 +1010,9 @@ export class BaseAdapter {
       : 'stable';
 
     return {
-      current_period: { from: currentStart, to: currentEnd },
-      previous_period: { from: previousStart, to: previousEnd },
+      source,
+      current_period: { from: currentStart, to: currentEnd, timezone: tz },
+      previous_period: { from: previousStart, to: previousEnd, timezone: tz },
       metrics: {
         total_events: delta(curTotal, prevTotal),
         unique_users: delta(curUsers, prevUsers),
@@ -636,7 +1033,7 @@ export class BaseAdapter {
         sql: `SELECT ${pageCol} as page,
                      COUNT(*) as sessions,
                      SUM(CASE WHEN is_bounce = 1 THEN 1 ELSE 0 END) as bounces,
-                     ROUND(CAST(SUM(CASE WHEN is_bounce = 1 THEN 1 ELSE 0 END) AS REAL) / COUNT(*), 3) as bounce_rate,
+                     ROUND(${this.dialect.divide('SUM(CASE WHEN is_bounce = 1 THEN 1 ELSE 0 END)', 'COUNT(*)')}, 3) as bounce_rate,
                      ROUND(AVG(duration)) as avg_duration,
                      ROUND(AVG(event_count), 1) as avg_events
               FROM sessions
@@ -672,6 +1069,7 @@ export class BaseAdapter {
       fromDate: normalized.fromDate,
       entryLimit: normalized.entryLimit,
       candidateSessionCap: normalized.candidateSessionCap,
+      dialect: this.dialect,
     });
 
     const entryPages = await this._queryAll(entryPagesQuery.sql, entryPagesQuery.params);
@@ -683,8 +1081,28 @@ export class BaseAdapter {
     return buildPathsResponse(options.project, normalized, rows);
   }
 
-  async getSessionDistribution({ project, since }) {
-    const fromDate = parseSince(since);
+  async getFunnel(options) {
+    const normalized = validateFunnelOptions(options);
+    const { sql, params } = buildFunnelQuery({ project: options.project, ...normalized, dialect: this.dialect });
+    const rows = await this._queryAll(sql, params);
+    return buildFunnelResponse(options.project, normalized, rows);
+  }
+
+  async getRetention(options) {
+    const normalized = validateRetentionOptions(options);
+    const [cohortsQuery, activityQuery] = buildRetentionQueries({ project: options.project, ...normalized, dialect: this.dialect });
+    const [cohortRows, activityRows] = await Promise.all([
+      this._queryAll(cohortsQuery.sql, cohortsQuery.params),
+      this._queryAll(activityQuery.sql, activityQuery.params),
+    ]);
+    return buildRetentionResponse(options.project, normalized, cohortRows, activityRows);
+  }
+
+  async getSessionDistribution({ project, since, timezone }) {
+    const tz = validateTimezone(timezone);
+    const fromDate = parseZonedSince(since, tz);
+    const window = this._zonedWindow({ timezone: tz, fromDate, time: 'start_time' });
+    const period = { from: fromDate, to: zonedToday(tz), timezone: tz };
 
     const rows = await this._queryAll(
       `SELECT
@@ -701,14 +1119,14 @@ export class BaseAdapter {
         SUM(CASE WHEN is_bounce = 1 THEN 1 ELSE 0 END) as bounces,
         ROUND(AVG(event_count), 1) as avg_events
       FROM sessions
-      WHERE project_id = ? AND date >= ?
+      WHERE project_id = ? AND ${window.where}
       GROUP BY bucket
       ORDER BY MIN(duration)`,
-      [project, fromDate],
+      [project, ...window.params],
     );
 
     if (rows.length === 0) {
-      return { distribution: [], median_bucket: null, engaged_pct: 0 };
+      return { period, distribution: [], median_bucket: null, engaged_pct: 0 };
     }
 
     const totalSessions = rows.reduce((sum, r) => sum + r.sessions, 0);
@@ -737,30 +1155,117 @@ export class BaseAdapter {
       .reduce((sum, r) => sum + r.sessions, 0);
     const engagedPct = Math.round((engaged / totalSessions) * 1000) / 10;
 
-    return { distribution, median_bucket: medianBucket, engaged_pct: engagedPct };
+    return { period, distribution, median_bucket: medianBucket, engaged_pct: engagedPct };
   }
 
   async identifyUser({ project, previous_id, canonical_id }) {
-    await this._batch(buildIdentifyStatements({ project, previous_id, canonical_id }));
+    await this._batch([
+      ...buildIdentifyStatements({ project, previous_id, canonical_id }),
+      ...(await this._hasRollupTables() ? buildRollupIdentifyStatements({ project, previous_id }) : []),
+    ]);
   }
 
-  async getHeatmap({ project, since }) {
-    const fromDate = parseSince(since);
+  // --- Data subject requests (GDPR erasure and access) ---
+
+  async _resolveDataSubject(options) {
+    const { project, userId, reference } = validateDataSubjectRequest(options);
+    const mapped = await this._queryOne(
+      `SELECT canonical_id FROM identity_map WHERE previous_id = ? AND project_id = ?`,
+      [userId, project],
+    );
+    const canonicalId = mapped?.canonical_id ?? userId;
+    return { project, canonicalId, reference, scope: buildDataSubjectScope({ project, canonicalId }) };
+  }
+
+  async _dataSubjectAudit({ project, canonicalId, reference, action, counts }) {
+    const id = ulid();
+    const requestedAt = Date.now();
+    const statement = buildDataSubjectAuditStatement({
+      id,
+      project,
+      action,
+      subjectHash: await hashDataSubject(project, canonicalId),
+      reference,
+      counts,
+      requestedAt,
+    });
+    return { id, requestedAt, statement };
+  }
+
+  /**
+   * Erase everything held about a user — given their canonical id or any
+   * id linked to it — and record the request, all in one batch.
+   */
+  async deleteUserData(options) {
+    const subject = await this._resolveDataSubject(options);
+    const counts = {};
+    for (const [key, { table, where, params }] of Object.entries(subject.scope)) {
+      counts[key] = (await this._queryOne(`SELECT COUNT(*) as n FROM ${table} WHERE ${where}`, params))?.n ?? 0;
+    }
+    const audit = await this._dataSubjectAudit({ ...subject, action: DATA_SUBJECT_ACTIONS.DELETE, counts });
+    await this._batch([
+      ...(await this._hasRollupTables() ? buildRollupSubjectStatements({ project: subject.project, scope: subject.scope, dialect: this.dialect }) : []),
+      ...buildDataSubjectDeleteStatements(subject.scope),
+      audit.statement,
+    ]);
+    return { request_id: audit.id, requested_at: audit.requestedAt, user_id: subject.canonicalId, deleted: counts };
+  }
+
+  /** Every row held about a user, for an access request; the request is recorded. */
+  async exportUserData(options) {
+    const { scope, ...subject } = await this._resolveDataSubject(options);
+    const events = await this._queryAll(
+      `SELECT id, event, properties, user_id, session_id, timestamp, date, country
+       FROM events WHERE ${scope.events.where} ORDER BY timestamp, id`,
+      scope.events.params,
+    );
+    const sessions = await this._queryAll(
+      `SELECT session_id, user_id, start_time, end_time, duration, entry_page, exit_page, event_count, is_bounce, date
+       FROM sessions WHERE ${scope.sessions.where} ORDER BY start_time, session_id`,
+      scope.sessions.params,
+    );
+    const identities = await this._queryAll(
+      `SELECT previous_id, canonical_id, created_at FROM identity_map WHERE ${scope.identities.where} ORDER BY created_at, previous_id`,
+      scope.identities.params,
+    );
+
+    const counts = { events: events.length, sessions: sessions.length, identities: identities.length };
+    const audit = await this._dataSubjectAudit({ ...subject, action: DATA_SUBJECT_ACTIONS.EXPORT, counts });
+    await this._run(audit.statement.sql, audit.statement.params);
+    return {
+      request_id: audit.id,
+      requested_at: audit.requestedAt,
+      user_id: subject.canonicalId,
+      linked_ids: identities.map(r => r.previous_id).filter(id => id !== subject.canonicalId),
+      events: events.map(e => ({ ...e, properties: e.properties ? JSON.parse(e.properties) : null })),
+      sessions,
+      identities,
+    };
+  }
+
+  async getHeatmap({ project, since, timezone }) {
+    const tz = validateTimezone(timezone);
+    const fromDate = parseZonedSince(since, tz);
+    const window = this._zonedWindow({ timezone: tz, fromDate });
+    const period = { from: fromDate, to: zonedToday(tz), timezone: tz };
+    // Rollups keep no users per hour, so the heatmap always reads raw rows
+    const source = ROLLUP_SOURCES.RAW;
+    const agg = eventAggregates(source);
 
     const rows = await this._queryAll(
-      `SELECT CAST(strftime('%w', date) AS INTEGER) as day,
-              CAST(strftime('%H', timestamp / 1000, 'unixepoch') AS INTEGER) as hour,
-              COUNT(*) as events,
-              COUNT(DISTINCT user_id) as users
-       FROM events
-       WHERE project_id = ? AND date >= ?
+      `SELECT ${this.dialect.dayOfWeek(window.date)} as day,
+              ${this.dialect.hourOfDay(window.local)} as hour,
+              ${agg.events} as events,
+              ${agg.users} as users
+       FROM ${agg.table}
+       WHERE project_id = ? AND ${window.where}
        GROUP BY day, hour
        ORDER BY day, hour`,
-      [project, fromDate],
+      [project, ...window.params],
     );
 
     if (rows.length === 0) {
-      return { heatmap: [], peak: null, busiest_day: null, busiest_hour: null };
+      return { source, period, heatmap: [], peak: null, busiest_day: null, busiest_hour: null };
     }
 
     // Add day_name
@@ -788,6 +1293,525 @@ export class BaseAdapter {
     }
     const busiest_hour = Number(Object.entries(hourTotals).sort((a, b) => b[1] - a[1])[0][0]);
 
-    return { heatmap, peak, busiest_day, busiest_hour };
+    return { source, period, heatmap, peak, busiest_day, busiest_hour };
+  }
+
+  // --- Experiments ---
+
+  async getExperiment({ project, key }) {
+    const row = await this._queryOne(
+      `SELECT * FROM experiments WHERE project_id = ? AND key = ?`,
+      [project, key],
+    );
+    return parseExperimentRow(row);
+  }
+
+  async listExperiments({ project, status, include_archived = false }) {
+    const parts = ['project_id = ?'];
+    const params = [project];
+    if (status) {
+      parts.push('status = ?');
+      params.push(status);
+    } else if (!include_archived) {
+      parts.push('status != ?');
+      params.push(EXPERIMENT_STATUSES.ARCHIVED);
+    }
+    const rows = await this._queryAll(
+      `SELECT * FROM experiments WHERE ${parts.join(' AND ')} ORDER BY created_at DESC, key`,
+      params,
+    );
+    return rows.map(parseExperimentRow);
+  }
+
+  async getExperimentConfig({ project }) {
+    const experiments = await this.listExperiments({ project, status: EXPERIMENT_STATUSES.RUNNING });
+    return buildExperimentConfig(experiments);
+  }
+
+  async createExperiment({ project, ...input }) {
+    const experiment = validateExperimentInput(input);
+    const existing = await this.getExperiment({ project, key: experiment.key });
+    if (existing) {
+      throw new AnalyticsError(ERROR_CODES.CONFLICT, `experiment already exists: ${experiment.key}`, 409);
+    }
+
+    const now = Date.now();
+    await this._run(
+      `INSERT INTO experiments (id, project_id, key, name, description, status, variants, goal_event, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        ulid(), project, experiment.key, experiment.name, experiment.description, experiment.status,
+        JSON.stringify(experiment.variants), experiment.goal_event, now, now,
+      ],
+    );
+    return this.getExperiment({ project, key: experiment.key });
+  }
+
+  async _getMutableExperiment({ project, key }) {
+    const existing = await this.getExperiment({ project, key });
+    if (!existing) throw new AnalyticsError(ERROR_CODES.NOT_FOUND, `experiment not found: ${key}`, 404);
+    if (existing.status === EXPERIMENT_STATUSES.ARCHIVED) {
+      throw new AnalyticsError(ERROR_CODES.CONFLICT, `experiment is archived: ${key}`, 409);
+    }
+    return existing;
+  }
+
+  async updateExperiment({ project, key, ...input }) {
+    await this._getMutableExperiment({ project, key });
+    const changes = validateExperimentUpdate(input);
+
+    const sets = [];
+    const params = [];
+    for (const [column, value] of Object.entries(changes)) {
+      sets.push(`${column} = ?`);
+      params.push(column === 'variants' ? JSON.stringify(value) : value);
+    }
+    sets.push('updated_at = ?');
+    params.push(Date.now(), project, key);
+
+    await this._run(
+      `UPDATE experiments SET ${sets.join(', ')} WHERE project_id = ? AND key = ?`,
+      params,
+    );
+    return this.getExperiment({ project, key });
+  }
+
+  async archiveExperiment({ project, key }) {
+    await this._getMutableExperiment({ project, key });
+    const now = Date.now();
+    await this._run(
+      `UPDATE experiments SET status = ?, archived_at = ?, updated_at = ? WHERE project_id = ? AND key = ?`,
+      [EXPERIMENT_STATUSES.ARCHIVED, now, now, project, key],
+    );
+    return this.getExperiment({ project, key });
+  }
+
+  async getExperimentResults(options) {
+    const key = options.experiment ?? options.key;
+    const registered = typeof key === 'string'
+      ? await this.getExperiment({ project: options.project, key })
+      : null;
+    const normalized = validateExperimentResultsOptions(options, registered);
+    const { sql, params } = buildExperimentResultsQuery({ project: options.project, ...normalized, dialect: this.dialect });
+    const rows = await this._queryAll(sql, params);
+    return buildExperimentResults(rows, { project: options.project, registered, ...normalized });
+  }
+
+  // --- Saved queries ---
+
+  async getSavedQuery({ project, id }) {
+    const row = await this._queryOne(
+      `SELECT * FROM saved_queries WHERE project_id = ? AND id = ?`,
+      [project, id],
+    );
+    return parseSavedQueryRow(row);
+  }
+
+  async _getExistingSavedQuery({ project, id }) {
+    const existing = await this.getSavedQuery({ project, id });
+    if (!existing) throw new AnalyticsError(ERROR_CODES.NOT_FOUND, `saved query not found: ${id}`, 404);
+    return existing;
+  }
+
+  /** Throws CONFLICT when another row of `table` in the project already has `name`. */
+  async _assertNameFree(table, { project, name, id = null }) {
+    const taken = await this._queryOne(
+      `SELECT id FROM ${table} WHERE project_id = ? AND name = ?`,
+      [project, name],
+    );
+    if (taken && taken.id !== id) {
+      const label = table === 'dashboards' ? 'dashboard' : 'saved query';
+      throw new AnalyticsError(ERROR_CODES.CONFLICT, `${label} already exists: ${name}`, 409);
+    }
+  }
+
+  async listSavedQueries({ project, type, owner }) {
+    const parts = ['project_id = ?'];
+    const params = [project];
+    if (type) {
+      parts.push('type = ?');
+      params.push(type);
+    }
+    if (owner) {
+      parts.push('owner = ?');
+      params.push(owner);
+    }
+    const rows = await this._queryAll(
+      `SELECT * FROM saved_queries WHERE ${parts.join(' AND ')} ORDER BY name`,
+      params,
+    );
+    return rows.map(parseSavedQueryRow);
+  }
+
+  /**
+   * Check a saved query's body the way its runner would, so a malformed one
+   * is refused with 400 when saved rather than failing on every run.
+   */
+  _validateSavedQueryBody({ type, query }) {
+    if (type === SAVED_QUERY_TYPES.PATHS) return validatePathsOptions(query);
+    if (type === SAVED_QUERY_TYPES.FUNNEL) return validateFunnelOptions(query);
+    if (type === SAVED_QUERY_TYPES.BREAKDOWN) validatePropertyKey(query.property);
+    if (type === SAVED_QUERY_TYPES.QUERY) {
+      const { metrics = [METRICS.EVENT_COUNT], group_by = [], count_mode, timezone } = query;
+      resolveQueryMetrics(metrics);
+      resolveCountMode(metrics, count_mode);
+      resolveGroupBy(group_by, { dialect: this.dialect });
+      validateTimezone(timezone);
+    }
+    return validateFilters(query.filters, { dialect: this.dialect });
+  }
+
+  async createSavedQuery({ project, ...input }) {
+    const savedQuery = validateSavedQueryInput(input);
+    this._validateSavedQueryBody(savedQuery);
+    await this._assertNameFree('saved_queries', { project, name: savedQuery.name });
+
+    const id = ulid();
+    const now = Date.now();
+    await this._run(
+      `INSERT INTO saved_queries (id, project_id, name, type, query, owner, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, project, savedQuery.name, savedQuery.type, JSON.stringify(savedQuery.query), savedQuery.owner, now, now],
+    );
+    return this.getSavedQuery({ project, id });
+  }
+
+  async updateSavedQuery({ project, id, ...input }) {
+    const existing = await this._getExistingSavedQuery({ project, id });
+    const changes = validateSavedQueryUpdate(input, existing);
+    if (changes.query !== undefined) this._validateSavedQueryBody({ type: changes.type ?? existing.type, query: changes.query });
+    if (changes.name !== undefined) await this._assertNameFree('saved_queries', { project, name: changes.name, id });
+
+    const sets = [];
+    const params = [];
+    for (const [column, value] of Object.entries(changes)) {
+      sets.push(`${column} = ?`);
+      params.push(column === 'query' ? JSON.stringify(value) : value);
+    }
+    sets.push('updated_at = ?');
+    params.push(Date.now(), project, id);
+
+    await this._run(
+      `UPDATE saved_queries SET ${sets.join(', ')} WHERE project_id = ? AND id = ?`,
+      params,
+    );
+    return this.getSavedQuery({ project, id });
+  }
+
+  /** Delete a saved query and take it off the project's dashboards, in one batch. */
+  async deleteSavedQuery({ project, id }) {
+    const existing = await this._getExistingSavedQuery({ project, id });
+    const dashboards = await this.listDashboards({ project });
+    const now = Date.now();
+    await this._batch([
+      { sql: `DELETE FROM saved_queries WHERE project_id = ? AND id = ?`, params: [project, id] },
+      ...dashboards.filter(d => d.saved_query_ids.includes(id)).map(d => ({
+        sql: `UPDATE dashboards SET saved_query_ids = ?, updated_at = ? WHERE project_id = ? AND id = ?`,
+        params: [JSON.stringify(d.saved_query_ids.filter(q => q !== id)), now, project, d.id],
+      })),
+    ]);
+    return existing;
+  }
+
+  /**
+   * Run a saved query with optional `overrides` (see RUN_OVERRIDES).
+   * Returns `{ saved_query, result }`, `result` as the matching endpoint returns it.
+   */
+  async runSavedQuery({ project, id, overrides }) {
+    const savedQuery = await this._getExistingSavedQuery({ project, id });
+    const result = await this[SAVED_QUERY_RUNNERS[savedQuery.type]](buildRunOptions(savedQuery, overrides));
+    return { saved_query: savedQuery, result };
+  }
+
+  // --- Dashboards ---
+
+  async getDashboard({ project, id }) {
+    const row = await this._queryOne(
+      `SELECT * FROM dashboards WHERE project_id = ? AND id = ?`,
+      [project, id],
+    );
+    return parseDashboardRow(row);
+  }
+
+  async _getExistingDashboard({ project, id }) {
+    const existing = await this.getDashboard({ project, id });
+    if (!existing) throw new AnalyticsError(ERROR_CODES.NOT_FOUND, `dashboard not found: ${id}`, 404);
+    return existing;
+  }
+
+  /** Throws NOT_FOUND unless every id is a saved query of the project. */
+  async _assertSavedQueriesExist({ project, ids }) {
+    if (ids.length === 0) return;
+    const rows = await this._queryAll(
+      `SELECT id FROM saved_queries WHERE project_id = ? AND id IN (${ids.map(() => '?').join(', ')})`,
+      [project, ...ids],
+    );
+    const found = new Set(rows.map(r => r.id));
+    const missing = ids.filter(id => !found.has(id));
+    if (missing.length > 0) {
+      throw new AnalyticsError(ERROR_CODES.NOT_FOUND, `saved query not found: ${missing.join(', ')}`, 404);
+    }
+  }
+
+  async listDashboards({ project, owner }) {
+    const parts = ['project_id = ?'];
+    const params = [project];
+    if (owner) {
+      parts.push('owner = ?');
+      params.push(owner);
+    }
+    const rows = await this._queryAll(
+      `SELECT * FROM dashboards WHERE ${parts.join(' AND ')} ORDER BY name`,
+      params,
+    );
+    return rows.map(parseDashboardRow);
+  }
+
+  async createDashboard({ project, ...input }) {
+    const dashboard = validateDashboardInput(input);
+    await this._assertNameFree('dashboards', { project, name: dashboard.name });
+    await this._assertSavedQueriesExist({ project, ids: dashboard.saved_query_ids });
+
+    const id = ulid();
+    const now = Date.now();
+    await this._run(
+      `INSERT INTO dashboards (id, project_id, name, description, saved_query_ids, owner, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, project, dashboard.name, dashboard.description, JSON.stringify(dashboard.saved_query_ids), dashboard.owner, now, now],
+    );
+    return this.getDashboard({ project, id });
+  }
+
+  async updateDashboard({ project, id, ...input }) {
+    await this._getExistingDashboard({ project, id });
+    const changes = validateDashboardUpdate(input);
+    if (changes.name !== undefined) await this._assertNameFree('dashboards', { project, name: changes.name, id });
+    if (changes.saved_query_ids) await this._assertSavedQueriesExist({ project, ids: changes.saved_query_ids });
+
+    const sets = [];
+    const params = [];
+    for (const [column, value] of Object.entries(changes)) {
+      sets.push(`${column} = ?`);
+      params.push(column === 'saved_query_ids' ? JSON.stringify(value) : value);
+    }
+    sets.push('updated_at = ?');
+    params.push(Date.now(), project, id);
+
+    await this._run(
+      `UPDATE dashboards SET ${sets.join(', ')} WHERE project_id = ? AND id = ?`,
+      params,
+    );
+    return this.getDashboard({ project, id });
+  }
+
+  async deleteDashboard({ project, id }) {
+    const existing = await this._getExistingDashboard({ project, id });
+    await this._run(`DELETE FROM dashboards WHERE project_id = ? AND id = ?`, [project, id]);
+    return existing;
+  }
+
+  /**
+   * A dashboard with its saved queries, in order; with `run`, each also
+   * carries its `result`, or the `error` it failed with, so one bad query
+   * does not sink the rest. `overrides` go to every query whose type takes them.
+   */
+  async getDashboardWithQueries({ project, id, run = false, overrides }) {
+    const dashboard = await this._getExistingDashboard({ project, id });
+    const savedQueries = await this.listSavedQueries({ project });
+    const byId = new Map(savedQueries.map(q => [q.id, q]));
+    const queries = dashboard.saved_query_ids.map(queryId => byId.get(queryId)).filter(Boolean);
+    if (!run) return { dashboard, queries: queries.map(saved_query => ({ saved_query })) };
+
+    // Bad overrides fail the whole call rather than every query
+    const runs = queries.map(savedQuery => [savedQuery, buildDashboardRunOptions(savedQuery, overrides)]);
+    const results = await Promise.all(runs.map(async ([savedQuery, options]) => {
+      try {
+        return { saved_query: savedQuery, result: await this[SAVED_QUERY_RUNNERS[savedQuery.type]](options) };
+      } catch (err) {
+        if (!(err instanceof AnalyticsError)) throw err;
+        return { saved_query: savedQuery, error: { code: err.code, message: err.message } };
+      }
+    }));
+    return { dashboard, queries: results };
+  }
+
+  // --- API keys ---
+
+  async getApiKey({ id }) {
+    const row = await this._queryOne(`SELECT * FROM api_keys WHERE id = ?`, [id]);
+    return parseApiKeyRow(row);
+  }
+
+  async _getActiveApiKey({ id }) {
+    const existing = await this.getApiKey({ id });
+    if (!existing) throw new AnalyticsError(ERROR_CODES.NOT_FOUND, `API key not found: ${id}`, 404);
+    if (existing.revoked_at !== null) throw new AnalyticsError(ERROR_CODES.CONFLICT, `API key already revoked: ${id}`, 409);
+    return existing;
+  }
+
+  /** Keys newest first; revoked ones only with `include_revoked`. */
+  async listApiKeys({ include_revoked = false } = {}) {
+    const rows = await this._queryAll(
+      `SELECT * FROM api_keys${include_revoked ? '' : ' WHERE revoked_at IS NULL'} ORDER BY created_at DESC, id DESC`,
+      [],
+    );
+    return rows.map(parseApiKeyRow);
+  }
+
+  /** Statement inserting a new key for `fields`, and the plaintext key it stores the hash of. */
+  async _apiKeyInsert(fields, rotatedFrom = null) {
+    const key = generateApiKey();
+    const id = ulid();
+    const statement = {
+      sql: `INSERT INTO api_keys (id, key_hash, key_prefix, name, scopes, projects, expires_at, rotated_from, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      params: [
+        id, await hashApiKey(key), apiKeyPrefix(key), fields.name, JSON.stringify(fields.scopes),
+        fields.projects === null ? null : JSON.stringify(fields.projects), fields.expires_at, rotatedFrom, Date.now(),
+      ],
+    };
+    return { id, key, statement };
+  }
+
+  /**
+   * Create a key. Returns `{ api_key, key }`; the plaintext `key` is not
+   * stored and cannot be read back later.
+   */
+  async createApiKey(input) {
+    const fields = validateApiKeyInput(input);
+    const { id, key, statement } = await this._apiKeyInsert(fields);
+    await this._run(statement.sql, statement.params);
+    return { api_key: await this.getApiKey({ id }), key };
+  }
+
+  /**
+   * Replace a key with a new one of the same name, scopes, projects and
+   * expiry, revoking the old one in the same batch. Returns `{ api_key, key }`.
+   */
+  async rotateApiKey({ id }) {
+    const existing = await this._getActiveApiKey({ id });
+    const { id: newId, key, statement } = await this._apiKeyInsert(existing, id);
+    await this._batch([
+      statement,
+      { sql: `UPDATE api_keys SET revoked_at = ? WHERE id = ?`, params: [Date.now(), id] },
+    ]);
+    return { api_key: await this.getApiKey({ id: newId }), key };
+  }
+
+  async revokeApiKey({ id }) {
+    await this._getActiveApiKey({ id });
+    await this._run(`UPDATE api_keys SET revoked_at = ? WHERE id = ?`, [Date.now(), id]);
+    return this.getApiKey({ id });
+  }
+
+  /** The key a plaintext `key` belongs to, or null when unknown, revoked or expired. */
+  async verifyApiKey(key) {
+    if (typeof key !== 'string' || !key) return null;
+    const row = await this._queryOne(`SELECT * FROM api_keys WHERE key_hash = ?`, [await hashApiKey(key)]);
+    const apiKey = parseApiKeyRow(row);
+    if (!apiKey || apiKey.revoked_at !== null) return null;
+    if (apiKey.expires_at !== null && apiKey.expires_at <= Date.now()) return null;
+    return apiKey;
+  }
+
+  // --- Ingestion rejections ---
+
+  /** Add `count` events of `project` refused for `reason` to the day's tally. */
+  async recordRejectedEvents({ project, reason, count = 1, timestamp = Date.now() }) {
+    await this._run(
+      `INSERT INTO rejected_events (project_id, date, reason, count) VALUES (?, ?, ?, ?)
+       ON CONFLICT (project_id, date, reason) DO UPDATE SET count = rejected_events.count + excluded.count`,
+      [project, formatDate(timestamp), reason, count],
+    );
+  }
+
+  /** Refused events since `since`: `{ total, by_reason, days: [{ date, reason, count }] }`, newest day first. */
+  async getRejectedEvents({ project, since }) {
+    const fromDate = parseSince(since);
+    const days = await this._queryAll(
+      `SELECT date, reason, count FROM rejected_events
+       WHERE project_id = ? AND date >= ? ORDER BY date DESC, reason`,
+      [project, fromDate],
+    );
+    const by_reason = {};
+    for (const { reason, count } of days) by_reason[reason] = (by_reason[reason] ?? 0) + count;
+    return { period: { from: fromDate, to: today() }, total: days.reduce((sum, d) => sum + d.count, 0), by_reason, days };
+  }
+
+  // --- Tracking plans ---
+
+  async getTrackingPlan({ project }) {
+    const row = await this._queryOne(`SELECT * FROM tracking_plans WHERE project_id = ?`, [project]);
+    return parseTrackingPlanRow(row);
+  }
+
+  /** Projects that have a tracking plan. */
+  async getTrackingPlanProjects() {
+    const rows = await this._queryAll(`SELECT project_id FROM tracking_plans ORDER BY project_id`, []);
+    return rows.map(r => r.project_id);
+  }
+
+  /** Create or replace the project's tracking plan. */
+  async setTrackingPlan({ project, ...input }) {
+    const { mode, ...plan } = validateTrackingPlanInput(input);
+    await this._run(
+      `INSERT INTO tracking_plans (project_id, mode, plan, updated_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT (project_id) DO UPDATE SET mode = excluded.mode, plan = excluded.plan, updated_at = excluded.updated_at`,
+      [project, mode, JSON.stringify(plan), Date.now()],
+    );
+    return this.getTrackingPlan({ project });
+  }
+
+  /**
+   * Add `violations` (from checkTrackedEvent, each with `rejected`) to the
+   * day's tally, one upsert per event, property and kind.
+   */
+  async recordSchemaViolations({ project, violations, timestamp = Date.now() }) {
+    const tally = new Map();
+    for (const { event, property, kind, rejected } of violations) {
+      const key = JSON.stringify([event, property ?? '', kind]);
+      const entry = tally.get(key) ?? { event: String(event), property: property ?? '', kind, count: 0, rejected_count: 0 };
+      entry.count += 1;
+      if (rejected) entry.rejected_count += 1;
+      tally.set(key, entry);
+    }
+    if (tally.size === 0) return;
+    await this._batch([...tally.values()].map(({ event, property, kind, count, rejected_count }) => ({
+      sql: `INSERT INTO schema_violations (project_id, date, event, property, kind, count, rejected_count, last_seen_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT (project_id, date, event, property, kind) DO UPDATE SET
+              count = schema_violations.count + excluded.count,
+              rejected_count = schema_violations.rejected_count + excluded.rejected_count,
+              last_seen_at = excluded.last_seen_at`,
+      params: [project, formatDate(timestamp), event, property, kind, count, rejected_count, timestamp],
+    })));
+  }
+
+  /**
+   * Violations since `since`, summed over the period per event, property
+   * and kind, most frequent first. `event` narrows to one event.
+   */
+  async getSchemaViolations({ project, since, event }) {
+    const fromDate = parseSince(since);
+    const parts = ['project_id = ?', 'date >= ?'];
+    const params = [project, fromDate];
+    if (event) {
+      parts.push('event = ?');
+      params.push(event);
+    }
+    const rows = await this._queryAll(
+      `SELECT event, property, kind, SUM(count) AS count, SUM(rejected_count) AS rejected_count, MAX(last_seen_at) AS last_seen_at
+       FROM schema_violations WHERE ${parts.join(' AND ')}
+       GROUP BY event, property, kind
+       ORDER BY count DESC, event, property, kind`,
+      params,
+    );
+    const violations = rows.map(row => ({ ...row, property: row.property || null }));
+    return {
+      period: { from: fromDate, to: today() },
+      total: violations.reduce((sum, v) => sum + v.count, 0),
+      rejected: violations.reduce((sum, v) => sum + v.rejected_count, 0),
+      violations,
+    };
   }
 }
@@ -6,12 +6,16 @@
  */
 
 import { BaseAdapter, validatePropertyKey } from './base-adapter.js';
+import { SQLITE_DIALECT } from './dialect.js';
 
 export { validatePropertyKey };
 
+/** D1 cannot register a regexp() function, so regex filters are refused. */
+const D1_DIALECT = Object.freeze({ ...SQLITE_DIALECT, regex: null });
+
 export class D1Adapter extends BaseAdapter {
   constructor(db) {
-    super();
+    super({ dialect: D1_DIALECT });
     /** @type {import('@cloudflare/workers-types').D1Database} */
     this.db = db;
   }
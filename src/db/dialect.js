@@ -0,0 +1,172 @@
+/**
+ * SQL dialects — the few expressions that differ between SQLite (D1,
+ * better-sqlite3) and PostgreSQL.
+ *
+ * Everything else BaseAdapter and the query builders emit is portable SQL.
+ * Builders take a `dialect` and default to SQLite, so existing callers and
+ * subclasses keep working unchanged.
+ *
+ * Date columns are YYYY-MM-DD text and timestamps are epoch milliseconds
+ * in both dialects; all date math is UTC.
+ */
+
+import { GRANULARITY } from '../constants.js';
+
+export const SQLITE_DIALECT = Object.freeze({
+  name: 'sqlite',
+
+  /** A top-level key of a JSON text column (key already validated). */
+  jsonExtract: (column, key) => `json_extract(${column}, '$.${key}')`,
+
+  /**
+   * Expression and bind value for comparing a JSON property with `value`.
+   * json_extract is typed already; JSON booleans come back as 1/0.
+   */
+  jsonComparison: (column, key, value) => ({
+    sql: `json_extract(${column}, '$.${key}')`,
+    value: typeof value === 'boolean' ? Number(value) : value,
+  }),
+
+  /** A top-level key as a number, NULL unless the JSON value is a number. */
+  jsonNumber: (column, key) => (
+    `(CASE WHEN json_type(${column}, '$.${key}') IN ('integer', 'real') THEN json_extract(${column}, '$.${key}') END)`
+  ),
+
+  /** Table-valued function with one row (and a `key` column) per top-level key. */
+  jsonEach: (column) => `json_each(${column})`,
+
+  /** Substring match operator; SQLite's LIKE is ASCII case-insensitive. */
+  like: 'LIKE',
+
+  /**
+   * Regular expression match; SQLite needs a regexp() function (SqliteAdapter
+   * registers one). null where the engine has none: regex filters get a 400.
+   */
+  regex: 'REGEXP',
+
+  greatest: (a, b) => `MAX(${a}, ${b})`,
+  least: (a, b) => `MIN(${a}, ${b})`,
+
+  /** Non-integer division, for ROUND(ratio, n). */
+  divide: (numerator, denominator) => `CAST(${numerator} AS REAL) / ${denominator}`,
+
+  /** Bucket label of a date column: the day, the Monday of its week, or YYYY-MM. */
+  dateBucket(column, granularity) {
+    if (granularity === GRANULARITY.WEEK) return `date(${column}, 'weekday 0', '-6 days')`;
+    if (granularity === GRANULARITY.MONTH) return `strftime('%Y-%m', ${column})`;
+    return column;
+  },
+
+  /** YYYY-MM-DDTHH:00 (UTC) bucket of an epoch-ms column. */
+  hourBucket: (column) => `strftime('%Y-%m-%dT%H:00', ${column} / 1000, 'unixepoch')`,
+
+  /** YYYY-MM-DD (UTC) of an epoch-ms column, in the same form as a date column. */
+  epochDate: (column) => `date(${column} / 1000, 'unixepoch')`,
+
+  /** Whole day/week/month buckets from date column `from` to date column `to`. */
+  bucketsBetween(from, to, granularity) {
+    if (granularity === GRANULARITY.WEEK) {
+      return `CAST((julianday(${this.dateBucket(to, granularity)}) - julianday(${this.dateBucket(from, granularity)})) / 7 AS INTEGER)`;
+    }
+    if (granularity === GRANULARITY.MONTH) {
+      const monthIndex = (col) => `(CAST(strftime('%Y', ${col}) AS INTEGER) * 12 + CAST(strftime('%m', ${col}) AS INTEGER))`;
+      return `(${monthIndex(to)} - ${monthIndex(from)})`;
+    }
+    return `CAST(julianday(${to}) - julianday(${from}) AS INTEGER)`;
+  },
+
+  /** Day of week of a date column, 0 = Sunday. */
+  dayOfWeek: (column) => `CAST(strftime('%w', ${column}) AS INTEGER)`,
+
+  /** UTC hour (0-23) of an epoch-ms column. */
+  hourOfDay: (column) => `CAST(strftime('%H', ${column} / 1000, 'unixepoch') AS INTEGER)`,
+
+  /** One row when table `?` exists. */
+  tableExists: `SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?`,
+
+  /** One row when table `?` has column `?`. */
+  columnExists: `SELECT 1 FROM pragma_table_info(?) WHERE name = ?`,
+
+  /** Rewrite `?` placeholders into the driver's syntax. */
+  placeholders: (sql) => sql,
+});
+
+/** Replace `?` outside single-quoted literals with $1, $2, ... */
+function toNumberedPlaceholders(sql) {
+  let out = '';
+  let index = 0;
+  let inString = false;
+  for (const ch of sql) {
+    if (ch === "'") inString = !inString;
+    out += ch === '?' && !inString ? `$${++index}` : ch;
+  }
+  return out;
+}
+
+export const POSTGRES_DIALECT = Object.freeze({
+  name: 'postgres',
+
+  /** ->> always yields text. */
+  jsonExtract: (column, key) => `(${column}::jsonb ->> '${key}')`,
+
+  /**
+   * ->> yields text, so numbers and booleans are compared through a cast,
+   * guarded by jsonb_typeof so mixed-type properties never fail the query.
+   */
+  jsonComparison(column, key, value) {
+    const typed = (jsonType, cast) => (
+      `(CASE WHEN jsonb_typeof(${column}::jsonb -> '${key}') = '${jsonType}' THEN (${column}::jsonb ->> '${key}')::${cast} END)`
+    );
+    if (typeof value === 'number') return { sql: typed('number', 'numeric'), value };
+    if (typeof value === 'boolean') return { sql: typed('boolean', 'boolean'), value };
+    return { sql: this.jsonExtract(column, key), value };
+  },
+
+  jsonNumber: (column, key) => (
+    `(CASE WHEN jsonb_typeof(${column}::jsonb -> '${key}') = 'number' THEN (${column}::jsonb ->> '${key}')::numeric END)`
+  ),
+
+  jsonEach: (column) => `jsonb_each(${column}::jsonb)`,
+
+  /** ILIKE keeps contains filters case-insensitive like SQLite's LIKE. */
+  like: 'ILIKE',
+
+  regex: '~',
+
+  greatest: (a, b) => `GREATEST(${a}, ${b})`,
+  least: (a, b) => `LEAST(${a}, ${b})`,
+
+  /** ROUND(x, n) needs numeric, not double precision. */
+  divide: (numerator, denominator) => `CAST(${numerator} AS NUMERIC) / ${denominator}`,
+
+  dateBucket(column, granularity) {
+    if (granularity === GRANULARITY.WEEK) return `to_char(date_trunc('week', ${column}::date), 'YYYY-MM-DD')`;
+    if (granularity === GRANULARITY.MONTH) return `to_char(${column}::date, 'YYYY-MM')`;
+    return column;
+  },
+
+  hourBucket: (column) => `to_char(to_timestamp(${column} / 1000.0) AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:00')`,
+
+  epochDate: (column) => `to_char(to_timestamp(${column} / 1000.0) AT TIME ZONE 'UTC', 'YYYY-MM-DD')`,
+
+  bucketsBetween(from, to, granularity) {
+    if (granularity === GRANULARITY.WEEK) {
+      return `((date_trunc('week', ${to}::date)::date - date_trunc('week', ${from}::date)::date) / 7)`;
+    }
+    if (granularity === GRANULARITY.MONTH) {
+      const monthIndex = (col) => `(EXTRACT(YEAR FROM ${col}::date) * 12 + EXTRACT(MONTH FROM ${col}::date))`;
+      return `CAST(${monthIndex(to)} - ${monthIndex(from)} AS INTEGER)`;
+    }
+    return `(${to}::date - ${from}::date)`;
+  },
+
+  dayOfWeek: (column) => `CAST(EXTRACT(DOW FROM ${column}::date) AS INTEGER)`,
+
+  hourOfDay: (column) => `CAST(EXTRACT(HOUR FROM to_timestamp(${column} / 1000.0) AT TIME ZONE 'UTC') AS INTEGER)`,
+
+  tableExists: `SELECT 1 FROM information_schema.tables WHERE table_schema = current_schema() AND table_name = ?`,
+
+  columnExists: `SELECT 1 FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = ? AND column_name = ?`,
+
+  placeholders: toNumberedPlaceholders,
+});
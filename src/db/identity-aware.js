@@ -1,3 +1,5 @@
+import { SQLITE_DIALECT } from './dialect.js';
+
 function formatDate(timestamp) {
   return new Date(timestamp).toISOString().split('T')[0];
 }
@@ -54,6 +56,7 @@ export function buildSessionUpsertStatement({
   timestamp,
   properties,
   count = 1,
+  dialect = SQLITE_DIALECT,
 }) {
   const ts = timestamp || Date.now();
   const date = formatDate(ts);
@@ -61,15 +64,17 @@ export function buildSessionUpsertStatement({
     ? (properties.path || properties.url || null)
     : null;
   const canonicalUser = canonicalUserExpression(user_id, project);
+  const startTime = dialect.least('sessions.start_time', 'excluded.start_time');
+  const endTime = dialect.greatest('sessions.end_time', 'excluded.end_time');
 
   return {
     sql: `INSERT INTO sessions (session_id, user_id, project_id, start_time, end_time, duration, entry_page, exit_page, event_count, is_bounce, date)
        VALUES (?, ${canonicalUser.sql}, ?, ?, ?, 0, ?, ?, ?, 1, ?)
        ON CONFLICT(session_id) DO UPDATE SET
          user_id = COALESCE(excluded.user_id, sessions.user_id),
-         start_time = MIN(sessions.start_time, excluded.start_time),
-         end_time = MAX(sessions.end_time, excluded.end_time),
-         duration = MAX(sessions.end_time, excluded.end_time) - MIN(sessions.start_time, excluded.start_time),
+         start_time = ${startTime},
+         end_time = ${endTime},
+         duration = ${endTime} - ${startTime},
          entry_page = CASE WHEN excluded.start_time < sessions.start_time THEN excluded.entry_page ELSE sessions.entry_page END,
          exit_page = CASE WHEN excluded.end_time >= sessions.end_time THEN excluded.exit_page ELSE sessions.exit_page END,
          event_count = sessions.event_count + excluded.event_count,
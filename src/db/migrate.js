@@ -0,0 +1,89 @@
+/**
+ * Schema migrations runner.
+ *
+ * Applies the numbered migrations in ./migrations/ that are newer than the
+ * database's recorded version. Each migration's statements run in one
+ * adapter batch together with its schema_migrations row, so a failed
+ * migration leaves nothing behind, and two instances migrating at once
+ * cannot both record the same version.
+ */
+
+import { AnalyticsError, ERROR_CODES } from '../errors.js';
+import { MIGRATIONS, LATEST_SCHEMA_VERSION } from './migrations/index.js';
+
+export { MIGRATIONS, LATEST_SCHEMA_VERSION };
+
+export const SCHEMA_MIGRATIONS_TABLE = `CREATE TABLE IF NOT EXISTS schema_migrations (
+  version INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  applied_at BIGINT NOT NULL
+)`;
+
+function validateMigrations(migrations) {
+  let previous = 0;
+  for (const m of migrations) {
+    if (!Number.isInteger(m.version) || m.version <= previous) {
+      throw new Error(`migration versions must be increasing integers (got ${m.version} after ${previous})`);
+    }
+    if (typeof m.up !== 'function') throw new Error(`migration ${m.version} has no up()`);
+    previous = m.version;
+  }
+}
+
+function migrationContext(adapter) {
+  const { dialect } = adapter;
+  return {
+    dialect,
+    hasTable: async (table) => Boolean(await adapter._queryOne(dialect.tableExists, [table])),
+    hasColumn: async (table, column) => Boolean(await adapter._queryOne(dialect.columnExists, [table, column])),
+  };
+}
+
+/**
+ * Bring the database up to date.
+ *
+ * @param {import('./base-adapter.js').BaseAdapter} adapter
+ * @param {Object} [opts]
+ * @param {number} [opts.to] — stop after this version (default: latest)
+ * @param {Array} [opts.migrations] — override the bundled list (tests, forks)
+ * @returns {Promise<{ from: number, to: number, applied: Array<{ version: number, name: string }> }>}
+ */
+export async function migrate(adapter, { to, migrations = MIGRATIONS } = {}) {
+  validateMigrations(migrations);
+  await adapter._run(SCHEMA_MIGRATIONS_TABLE, []);
+
+  const from = await adapter.getSchemaVersion();
+  const ctx = migrationContext(adapter);
+  const applied = [];
+
+  for (const m of migrations) {
+    if (m.version <= from || (to !== undefined && m.version > to)) continue;
+    const statements = await m.up(ctx);
+    await adapter._batch([
+      ...statements.map(sql => ({ sql, params: [] })),
+      { sql: `INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)`, params: [m.version, m.name, Date.now()] },
+    ]);
+    applied.push({ version: m.version, name: m.name });
+  }
+
+  // Writes look for the rollup tables again instead of trusting an earlier miss
+  if (applied.length > 0) adapter._rollupTables = undefined;
+  return { from, to: applied.length > 0 ? applied[applied.length - 1].version : from, applied };
+}
+
+/**
+ * Throw SCHEMA_OUTDATED (503) unless the database is at `required` or newer.
+ * Call it at startup to refuse to serve an unmigrated database.
+ */
+export async function assertSchemaCurrent(adapter, required = LATEST_SCHEMA_VERSION) {
+  const version = await adapter.getSchemaVersion();
+  if (version < required) {
+    throw new AnalyticsError(
+      ERROR_CODES.SCHEMA_OUTDATED,
+      `database schema is at version ${version}, version ${required} is required — run migrate()`,
+      503,
+      { schema_version: version, required_version: required },
+    );
+  }
+  return version;
+}
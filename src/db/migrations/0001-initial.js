@@ -0,0 +1,49 @@
+/**
+ * Events, sessions and the identity map as first released.
+ *
+ * Epoch-ms columns are BIGINT: Postgres needs 64 bits and SQLite gives the
+ * type INTEGER affinity, so one statement list serves both dialects.
+ */
+
+export const version = 1;
+export const name = 'initial';
+
+export async function up() {
+  return [
+    `CREATE TABLE IF NOT EXISTS events (
+      id TEXT PRIMARY KEY,
+      project_id TEXT NOT NULL,
+      event TEXT NOT NULL,
+      properties TEXT,
+      user_id TEXT,
+      session_id TEXT,
+      timestamp BIGINT NOT NULL,
+      date TEXT NOT NULL
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_events_project_date ON events(project_id, date)`,
+    `CREATE INDEX IF NOT EXISTS idx_events_session ON events(session_id)`,
+    `CREATE TABLE IF NOT EXISTS sessions (
+      session_id TEXT PRIMARY KEY,
+      user_id TEXT,
+      project_id TEXT NOT NULL,
+      start_time BIGINT NOT NULL,
+      end_time BIGINT NOT NULL,
+      duration BIGINT DEFAULT 0,
+      entry_page TEXT,
+      exit_page TEXT,
+      event_count INTEGER DEFAULT 1,
+      is_bounce INTEGER DEFAULT 1,
+      date TEXT NOT NULL
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_sessions_project_date ON sessions(project_id, date)`,
+    `CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(project_id, user_id)`,
+    `CREATE TABLE IF NOT EXISTS identity_map (
+      previous_id TEXT NOT NULL,
+      canonical_id TEXT NOT NULL,
+      project_id TEXT NOT NULL,
+      created_at BIGINT NOT NULL,
+      PRIMARY KEY (previous_id, project_id)
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_identity_canonical ON identity_map(canonical_id, project_id)`,
+  ];
+}
@@ -0,0 +1,12 @@
+/**
+ * events.country — databases created before it was added to schema.sql
+ * were patched by hand, so only add it where it is missing.
+ */
+
+export const version = 2;
+export const name = 'events_country';
+
+export async function up({ hasColumn }) {
+  if (await hasColumn('events', 'country')) return [];
+  return ['ALTER TABLE events ADD COLUMN country TEXT'];
+}
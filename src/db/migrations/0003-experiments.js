@@ -0,0 +1,24 @@
+/** Server-side experiment registry. */
+
+export const version = 3;
+export const name = 'experiments';
+
+export async function up() {
+  return [
+    `CREATE TABLE IF NOT EXISTS experiments (
+      id TEXT PRIMARY KEY,
+      project_id TEXT NOT NULL,
+      key TEXT NOT NULL,
+      name TEXT,
+      description TEXT,
+      status TEXT NOT NULL DEFAULT 'draft',
+      variants TEXT NOT NULL,
+      goal_event TEXT,
+      created_at BIGINT NOT NULL,
+      updated_at BIGINT NOT NULL,
+      archived_at BIGINT,
+      UNIQUE (project_id, key)
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_experiments_project_status ON experiments(project_id, status)`,
+  ];
+}
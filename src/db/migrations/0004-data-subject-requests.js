@@ -0,0 +1,21 @@
+/** Audit log of GDPR erasure and access requests (see data-subject.js). */
+
+export const version = 4;
+export const name = 'data_subject_requests';
+
+export async function up() {
+  return [
+    `CREATE TABLE IF NOT EXISTS data_subject_requests (
+      id TEXT PRIMARY KEY,
+      project_id TEXT NOT NULL,
+      action TEXT NOT NULL,
+      subject_hash TEXT NOT NULL,
+      reference TEXT,
+      events INTEGER NOT NULL,
+      sessions INTEGER NOT NULL,
+      identities INTEGER NOT NULL,
+      requested_at BIGINT NOT NULL
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_data_subject_requests_subject ON data_subject_requests(project_id, subject_hash)`,
+  ];
+}
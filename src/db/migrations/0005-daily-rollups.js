@@ -0,0 +1,34 @@
+/** Pre-aggregated daily event and session rollups, and their coverage (see rollups.js). */
+
+export const version = 5;
+export const name = 'daily_rollups';
+
+export async function up() {
+  return [
+    `CREATE TABLE IF NOT EXISTS daily_event_rollups (
+      project_id TEXT NOT NULL,
+      date TEXT NOT NULL,
+      hour INTEGER NOT NULL,
+      event TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      event_count INTEGER NOT NULL,
+      PRIMARY KEY (project_id, date, hour, event, user_id)
+    )`,
+    `CREATE TABLE IF NOT EXISTS daily_session_rollups (
+      project_id TEXT NOT NULL,
+      date TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      session_count INTEGER NOT NULL,
+      bounce_count INTEGER NOT NULL,
+      total_duration BIGINT NOT NULL,
+      event_count INTEGER NOT NULL,
+      PRIMARY KEY (project_id, date, user_id)
+    )`,
+    `CREATE TABLE IF NOT EXISTS rollup_coverage (
+      project_id TEXT PRIMARY KEY,
+      date_from TEXT,
+      date_to TEXT,
+      rebuilt_at BIGINT NOT NULL
+    )`,
+  ];
+}
@@ -0,0 +1,31 @@
+/** Saved report definitions and the dashboards grouping them (see saved-queries.js). */
+
+export const version = 6;
+export const name = 'saved_queries';
+
+export async function up() {
+  return [
+    `CREATE TABLE IF NOT EXISTS saved_queries (
+      id TEXT PRIMARY KEY,
+      project_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      type TEXT NOT NULL,
+      query TEXT NOT NULL,
+      owner TEXT,
+      created_at BIGINT NOT NULL,
+      updated_at BIGINT NOT NULL,
+      UNIQUE (project_id, name)
+    )`,
+    `CREATE TABLE IF NOT EXISTS dashboards (
+      id TEXT PRIMARY KEY,
+      project_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      description TEXT,
+      saved_query_ids TEXT NOT NULL,
+      owner TEXT,
+      created_at BIGINT NOT NULL,
+      updated_at BIGINT NOT NULL,
+      UNIQUE (project_id, name)
+    )`,
+  ];
+}
@@ -0,0 +1,21 @@
+/** Hashed, scoped API keys for the built-in key auth (see api-keys.js). */
+
+export const version = 7;
+export const name = 'api_keys';
+
+export async function up() {
+  return [
+    `CREATE TABLE IF NOT EXISTS api_keys (
+      id TEXT PRIMARY KEY,
+      key_hash TEXT NOT NULL UNIQUE,
+      key_prefix TEXT NOT NULL,
+      name TEXT NOT NULL,
+      scopes TEXT NOT NULL,
+      projects TEXT,
+      expires_at BIGINT,
+      rotated_from TEXT,
+      created_at BIGINT NOT NULL,
+      revoked_at BIGINT
+    )`,
+  ];
+}
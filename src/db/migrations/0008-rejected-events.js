@@ -0,0 +1,16 @@
+/** Daily counts of events refused at ingestion, by reason (see origins.js). */
+
+export const version = 8;
+export const name = 'rejected_events';
+
+export async function up() {
+  return [
+    `CREATE TABLE IF NOT EXISTS rejected_events (
+      project_id TEXT NOT NULL,
+      date TEXT NOT NULL,
+      reason TEXT NOT NULL,
+      count INTEGER NOT NULL,
+      PRIMARY KEY (project_id, date, reason)
+    )`,
+  ];
+}
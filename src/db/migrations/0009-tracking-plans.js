@@ -0,0 +1,26 @@
+/** Per-project tracking plans and the daily tally of their violations (see tracking-plan.js). */
+
+export const version = 9;
+export const name = 'tracking_plans';
+
+export async function up() {
+  return [
+    `CREATE TABLE IF NOT EXISTS tracking_plans (
+      project_id TEXT PRIMARY KEY,
+      mode TEXT NOT NULL,
+      plan TEXT NOT NULL,
+      updated_at BIGINT NOT NULL
+    )`,
+    `CREATE TABLE IF NOT EXISTS schema_violations (
+      project_id TEXT NOT NULL,
+      date TEXT NOT NULL,
+      event TEXT NOT NULL,
+      property TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      count INTEGER NOT NULL,
+      rejected_count INTEGER NOT NULL,
+      last_seen_at BIGINT NOT NULL,
+      PRIMARY KEY (project_id, date, event, property, kind)
+    )`,
+  ];
+}
@@ -0,0 +1,8 @@
+/** Index exportEvents() pages on, so each page starts where the last ended instead of sorting the project. */
+
+export const version = 10;
+export const name = 'events_export_index';
+
+export async function up() {
+  return ['CREATE INDEX IF NOT EXISTS idx_events_project_timestamp ON events(project_id, timestamp, id)'];
+}
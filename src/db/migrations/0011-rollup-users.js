@@ -0,0 +1,58 @@
+/**
+ * Unique users move out of daily_event_rollups, whose key drops user_id,
+ * into daily_user_rollups (project, date, event, user). Writes skip both
+ * until this has run, so the rollups inside each project's coverage are
+ * rebuilt from raw rows rather than converted.
+ */
+
+export const version = 11;
+export const name = 'rollup_users';
+
+export async function up({ dialect, hasColumn }) {
+  const statements = [];
+  if (await hasColumn('daily_event_rollups', 'user_id')) {
+    statements.push(
+      'DROP TABLE daily_event_rollups',
+      `CREATE TABLE daily_event_rollups (
+        project_id TEXT NOT NULL,
+        date TEXT NOT NULL,
+        hour INTEGER NOT NULL,
+        event TEXT NOT NULL,
+        event_count INTEGER NOT NULL,
+        PRIMARY KEY (project_id, date, hour, event)
+      )`,
+    );
+  }
+  const covered = (alias) => `JOIN rollup_coverage c ON c.project_id = ${alias}.project_id
+      AND (c.date_from IS NULL OR ${alias}.date >= c.date_from)
+      AND (c.date_to IS NULL OR ${alias}.date <= c.date_to)`;
+  const hour = dialect.hourOfDay('e.timestamp');
+  return [
+    ...statements,
+    `CREATE TABLE IF NOT EXISTS daily_user_rollups (
+      project_id TEXT NOT NULL,
+      date TEXT NOT NULL,
+      event TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      event_count INTEGER NOT NULL,
+      PRIMARY KEY (project_id, date, event, user_id)
+    )`,
+    'DELETE FROM daily_event_rollups',
+    `INSERT INTO daily_event_rollups (project_id, date, hour, event, event_count)
+     SELECT e.project_id, e.date, ${hour}, e.event, COUNT(*)
+     FROM events e ${covered('e')}
+     GROUP BY e.project_id, e.date, ${hour}, e.event`,
+    'DELETE FROM daily_user_rollups',
+    `INSERT INTO daily_user_rollups (project_id, date, event, user_id, event_count)
+     SELECT e.project_id, e.date, e.event, e.user_id, COUNT(*)
+     FROM events e ${covered('e')}
+     WHERE e.user_id IS NOT NULL
+     GROUP BY e.project_id, e.date, e.event, e.user_id`,
+    'DELETE FROM daily_session_rollups',
+    `INSERT INTO daily_session_rollups (project_id, date, user_id, session_count, bounce_count, total_duration, event_count)
+     SELECT s.project_id, s.date, COALESCE(s.user_id, ''), COUNT(*),
+            SUM(CASE WHEN s.is_bounce = 1 THEN 1 ELSE 0 END), SUM(COALESCE(s.duration, 0)), SUM(COALESCE(s.event_count, 0))
+     FROM sessions s ${covered('s')}
+     GROUP BY s.project_id, s.date, COALESCE(s.user_id, '')`,
+  ];
+}
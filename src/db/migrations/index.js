@@ -0,0 +1,28 @@
+/**
+ * Schema migrations, oldest first.
+ *
+ * Each module exports `version` (next integer), `name`, and
+ * `up({ dialect, hasTable, hasColumn })` resolving to the SQL statements to
+ * run. Statements should tolerate objects that already exist: databases
+ * created from schema.sql start at version 0, and migrate() replays every
+ * migration over them to record the version.
+ *
+ * When adding one, also add its table changes to schema.sql and
+ * schema.postgres.sql.
+ */
+
+import * as initial from './0001-initial.js';
+import * as eventsCountry from './0002-events-country.js';
+import * as experiments from './0003-experiments.js';
+import * as dataSubjectRequests from './0004-data-subject-requests.js';
+import * as dailyRollups from './0005-daily-rollups.js';
+import * as savedQueries from './0006-saved-queries.js';
+import * as apiKeys from './0007-api-keys.js';
+import * as rejectedEvents from './0008-rejected-events.js';
+import * as trackingPlans from './0009-tracking-plans.js';
+import * as eventsExportIndex from './0010-events-export-index.js';
+import * as rollupUsers from './0011-rollup-users.js';
+
+export const MIGRATIONS = Object.freeze([initial, eventsCountry, experiments, dataSubjectRequests, dailyRollups, savedQueries, apiKeys, rejectedEvents, trackingPlans, eventsExportIndex, rollupUsers]);
+
+export const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
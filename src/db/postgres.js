@@ -0,0 +1,92 @@
+/**
+ * PostgreSQL database adapter
+ *
+ * Thin subclass of BaseAdapter — implements the 4 DB primitives on a pg
+ * Pool or PGlite, through node-postgres' `query(text, values) → { rows,
+ * fields }` shape. SQL goes through the Postgres dialect and `?`
+ * placeholders are rewritten to `$1, $2, ...`. Batches run in a
+ * transaction on a client of their own, so a single pg Client, which every
+ * request would share, is refused.
+ *
+ * Initialize the database with the included `schema.postgres.sql`.
+ */
+
+import { BaseAdapter, validatePropertyKey } from './base-adapter.js';
+import { POSTGRES_DIALECT } from './dialect.js';
+
+export { validatePropertyKey };
+
+// int2, int4, int8, float4, float8, numeric — node-postgres returns int8
+// and numeric as strings; counts and epoch-ms values are safe as numbers.
+const NUMERIC_TYPE_IDS = new Set([20, 21, 23, 700, 701, 1700]);
+
+function bindable(params) {
+  return params.map(p => (p === undefined ? null : p));
+}
+
+function normalizeRows({ rows, fields = [] }) {
+  const numeric = fields.filter(f => NUMERIC_TYPE_IDS.has(f.dataTypeID)).map(f => f.name);
+  if (numeric.length === 0) return rows;
+  for (const row of rows) {
+    for (const name of numeric) {
+      if (row[name] !== null && typeof row[name] !== 'number') row[name] = Number(row[name]);
+    }
+  }
+  return rows;
+}
+
+function isPool(db) {
+  return typeof db.connect === 'function' && 'totalCount' in db;
+}
+
+export class PostgresAdapter extends BaseAdapter {
+  /**
+   * @param {{ query: Function, connect?: Function, transaction?: Function }} db — pg Pool or PGlite
+   */
+  constructor(db) {
+    super({ dialect: POSTGRES_DIALECT });
+    if (!db || (typeof db.transaction !== 'function' && !isPool(db))) {
+      throw new Error(`PostgresAdapter needs a pg Pool or PGlite: a single connection would run concurrent batches inside each other's transactions`);
+    }
+    this.db = db;
+  }
+
+  async _query(client, sql, params) {
+    return client.query(this.dialect.placeholders(sql), bindable(params));
+  }
+
+  async _run(sql, params) {
+    return this._query(this.db, sql, params);
+  }
+
+  async _queryAll(sql, params) {
+    return normalizeRows(await this._query(this.db, sql, params));
+  }
+
+  async _queryOne(sql, params) {
+    const rows = await this._queryAll(sql, params);
+    return rows[0] ?? null;
+  }
+
+  async _batch(statements) {
+    // PGlite
+    if (typeof this.db.transaction === 'function') {
+      return this.db.transaction(async (tx) => {
+        for (const s of statements) await this._query(tx, s.sql, s.params);
+      });
+    }
+
+    // A pg Pool hands out a client of its own for the transaction
+    const client = await this.db.connect();
+    try {
+      await client.query('BEGIN');
+      for (const s of statements) await this._query(client, s.sql, s.params);
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * SQLite database adapter for Node (better-sqlite3)
+ *
+ * Thin subclass of BaseAdapter — implements the 4 DB primitives on a
+ * synchronous better-sqlite3 Database. The bundled schema.sql is applied
+ * on first use (and recorded as fully migrated only when it created the
+ * events table), prepared statements are cached per SQL string, and
+ * _batch runs inside a real transaction.
+ */
+
+import { readFileSync } from 'node:fs';
+import { BaseAdapter, validatePropertyKey } from './base-adapter.js';
+import { compileFilterPattern } from '../filters.js';
+import { MIGRATIONS } from './migrations/index.js';
+
+export { validatePropertyKey };
+
+const SCHEMA_URL = new URL('../../schema.sql', import.meta.url);
+const DEFAULT_STATEMENT_CACHE_SIZE = 200;
+const PATTERN_CACHE_SIZE = 100;
+
+/** better-sqlite3 rejects booleans and undefined; D1 binds them as 1/0 and NULL. */
+function bindable(params) {
+  return params.map(p => {
+    if (p === undefined) return null;
+    if (typeof p === 'boolean') return p ? 1 : 0;
+    return p;
+  });
+}
+
+/** Compiled regexp() patterns by source, so a filter compiles once rather than per row. */
+const patterns = new Map();
+
+/**
+ * regexp(pattern, value) behind `value REGEXP pattern`, which SQLite leaves
+ * undefined. Patterns go through the same checks as regex filters, so raw
+ * SQL cannot reach a backtracking-prone pattern either.
+ */
+function regexp(pattern, value) {
+  if (value === null) return 0;
+  let compiled = patterns.get(pattern);
+  if (!compiled) {
+    compiled = compileFilterPattern(pattern);
+    if (patterns.size >= PATTERN_CACHE_SIZE) patterns.delete(patterns.keys().next().value);
+    patterns.set(pattern, compiled);
+  }
+  return compiled.test(String(value)) ? 1 : 0;
+}
+
+export class SqliteAdapter extends BaseAdapter {
+  /**
+   * @param {import('better-sqlite3').Database} db
+   * @param {Object} [opts]
+   * @param {boolean} [opts.applySchema=true] — run schema.sql before the first statement
+   * @param {number} [opts.statementCacheSize=200] — prepared statements kept per adapter
+   */
+  constructor(db, { applySchema = true, statementCacheSize = DEFAULT_STATEMENT_CACHE_SIZE } = {}) {
+    super();
+    this.db = db;
+    this.schemaApplied = !applySchema;
+    this.statementCacheSize = statementCacheSize;
+    this.statements = new Map();
+    this.runBatch = null;
+    db.function('regexp', { deterministic: true }, regexp);
+  }
+
+  _ensureSchema() {
+    if (this.schemaApplied) return;
+    const fresh = !this.db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'events'`).get();
+    this.db.transaction(() => {
+      this.db.exec(readFileSync(SCHEMA_URL, 'utf-8'));
+      // An existing database keeps its recorded version; migrate() brings it forward
+      if (fresh) {
+        const record = this.db.prepare(`INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?) ON CONFLICT DO NOTHING`);
+        for (const m of MIGRATIONS) record.run(m.version, m.name, Date.now());
+      }
+    })();
+    this.schemaApplied = true;
+  }
+
+  _prepare(sql) {
+    this._ensureSchema();
+    let stmt = this.statements.get(sql);
+    if (stmt) {
+      // Re-insert to keep the Map in least-recently-used order
+      this.statements.delete(sql);
+    } else {
+      stmt = this.db.prepare(sql);
+      if (this.statements.size >= this.statementCacheSize) {
+        this.statements.delete(this.statements.keys().next().value);
+      }
+    }
+    this.statements.set(sql, stmt);
+    return stmt;
+  }
+
+  async _run(sql, params) {
+    return this._prepare(sql).run(...bindable(params));
+  }
+
+  async _queryAll(sql, params) {
+    return this._prepare(sql).all(...bindable(params));
+  }
+
+  async _queryOne(sql, params) {
+    return this._prepare(sql).get(...bindable(params)) ?? null;
+  }
+
+  async _batch(statements) {
+    this._ensureSchema();
+    if (!this.runBatch) {
+      this.runBatch = this.db.transaction((stmts) => stmts.map(s => this._prepare(s.sql).run(...bindable(s.params))));
+    }
+    return this.runBatch(statements);
+  }
+}
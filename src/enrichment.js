@@ -0,0 +1,188 @@
+/**
+ * Server-side enrichment for ingested events.
+ *
+ * An enricher is `(event, { request }) => event | null` (sync or async).
+ * It returns the event to write — usually a copy with extra fields — or
+ * null to drop it. createAnalyticsHandler runs its `enrichers` in order on
+ * every event of /track and /track/batch, before the write or the queue.
+ *
+ * Built-ins only fill properties the client did not send, so the browser
+ * tracker's own values (which see the real screen size) win.
+ */
+
+import { classifyBot } from './bot.js';
+
+const UNKNOWN_COUNTRIES = new Set(['XX', 'T1']); // Cloudflare: unknown, Tor
+
+const REFERRER_TYPES = Object.freeze([
+  // AI assistants first: gemini.google.com is not a search referral
+  { type: 'ai', hosts: ['chatgpt.com', 'chat.openai.com', 'perplexity.ai', 'claude.ai', 'gemini.google.com', 'copilot.microsoft.com'] },
+  { type: 'email', hosts: ['mail.google.com', 'outlook.live.com', 'outlook.office.com', 'mail.yahoo.com'] },
+  { type: 'search', hosts: ['google.', 'bing.com', 'duckduckgo.com', 'search.yahoo.com', 'baidu.com', 'yandex.', 'ecosia.org', 'search.brave.com'] },
+  { type: 'social', hosts: ['facebook.com', 't.co', 'twitter.com', 'x.com', 'linkedin.com', 'lnkd.in', 'reddit.com', 'news.ycombinator.com', 'instagram.com', 'youtube.com', 'tiktok.com', 'threads.net', 'bsky.app', 'pinterest.'] },
+]);
+
+/** Copy of `event` with `extra` properties added where not already set. */
+function withDefaultProperties(event, extra) {
+  const { properties } = event;
+  if (properties != null && (typeof properties !== 'object' || Array.isArray(properties))) return event;
+  const merged = { ...properties };
+  for (const [key, value] of Object.entries(extra)) {
+    if (merged[key] === undefined && value != null) merged[key] = value;
+  }
+  return { ...event, properties: merged };
+}
+
+function hostMatches(host, pattern) {
+  if (pattern.endsWith('.')) return host.startsWith(pattern) || host.includes(`.${pattern}`);
+  return host === pattern || host.endsWith(`.${pattern}`);
+}
+
+/**
+ * Browser, major version, OS and device class from a User-Agent — the same
+ * buckets the browser tracker reports.
+ *
+ * @param {string|null|undefined} userAgent
+ * @returns {{ browser: string, browser_version: string, os: string, device: string }}
+ */
+export function parseUserAgent(userAgent) {
+  const ua = userAgent || '';
+  let browser = 'Unknown';
+  let version = '';
+  let m;
+  if ((m = ua.match(/(Edge|Edg)\/([\d.]+)/))) { browser = 'Edge'; version = m[2]; }
+  else if ((m = ua.match(/OPR\/([\d.]+)/))) { browser = 'Opera'; version = m[1]; }
+  else if ((m = ua.match(/Chrome\/([\d.]+)/))) { browser = 'Chrome'; version = m[1]; }
+  else if (/Safari\//.test(ua)) {
+    if ((m = ua.match(/Version\/([\d.]+)/))) { browser = 'Safari'; version = m[1]; }
+  }
+  else if ((m = ua.match(/Firefox\/([\d.]+)/))) { browser = 'Firefox'; version = m[1]; }
+
+  let os = 'Unknown';
+  if (/iPhone|iPad|iPod/.test(ua)) os = 'iOS';
+  else if (/Windows/.test(ua)) os = 'Windows';
+  else if (/Android/.test(ua)) os = 'Android';
+  else if (/CrOS/.test(ua)) os = 'ChromeOS';
+  else if (/Mac OS X/.test(ua)) os = 'macOS';
+  else if (/Linux/.test(ua)) os = 'Linux';
+
+  let device = 'desktop';
+  if (/Tablet|iPad/i.test(ua)) device = 'tablet';
+  else if (/Mobi/i.test(ua)) device = 'mobile';
+
+  return { browser, browser_version: version.split('.')[0], os, device };
+}
+
+/**
+ * Host and traffic type of a referrer URL.
+ *
+ * @param {string|null|undefined} referrer
+ * @param {string|null|undefined} [pageHost] — the tracked page's hostname, for internal navigation
+ * @returns {{ referrer_host: string|null, referrer_type: 'direct'|'internal'|'ai'|'email'|'search'|'social'|'referral' }}
+ */
+export function classifyReferrer(referrer, pageHost) {
+  let host;
+  try {
+    host = referrer ? new URL(referrer).hostname.toLowerCase() : null;
+  } catch {
+    host = null;
+  }
+  if (!host) return { referrer_host: null, referrer_type: 'direct' };
+
+  const bare = host.replace(/^www\./, '');
+  if (pageHost && bare === String(pageHost).toLowerCase().replace(/^www\./, '')) {
+    return { referrer_host: bare, referrer_type: 'internal' };
+  }
+  for (const { type, hosts } of REFERRER_TYPES) {
+    if (hosts.some(pattern => hostMatches(bare, pattern))) return { referrer_host: bare, referrer_type: type };
+  }
+  return { referrer_host: bare, referrer_type: 'referral' };
+}
+
+/**
+ * events.country from Cloudflare's `request.cf.country`, or a geo header
+ * set by the CDN in front of the handler.
+ *
+ * @param {Object} [opts]
+ * @param {string} [opts.header='CF-IPCountry'] — e.g. 'CloudFront-Viewer-Country', 'X-Vercel-IP-Country'
+ */
+export function countryEnricher({ header = 'CF-IPCountry' } = {}) {
+  return function country(event, { request }) {
+    const raw = request.cf?.country || request.headers.get(header);
+    const code = typeof raw === 'string' ? raw.trim().toUpperCase() : '';
+    if (!/^[A-Z]{2}$/.test(code) || UNKNOWN_COUNTRIES.has(code)) return event;
+    return { ...event, country: code };
+  };
+}
+
+/** browser, browser_version, os and device properties from the request's User-Agent. */
+export function userAgentEnricher() {
+  return function userAgent(event, { request }) {
+    return withDefaultProperties(event, parseUserAgent(request.headers.get('User-Agent')));
+  };
+}
+
+/** referrer_host and referrer_type properties for events carrying a `referrer` property. */
+export function referrerEnricher() {
+  return function referrer(event) {
+    const props = event.properties;
+    if (!props || typeof props !== 'object' || !('referrer' in props)) return event;
+    return withDefaultProperties(event, classifyReferrer(props.referrer, props.hostname));
+  };
+}
+
+/**
+ * bot_category and bot_actor properties for bot traffic (see classifyBot).
+ * Only sees bots when the handler runs with `dropBots: false`.
+ *
+ * @param {Object} [opts]
+ * @param {boolean} [opts.drop=false] — drop bot events instead of tagging them
+ */
+export function botEnricher({ drop = false } = {}) {
+  return function bot(event, { request }) {
+    const result = classifyBot(request.headers.get('User-Agent'));
+    if (!result.isBot) return event;
+    if (drop) return null;
+    return withDefaultProperties(event, { bot_category: result.category, bot_actor: result.actor });
+  };
+}
+
+/**
+ * The built-in enrichers, each toggled by `false` or configured with its
+ * options object.
+ *
+ * @param {{ country?: boolean|Object, userAgent?: boolean, referrer?: boolean, bot?: boolean|Object }} [toggles]
+ */
+export function builtinEnrichers({ country = true, userAgent = true, referrer = true, bot = true } = {}) {
+  const options = (toggle) => (typeof toggle === 'object' ? toggle : undefined);
+  const enrichers = [];
+  if (country) enrichers.push(countryEnricher(options(country)));
+  if (userAgent) enrichers.push(userAgentEnricher());
+  if (referrer) enrichers.push(referrerEnricher());
+  if (bot) enrichers.push(botEnricher(options(bot)));
+  return enrichers;
+}
+
+/**
+ * Run `enrichers` over `events` in order. An enricher that throws is
+ * logged and skipped for that event rather than losing the event.
+ *
+ * @returns {Promise<Object[]>} the events to write, without dropped ones
+ */
+export async function enrichEvents(events, enrichers, context) {
+  if (enrichers.length === 0) return events;
+  const kept = [];
+  for (const original of events) {
+    let event = original;
+    for (const enrich of enrichers) {
+      try {
+        event = await enrich(event, context);
+      } catch (err) {
+        console.error(`Enricher ${enrich.name || 'anonymous'} failed:`, err);
+      }
+      if (!event) break;
+    }
+    if (event) kept.push(event);
+  }
+  return kept;
+}
@@ -5,18 +5,27 @@
 export const ERROR_CODES = Object.freeze({
   AUTH_REQUIRED:      'AUTH_REQUIRED',
   FORBIDDEN:          'FORBIDDEN',
+  ORIGIN_NOT_ALLOWED: 'ORIGIN_NOT_ALLOWED',
   NOT_FOUND:          'NOT_FOUND',
+  CONFLICT:           'CONFLICT',
   PROJECT_REQUIRED:   'PROJECT_REQUIRED',
   MISSING_FIELDS:     'MISSING_FIELDS',
   INVALID_BODY:       'INVALID_BODY',
   BATCH_TOO_LARGE:    'BATCH_TOO_LARGE',
+  PAYLOAD_TOO_LARGE:  'PAYLOAD_TOO_LARGE',
+  RATE_LIMITED:       'RATE_LIMITED',
+  SCHEMA_VIOLATION:   'SCHEMA_VIOLATION',
   INVALID_METRIC:     'INVALID_METRIC',
   INVALID_COUNT_MODE: 'INVALID_COUNT_MODE',
   INVALID_GROUP_BY:   'INVALID_GROUP_BY',
   INVALID_FILTER_OP:  'INVALID_FILTER_OP',
   INVALID_FILTER_FIELD: 'INVALID_FILTER_FIELD',
   INVALID_PROPERTY_KEY: 'INVALID_PROPERTY_KEY',
+  INVALID_CURSOR:     'INVALID_CURSOR',
+  INVALID_TIMEZONE:   'INVALID_TIMEZONE',
+  INVALID_COMPARE:    'INVALID_COMPARE',
   QUERY_FAILED:       'QUERY_FAILED',
+  SCHEMA_OUTDATED:    'SCHEMA_OUTDATED',
   INTERNAL_ERROR:     'INTERNAL_ERROR',
 });
 
@@ -0,0 +1,86 @@
+import { AnalyticsError, ERROR_CODES } from './errors.js';
+
+export const EXPORT_FORMATS = Object.freeze({ NDJSON: 'ndjson', CSV: 'csv' });
+export const EXPORT_DEFAULTS = Object.freeze({ format: EXPORT_FORMATS.NDJSON, page_size: 1000 });
+export const EXPORT_LIMITS = Object.freeze({ page_size: Object.freeze({ min: 1, max: 5000 }) });
+
+/**
+ * Every row carries every column, in this order, with null for missing
+ * values, so the output loads into columnar formats (Parquet, warehouse
+ * tables) with one fixed schema. CSV keeps properties as a JSON string.
+ */
+export const EXPORT_COLUMNS = Object.freeze(['id', 'timestamp', 'date', 'event', 'user_id', 'session_id', 'country', 'properties']);
+
+const CONTENT_TYPES = Object.freeze({
+  [EXPORT_FORMATS.NDJSON]: 'application/x-ndjson; charset=utf-8',
+  [EXPORT_FORMATS.CSV]: 'text/csv; charset=utf-8',
+});
+
+function invalid(message) {
+  return new AnalyticsError(ERROR_CODES.MISSING_FIELDS, message, 400);
+}
+
+export function validateExportOptions(options = {}) {
+  const format = options.format ?? EXPORT_DEFAULTS.format;
+  if (!Object.values(EXPORT_FORMATS).includes(format)) {
+    throw invalid(`format must be one of: ${Object.values(EXPORT_FORMATS).join(', ')}`);
+  }
+  const pageSize = options.page_size ?? EXPORT_DEFAULTS.page_size;
+  const { min, max } = EXPORT_LIMITS.page_size;
+  if (!Number.isInteger(pageSize) || pageSize < min || pageSize > max) {
+    throw invalid(`page_size must be an integer between ${min} and ${max}`);
+  }
+  return { format, pageSize, contentType: CONTENT_TYPES[format] };
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function exportHeader(format) {
+  return format === EXPORT_FORMATS.CSV ? `${EXPORT_COLUMNS.join(',')}\n` : '';
+}
+
+/** One exported line, newline-terminated. `row.properties` is already parsed. */
+export function formatExportRow(row, format) {
+  if (format === EXPORT_FORMATS.CSV) return `${EXPORT_COLUMNS.map(column => csvField(row[column])).join(',')}\n`;
+  const record = {};
+  for (const column of EXPORT_COLUMNS) record[column] = row[column] ?? null;
+  return `${JSON.stringify(record)}\n`;
+}
+
+/**
+ * A byte stream of every event matching `query`, fetched one page per pull
+ * so only a single page is ever held in memory. `firstPage` is fetched by
+ * the caller, which surfaces validation errors before the response starts.
+ *
+ * @param {{ exportEvents: Function }} db
+ * @param {Object} query — exportEvents options (project, dates, event, filters, page_size)
+ * @param {{ events: Object[], next: Object|null }} firstPage
+ * @param {string} format
+ */
+export function createEventExportStream(db, query, firstPage, format) {
+  const encoder = new TextEncoder();
+  let page = firstPage;
+  let header = exportHeader(format);
+
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const lines = page.events.map(row => formatExportRow(row, format)).join('');
+        if (header || lines) controller.enqueue(encoder.encode(header + lines));
+        header = '';
+        if (!page.next) {
+          controller.close();
+          return;
+        }
+        page = await db.exportEvents({ ...query, after: page.next });
+      } catch (err) {
+        console.error('Export stream error:', err);
+        controller.error(err);
+      }
+    },
+  });
+}
@@ -0,0 +1,337 @@
+import { parseSince, today } from './db/adapter.js';
+import { AnalyticsError, ERROR_CODES } from './errors.js';
+import { SQLITE_DIALECT } from './db/dialect.js';
+import {
+  EXPERIMENT_STATUSES, ALLOWED_EXPERIMENT_STATUSES, EXPERIMENT_EXPOSURE_EVENT,
+  MIN_EXPERIMENT_VARIANTS, MAX_EXPERIMENT_VARIANTS, EXPERIMENT_WEIGHT_TOTAL,
+  DEFAULT_EXPERIMENT_CONFIDENCE, SRM_P_VALUE_THRESHOLD, MS_PER_DAY,
+} from './constants.js';
+import {
+  wilsonInterval,
+  twoProportionZTest,
+  chiSquareIndependence,
+  chiSquareGoodnessOfFit,
+} from './stats.js';
+
+const KEY_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+function invalid(message) {
+  return new AnalyticsError(ERROR_CODES.MISSING_FIELDS, message, 400);
+}
+
+function validateKey(value, label, maxLength) {
+  if (typeof value !== 'string' || !value || value.length > maxLength || !KEY_PATTERN.test(value)) {
+    throw invalid(`${label} must be 1-${maxLength} chars of letters, digits, _ or -`);
+  }
+  return value;
+}
+
+function validateOptionalText(value, label, maxLength) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'string' || value.length > maxLength) {
+    throw invalid(`${label} must be a string (max ${maxLength} chars)`);
+  }
+  return value;
+}
+
+/**
+ * Normalize variants into [{ key, weight }]. Accepts plain strings or
+ * objects; when no weights are given, traffic is split evenly with the
+ * remainder going to the first variant — the same fallback the tracker
+ * uses for inline variants, so server and client agree on buckets.
+ */
+export function normalizeVariants(variants) {
+  if (!Array.isArray(variants) || variants.length < MIN_EXPERIMENT_VARIANTS || variants.length > MAX_EXPERIMENT_VARIANTS) {
+    throw invalid(`variants must be an array of ${MIN_EXPERIMENT_VARIANTS}-${MAX_EXPERIMENT_VARIANTS} entries`);
+  }
+
+  const entries = variants.map((v, index) => {
+    const entry = typeof v === 'string' ? { key: v } : v;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw invalid(`variants[${index}] must be a string or { key, weight }`);
+    }
+    return { key: validateKey(entry.key, `variants[${index}].key`, 64), weight: entry.weight };
+  });
+
+  const keys = new Set(entries.map(v => v.key.toLowerCase()));
+  if (keys.size !== entries.length) throw invalid('variant keys must be unique (case-insensitive)');
+
+  const weighted = entries.filter(v => v.weight !== undefined);
+  if (weighted.length === 0) {
+    const w = Math.floor(EXPERIMENT_WEIGHT_TOTAL / entries.length);
+    const remainder = EXPERIMENT_WEIGHT_TOTAL - w * entries.length;
+    return entries.map((v, idx) => ({ key: v.key, weight: w + (idx === 0 ? remainder : 0) }));
+  }
+  if (weighted.length !== entries.length) throw invalid('either all variants or none must specify a weight');
+
+  let total = 0;
+  for (let index = 0; index < entries.length; index++) {
+    const { weight } = entries[index];
+    if (!Number.isInteger(weight) || weight < 0 || weight > EXPERIMENT_WEIGHT_TOTAL) {
+      throw invalid(`variants[${index}].weight must be an integer 0-${EXPERIMENT_WEIGHT_TOTAL}`);
+    }
+    total += weight;
+  }
+  if (total !== EXPERIMENT_WEIGHT_TOTAL) throw invalid(`variant weights must sum to ${EXPERIMENT_WEIGHT_TOTAL}`);
+
+  return entries.map(v => ({ key: v.key, weight: v.weight }));
+}
+
+function validateStatus(status) {
+  if (!ALLOWED_EXPERIMENT_STATUSES.includes(status) || status === EXPERIMENT_STATUSES.ARCHIVED) {
+    const allowed = ALLOWED_EXPERIMENT_STATUSES.filter(s => s !== EXPERIMENT_STATUSES.ARCHIVED);
+    throw invalid(`invalid status: ${status}. allowed: ${allowed.join(', ')}`);
+  }
+  return status;
+}
+
+/** Validate a create payload. Returns the normalized experiment fields. */
+export function validateExperimentInput(input = {}) {
+  return {
+    key: validateKey(input.key, 'key', 128),
+    name: validateOptionalText(input.name, 'name', 256),
+    description: validateOptionalText(input.description, 'description', 2048),
+    status: validateStatus(input.status ?? EXPERIMENT_STATUSES.DRAFT),
+    variants: normalizeVariants(input.variants),
+    goal_event: validateOptionalText(input.goal_event, 'goal_event', 256),
+  };
+}
+
+/** Validate an update payload. Only fields present in `input` are returned. */
+export function validateExperimentUpdate(input = {}) {
+  const changes = {};
+  if (input.name !== undefined) changes.name = validateOptionalText(input.name, 'name', 256);
+  if (input.description !== undefined) changes.description = validateOptionalText(input.description, 'description', 2048);
+  if (input.status !== undefined) changes.status = validateStatus(input.status);
+  if (input.variants !== undefined) changes.variants = normalizeVariants(input.variants);
+  if (input.goal_event !== undefined) changes.goal_event = validateOptionalText(input.goal_event, 'goal_event', 256);
+  if (Object.keys(changes).length === 0) {
+    throw invalid('nothing to update: provide name, description, status, variants or goal_event');
+  }
+  return changes;
+}
+
+export function parseExperimentRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    project: row.project_id,
+    key: row.key,
+    name: row.name,
+    description: row.description,
+    status: row.status,
+    variants: JSON.parse(row.variants),
+    goal_event: row.goal_event,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    archived_at: row.archived_at,
+  };
+}
+
+/** Shape served to the tracker: only keys and weights of running experiments. */
+export function buildExperimentConfig(experiments) {
+  return experiments
+    .filter(e => e.status === EXPERIMENT_STATUSES.RUNNING)
+    .map(e => ({ key: e.key, variants: e.variants.map(v => ({ key: v.key, weight: v.weight })) }));
+}
+
+// --- Results ---
+
+function round(value, digits) {
+  if (value === null || value === undefined || !Number.isFinite(value)) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function roundInterval(interval, digits) {
+  if (!interval) return null;
+  return { lower: round(interval.lower, digits), upper: round(interval.upper, digits) };
+}
+
+/**
+ * Validate POST /experiments/results options. `registered` is the
+ * experiment from the registry (or null when only the tracker knows it);
+ * it supplies the default goal event and the expected traffic split.
+ */
+export function validateExperimentResultsOptions(options = {}, registered = null) {
+  const experiment = options.experiment ?? options.key;
+  if (typeof experiment !== 'string' || !experiment || experiment.length > 128) {
+    throw invalid('experiment must be a non-empty string (max 128 chars)');
+  }
+
+  const goalEvent = options.goal_event ?? registered?.goal_event;
+  if (typeof goalEvent !== 'string' || !goalEvent.trim() || goalEvent.length > 256) {
+    throw invalid('goal_event must be a non-empty string (max 256 chars), or set on the registered experiment');
+  }
+
+  const confidence = options.confidence ?? DEFAULT_EXPERIMENT_CONFIDENCE;
+  if (typeof confidence !== 'number' || !(confidence >= 0.5 && confidence < 1)) {
+    throw invalid('confidence must be a number in [0.5, 1)');
+  }
+
+  const windowDays = options.conversion_window_days;
+  if (windowDays !== undefined && (!Number.isInteger(windowDays) || windowDays < 1 || windowDays > 365)) {
+    throw invalid('conversion_window_days must be an integer 1-365');
+  }
+
+  if (options.control !== undefined && (typeof options.control !== 'string' || !options.control)) {
+    throw invalid('control must be a variant key');
+  }
+
+  return {
+    experiment,
+    goalEvent: goalEvent.trim(),
+    fromDate: parseSince(options.date_from),
+    toDate: options.date_to || today(),
+    control: options.control,
+    confidence,
+    conversionWindowMs: windowDays ? windowDays * MS_PER_DAY : null,
+  };
+}
+
+/**
+ * One row per variant: users whose FIRST exposure to the experiment was
+ * that variant, and how many of them fired the goal event at or after
+ * that first exposure (optionally within a conversion window).
+ */
+export function buildExperimentResultsQuery({ project, experiment, goalEvent, fromDate, toDate, conversionWindowMs, dialect = SQLITE_DIALECT }) {
+  const windowClause = conversionWindowMs ? '\n               AND g.timestamp <= f.exposed_at + ?' : '';
+  const params = [project, EXPERIMENT_EXPOSURE_EVENT, fromDate, toDate, experiment, project, goalEvent, fromDate, toDate];
+  if (conversionWindowMs) params.push(conversionWindowMs);
+
+  return {
+    sql: `WITH exposures AS (
+            SELECT user_id,
+                   ${dialect.jsonExtract('properties', 'variant')} as variant,
+                   timestamp,
+                   ROW_NUMBER() OVER (PARTITION BY user_id ORDER BY timestamp, id) as rn
+            FROM events
+            WHERE project_id = ?
+              AND event = ?
+              AND date >= ? AND date <= ?
+              AND user_id IS NOT NULL
+              AND ${dialect.jsonExtract('properties', 'experiment')} = ?
+          ),
+          first_exposures AS (
+            SELECT user_id, variant, timestamp as exposed_at
+            FROM exposures
+            WHERE rn = 1 AND variant IS NOT NULL
+          ),
+          conversions AS (
+            SELECT f.user_id, COUNT(*) as goal_events
+            FROM first_exposures f
+            JOIN events g
+              ON g.project_id = ?
+             AND g.user_id = f.user_id
+             AND g.event = ?
+             AND g.date >= ? AND g.date <= ?
+             AND g.timestamp >= f.exposed_at${windowClause}
+            GROUP BY f.user_id
+          )
+          SELECT f.variant as variant,
+                 COUNT(*) as exposed_users,
+                 COUNT(c.user_id) as converted_users,
+                 COALESCE(SUM(c.goal_events), 0) as goal_events
+          FROM first_exposures f
+          LEFT JOIN conversions c ON c.user_id = f.user_id
+          GROUP BY f.variant
+          ORDER BY f.variant`,
+    params,
+  };
+}
+
+function resolveControl(variantKeys, requested) {
+  if (requested !== undefined) {
+    if (!variantKeys.includes(requested)) {
+      throw invalid(`control must be one of: ${variantKeys.join(', ') || '(no variants observed)'}`);
+    }
+    return requested;
+  }
+  return variantKeys.find(k => k.toLowerCase() === 'control') ?? variantKeys[0] ?? null;
+}
+
+/** Turn per-variant counts into rates, lifts, significance and SRM checks. */
+export function buildExperimentResults(rows, { project, registered = null, experiment, goalEvent, fromDate, toDate, control, confidence }) {
+  const observed = new Map((rows || []).map(r => [String(r.variant), r]));
+  const configured = registered?.variants || [];
+  const configuredKeys = configured.map(v => v.key);
+  const unexpected = [...observed.keys()].filter(k => !configuredKeys.includes(k)).sort();
+  const variantKeys = configured.length > 0 ? [...configuredKeys, ...unexpected] : unexpected;
+
+  const controlKey = resolveControl(variantKeys, control);
+  const counts = (key) => {
+    const row = observed.get(key);
+    return { exposed: row?.exposed_users || 0, converted: row?.converted_users || 0, goalEvents: row?.goal_events || 0 };
+  };
+  const controlCounts = controlKey ? counts(controlKey) : null;
+  const controlRate = controlCounts?.exposed ? controlCounts.converted / controlCounts.exposed : null;
+  const alpha = 1 - confidence;
+
+  const variants = variantKeys.map((key) => {
+    const { exposed, converted, goalEvents } = counts(key);
+    const rate = exposed ? converted / exposed : 0;
+    const weight = configured.find(v => v.key === key)?.weight ?? null;
+    const result = {
+      variant: key,
+      is_control: key === controlKey,
+      weight,
+      exposed_users: exposed,
+      converted_users: converted,
+      goal_events: goalEvents,
+      conversion_rate: round(rate, 4),
+      conversion_rate_ci: roundInterval(wilsonInterval(converted, exposed, confidence), 4),
+      lift: null,
+      lift_ci: null,
+      z_score: null,
+      p_value: null,
+      significant: false,
+    };
+    if (key === controlKey) return result;
+
+    const test = twoProportionZTest(controlCounts.converted, controlCounts.exposed, converted, exposed, confidence);
+    if (controlRate) {
+      result.lift = round((rate - controlRate) / controlRate, 4);
+      result.lift_ci = test.difference_ci
+        ? roundInterval({ lower: test.difference_ci.lower / controlRate, upper: test.difference_ci.upper / controlRate }, 4)
+        : null;
+    }
+    result.z_score = round(test.z, 4);
+    result.p_value = round(test.p_value, 6);
+    result.significant = test.p_value !== null && test.p_value < alpha;
+    return result;
+  });
+
+  const independence = chiSquareIndependence(variants.map(v => [v.converted_users, v.exposed_users - v.converted_users]));
+
+  const srmKeys = configured.length > 0 ? configuredKeys : variantKeys;
+  const srmWeights = configured.length > 0 ? configured.map(v => v.weight) : srmKeys.map(() => 1);
+  const fit = chiSquareGoodnessOfFit(srmKeys.map(k => counts(k).exposed), srmWeights);
+
+  return {
+    project,
+    experiment,
+    status: registered?.status ?? null,
+    goal_event: goalEvent,
+    period: { from: fromDate, to: toDate },
+    confidence,
+    control: controlKey,
+    total_exposed_users: variants.reduce((sum, v) => sum + v.exposed_users, 0),
+    total_converted_users: variants.reduce((sum, v) => sum + v.converted_users, 0),
+    variants,
+    test: {
+      method: 'chi_square',
+      statistic: round(independence.statistic, 4),
+      degrees_of_freedom: independence.degrees_of_freedom,
+      p_value: round(independence.p_value, 6),
+      significant: independence.p_value !== null && independence.p_value < alpha,
+    },
+    sample_ratio_mismatch: {
+      detected: (fit.p_value !== null && fit.p_value < SRM_P_VALUE_THRESHOLD) || (configured.length > 0 && unexpected.length > 0),
+      statistic: round(fit.statistic, 4),
+      p_value: round(fit.p_value, 6),
+      threshold: SRM_P_VALUE_THRESHOLD,
+      expected: Object.fromEntries(srmKeys.map((k, i) => [k, round(fit.expected[i], 1)])),
+      unexpected_variants: configured.length > 0 ? unexpected : [],
+    },
+  };
+}
@@ -0,0 +1,358 @@
+/**
+ * Filter trees for query(), getEvents(), getBreakdown() and event export.
+ *
+ * `filters` is either the original flat list, ANDed together, or one node
+ * of a tree:
+ *
+ *   { field, op, value }   a condition
+ *   { and: [node, ...] }   every child matches
+ *   { or: [node, ...] }    any child matches
+ *   { not: node }          the child does not match
+ *
+ * Conditions take a built-in field (FILTERABLE_FIELDS) or properties.<key>.
+ * Beside the comparison FILTER_OPS there are set and text ops; `not`,
+ * `not_contains` and `not_in` also match rows where the field is missing.
+ *
+ * validateFilters() checks the whole tree before any SQL is built, and
+ * errors name the offending node by path, e.g. `filters[1].or[0].op`.
+ */
+
+import { AnalyticsError, ERROR_CODES } from './errors.js';
+import { FILTER_OPS, FILTERABLE_FIELDS } from './constants.js';
+import { SQLITE_DIALECT } from './db/dialect.js';
+
+export const FILTER_TREE_OPS = Object.freeze({
+  NOT_CONTAINS: 'not_contains',
+  STARTS_WITH: 'starts_with',
+  REGEX: 'regex',
+  IN: 'in',
+  NOT_IN: 'not_in',
+  IS_SET: 'is_set',
+  IS_NOT_SET: 'is_not_set',
+});
+
+export const ALLOWED_FILTER_OPS = Object.freeze([...Object.keys(FILTER_OPS), ...Object.values(FILTER_TREE_OPS)]);
+
+export const FILTER_LIMITS = Object.freeze({
+  depth: 5,
+  conditions: 50,
+  values: 50,
+  pattern_length: 200,
+  pattern_quantifiers: 20,
+  pattern_repeat: 100,
+});
+
+const VALUELESS_OPS = Object.freeze([FILTER_TREE_OPS.IS_SET, FILTER_TREE_OPS.IS_NOT_SET]);
+const LIST_OPS = Object.freeze([FILTER_TREE_OPS.IN, FILTER_TREE_OPS.NOT_IN]);
+const TEXT_OPS = Object.freeze(['contains', FILTER_TREE_OPS.NOT_CONTAINS, FILTER_TREE_OPS.STARTS_WITH, FILTER_TREE_OPS.REGEX]);
+const PROPERTY_KEY_PATTERN = /^[a-zA-Z0-9_]+$/;
+// Letter escapes JavaScript and PostgreSQL's ARE syntax read alike
+const PATTERN_LETTER_ESCAPES = 'dDwWsS';
+
+export function validatePropertyKey(key) {
+  if (!key || key.length > 128 || !PROPERTY_KEY_PATTERN.test(key)) {
+    throw new AnalyticsError(ERROR_CODES.INVALID_PROPERTY_KEY, 'Invalid property filter key', 400);
+  }
+}
+
+function invalidValue(path, message) {
+  return new AnalyticsError(ERROR_CODES.INVALID_BODY, `${path}.value ${message}`, 400, { path: `${path}.value` });
+}
+
+function getFilterFieldSuggestion(field) {
+  if (typeof field !== 'string') return null;
+  if (FILTERABLE_FIELDS.includes(field)) return null;
+  if (field.startsWith('properties.')) return null;
+  if (!PROPERTY_KEY_PATTERN.test(field)) return null;
+  return `properties.${field}`;
+}
+
+function invalidField(path, reason, field) {
+  const suggestion = getFilterFieldSuggestion(field);
+  let message;
+  if (reason === 'missing_keys') {
+    message = `${path} must include field, op, and value`;
+  } else if (suggestion) {
+    message = `${path}: invalid filter field: ${field}. Built-in fields are ${FILTERABLE_FIELDS.join(', ')}. Event properties must use properties.<key>, for example ${suggestion}`;
+  } else {
+    message = `${path}: invalid filter field: ${field}. Built-in fields are ${FILTERABLE_FIELDS.join(', ')}. Event properties must use properties.<key>`;
+  }
+  return new AnalyticsError(ERROR_CODES.INVALID_FILTER_FIELD, message, 400, { path, suggested_field: suggestion });
+}
+
+function normalizeTimestampFilterValue(value, path) {
+  if (typeof value === 'number') {
+    if (Number.isFinite(value)) return value;
+  } else if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (/^-?\d+$/.test(trimmed)) {
+      const numeric = Number(trimmed);
+      if (Number.isFinite(numeric)) return numeric;
+    }
+
+    const parsed = Date.parse(trimmed);
+    if (Number.isFinite(parsed)) return parsed;
+  }
+
+  throw invalidValue(path, 'is an invalid timestamp filter value: expected epoch milliseconds or ISO timestamp');
+}
+
+/** Why an escape at `pattern[i]` (the backslash) is refused, or null. */
+function escapeProblem(pattern, i) {
+  const next = pattern[i + 1];
+  if (next === undefined) return 'must not end with a backslash';
+  if (/[a-zA-Z0-9]/.test(next) && !PATTERN_LETTER_ESCAPES.includes(next)) {
+    return `may not use the escape \\${next}; only \\d \\w \\s, their negations and escaped punctuation are portable`;
+  }
+  return null;
+}
+
+/**
+ * Why a regex filter pattern is refused, or null. Patterns keep to what
+ * JavaScript (SQLite's regexp()) and PostgreSQL's `~` read alike:
+ * literals, escaped punctuation, \d \w \s and their negations, `.`,
+ * anchors, [classes], alternation, (...) and (?:...) groups and bounded
+ * quantifiers. A repeated group may not contain a quantifier or
+ * alternation, the shape of catastrophic backtracking such as (a+)+$.
+ */
+function patternProblem(pattern) {
+  if (pattern.length > FILTER_LIMITS.pattern_length) {
+    return `must be a pattern of at most ${FILTER_LIMITS.pattern_length} characters`;
+  }
+  try {
+    new RegExp(pattern);
+  } catch {
+    return 'must be a valid regular expression';
+  }
+
+  // Each open group notes whether it holds a quantifier or alternation
+  const groups = [{ repeats: false }];
+  let quantifiers = 0;
+  let closedGroup = null;
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    const previousGroup = closedGroup;
+    closedGroup = null;
+
+    if (c === '\\') {
+      const problem = escapeProblem(pattern, i);
+      if (problem) return problem;
+      i += 1;
+    } else if (c === '[') {
+      let j = pattern[i + 1] === '^' ? i + 2 : i + 1;
+      if (pattern[j] === ']') return 'must escape a ] that opens a class';
+      for (; pattern[j] !== ']'; j++) {
+        if (pattern[j] === '[') return 'must escape a [ inside a class';
+        if (pattern[j] === '\\') {
+          const problem = escapeProblem(pattern, j);
+          if (problem) return problem;
+          j += 1;
+        }
+      }
+      i = j;
+    } else if (c === '(') {
+      if (pattern[i + 1] === '?') {
+        if (pattern[i + 2] !== ':') return 'may only use (...) and (?:...) groups';
+        i += 2;
+      }
+      groups.push({ repeats: false });
+    } else if (c === ')') {
+      closedGroup = groups.pop();
+      if (closedGroup.repeats) groups.at(-1).repeats = true;
+    } else if (c === '|') {
+      groups.at(-1).repeats = true;
+    } else if ('*+?{'.includes(c)) {
+      let max = c === '?' ? 1 : Infinity;
+      let end = i;
+      if (c === '{') {
+        const bound = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(i));
+        if (!bound) return 'must escape a literal {';
+        max = bound[2] === undefined ? Number(bound[1]) : bound[3] === '' ? Infinity : Number(bound[3]);
+        if (Number(bound[1]) > FILTER_LIMITS.pattern_repeat || (max !== Infinity && max > FILTER_LIMITS.pattern_repeat)) {
+          return `may repeat at most ${FILTER_LIMITS.pattern_repeat} times`;
+        }
+        end = i + bound[0].length - 1;
+      }
+      if (pattern[end + 1] === '?') end += 1;
+      if (previousGroup?.repeats && max > 1) {
+        return 'may not repeat a group that holds a quantifier or alternation';
+      }
+      groups.at(-1).repeats = true;
+      quantifiers += 1;
+      if (quantifiers > FILTER_LIMITS.pattern_quantifiers) {
+        return `may hold at most ${FILTER_LIMITS.pattern_quantifiers} quantifiers`;
+      }
+      i = end;
+    }
+  }
+  return null;
+}
+
+/**
+ * The RegExp of a regex filter pattern. Throws 400 INVALID_BODY for a
+ * pattern validateFilters() would refuse. `.` matches newlines, as in
+ * PostgreSQL.
+ */
+export function compileFilterPattern(pattern) {
+  const problem = patternProblem(pattern);
+  if (problem) throw new AnalyticsError(ERROR_CODES.INVALID_BODY, `regex pattern ${problem}`, 400);
+  return new RegExp(pattern, 's');
+}
+
+function isScalar(value) {
+  return ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+function validateCondition(node, path, dialect) {
+  const { field, op, value } = node;
+  if (!field || !op || (value === undefined && !VALUELESS_OPS.includes(op))) {
+    throw invalidField(path, 'missing_keys', typeof field === 'string' ? field : typeof node.property === 'string' ? node.property : undefined);
+  }
+  if (!ALLOWED_FILTER_OPS.includes(op)) {
+    throw new AnalyticsError(
+      ERROR_CODES.INVALID_FILTER_OP,
+      `${path}: invalid filter op: ${op}. allowed: ${ALLOWED_FILTER_OPS.join(', ')}`,
+      400,
+      { path: `${path}.op` },
+    );
+  }
+
+  let key = null;
+  if (typeof field === 'string' && field.startsWith('properties.')) {
+    key = field.slice('properties.'.length);
+    validatePropertyKey(key);
+  } else if (!FILTERABLE_FIELDS.includes(field)) {
+    throw invalidField(path, 'invalid_field', field);
+  }
+  const isTimestamp = field === 'timestamp';
+
+  if (VALUELESS_OPS.includes(op)) return { field, key, op, value: null };
+
+  if (LIST_OPS.includes(op)) {
+    if (!Array.isArray(value) || value.length === 0 || value.length > FILTER_LIMITS.values) {
+      throw invalidValue(path, `must be a list of 1-${FILTER_LIMITS.values} values for ${op}`);
+    }
+    if (!value.every(isScalar) || new Set(value.map(v => typeof v)).size > 1) {
+      throw invalidValue(path, `must hold strings, numbers or booleans of one type for ${op}`);
+    }
+    const values = isTimestamp ? value.map(v => normalizeTimestampFilterValue(v, path)) : value;
+    return { field, key, op, value: values };
+  }
+
+  if (TEXT_OPS.includes(op)) {
+    if (isTimestamp) throw invalidValue(path, `cannot be matched with ${op} on timestamp`);
+    if (typeof value !== 'string') throw invalidValue(path, `must be a string for ${op}`);
+    if (op === FILTER_TREE_OPS.REGEX) {
+      if (!dialect.regex) {
+        throw new AnalyticsError(ERROR_CODES.INVALID_FILTER_OP, `${path}: regex filters are not supported by this database`, 400, { path: `${path}.op` });
+      }
+      const problem = patternProblem(value);
+      if (problem) throw invalidValue(path, problem);
+    }
+    return { field, key, op, value };
+  }
+
+  if (!isScalar(value)) throw invalidValue(path, `must be a string, number or boolean for ${op}`);
+  return { field, key, op, value: isTimestamp ? normalizeTimestampFilterValue(value, path) : value };
+}
+
+/**
+ * Check a filter list or tree and return it normalized: `{ and }`, `{ or }`
+ * and `{ not }` nodes over conditions `{ field, key, op, value }`, where
+ * `key` is the property key (null for built-in fields) and timestamp
+ * values are epoch ms. Missing filters yield null. `regex` conditions are
+ * refused on a dialect without a regex operator.
+ */
+export function validateFilters(filters, { dialect = SQLITE_DIALECT, path = 'filters' } = {}) {
+  if (filters === undefined || filters === null) return null;
+  if (!Array.isArray(filters) && (typeof filters !== 'object')) {
+    throw new AnalyticsError(ERROR_CODES.INVALID_BODY, 'filters must be an array or a { and | or | not } filter tree', 400);
+  }
+  let conditions = 0;
+
+  function visit(node, nodePath, depth) {
+    if (depth > FILTER_LIMITS.depth) {
+      throw new AnalyticsError(ERROR_CODES.INVALID_BODY, `${nodePath} nests filters deeper than ${FILTER_LIMITS.depth} levels`, 400, { path: nodePath });
+    }
+    if (Array.isArray(node)) {
+      return { and: node.map((child, i) => visit(child, `${nodePath}[${i}]`, depth + 1)) };
+    }
+    if (!node || typeof node !== 'object') throw invalidField(nodePath, 'missing_keys');
+
+    for (const op of ['and', 'or']) {
+      if (op in node) {
+        if (!Array.isArray(node[op])) {
+          throw new AnalyticsError(ERROR_CODES.INVALID_BODY, `${nodePath}.${op} must be an array of filters`, 400, { path: `${nodePath}.${op}` });
+        }
+        return { [op]: node[op].map((child, i) => visit(child, `${nodePath}.${op}[${i}]`, depth + 1)) };
+      }
+    }
+    if ('not' in node) return { not: visit(node.not, `${nodePath}.not`, depth + 1) };
+
+    conditions += 1;
+    if (conditions > FILTER_LIMITS.conditions) {
+      throw new AnalyticsError(ERROR_CODES.INVALID_BODY, `filters may hold at most ${FILTER_LIMITS.conditions} conditions`, 400, { path: nodePath });
+    }
+    return validateCondition(node, nodePath, dialect);
+  }
+
+  return visit(filters, path, 0);
+}
+
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
+function buildConditionSql({ field, key, op, value }, dialect) {
+  const column = key === null ? field : dialect.jsonExtract('properties', key);
+
+  if (op === FILTER_TREE_OPS.IS_SET) return { sql: `${column} IS NOT NULL`, params: [] };
+  if (op === FILTER_TREE_OPS.IS_NOT_SET) return { sql: `${column} IS NULL`, params: [] };
+  if (op === 'contains') return { sql: `${column} ${dialect.like} '%' || ? || '%'`, params: [value] };
+  if (op === FILTER_TREE_OPS.STARTS_WITH) {
+    return { sql: `${column} ${dialect.like} ? || '%' ESCAPE '\\'`, params: [escapeLike(value)] };
+  }
+  if (op === FILTER_TREE_OPS.REGEX) return { sql: `${column} ${dialect.regex} ?`, params: [value] };
+  if (op === FILTER_TREE_OPS.NOT_CONTAINS) {
+    return negate(buildConditionSql({ field, key, op: 'contains', value }, dialect));
+  }
+
+  // Typed comparisons: property values are compared as JSON numbers/booleans where the value is one
+  const compared = key === null ? { sql: column } : dialect.jsonComparison('properties', key, LIST_OPS.includes(op) ? value[0] : value);
+  const bind = v => (key === null ? v : dialect.jsonComparison('properties', key, v).value);
+  if (op === FILTER_TREE_OPS.IN) {
+    return { sql: `${compared.sql} IN (${value.map(() => '?').join(', ')})`, params: value.map(bind) };
+  }
+  if (op === FILTER_TREE_OPS.NOT_IN) {
+    return negate(buildConditionSql({ field, key, op: FILTER_TREE_OPS.IN, value }, dialect));
+  }
+  return { sql: `${compared.sql} ${FILTER_OPS[op]} ?`, params: [bind(value)] };
+}
+
+/** True where `sql` is false or unknown (NULL), portably across dialects. */
+function negate({ sql, params }) {
+  return { sql: `(CASE WHEN ${sql} THEN 1 ELSE 0 END) = 0`, params };
+}
+
+/**
+ * SQL and params for a validated filter tree over the events columns;
+ * empty `sql` when there is nothing to filter.
+ */
+export function buildFilterSql(tree, dialect = SQLITE_DIALECT) {
+  if (!tree) return { sql: '', params: [] };
+
+  function build(node) {
+    for (const [op, joiner, empty] of [['and', ' AND ', '1 = 1'], ['or', ' OR ', '1 = 0']]) {
+      if (node[op]) {
+        if (node[op].length === 0) return { sql: empty, params: [] };
+        const parts = node[op].map(build);
+        return { sql: `(${parts.map(p => p.sql).join(joiner)})`, params: parts.flatMap(p => p.params) };
+      }
+    }
+    if (node.not) return negate(build(node.not));
+    return buildConditionSql(node, dialect);
+  }
+
+  if (Array.isArray(tree.and) && tree.and.length === 0) return { sql: '', params: [] };
+  return build(tree);
+}
@@ -0,0 +1,348 @@
+import { formatDate, parseSince, today } from './db/adapter.js';
+import { AnalyticsError, ERROR_CODES } from './errors.js';
+import { FILTER_OPS, MS_PER_DAY } from './constants.js';
+import { SQLITE_DIALECT } from './db/dialect.js';
+
+export const FUNNEL_STEP_ORDERS = Object.freeze({ LOOSE: 'loose', STRICT: 'strict' });
+export const FUNNEL_COUNT_BY = Object.freeze({ USER: 'user', SESSION: 'session' });
+export const FUNNEL_DEFAULTS = Object.freeze({
+  step_order: FUNNEL_STEP_ORDERS.LOOSE,
+  count_by: FUNNEL_COUNT_BY.USER,
+  conversion_window_days: 7,
+  breakdown_limit: 10,
+  candidate_cap: 10000,
+});
+export const FUNNEL_LIMITS = Object.freeze({
+  steps: { min: 2, max: 10 },
+  step_filters: { max: 10 },
+  conversion_window_days: { min: 1, max: 90 },
+  breakdown_limit: { min: 1, max: 50 },
+  candidate_cap: { min: 100, max: 50000 },
+});
+
+const ACTOR_COLUMNS = Object.freeze({
+  [FUNNEL_COUNT_BY.USER]: 'user_id',
+  [FUNNEL_COUNT_BY.SESSION]: 'session_id',
+});
+
+const PROPERTY_KEY_PATTERN = /^[a-zA-Z0-9_]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function invalid(message) {
+  return new AnalyticsError(ERROR_CODES.MISSING_FIELDS, message, 400);
+}
+
+function validatePropertyKey(key, label) {
+  if (typeof key !== 'string' || !key || key.length > 128 || !PROPERTY_KEY_PATTERN.test(key)) {
+    throw new AnalyticsError(ERROR_CODES.INVALID_PROPERTY_KEY, `${label} must be a property key of letters, digits or _`, 400);
+  }
+  return key;
+}
+
+function validateIntegerOption(value, name) {
+  const { min, max } = FUNNEL_LIMITS[name];
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw invalid(`${name} must be ${min}-${max}`);
+  }
+  return value;
+}
+
+function validateEnumOption(value, name, allowed) {
+  if (!allowed.includes(value)) throw invalid(`${name} must be one of: ${allowed.join(', ')}`);
+  return value;
+}
+
+function validateStepFilter(filter, stepIndex, filterIndex) {
+  const label = `steps[${stepIndex}].filters[${filterIndex}]`;
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter) || !filter.field || !filter.op || filter.value === undefined) {
+    throw new AnalyticsError(ERROR_CODES.INVALID_FILTER_FIELD, `${label} must include field, op, and value`, 400);
+  }
+  if (typeof filter.field !== 'string' || !filter.field.startsWith('properties.')) {
+    throw new AnalyticsError(
+      ERROR_CODES.INVALID_FILTER_FIELD,
+      `invalid filter field: ${filter.field}. Funnel step filters must use properties.<key>`,
+      400,
+    );
+  }
+  if (!FILTER_OPS[filter.op]) {
+    throw new AnalyticsError(ERROR_CODES.INVALID_FILTER_OP, `invalid filter op: ${filter.op}. allowed: ${Object.keys(FILTER_OPS).join(', ')}`, 400);
+  }
+  const { value } = filter;
+  if (!['string', 'number', 'boolean'].includes(typeof value)) {
+    throw invalid(`${label}.value must be a string, number or boolean`);
+  }
+
+  return {
+    field: filter.field,
+    key: validatePropertyKey(filter.field.slice('properties.'.length), `${label}.field`),
+    op: filter.op,
+    value,
+  };
+}
+
+function validateStep(step, index) {
+  const entry = typeof step === 'string' ? { event: step } : step;
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw invalid(`steps[${index}] must be an event name or { event, filters }`);
+  }
+  const { event } = entry;
+  if (typeof event !== 'string' || !event.trim() || event.length > 256) {
+    throw invalid(`steps[${index}].event must be a non-empty string (max 256 chars)`);
+  }
+
+  const filters = entry.filters ?? [];
+  if (!Array.isArray(filters) || filters.length > FUNNEL_LIMITS.step_filters.max) {
+    throw invalid(`steps[${index}].filters must be an array of at most ${FUNNEL_LIMITS.step_filters.max} filters`);
+  }
+
+  return {
+    event: event.trim(),
+    filters: filters.map((filter, filterIndex) => validateStepFilter(filter, index, filterIndex)),
+  };
+}
+
+export function validateFunnelOptions(options = {}) {
+  const { steps } = options;
+  if (!Array.isArray(steps) || steps.length < FUNNEL_LIMITS.steps.min || steps.length > FUNNEL_LIMITS.steps.max) {
+    throw invalid(`steps must be an array of ${FUNNEL_LIMITS.steps.min}-${FUNNEL_LIMITS.steps.max} steps`);
+  }
+
+  const stepOrder = validateEnumOption(options.step_order ?? FUNNEL_DEFAULTS.step_order, 'step_order', Object.values(FUNNEL_STEP_ORDERS));
+  const countBy = validateEnumOption(options.count_by ?? FUNNEL_DEFAULTS.count_by, 'count_by', Object.values(FUNNEL_COUNT_BY));
+  const windowDays = validateIntegerOption(options.conversion_window_days ?? FUNNEL_DEFAULTS.conversion_window_days, 'conversion_window_days');
+  const breakdownLimit = validateIntegerOption(options.breakdown_limit ?? FUNNEL_DEFAULTS.breakdown_limit, 'breakdown_limit');
+  const candidateCap = validateIntegerOption(options.candidate_cap ?? FUNNEL_DEFAULTS.candidate_cap, 'candidate_cap');
+
+  const breakdown = options.breakdown === undefined || options.breakdown === null
+    ? null
+    : validatePropertyKey(options.breakdown.replace?.(/^properties\./, ''), 'breakdown');
+
+  const toDate = options.date_to ?? today();
+  if (typeof toDate !== 'string' || !DATE_PATTERN.test(toDate) || Number.isNaN(Date.parse(toDate))) {
+    throw invalid('date_to must be a YYYY-MM-DD date');
+  }
+  const conversionWindowMs = windowDays * MS_PER_DAY;
+
+  return {
+    steps: steps.map(validateStep),
+    stepOrder,
+    countBy,
+    windowDays,
+    conversionWindowMs,
+    breakdown,
+    breakdownLimit,
+    candidateCap,
+    fromDate: parseSince(options.date_from),
+    toDate,
+    // Conversions that start inside the period may finish after it
+    windowEndDate: formatDate(Date.parse(toDate) + conversionWindowMs),
+  };
+}
+
+function buildStepCondition(step, dialect) {
+  const parts = ['event = ?'];
+  const params = [step.event];
+  for (const f of step.filters) {
+    if (f.op === 'contains') {
+      parts.push(`${dialect.jsonExtract('properties', f.key)} ${dialect.like} '%' || ? || '%'`);
+      params.push(String(f.value));
+    } else {
+      const compared = dialect.jsonComparison('properties', f.key, f.value);
+      parts.push(`${compared.sql} ${FILTER_OPS[f.op]} ?`);
+      params.push(compared.value);
+    }
+  }
+  return { sql: parts.join(' AND '), params };
+}
+
+/**
+ * One row per event of each candidate actor, flagged with the steps it
+ * satisfies. Candidates are actors whose first step-1 event falls inside
+ * the period; strict ordering needs every event of a candidate (anything
+ * in between two steps breaks the sequence), loose only the step events.
+ */
+export function buildFunnelQuery({ project, steps, stepOrder, countBy, breakdown, candidateCap, fromDate, toDate, windowEndDate, dialect = SQLITE_DIALECT }) {
+  const actor = ACTOR_COLUMNS[countBy];
+  const conditions = steps.map(step => buildStepCondition(step, dialect));
+  const flagColumns = conditions
+    .map((c, index) => `CASE WHEN ${c.sql} THEN 1 ELSE 0 END as s${index}`)
+    .join(',\n                   ');
+  const breakdownColumn = breakdown ? dialect.jsonExtract('properties', breakdown) : 'NULL';
+  const stepFilter = stepOrder === FUNNEL_STEP_ORDERS.STRICT
+    ? ''
+    : `\n            WHERE ${steps.map((_, index) => `se.s${index} = 1`).join(' OR ')}`;
+
+  return {
+    sql: `WITH step_events AS (
+            SELECT ${actor} as actor,
+                   id,
+                   timestamp,
+                   date,
+                   ${breakdownColumn} as breakdown_value,
+                   ${flagColumns}
+            FROM events
+            WHERE project_id = ?
+              AND date >= ? AND date <= ?
+              AND ${actor} IS NOT NULL
+          ),
+          candidates AS (
+            SELECT actor,
+                   ROW_NUMBER() OVER (ORDER BY MIN(timestamp), actor) as candidate_rank
+            FROM step_events
+            WHERE s0 = 1 AND date <= ?
+            GROUP BY actor
+          )
+          SELECT se.actor, c.candidate_rank, se.timestamp, se.date, se.breakdown_value,
+                 ${steps.map((_, index) => `se.s${index}`).join(', ')}
+          FROM step_events se
+          JOIN candidates c
+            ON c.actor = se.actor
+           AND c.candidate_rank <= ?${stepFilter}
+          ORDER BY se.actor, se.timestamp, se.id`,
+    params: [
+      ...conditions.flatMap(c => c.params),
+      project, fromDate, windowEndDate,
+      toDate,
+      // One extra candidate tells the report whether the cap was hit
+      candidateCap + 1,
+    ],
+  };
+}
+
+/**
+ * Furthest progress through the funnel for one actor's ordered events.
+ * Every in-period step-1 event is tried as a start; the attempt reaching
+ * the most steps wins, the earliest start breaking ties. An event only
+ * ever advances one step, so repeating an event as two steps needs two
+ * occurrences.
+ */
+function matchActor(events, { stepCount, stepOrder, conversionWindowMs, toDate }) {
+  let best = null;
+  for (let i = 0; i < events.length; i++) {
+    const start = events[i];
+    if (!start.flags[0] || start.date > toDate) continue;
+
+    const times = [start.timestamp];
+    const deadline = start.timestamp + conversionWindowMs;
+    for (let j = i + 1; j < events.length && times.length < stepCount; j++) {
+      const event = events[j];
+      if (event.timestamp > deadline) break;
+      if (event.flags[times.length]) times.push(event.timestamp);
+      else if (stepOrder === FUNNEL_STEP_ORDERS.STRICT) break;
+    }
+
+    if (!best || times.length > best.times.length) best = { start, times };
+    if (times.length === stepCount) break;
+  }
+  return best;
+}
+
+function roundRate(numerator, denominator) {
+  if (!denominator) return 0;
+  return Math.round((numerator / denominator) * 1000) / 1000;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+function summarize(matches, steps) {
+  const entered = matches.length;
+  const reportSteps = steps.map((step, index) => {
+    const reached = matches.filter(m => m.times.length > index);
+    const previousCount = index === 0 ? entered : matches.filter(m => m.times.length >= index).length;
+    return {
+      step: index + 1,
+      event: step.event,
+      filters: step.filters.map(({ field, op, value }) => ({ field, op, value })),
+      count: reached.length,
+      conversion_rate: roundRate(reached.length, previousCount),
+      overall_conversion_rate: roundRate(reached.length, entered),
+      drop_off: previousCount - reached.length,
+      median_time_from_previous_ms: index === 0
+        ? null
+        : median(reached.map(m => m.times[index] - m.times[index - 1])),
+    };
+  });
+  const completed = matches.filter(m => m.times.length === steps.length);
+
+  return {
+    steps: reportSteps,
+    entered,
+    converted: completed.length,
+    overall_conversion_rate: roundRate(completed.length, entered),
+    median_time_to_convert_ms: median(completed.map(m => m.times[m.times.length - 1] - m.times[0])),
+  };
+}
+
+function compareBreakdownValues(a, b) {
+  if (a === b) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  return String(a).localeCompare(String(b));
+}
+
+export function buildFunnelReport(rows, { steps, stepOrder, conversionWindowMs, breakdown, breakdownLimit, candidateCap, toDate }) {
+  const byActor = new Map();
+  let truncated = false;
+  for (const row of rows || []) {
+    if (row?.actor === null || row?.actor === undefined) continue;
+    if (row.candidate_rank > candidateCap) {
+      truncated = true;
+      continue;
+    }
+    if (!byActor.has(row.actor)) byActor.set(row.actor, []);
+    byActor.get(row.actor).push({
+      timestamp: row.timestamp,
+      date: row.date,
+      breakdown_value: row.breakdown_value ?? null,
+      flags: steps.map((_, index) => row[`s${index}`] === 1),
+    });
+  }
+
+  const matches = [];
+  for (const events of byActor.values()) {
+    const match = matchActor(events, { stepCount: steps.length, stepOrder, conversionWindowMs, toDate });
+    if (match) matches.push(match);
+  }
+
+  const report = {
+    ...summarize(matches, steps),
+    bounds: { candidate_cap: candidateCap, truncated },
+  };
+  if (!breakdown) return report;
+
+  const groups = new Map();
+  for (const match of matches) {
+    const value = match.start.breakdown_value;
+    const groupKey = value === null ? null : JSON.stringify(value);
+    if (!groups.has(groupKey)) groups.set(groupKey, { value, matches: [] });
+    groups.get(groupKey).matches.push(match);
+  }
+  const sorted = [...groups.values()].sort((a, b) => (
+    b.matches.length - a.matches.length || compareBreakdownValues(a.value, b.value)
+  ));
+
+  report.breakdown = {
+    property: breakdown,
+    total_groups: sorted.length,
+    groups: sorted.slice(0, breakdownLimit).map(group => ({ value: group.value, ...summarize(group.matches, steps) })),
+  };
+  return report;
+}
+
+export function buildFunnelResponse(project, options, rows) {
+  const { steps, ...report } = buildFunnelReport(rows, options);
+  return {
+    project,
+    period: { from: options.fromDate, to: options.toDate },
+    step_order: options.stepOrder,
+    count_by: options.countBy,
+    conversion_window_days: options.windowDays,
+    steps,
+    ...report,
+  };
+}
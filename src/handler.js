@@ -10,6 +10,15 @@ import { TRACKER_SOURCE_JS } from './tracker-source.js';
 import { TRACKER_CHECKSUMS } from './tracker-checksums.js';
 import { isBot } from './bot.js';
 import { AnalyticsError, ERROR_CODES, errorResponse } from './errors.js';
+import { assertSchemaCurrent } from './db/migrate.js';
+import { enrichEvents } from './enrichment.js';
+import { validateExportOptions, createEventExportStream } from './event-export.js';
+import { CURSOR_KEYS, nextCursor } from './cursor.js';
+import { API_KEY_SCOPES, hasScope, projectAllowed } from './api-keys.js';
+import { REJECTION_REASONS, createOriginLookup, requestOrigin, originAllowed, hostnameAllowed } from './origins.js';
+import { clientIp, rateLimitKey } from './rate-limit.js';
+import { TRACKING_PLAN_MODES, TRACKING_PLAN_REJECTION, checkTrackedEvent, createTrackingPlanCache } from './tracking-plan.js';
+import { INGEST_LIMITS, INVALID_EVENT_REASONS, readJsonBody, normalizeEvent } from './normalize.js';
 import { GRANULARITY, DEFAULT_LIMIT, MAX_LIMIT, MAX_BATCH_SIZE, VALID_PAGE_TYPES, TOP_EVENTS_LIMIT, DEFAULT_SAMPLE_SIZE } from './constants.js';
 
 const CORS_HEADERS = {
@@ -31,26 +40,250 @@ function json(data, status = 200) {
   });
 }
 
+/**
+ * Narrow `Access-Control-Allow-Origin: *` to the request's `Origin` when
+ * the `projects` the request was checked against have allowlists: the
+ * origin is echoed if every list has it, and the header is dropped if not,
+ * so other pages cannot read the response. Without allowlists, or for
+ * projects without one, responses keep `*`. Responses without the header,
+ * like refused writes, stay unreadable.
+ */
+async function allowListedOrigin(request, response, originsFor, projects) {
+  const origin = request.headers.get('Origin');
+  if (!originsFor || !origin || response.headers.get('Access-Control-Allow-Origin') !== '*') return;
+  const lists = (await Promise.all([...projects].map(project => originsFor(project)))).filter(Boolean);
+  if (lists.length === 0) return;
+  if (lists.every(entries => originAllowed(origin.toLowerCase(), entries))) {
+    response.headers.set('Access-Control-Allow-Origin', origin);
+  } else {
+    response.headers.delete('Access-Control-Allow-Origin');
+  }
+  response.headers.append('Vary', 'Origin');
+}
+
+/** The events a write body carries: a batch's `events`, or the /track body itself. */
+function writtenEvents(body) {
+  if (Array.isArray(body?.events)) return body.events;
+  return body?.event ? [body] : [];
+}
+
+/** Write ops adding refused `events` to each project's rejected_events tally, if the adapter keeps one. */
+function recordRejections(db, events, reason) {
+  if (typeof db.recordRejectedEvents !== 'function') return [];
+  const counts = new Map();
+  for (const e of events) {
+    if (typeof e?.project === 'string') counts.set(e.project, (counts.get(e.project) ?? 0) + 1);
+  }
+  return [...counts].map(([project, count]) => db.recordRejectedEvents({ project, reason, count })
+    .catch(err => console.error('Rejection count failed:', err)));
+}
+
+/** Write ops tallying refused events in rejected_events, per reason: `refused` is `[{ event, reason }]`. */
+function recordRejectionReasons(db, refused) {
+  const byReason = new Map();
+  for (const { event, reason } of refused) byReason.set(reason, [...(byReason.get(reason) ?? []), event]);
+  return [...byReason].flatMap(([reason, events]) => recordRejections(db, events, reason));
+}
+
+/** 403 ORIGIN_NOT_ALLOWED for a write from an origin not on its project's allowlist, or null. */
+async function rejectForeignOrigin({ request, db, originsFor }, body) {
+  if (!originsFor) return null;
+  const origin = requestOrigin(request);
+  if (origin === null) return null; // servers send neither Origin nor Referer
+  const events = writtenEvents(body);
+  const refused = [];
+  for (const project of new Set([body?.project, ...events.map(e => e?.project)])) {
+    if (typeof project !== 'string') continue;
+    const entries = await originsFor(project);
+    if (entries && !originAllowed(origin, entries)) refused.push(project);
+  }
+  if (refused.length === 0) return null;
+  return {
+    response: new Response(JSON.stringify(errorResponse(ERROR_CODES.ORIGIN_NOT_ALLOWED, `origin not allowed for project: ${refused[0]}`)), {
+      status: 403,
+      headers: { 'Content-Type': 'application/json', Vary: 'Origin' },
+    }),
+    // Only the refused projects' events count against them; the rest were never judged
+    writeOps: recordRejections(db, events.filter(e => refused.includes(e?.project)), REJECTION_REASONS.ORIGIN),
+  };
+}
+
+/**
+ * 429 RATE_LIMITED when the bucket of a written project, for this token and
+ * client IP, runs out; 413 PAYLOAD_TOO_LARGE when a batch costs more than
+ * the bucket holds; or null. Each event costs one token. Events that fail
+ * validation share the bucket of no project, so made-up project names
+ * cannot fill the store, and a refused batch gives back what it already
+ * took from its other projects' buckets.
+ */
+async function rateLimitWrite({ request, rateLimit, trustedProxies, maxEventAgeMs }, body, writesEvents) {
+  if (!rateLimit) return null;
+  const token = body?.token ?? request.headers.get('X-API-Key');
+  const ip = clientIp(request, { trustedProxies });
+  const now = Date.now();
+  const projects = writesEvents
+    ? (Array.isArray(body?.events) ? body.events : [body]).map(e => (normalizeEvent(e, { now, maxEventAgeMs }).reason ? '' : e.project))
+    : [typeof body?.project === 'string' ? body.project : ''];
+  const costs = new Map();
+  for (const project of projects) costs.set(project, (costs.get(project) ?? 0) + 1);
+
+  const taken = [];
+  for (const [project, cost] of costs) {
+    const key = await rateLimitKey(project, token, ip);
+    const result = await rateLimit.consume(key, cost);
+    if (result.allowed) {
+      taken.push([key, cost]);
+      continue;
+    }
+    if (rateLimit.refund) await Promise.all(taken.map(([k, c]) => rateLimit.refund(k, c)));
+    const subject = project ? `project: ${project}` : 'invalid events';
+    if (result.capacity !== undefined && cost > result.capacity) {
+      const message = `${cost} events for ${subject} exceed the rate limit of ${result.capacity} per request; split the batch`;
+      return { response: json(errorResponse(ERROR_CODES.PAYLOAD_TOO_LARGE, message), 413) };
+    }
+    const response = json({
+      ...errorResponse(ERROR_CODES.RATE_LIMITED, `rate limit exceeded for ${subject}; retry after ${result.retry_after}s`),
+      retry_after: result.retry_after,
+    }, 429);
+    response.headers.set('Retry-After', String(result.retry_after));
+    response.headers.set('Access-Control-Expose-Headers', 'Retry-After');
+    return { response };
+  }
+  return null;
+}
+
+/** Split events into those whose `hostname` property their project allows and the rest. */
+async function checkHostnames({ originsFor, validateHostname }, events) {
+  if (!originsFor || !validateHostname) return { allowed: events, rejected: [] };
+  const allowed = [];
+  const rejected = [];
+  for (const e of events) {
+    const hostname = e?.properties?.hostname;
+    const entries = typeof hostname === 'string' ? await originsFor(e.project) : null;
+    (entries && !hostnameAllowed(hostname, entries) ? rejected : allowed).push(e);
+  }
+  return { allowed, rejected };
+}
+
+/**
+ * Check events against their project's tracking plan and record what they
+ * violate. In reject mode violating events are split off as `rejected`.
+ */
+async function applyTrackingPlans({ db, trackingPlans }, events) {
+  const accepted = [];
+  const rejected = [];
+  const byProject = new Map();
+  for (const e of events) {
+    const plan = typeof e?.project === 'string' ? await trackingPlans.get(e.project) : null;
+    const violations = plan && plan.mode !== TRACKING_PLAN_MODES.OFF ? checkTrackedEvent(plan, e) : [];
+    const refused = violations.length > 0 && plan.mode === TRACKING_PLAN_MODES.REJECT;
+    (refused ? rejected : accepted).push(e);
+    if (violations.length > 0) {
+      byProject.set(e.project, [...(byProject.get(e.project) ?? []), ...violations.map(v => ({ ...v, rejected: refused }))]);
+    }
+  }
+  const writeOps = [...byProject].map(([project, violations]) => db.recordSchemaViolations({ project, violations })
+    .catch(err => console.error('Violation write failed:', err)));
+  return { accepted, rejected, violations: [...byProject.values()].flat(), writeOps };
+}
+
+/** The `filters` query parameter as JSON: a list or filter tree, validated by the adapter. */
+function parseFiltersParam(params) {
+  if (!params.has('filters')) return undefined;
+  try {
+    return JSON.parse(params.get('filters'));
+  } catch {
+    throw new AnalyticsError(ERROR_CODES.INVALID_BODY, 'filters must be a JSON array or filter tree', 400);
+  }
+}
+
+/** `compare` for getStats(): a mode name, or a custom range from `compare_from` and `compare_to`. */
+function parseCompareParams(params) {
+  if (params.has('compare_from') || params.has('compare_to')) {
+    return { date_from: params.get('compare_from'), date_to: params.get('compare_to') };
+  }
+  return params.get('compare') || undefined;
+}
+
+/**
+ * A 403 for the first of `projects` the validator result does not cover,
+ * or null. Validators that return no `projects` cover every project.
+ */
+function checkProjects(auth, projects) {
+  const denied = projects.find(project => project != null && !projectAllowed(auth, project));
+  if (denied === undefined) return null;
+  return { response: json(errorResponse(ERROR_CODES.FORBIDDEN, `API key is not allowed for project: ${denied}`), 403) };
+}
+
+/** The project a read names: `?project=` on GETs, the JSON body's `project` on POSTs. */
+async function requestedProject(request, url) {
+  if (request.method !== 'POST') return url.searchParams.get('project');
+  try {
+    return (await request.clone().json())?.project;
+  } catch {
+    return null; // the route itself answers unreadable bodies
+  }
+}
+
 function withReadAuth(fn) {
   return async (ctx) => {
-    const auth = ctx.validateRead(ctx.request, ctx.url);
+    const auth = await ctx.validateRead(ctx.request, ctx.url);
     if (!auth.valid) {
       return { response: json(errorResponse(ERROR_CODES.AUTH_REQUIRED, 'API key required'), 401) };
     }
-    return fn(ctx);
+    if (Array.isArray(auth.projects) || ctx.originsFor) {
+      const project = await requestedProject(ctx.request, ctx.url);
+      if (typeof project === 'string') ctx.checkedProjects.add(project);
+      const denied = checkProjects(auth, [project]);
+      if (denied) return denied;
+    }
+    return fn({ ...ctx, auth });
   };
 }
 
-function withWriteAuth(fn) {
+/** Write auth, origin and rate checks. `events: false` for writes that carry no events, such as /identify. */
+function withWriteAuth(fn, { events: writesEvents = true } = {}) {
   return async (ctx) => {
     const ua = ctx.request.headers.get('User-Agent');
-    if (isBot(ua)) return { response: json({ ok: true }) };
-    const body = await ctx.request.json();
-    const auth = ctx.validateWrite(ctx.request, body);
+    if (ctx.dropBots && isBot(ua)) return { response: json({ ok: true }) };
+    const body = await readJsonBody(ctx.request);
+    const auth = await ctx.validateWrite(ctx.request, body);
+    if (!auth.valid) {
+      return { response: json(errorResponse(ERROR_CODES.FORBIDDEN, auth.error || 'forbidden'), 403) };
+    }
+    const events = Array.isArray(body?.events) ? body.events : [];
+    const projects = [body?.project, ...events.map(e => e?.project)];
+    for (const project of projects) {
+      if (typeof project === 'string') ctx.checkedProjects.add(project);
+    }
+    const denied = checkProjects(auth, projects);
+    if (denied) return denied;
+    const foreign = await rejectForeignOrigin(ctx, body);
+    if (foreign) return foreign;
+    const limited = await rateLimitWrite(ctx, body, writesEvents);
+    if (limited) return limited;
+    return fn({ ...ctx, body, auth });
+  };
+}
+
+/**
+ * Write-token auth from the query string. Trackers deployed before `project`
+ * was sent only pass `?token=`, so without it the project comes from the
+ * validator's result (`project`, or a single-entry `projects`), else null.
+ */
+function withTokenAuth(fn) {
+  return async (ctx) => {
+    const requested = ctx.url.searchParams.get('project');
+    const token = ctx.url.searchParams.get('token');
+    const auth = await ctx.validateWrite(ctx.request, { project: requested, token });
     if (!auth.valid) {
       return { response: json(errorResponse(ERROR_CODES.FORBIDDEN, auth.error || 'forbidden'), 403) };
     }
-    return fn({ ...ctx, body });
+    const project = requested || auth.project || (auth.projects?.length === 1 ? auth.projects[0] : null);
+    if (project) ctx.checkedProjects.add(project);
+    const denied = checkProjects(auth, [project]);
+    if (denied) return denied;
+    return fn({ ...ctx, project, auth });
   };
 }
 
@@ -62,35 +295,180 @@ function withProjectRead(fn) {
   });
 }
 
+/**
+ * Read auth for routes that change or delete stored data and configuration:
+ * the key also needs the write scope (admin implies it). Validators that
+ * return no `scopes` grant every scope.
+ */
+function withManageAuth(fn) {
+  return withReadAuth(async (ctx) => {
+    if (Array.isArray(ctx.auth.scopes) && !hasScope(ctx.auth.scopes, API_KEY_SCOPES.WRITE)) {
+      return { response: json(errorResponse(ERROR_CODES.FORBIDDEN, `API key lacks the ${API_KEY_SCOPES.WRITE} scope`), 403) };
+    }
+    return fn(ctx);
+  });
+}
+
+function withAdminAuth(fn) {
+  return async (ctx) => {
+    if (!ctx.validateAdmin) {
+      return { response: json(errorResponse(ERROR_CODES.FORBIDDEN, 'key management is disabled: pass validateAdmin to enable it'), 403) };
+    }
+    const auth = await ctx.validateAdmin(ctx.request, ctx.url);
+    if (!auth.valid) {
+      return { response: json(errorResponse(ERROR_CODES.AUTH_REQUIRED, 'admin API key required'), 401) };
+    }
+    return fn({ ...ctx, auth });
+  };
+}
+
 const ROUTES = {
   'POST /track':              withWriteAuth(handleTrack),
   'POST /track/batch':        withWriteAuth(handleTrackBatch),
-  'POST /identify':           withWriteAuth(handleIdentify),
+  'POST /identify':           withWriteAuth(handleIdentify, { events: false }),
+  'POST /users/delete':       withManageAuth(handleDeleteUser),
+  'POST /users/export':       withReadAuth(handleExportUser),
   'GET /projects':            withReadAuth(handleListProjects),
   'GET /stats':               withProjectRead(handleStats),
   'GET /events':              withProjectRead(handleEvents),
+  'GET /export':              withProjectRead(handleExport),
+  'GET /sessions':            withProjectRead(handleSessions),
+  'GET /sessions/distribution': withProjectRead(handleSessionDistribution),
+  'GET /breakdown':           withProjectRead(handleBreakdown),
+  'GET /insights':            withProjectRead(handleInsights),
+  'GET /pages':               withProjectRead(handlePages),
+  'GET /heatmap':             withProjectRead(handleHeatmap),
   'POST /query':              withReadAuth(handleQuery),
   'POST /paths':              withReadAuth(handlePaths),
+  'POST /funnels':            withReadAuth(handleFunnels),
+  'POST /retention':          withReadAuth(handleRetention),
   'GET /properties':          withProjectRead(handleProperties),
   'GET /properties/received': withProjectRead(handlePropertiesReceived),
+  'GET /rejections':          withProjectRead(handleRejections),
+  'GET /tracking-plan':       withProjectRead(handleGetTrackingPlan),
+  'POST /tracking-plan':      withManageAuth(handleSetTrackingPlan),
+  'GET /tracking-plan/violations': withProjectRead(handleTrackingPlanViolations),
+  'GET /experiments/config':  withTokenAuth(handleExperimentConfig),
+  'GET /experiments':         withProjectRead(handleListExperiments),
+  'POST /experiments':        withManageAuth(handleCreateExperiment),
+  'POST /experiments/update': withManageAuth(handleUpdateExperiment),
+  'POST /experiments/archive': withManageAuth(handleArchiveExperiment),
+  'POST /experiments/results': withReadAuth(handleExperimentResults),
+  'GET /saved-queries':       withProjectRead(handleListSavedQueries),
+  'POST /saved-queries':      withManageAuth(handleCreateSavedQuery),
+  'GET /saved-queries/:id':   withProjectRead(handleGetSavedQuery),
+  'POST /saved-queries/:id/update': withManageAuth(handleUpdateSavedQuery),
+  'POST /saved-queries/:id/delete': withManageAuth(handleDeleteSavedQuery),
+  'POST /saved-queries/:id/run': withReadAuth(handleRunSavedQuery),
+  'GET /dashboards':          withProjectRead(handleListDashboards),
+  'POST /dashboards':         withManageAuth(handleCreateDashboard),
+  'GET /dashboards/:id':      withProjectRead(handleGetDashboard),
+  'POST /dashboards/:id/update': withManageAuth(handleUpdateDashboard),
+  'POST /dashboards/:id/delete': withManageAuth(handleDeleteDashboard),
+  'POST /dashboards/:id/run': withReadAuth(handleRunDashboard),
+  'GET /api-keys':            withAdminAuth(handleListApiKeys),
+  'POST /api-keys':           withAdminAuth(handleCreateApiKey),
+  'POST /api-keys/:id/rotate': withAdminAuth(handleRotateApiKey),
+  'POST /api-keys/:id/revoke': withAdminAuth(handleRevokeApiKey),
 };
 
+// Routes with `:name` segments, matched after the exact ones
+const PARAM_ROUTES = Object.entries(ROUTES)
+  .filter(([route]) => route.includes('/:'))
+  .map(([route, handler]) => {
+    const [method, pattern] = route.split(' ');
+    const names = [];
+    const source = pattern.replace(/:([a-z_]+)/g, (_, name) => {
+      names.push(name);
+      return '([^/]+)';
+    });
+    return { method, regex: new RegExp(`^${source}$`), names, handler };
+  });
+
+/** `{ handler, params }` for a request, or null; params hold the decoded `:name` segments. */
+function findRoute(method, path) {
+  const exact = ROUTES[`${method} ${path}`];
+  if (exact) return { handler: exact, params: {} };
+  for (const route of PARAM_ROUTES) {
+    const match = route.method === method && path.match(route.regex);
+    if (match) {
+      try {
+        const params = Object.fromEntries(route.names.map((name, i) => [name, decodeURIComponent(match[i + 1])]));
+        return { handler: route.handler, params };
+      } catch {
+        return null; // malformed escapes cannot name anything
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * What a validator returns. With `projects`, every route only serves those
+ * projects and answers 403 FORBIDDEN for others (see createApiKeyAuth()).
+ * With `scopes`, routes that change or delete stored data also need the
+ * write scope. `project` names the project a write token belongs to, for
+ * requests that do not name one.
+ *
+ * @typedef {{ valid: boolean, error?: string, project?: string, projects?: string[]|null, scopes?: string[] }} AuthResult
+ */
+
 /**
  * Create an analytics request handler.
  *
  * @param {Object} opts
  * @param {import('./db/adapter.js').DbAdapter} opts.db
- * @param {(request: Request, body: any) => { valid: boolean, error?: string }} opts.validateWrite — required
- * @param {(request: Request, url: URL) => { valid: boolean }} opts.validateRead — required
+ * @param {(request: Request, body: any) => AuthResult|Promise<AuthResult>} opts.validateWrite — required
+ * @param {(request: Request, url: URL) => AuthResult|Promise<AuthResult>} opts.validateRead — required
+ * @param {(request: Request, url: URL) => AuthResult|Promise<AuthResult>} [opts.validateAdmin] — enables the /api-keys routes
  * @param {boolean} [opts.useQueue=false]
  * @param {Object} [opts.healthExtra={}]
+ * @param {boolean} [opts.requireCurrentSchema=false] — answer 503 SCHEMA_OUTDATED until migrate() has run
+ * @param {Array<(event: Object, ctx: { request: Request }) => Object|null>} [opts.enrichers=[]] — see enrichment.js
+ * @param {boolean} [opts.dropBots=true] — ignore writes from bot User-Agents; false lets them reach the enrichers
+ * @param {Object<string, string[]>|((project: string) => string[]|null|Promise<string[]|null>)} [opts.allowedOrigins]
+ *   — origins each project accepts writes from (see origins.js); projects without a list accept any
+ * @param {boolean} [opts.validateHostname=false] — also refuse events whose `hostname` property is not on the list
+ * @param {{ consume: (key: string, cost: number) => Promise<{ allowed: boolean, retry_after?: number, capacity?: number }> }} [opts.rateLimit]
+ *   — limits writes per project, token and client IP; see createRateLimiter()
+ * @param {number} [opts.trustedProxies=0] — proxies in front that append to X-Forwarded-For; 0 ignores it (see clientIp())
+ * @param {number} [opts.maxEventAgeMs=604800000] — refuse events whose `timestamp` is older than this (7 days)
  * @returns {(request: Request) => Promise<{ response: Response, writeOps?: Promise[], queueMessages?: any[] }>}
  */
-export function createAnalyticsHandler({ db, validateWrite, validateRead, useQueue = false, healthExtra = {} }) {
+export function createAnalyticsHandler({
+  db,
+  validateWrite,
+  validateRead,
+  validateAdmin,
+  useQueue = false,
+  healthExtra = {},
+  requireCurrentSchema = false,
+  enrichers = [],
+  dropBots = true,
+  allowedOrigins,
+  validateHostname = false,
+  rateLimit,
+  trustedProxies = 0,
+  maxEventAgeMs = INGEST_LIMITS.max_event_age_ms,
+}) {
   if (!validateWrite) throw new Error('validateWrite is required — provide an auth function for write endpoints');
   if (!validateRead) throw new Error('validateRead is required — provide an auth function for read endpoints');
+  const originsFor = allowedOrigins ? createOriginLookup(allowedOrigins) : null;
+  const trackingPlans = createTrackingPlanCache(db);
+
+  // With requireCurrentSchema, database routes answer 503 SCHEMA_OUTDATED
+  // until migrate() has run; the check stops once it has passed.
+  let schemaCurrent = !requireCurrentSchema;
 
   return async function handleRequest(request) {
+    // Projects the route checked auth against, to pick the response's CORS origin
+    const checkedProjects = new Set();
+    const result = await dispatch(request, checkedProjects);
+    await allowListedOrigin(request, result.response, originsFor, checkedProjects);
+    return result;
+  };
+
+  async function dispatch(request, checkedProjects) {
     const url = new URL(request.url);
     const path = url.pathname;
 
@@ -119,8 +497,17 @@ export function createAnalyticsHandler({ db, validateWrite, validateRead, useQue
     }
 
     try {
-      const handler = ROUTES[`${request.method} ${path}`];
-      if (handler) return await handler({ request, url, db, validateWrite, validateRead, useQueue });
+      const route = findRoute(request.method, path);
+      if (route) {
+        if (!schemaCurrent) {
+          await assertSchemaCurrent(db);
+          schemaCurrent = true;
+        }
+        return await route.handler({
+          request, url, params: route.params, db, validateWrite, validateRead, validateAdmin, useQueue, enrichers, dropBots,
+          originsFor, validateHostname, rateLimit, trustedProxies, trackingPlans, maxEventAgeMs, checkedProjects,
+        });
+      }
 
       return { response: json(errorResponse(ERROR_CODES.NOT_FOUND, 'not found'), 404) };
     } catch (err) {
@@ -130,31 +517,58 @@ export function createAnalyticsHandler({ db, validateWrite, validateRead, useQue
       console.error('Error:', err);
       return { response: json(errorResponse(ERROR_CODES.INTERNAL_ERROR, 'internal error'), 500) };
     }
-  };
+  }
 }
 
 // --- Individual handlers ---
 
-async function handleTrack({ body, db, useQueue }) {
-  const { project, event, properties, user_id, session_id, timestamp } = body;
+async function handleTrack(ctx) {
+  const { request, body, db, useQueue, enrichers, maxEventAgeMs } = ctx;
+  const normalized = normalizeEvent(body, { maxEventAgeMs });
+  if (normalized.reason) {
+    const code = normalized.reason === INVALID_EVENT_REASONS.MISSING_FIELDS ? ERROR_CODES.MISSING_FIELDS : ERROR_CODES.INVALID_BODY;
+    return {
+      response: json({ ...errorResponse(code, normalized.message), reason: normalized.reason }, 400),
+      writeOps: recordRejections(db, [body], normalized.reason),
+    };
+  }
+  const { project } = normalized.event;
 
-  if (!project || !event) {
-    return { response: json(errorResponse(ERROR_CODES.MISSING_FIELDS, 'project and event required'), 400) };
+  const { rejected } = await checkHostnames(ctx, [normalized.event]);
+  if (rejected.length > 0) {
+    return {
+      response: json(errorResponse(ERROR_CODES.ORIGIN_NOT_ALLOWED, `hostname not allowed for project: ${project}`), 403),
+      writeOps: recordRejections(db, rejected, REJECTION_REASONS.HOSTNAME),
+    };
   }
+  const plan = await applyTrackingPlans(ctx, [normalized.event]);
+  if (plan.rejected.length > 0) {
+    const violations = plan.violations.map(({ property, kind, message }) => ({ property, kind, message }));
+    return {
+      response: json({
+        ...errorResponse(ERROR_CODES.SCHEMA_VIOLATION, `event violates the tracking plan: ${violations.map(v => v.message).join('; ')}`),
+        violations,
+      }, 400),
+      writeOps: plan.writeOps,
+    };
+  }
+  const counted = plan.writeOps.length > 0 ? { writeOps: plan.writeOps } : {};
 
-  const eventData = { project, event, properties, user_id, session_id, timestamp: timestamp || Date.now() };
+  const [eventData] = await enrichEvents([normalized.event], enrichers, { request });
+  if (!eventData) return { response: json({ ok: true }), ...counted };
 
   if (useQueue) {
-    return { response: json({ ok: true }), queueMessages: [eventData] };
+    return { response: json({ ok: true }), queueMessages: [eventData], ...counted };
   }
 
   const writeOp = db.trackEvent(eventData)
     .catch(err => console.error('Track write failed:', err));
 
-  return { response: json({ ok: true }), writeOps: [writeOp] };
+  return { response: json({ ok: true }), writeOps: [writeOp, ...plan.writeOps] };
 }
 
-async function handleTrackBatch({ body, db, useQueue }) {
+async function handleTrackBatch(ctx) {
+  const { request, body, db, useQueue, enrichers, maxEventAgeMs } = ctx;
   const { events } = body;
 
   if (!Array.isArray(events) || events.length === 0) {
@@ -164,23 +578,48 @@ async function handleTrackBatch({ body, db, useQueue }) {
     return { response: json(errorResponse(ERROR_CODES.BATCH_TOO_LARGE, `max ${MAX_BATCH_SIZE} events per batch`), 400) };
   }
 
-  const normalized = events.map(e => ({
-    project: e.project,
-    event: e.event,
-    properties: e.properties,
-    user_id: e.user_id,
-    session_id: e.session_id,
-    timestamp: e.timestamp || Date.now(),
-  }));
+  // Invalid events, events off their project's hostname list and events
+  // refused by its tracking plan are left out and reported by index
+  const now = Date.now();
+  const valid = [];
+  const indexOf = new Map();
+  const refused = [];
+  events.forEach((input, index) => {
+    const normalized = normalizeEvent(input, { now, maxEventAgeMs });
+    if (normalized.reason) {
+      refused.push({ index, event: input, reason: normalized.reason });
+    } else {
+      valid.push(normalized.event);
+      indexOf.set(normalized.event, index);
+    }
+  });
+  const hostnames = await checkHostnames(ctx, valid);
+  for (const e of hostnames.rejected) refused.push({ index: indexOf.get(e), event: e, reason: REJECTION_REASONS.HOSTNAME });
+  const plan = await applyTrackingPlans(ctx, hostnames.allowed);
+  const allowed = plan.accepted;
+
+  // Plan refusals are already counted in schema_violations
+  const rejectionOps = [...recordRejectionReasons(db, refused), ...plan.writeOps];
+  for (const e of plan.rejected) refused.push({ index: indexOf.get(e), reason: TRACKING_PLAN_REJECTION });
+  const summary = {
+    ok: true,
+    count: allowed.length,
+    accepted: allowed.length,
+    rejected: refused.map(({ index, reason }) => ({ index, reason })).sort((a, b) => a.index - b.index),
+  };
+  const counted = rejectionOps.length > 0 ? { writeOps: rejectionOps } : {};
+
+  const enriched = await enrichEvents(allowed, enrichers, { request });
+  if (enriched.length === 0) return { response: json(summary), ...counted };
 
   if (useQueue) {
-    return { response: json({ ok: true, count: events.length }), queueMessages: normalized };
+    return { response: json(summary), queueMessages: enriched, ...counted };
   }
 
-  const writeOp = db.trackBatch(normalized)
+  const writeOp = db.trackBatch(enriched)
     .catch(err => console.error('Batch write failed:', err));
 
-  return { response: json({ ok: true, count: events.length }), writeOps: [writeOp] };
+  return { response: json(summary), writeOps: [writeOp, ...rejectionOps] };
 }
 
 async function handleIdentify({ body, db }) {
@@ -203,15 +642,33 @@ async function handleIdentify({ body, db }) {
   return { response: json({ ok: true }) };
 }
 
-async function handleListProjects({ db }) {
-  const projects = await db.listProjects();
+async function handleDeleteUser({ request, db }) {
+  const body = await request.json();
+  if (!body.project) return { response: json(errorResponse(ERROR_CODES.PROJECT_REQUIRED, 'project required'), 400) };
+
+  const result = await db.deleteUserData(body);
+  return { response: json({ ok: true, project: body.project, ...result }) };
+}
+
+async function handleExportUser({ request, db }) {
+  const body = await request.json();
+  if (!body.project) return { response: json(errorResponse(ERROR_CODES.PROJECT_REQUIRED, 'project required'), 400) };
+
+  const result = await db.exportUserData(body);
+  return { response: json({ project: body.project, ...result }) };
+}
+
+async function handleListProjects({ db, auth }) {
+  const projects = (await db.listProjects()).filter(project => projectAllowed(auth, project.id));
   return { response: json({ projects }) };
 }
 
 async function handleStats({ url, db, project }) {
   const since = url.searchParams.get('since') || undefined;
   const groupBy = url.searchParams.get('groupBy') || GRANULARITY.DAY;
-  const stats = await db.getStats({ project, since, groupBy });
+  const timezone = url.searchParams.get('timezone') || undefined;
+  const compare = parseCompareParams(url.searchParams);
+  const stats = await db.getStats({ project, since, groupBy, timezone, compare });
 
   return { response: json({ project, ...stats }) };
 }
@@ -220,10 +677,39 @@ async function handleEvents({ url, db, project }) {
   const event = url.searchParams.get('event');
   const session_id = url.searchParams.get('session_id');
   const since = url.searchParams.get('since') || undefined;
+  const until = url.searchParams.get('until') || undefined;
+  const cursor = url.searchParams.get('cursor') || undefined;
+  const filters = parseFiltersParam(url.searchParams);
   const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
 
-  const events = await db.getEvents({ project, event, session_id, since, limit });
-  return { response: json({ project, events }) };
+  const events = await db.getEvents({ project, event, session_id, since, until, cursor, filters, limit });
+  return { response: json({ project, events, next_cursor: nextCursor(CURSOR_KEYS.events, events, limit) }) };
+}
+
+async function handleExport({ url, db, project }) {
+  const params = url.searchParams;
+  const { format, contentType } = validateExportOptions({ format: params.get('format') || undefined });
+  const query = {
+    project,
+    event: params.get('event') || undefined,
+    filters: parseFiltersParam(params),
+    date_from: params.get('date_from') || undefined,
+    date_to: params.get('date_to') || undefined,
+  };
+
+  // The first page is read before responding so bad filters still get a JSON error
+  const firstPage = await db.exportEvents(query);
+  const filename = `${project}-events.${format}`.replace(/[^\w.-]/g, '_');
+  return {
+    response: new Response(createEventExportStream(db, query, firstPage, format), {
+      headers: {
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Cache-Control': 'no-store',
+        ...CORS_HEADERS,
+      },
+    }),
+  };
 }
 
 async function handleQuery({ request, db }) {
@@ -254,15 +740,48 @@ async function handlePaths({ request, db }) {
   }
 }
 
+async function handleFunnels({ request, db }) {
+  const body = await request.json();
+  if (!body.project) return { response: json(errorResponse(ERROR_CODES.PROJECT_REQUIRED, 'project required'), 400) };
+
+  try {
+    const result = await db.getFunnel(body);
+    return { response: json(result) };
+  } catch (err) {
+    if (err instanceof AnalyticsError) throw err;
+    console.error('Funnel error:', err);
+    return { response: json(errorResponse(ERROR_CODES.QUERY_FAILED, 'funnel query failed'), 400) };
+  }
+}
+
+async function handleRetention({ request, db }) {
+  const body = await request.json();
+  if (!body.project) return { response: json(errorResponse(ERROR_CODES.PROJECT_REQUIRED, 'project required'), 400) };
+
+  try {
+    const result = await db.getRetention(body);
+    return { response: json(result) };
+  } catch (err) {
+    if (err instanceof AnalyticsError) throw err;
+    console.error('Retention error:', err);
+    return { response: json(errorResponse(ERROR_CODES.QUERY_FAILED, 'retention query failed'), 400) };
+  }
+}
+
 async function handleSessions({ url, db, project }) {
   const since = url.searchParams.get('since') || undefined;
+  const until = url.searchParams.get('until') || undefined;
+  const cursor = url.searchParams.get('cursor') || undefined;
   const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
   const user_id = url.searchParams.get('user_id');
   const is_bounce_raw = url.searchParams.get('is_bounce');
+  if (is_bounce_raw !== null && is_bounce_raw !== '0' && is_bounce_raw !== '1') {
+    return { response: json(errorResponse(ERROR_CODES.MISSING_FIELDS, 'is_bounce must be 0 or 1'), 400) };
+  }
   const is_bounce = is_bounce_raw !== null ? Number(is_bounce_raw) : undefined;
 
-  const sessions = await db.getSessions({ project, since, user_id, is_bounce, limit });
-  return { response: json({ project, sessions }) };
+  const sessions = await db.getSessions({ project, since, until, user_id, is_bounce, cursor, limit });
+  return { response: json({ project, sessions, next_cursor: nextCursor(CURSOR_KEYS.sessions, sessions, limit) }) };
 }
 
 async function handlePropertiesReceived({ url, db, project }) {
@@ -280,20 +799,49 @@ async function handleProperties({ url, db, project }) {
   return { response: json({ project, ...result }) };
 }
 
+async function handleRejections({ url, db, project }) {
+  const since = url.searchParams.get('since') || undefined;
+  const result = await db.getRejectedEvents({ project, since });
+  return { response: json({ project, ...result }) };
+}
+
+async function handleGetTrackingPlan({ db, project }) {
+  const tracking_plan = await db.getTrackingPlan({ project });
+  return { response: json({ project, tracking_plan }) };
+}
+
+async function handleSetTrackingPlan({ request, db, trackingPlans }) {
+  const { body, error } = await readProjectBody(request);
+  if (error) return { response: error };
+
+  const tracking_plan = await db.setTrackingPlan(body);
+  trackingPlans.invalidate(body.project);
+  return { response: json({ tracking_plan }) };
+}
+
+async function handleTrackingPlanViolations({ url, db, project }) {
+  const since = url.searchParams.get('since') || undefined;
+  const event = url.searchParams.get('event') || undefined;
+  const result = await db.getSchemaViolations({ project, since, event });
+  return { response: json({ project, ...result }) };
+}
+
 async function handleBreakdown({ url, db, project }) {
   const property = url.searchParams.get('property');
   if (!property) return { response: json(errorResponse(ERROR_CODES.MISSING_FIELDS, 'property query parameter required'), 400) };
   const event = url.searchParams.get('event') || undefined;
   const since = url.searchParams.get('since') || undefined;
+  const filters = parseFiltersParam(url.searchParams);
   const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || TOP_EVENTS_LIMIT, 1), MAX_LIMIT);
 
-  const result = await db.getBreakdown({ project, property, event, since, limit });
+  const result = await db.getBreakdown({ project, property, event, since, filters, limit });
   return { response: json({ project, ...result }) };
 }
 
 async function handleInsights({ url, db, project }) {
   const period = url.searchParams.get('period') || '7d';
-  const result = await db.getInsights({ project, period });
+  const timezone = url.searchParams.get('timezone') || undefined;
+  const result = await db.getInsights({ project, period, timezone });
   return { response: json({ project, ...result }) };
 }
 
@@ -311,12 +859,221 @@ async function handlePages({ url, db, project }) {
 
 async function handleSessionDistribution({ url, db, project }) {
   const since = url.searchParams.get('since') || undefined;
-  const result = await db.getSessionDistribution({ project, since });
+  const timezone = url.searchParams.get('timezone') || undefined;
+  const result = await db.getSessionDistribution({ project, since, timezone });
   return { response: json({ project, ...result }) };
 }
 
 async function handleHeatmap({ url, db, project }) {
   const since = url.searchParams.get('since') || undefined;
-  const result = await db.getHeatmap({ project, since });
+  const timezone = url.searchParams.get('timezone') || undefined;
+  const result = await db.getHeatmap({ project, since, timezone });
   return { response: json({ project, ...result }) };
 }
+
+async function handleExperimentConfig({ db, project }) {
+  // No project to look up: the tracker falls back to equal weights
+  const experiments = project ? await db.getExperimentConfig({ project }) : [];
+  return { response: json({ experiments }) };
+}
+
+async function handleListExperiments({ url, db, project }) {
+  const status = url.searchParams.get('status') || undefined;
+  const include_archived = url.searchParams.get('include_archived') === 'true';
+  const experiments = await db.listExperiments({ project, status, include_archived });
+  return { response: json({ project, experiments }) };
+}
+
+async function readExperimentBody(request) {
+  const body = await request.json();
+  if (!body.project) return { error: json(errorResponse(ERROR_CODES.PROJECT_REQUIRED, 'project required'), 400) };
+  if (!body.key) return { error: json(errorResponse(ERROR_CODES.MISSING_FIELDS, 'key required'), 400) };
+  return { body };
+}
+
+async function handleCreateExperiment({ request, db }) {
+  const { body, error } = await readExperimentBody(request);
+  if (error) return { response: error };
+
+  const experiment = await db.createExperiment(body);
+  return { response: json({ experiment }, 201) };
+}
+
+async function handleUpdateExperiment({ request, db }) {
+  const { body, error } = await readExperimentBody(request);
+  if (error) return { response: error };
+
+  const experiment = await db.updateExperiment(body);
+  return { response: json({ experiment }) };
+}
+
+async function handleArchiveExperiment({ request, db }) {
+  const { body, error } = await readExperimentBody(request);
+  if (error) return { response: error };
+
+  const experiment = await db.archiveExperiment({ project: body.project, key: body.key });
+  return { response: json({ experiment }) };
+}
+
+async function handleExperimentResults({ request, db }) {
+  const body = await request.json();
+  if (!body.project) return { response: json(errorResponse(ERROR_CODES.PROJECT_REQUIRED, 'project required'), 400) };
+
+  try {
+    const result = await db.getExperimentResults(body);
+    return { response: json(result) };
+  } catch (err) {
+    if (err instanceof AnalyticsError) throw err;
+    console.error('Experiment results error:', err);
+    return { response: json(errorResponse(ERROR_CODES.QUERY_FAILED, 'experiment results query failed'), 400) };
+  }
+}
+
+// --- Saved queries and dashboards ---
+
+async function readProjectBody(request) {
+  const body = await request.json();
+  if (!body.project) return { error: json(errorResponse(ERROR_CODES.PROJECT_REQUIRED, 'project required'), 400) };
+  return { body };
+}
+
+async function handleListSavedQueries({ url, db, project }) {
+  const type = url.searchParams.get('type') || undefined;
+  const owner = url.searchParams.get('owner') || undefined;
+  const saved_queries = await db.listSavedQueries({ project, type, owner });
+  return { response: json({ project, saved_queries }) };
+}
+
+async function handleCreateSavedQuery({ request, db }) {
+  const { body, error } = await readProjectBody(request);
+  if (error) return { response: error };
+
+  const saved_query = await db.createSavedQuery(body);
+  return { response: json({ saved_query }, 201) };
+}
+
+async function handleGetSavedQuery({ db, project, params }) {
+  const saved_query = await db.getSavedQuery({ project, id: params.id });
+  if (!saved_query) return { response: json(errorResponse(ERROR_CODES.NOT_FOUND, `saved query not found: ${params.id}`), 404) };
+  return { response: json({ saved_query }) };
+}
+
+async function handleUpdateSavedQuery({ request, db, params }) {
+  const { body, error } = await readProjectBody(request);
+  if (error) return { response: error };
+
+  const saved_query = await db.updateSavedQuery({ ...body, id: params.id });
+  return { response: json({ saved_query }) };
+}
+
+async function handleDeleteSavedQuery({ request, db, params }) {
+  const { body, error } = await readProjectBody(request);
+  if (error) return { response: error };
+
+  const saved_query = await db.deleteSavedQuery({ project: body.project, id: params.id });
+  return { response: json({ saved_query }) };
+}
+
+async function handleRunSavedQuery({ request, db, params }) {
+  const { body, error } = await readProjectBody(request);
+  if (error) return { response: error };
+
+  try {
+    const result = await db.runSavedQuery({ project: body.project, id: params.id, overrides: body.overrides });
+    return { response: json({ project: body.project, ...result }) };
+  } catch (err) {
+    if (err instanceof AnalyticsError) throw err;
+    console.error('Saved query error:', err);
+    return { response: json(errorResponse(ERROR_CODES.QUERY_FAILED, 'saved query failed'), 400) };
+  }
+}
+
+async function handleListDashboards({ url, db, project }) {
+  const owner = url.searchParams.get('owner') || undefined;
+  const dashboards = await db.listDashboards({ project, owner });
+  return { response: json({ project, dashboards }) };
+}
+
+async function handleCreateDashboard({ request, db }) {
+  const { body, error } = await readProjectBody(request);
+  if (error) return { response: error };
+
+  const dashboard = await db.createDashboard(body);
+  return { response: json({ dashboard }, 201) };
+}
+
+async function handleGetDashboard({ db, project, params }) {
+  const result = await db.getDashboardWithQueries({ project, id: params.id });
+  return { response: json(result) };
+}
+
+async function handleUpdateDashboard({ request, db, params }) {
+  const { body, error } = await readProjectBody(request);
+  if (error) return { response: error };
+
+  const dashboard = await db.updateDashboard({ ...body, id: params.id });
+  return { response: json({ dashboard }) };
+}
+
+async function handleDeleteDashboard({ request, db, params }) {
+  const { body, error } = await readProjectBody(request);
+  if (error) return { response: error };
+
+  const dashboard = await db.deleteDashboard({ project: body.project, id: params.id });
+  return { response: json({ dashboard }) };
+}
+
+async function handleRunDashboard({ request, db, params }) {
+  const { body, error } = await readProjectBody(request);
+  if (error) return { response: error };
+
+  const result = await db.getDashboardWithQueries({ project: body.project, id: params.id, run: true, overrides: body.overrides });
+  return { response: json({ project: body.project, ...result }) };
+}
+
+// --- API keys ---
+
+/**
+ * Whether an admin result may manage a key for `projects`: admins limited
+ * to some projects only manage keys limited to a subset of them.
+ */
+function adminCovers(auth, projects) {
+  if (!Array.isArray(auth.projects)) return true;
+  return Array.isArray(projects) && projects.every(project => auth.projects.includes(project));
+}
+
+async function readManagedApiKey({ db, auth, params }) {
+  const apiKey = await db.getApiKey({ id: params.id });
+  if (!apiKey || !adminCovers(auth, apiKey.projects)) {
+    throw new AnalyticsError(ERROR_CODES.NOT_FOUND, `API key not found: ${params.id}`, 404);
+  }
+  return apiKey;
+}
+
+async function handleListApiKeys({ url, db, auth }) {
+  const include_revoked = url.searchParams.get('include_revoked') === 'true';
+  const api_keys = (await db.listApiKeys({ include_revoked })).filter(apiKey => adminCovers(auth, apiKey.projects));
+  return { response: json({ api_keys }) };
+}
+
+async function handleCreateApiKey({ request, db, auth }) {
+  const body = await request.json();
+  if (!adminCovers(auth, body.projects)) {
+    return { response: json(errorResponse(ERROR_CODES.FORBIDDEN, 'API key can only create keys for its own projects'), 403) };
+  }
+
+  const result = await db.createApiKey(body);
+  return { response: json(result, 201) };
+}
+
+async function handleRotateApiKey(ctx) {
+  await readManagedApiKey(ctx);
+  const result = await ctx.db.rotateApiKey({ id: ctx.params.id });
+  return { response: json(result) };
+}
+
+async function handleRevokeApiKey(ctx) {
+  await readManagedApiKey(ctx);
+  const api_key = await ctx.db.revokeApiKey({ id: ctx.params.id });
+  return { response: json({ api_key }) };
+}
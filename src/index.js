@@ -1,11 +1,23 @@
 export { createAnalyticsHandler } from './handler.js'
 export { BaseAdapter, validatePropertyKey } from './db/base-adapter.js'
 export { D1Adapter } from './db/d1.js'
-export { formatDate, today, daysAgo, parseSince, parseSinceMs } from './db/adapter.js'
+export { SQLITE_DIALECT, POSTGRES_DIALECT } from './db/dialect.js'
+export { migrate, assertSchemaCurrent, MIGRATIONS, LATEST_SCHEMA_VERSION } from './db/migrate.js'
+export { formatDate, today, daysAgo, parseSince, parseSinceMs, parseUntil } from './db/adapter.js'
 export { TRACKER_JS } from './tracker.js'
 export { TRACKER_SOURCE_JS } from './tracker-source.js'
 export { TRACKER_CHECKSUMS } from './tracker-checksums.js'
 export { isBot, classifyBot } from './bot.js'
+export {
+  parseUserAgent,
+  classifyReferrer,
+  countryEnricher,
+  userAgentEnricher,
+  referrerEnricher,
+  botEnricher,
+  builtinEnrichers,
+  enrichEvents,
+} from './enrichment.js'
 export { safeEqual, includesSafe } from './crypto.js'
 export { ERROR_CODES, AnalyticsError, errorResponse } from './errors.js'
 export {
@@ -18,6 +30,175 @@ export {
   buildPathsReport,
   buildPathsResponse,
 } from './path-analytics.js'
+export {
+  FUNNEL_STEP_ORDERS,
+  FUNNEL_COUNT_BY,
+  FUNNEL_DEFAULTS,
+  FUNNEL_LIMITS,
+  validateFunnelOptions,
+  buildFunnelQuery,
+  buildFunnelReport,
+  buildFunnelResponse,
+} from './funnel-analytics.js'
+export {
+  RETENTION_TYPES,
+  RETENTION_GRANULARITIES,
+  RETENTION_DEFAULTS,
+  RETENTION_LIMITS,
+  validateRetentionOptions,
+  buildRetentionQueries,
+  buildRetentionReport,
+  buildRetentionResponse,
+} from './retention-analytics.js'
+export {
+  DATA_SUBJECT_ACTIONS,
+  validateDataSubjectRequest,
+  hashDataSubject,
+  buildDataSubjectScope,
+  buildDataSubjectDeleteStatements,
+  buildDataSubjectAuditStatement,
+} from './data-subject.js'
+export { CURSOR_KEYS, encodeCursor, decodeCursor, nextCursor } from './cursor.js'
+export {
+  EXPORT_FORMATS,
+  EXPORT_DEFAULTS,
+  EXPORT_LIMITS,
+  EXPORT_COLUMNS,
+  validateExportOptions,
+  formatExportRow,
+  createEventExportStream,
+} from './event-export.js'
+export {
+  ROLLUP_SOURCES,
+  validateRollupRebuildOptions,
+  rollupsCover,
+  mergeRollupCoverage,
+  eventAggregates,
+  sessionAggregates,
+  buildRollupRebuildStatements,
+} from './rollups.js'
+export {
+  DEFAULT_TIMEZONE,
+  validateTimezone,
+  timezoneOffset,
+  zonedDate,
+  zonedToday,
+  parseZonedSince,
+  zonedBounds,
+  buildLocalTimeExpr,
+} from './timezone.js'
+export {
+  PERCENTILES,
+  PROPERTY_METRIC_FUNCTIONS,
+  parsePropertyMetric,
+  resolveQueryMetrics,
+  buildPropertyMetricSelect,
+  buildPercentileCte,
+} from './property-metrics.js'
+export {
+  TIME_GROUPS,
+  OTHER_GROUP,
+  resolveGroupBy,
+  timeGroupGranularity,
+} from './query-groups.js'
+export {
+  COMPARE_MODES,
+  delta,
+  resolveComparePeriod,
+  compareRows,
+} from './period-compare.js'
+export {
+  FILTER_TREE_OPS,
+  ALLOWED_FILTER_OPS,
+  FILTER_LIMITS,
+  validateFilters,
+  buildFilterSql,
+  compileFilterPattern,
+} from './filters.js'
+export {
+  DATA_RETENTION_DEFAULTS,
+  DATA_RETENTION_LIMITS,
+  validateDataRetentionOptions,
+  resolveDataRetentionPolicy,
+  buildDataRetentionQueries,
+  runScheduledRetention,
+} from './data-retention.js'
+export {
+  normalizeVariants,
+  validateExperimentInput,
+  validateExperimentUpdate,
+  buildExperimentConfig,
+  validateExperimentResultsOptions,
+  buildExperimentResultsQuery,
+  buildExperimentResults,
+} from './experiments.js'
+export {
+  SAVED_QUERY_TYPES,
+  RUN_OVERRIDES,
+  SAVED_QUERY_LIMITS,
+  validateSavedQueryInput,
+  validateSavedQueryUpdate,
+  validateDashboardInput,
+  validateDashboardUpdate,
+  buildRunOptions,
+} from './saved-queries.js'
+export {
+  API_KEY_SCOPES,
+  API_KEY_PREFIX,
+  API_KEY_LIMITS,
+  generateApiKey,
+  hashApiKey,
+  apiKeyPrefix,
+  validateApiKeyInput,
+  parseApiKeyRow,
+  hasScope,
+  projectAllowed,
+  createApiKeyAuth,
+} from './api-keys.js'
+export {
+  REJECTION_REASONS,
+  normalizeAllowedOrigins,
+  createOriginLookup,
+  requestOrigin,
+  originAllowed,
+  hostnameAllowed,
+} from './origins.js'
+export {
+  RATE_LIMIT_DEFAULTS,
+  createMemoryRateLimitStore,
+  createRateLimiter,
+  clientIp,
+  rateLimitKey,
+} from './rate-limit.js'
+export {
+  TRACKING_PLAN_MODES,
+  PROPERTY_TYPES,
+  VIOLATION_KINDS,
+  TRACKING_PLAN_REJECTION,
+  TRACKING_PLAN_LIMITS,
+  TRACKING_PLAN_CACHE_MS,
+  TRACKING_PLAN_CACHE_KEYS,
+  validateTrackingPlanInput,
+  parseTrackingPlanRow,
+  checkTrackedEvent,
+  createTrackingPlanCache,
+} from './tracking-plan.js'
+
+export {
+  INGEST_LIMITS,
+  INVALID_EVENT_REASONS,
+  readJsonBody,
+  normalizeEvent,
+} from './normalize.js'
+export {
+  normalCdf,
+  normalQuantile,
+  chiSquarePValue,
+  wilsonInterval,
+  twoProportionZTest,
+  chiSquareIndependence,
+  chiSquareGoodnessOfFit,
+} from './stats.js'
 export {
   GRANULARITY, VALID_GRANULARITIES,
   METRICS, ALLOWED_METRICS,
@@ -29,4 +210,7 @@ export {
   TOP_EVENTS_LIMIT, MAX_BATCH_SIZE, MAX_BODY_BYTES,
   DEFAULT_SAMPLE_SIZE, MIN_SAMPLE_SIZE, MAX_SAMPLE_SIZE,
   DAY_NAMES, VALID_PAGE_TYPES, VALID_PERIODS,
+  EXPERIMENT_STATUSES, ALLOWED_EXPERIMENT_STATUSES, EXPERIMENT_EXPOSURE_EVENT,
+  MIN_EXPERIMENT_VARIANTS, MAX_EXPERIMENT_VARIANTS, EXPERIMENT_WEIGHT_TOTAL,
+  DEFAULT_EXPERIMENT_CONFIDENCE, SRM_P_VALUE_THRESHOLD,
 } from './constants.js'
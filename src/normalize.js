@@ -0,0 +1,138 @@
+/**
+ * Ingest normalization: what the write endpoints accept from clients.
+ *
+ * Bodies are read up to MAX_BODY_BYTES and must be JSON. Each event then
+ * needs a string `project` and `event`; `properties` must be an object;
+ * `user_id` and `session_id` may be strings or numbers (stored as strings)
+ * of at most 256 chars; `timestamp` is epoch milliseconds or an ISO date.
+ * A timestamp slightly ahead of the server's clock is clamped to now, and
+ * one further ahead or older than `maxEventAgeMs` is refused, so a wrong
+ * client clock cannot scatter events over years of reports.
+ *
+ * Refused events carry a machine-readable reason: a batch keeps its other
+ * events and lists the refused ones by index.
+ */
+
+import { AnalyticsError, ERROR_CODES } from './errors.js';
+import { MAX_BODY_BYTES, MS_PER_DAY } from './constants.js';
+
+export const INGEST_LIMITS = Object.freeze({
+  id_length: 256,
+  event_length: 256,
+  max_event_age_ms: 7 * MS_PER_DAY,
+  // Clocks this far ahead are clamped to now; further ahead is refused
+  max_clock_skew_ms: MS_PER_DAY,
+});
+
+export const INVALID_EVENT_REASONS = Object.freeze({
+  MISSING_FIELDS: 'missing_fields',
+  INVALID_PROJECT: 'invalid_project',
+  INVALID_EVENT: 'invalid_event',
+  INVALID_PROPERTIES: 'invalid_properties',
+  INVALID_USER_ID: 'invalid_user_id',
+  INVALID_SESSION_ID: 'invalid_session_id',
+  INVALID_TIMESTAMP: 'invalid_timestamp',
+  TIMESTAMP_OUT_OF_RANGE: 'timestamp_out_of_range',
+});
+
+/**
+ * The JSON body of a write, read up to `maxBytes`. Throws 413
+ * PAYLOAD_TOO_LARGE past that and 400 INVALID_BODY for anything but JSON.
+ */
+export async function readJsonBody(request, maxBytes = MAX_BODY_BYTES) {
+  const tooLarge = () => new AnalyticsError(ERROR_CODES.PAYLOAD_TOO_LARGE, `request body exceeds ${maxBytes} bytes`, 413);
+  if (Number(request.headers.get('Content-Length')) > maxBytes) throw tooLarge();
+
+  // Content-Length may be absent or wrong, so count while reading
+  const chunks = [];
+  let size = 0;
+  if (request.body) {
+    const reader = request.body.getReader();
+    for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+      size += chunk.value.byteLength;
+      if (size > maxBytes) {
+        await reader.cancel();
+        throw tooLarge();
+      }
+      chunks.push(chunk.value);
+    }
+  }
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  try {
+    return JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    throw new AnalyticsError(ERROR_CODES.INVALID_BODY, 'request body must be JSON', 400);
+  }
+}
+
+function refuse(reason, message) {
+  return { reason, message };
+}
+
+/** An id as a string, undefined when absent, or null when unusable. */
+function normalizeId(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+  if (typeof value === 'string' && value.length <= INGEST_LIMITS.id_length) return value;
+  return null;
+}
+
+function parseTimestamp(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? Math.floor(value) : null;
+  if (typeof value === 'string') {
+    const ms = Date.parse(value);
+    return Number.isNaN(ms) ? null : ms;
+  }
+  return null;
+}
+
+/**
+ * One written event as stored, or why it is refused.
+ *
+ * @param {any} input — an event of a batch, or the /track body
+ * @param {Object} [opts]
+ * @param {number} [opts.now=Date.now()]
+ * @param {number} [opts.maxEventAgeMs=INGEST_LIMITS.max_event_age_ms]
+ * @returns {{ event: Object }|{ reason: string, message: string }}
+ */
+export function normalizeEvent(input, { now = Date.now(), maxEventAgeMs = INGEST_LIMITS.max_event_age_ms } = {}) {
+  if (input === null || typeof input !== 'object' || Array.isArray(input) || !input.project || !input.event) {
+    return refuse(INVALID_EVENT_REASONS.MISSING_FIELDS, 'project and event required');
+  }
+  const { project, event, properties } = input;
+  if (typeof project !== 'string') return refuse(INVALID_EVENT_REASONS.INVALID_PROJECT, 'project must be a string');
+  if (typeof event !== 'string' || event.length > INGEST_LIMITS.event_length) {
+    return refuse(INVALID_EVENT_REASONS.INVALID_EVENT, `event must be a string (max ${INGEST_LIMITS.event_length} chars)`);
+  }
+  if (properties != null && (typeof properties !== 'object' || Array.isArray(properties))) {
+    return refuse(INVALID_EVENT_REASONS.INVALID_PROPERTIES, 'properties must be an object');
+  }
+
+  const user_id = normalizeId(input.user_id);
+  if (user_id === null) {
+    return refuse(INVALID_EVENT_REASONS.INVALID_USER_ID, `user_id must be a string or number (max ${INGEST_LIMITS.id_length} chars)`);
+  }
+  const session_id = normalizeId(input.session_id);
+  if (session_id === null) {
+    return refuse(INVALID_EVENT_REASONS.INVALID_SESSION_ID, `session_id must be a string or number (max ${INGEST_LIMITS.id_length} chars)`);
+  }
+
+  let timestamp = now;
+  if (input.timestamp) {
+    timestamp = parseTimestamp(input.timestamp);
+    if (timestamp === null) {
+      return refuse(INVALID_EVENT_REASONS.INVALID_TIMESTAMP, 'timestamp must be epoch milliseconds or an ISO 8601 date');
+    }
+    if (timestamp > now + INGEST_LIMITS.max_clock_skew_ms || timestamp < now - maxEventAgeMs) {
+      return refuse(INVALID_EVENT_REASONS.TIMESTAMP_OUT_OF_RANGE, 'timestamp is too far from the server time');
+    }
+    timestamp = Math.min(timestamp, now);
+  }
+
+  return { event: { project, event, properties, user_id, session_id, timestamp } };
+}
@@ -0,0 +1,94 @@
+/**
+ * Per-project origin allowlists for the public write endpoints.
+ *
+ * The write token sits in page source, so anyone can copy it. An allowlist
+ * stops other sites from sending events with it: browsers always name the
+ * page's origin in `Origin` (or at least `Referer`), and writes whose origin
+ * is not listed for their project are rejected and counted in
+ * `rejected_events` instead of stored. Callers that send neither header,
+ * such as servers, are not affected; give them API keys instead.
+ *
+ * Entries are full origins (`https://example.com`, scheme and port must
+ * match) or hostnames, where `*.example.com` matches any subdomain but not
+ * example.com itself. With hostname validation on, the tracker's
+ * `hostname` property must match the list too.
+ */
+
+export const REJECTION_REASONS = Object.freeze({
+  ORIGIN: 'origin_not_allowed',
+  HOSTNAME: 'hostname_not_allowed',
+});
+
+const HOSTNAME_PATTERN = /^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/;
+
+/** Validate one project's allowlist. Returns the entries lowercased. */
+export function normalizeAllowedOrigins(entries, project = 'project') {
+  if (!Array.isArray(entries)) throw new Error(`allowedOrigins for ${project} must be an array`);
+  return entries.map((entry) => {
+    const value = typeof entry === 'string' ? entry.trim().toLowerCase() : '';
+    if (value.includes('://')) {
+      let url;
+      try {
+        url = new URL(value);
+      } catch {
+        url = null;
+      }
+      if (url && url.origin === value && HOSTNAME_PATTERN.test(url.hostname) && !url.hostname.startsWith('*')) return value;
+    } else if (HOSTNAME_PATTERN.test(value)) {
+      return value;
+    }
+    throw new Error(`invalid allowed origin for ${project}: ${entry} (use https://host[:port], host or *.host)`);
+  });
+}
+
+/**
+ * `(project) => Promise<string[]|null>` for the handler's `allowedOrigins`
+ * option: a `{ [project]: entries }` map, checked up front, or a function
+ * returning the entries (null: any origin), checked on each call.
+ */
+export function createOriginLookup(allowedOrigins) {
+  if (typeof allowedOrigins === 'function') {
+    return async (project) => {
+      const entries = await allowedOrigins(project);
+      return entries == null ? null : normalizeAllowedOrigins(entries, project);
+    };
+  }
+  const lists = new Map(Object.entries(allowedOrigins).map(([project, entries]) => [project, normalizeAllowedOrigins(entries, project)]));
+  return async (project) => lists.get(project) ?? null;
+}
+
+/** The origin a request comes from: `Origin`, else the origin of `Referer`, else null. */
+export function requestOrigin(request) {
+  const origin = request.headers.get('Origin');
+  if (origin) return origin.toLowerCase();
+  const referer = request.headers.get('Referer');
+  if (!referer) return null;
+  try {
+    return new URL(referer).origin.toLowerCase();
+  } catch {
+    return 'null';
+  }
+}
+
+function hostnameMatches(hostname, entry) {
+  if (entry.startsWith('*.')) return hostname.endsWith(entry.slice(1));
+  return hostname === entry;
+}
+
+/** Whether `origin` is on the list; `"null"` (sandboxed or file pages) never is. */
+export function originAllowed(origin, entries) {
+  if (origin === 'null') return false;
+  let hostname;
+  try {
+    hostname = new URL(origin).hostname;
+  } catch {
+    return false;
+  }
+  return entries.some(entry => (entry.includes('://') ? entry === origin : hostnameMatches(hostname, entry)));
+}
+
+/** Whether a page `hostname` is on the list; full-origin entries match on their host. */
+export function hostnameAllowed(hostname, entries) {
+  const value = hostname.toLowerCase();
+  return entries.some(entry => hostnameMatches(value, entry.includes('://') ? new URL(entry).hostname : entry));
+}
@@ -1,5 +1,6 @@
 import { parseSince, today } from './db/adapter.js';
 import { AnalyticsError, ERROR_CODES } from './errors.js';
+import { SQLITE_DIALECT } from './db/dialect.js';
 
 export const VALID_PATHS_SINCE = Object.freeze(['1d', '7d', '14d', '30d', '90d']);
 export const PATHS_DEFAULTS = Object.freeze({
@@ -186,7 +187,7 @@ export function validatePathsOptions(options = {}) {
   };
 }
 
-export function buildPathsQueries({ project, fromDate, entryLimit, candidateSessionCap }) {
+export function buildPathsQueries({ project, fromDate, entryLimit, candidateSessionCap, dialect = SQLITE_DIALECT }) {
   return [
     {
       sql: `SELECT entry_page,
@@ -225,7 +226,7 @@ export function buildPathsQueries({ project, fromDate, entryLimit, candidateSess
                    cs.entry_page,
                    cs.exit_page,
                    e.event,
-                   json_extract(e.properties, '$.path') as path,
+                   ${dialect.jsonExtract('e.properties', 'path')} as path,
                    e.timestamp
             FROM candidate_sessions cs
             JOIN events e
@@ -0,0 +1,168 @@
+/**
+ * Period-over-period comparison for query() and getStats().
+ *
+ * `compare` names the period to hold the report against:
+ *
+ *   'previous_period'          the same number of days just before
+ *   'previous_year'            the same dates one year earlier
+ *   { date_from, date_to }     any other range
+ *
+ * The report runs again over that period, and each row or bucket gains
+ * `previous`, `change` and `change_pct` objects keyed by metric, with the
+ * same semantics as getInsights(). Rows are matched on their group values,
+ * except time buckets, which match on their offset from the start of each
+ * period: day 3 of this week against day 3 of last week.
+ */
+
+import { AnalyticsError, ERROR_CODES } from './errors.js';
+import { GRANULARITY, MS_PER_DAY } from './constants.js';
+import { formatDate } from './db/adapter.js';
+import { shiftDate, timezoneOffset, zonedBounds } from './timezone.js';
+
+export const COMPARE_MODES = Object.freeze({
+  PREVIOUS_PERIOD: 'previous_period',
+  PREVIOUS_YEAR: 'previous_year',
+  CUSTOM: 'custom',
+});
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MS_PER_HOUR = 3_600_000;
+
+function invalidCompare(message) {
+  return new AnalyticsError(ERROR_CODES.INVALID_COMPARE, message, 400);
+}
+
+/**
+ * `{ current, previous, change, change_pct }` for one metric. `change_pct`
+ * is rounded to whole percent, and null when growing from zero; either
+ * side being null (a property metric with no values) leaves both changes null.
+ */
+export function delta(current, previous) {
+  if (current == null || previous == null) return { current, previous, change: null, change_pct: null };
+  const change = current - previous;
+  const change_pct = previous > 0 ? Math.round((change / previous) * 100) : (current > 0 ? null : 0);
+  return { current, previous, change, change_pct };
+}
+
+/** The same calendar day a year before `date`; Feb 29 falls back to Feb 28. */
+function shiftYear(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year - 1, month, 0)).getUTCDate();
+  return formatDate(Date.UTC(year - 1, month - 1, Math.min(day, lastDay)));
+}
+
+function shiftYearMs(ms) {
+  const date = formatDate(ms);
+  return ms + Date.parse(shiftYear(date)) - Date.parse(date);
+}
+
+function isDate(value) {
+  return typeof value === 'string' && DATE_PATTERN.test(value) && formatDate(Date.parse(value)) === value;
+}
+
+/**
+ * Resolve `compare` against the report's period: null without one, else
+ * `{ mode, from, to, fromMs, toMs }` for the previous period. The epoch-ms
+ * bounds (toMs exclusive) are shifted from the current ones, or the local
+ * day bounds of a custom range, so hourly series line up on the hour.
+ *
+ * @param {string|{date_from: string, date_to: string}} [compare]
+ * @param {Object} period — `from`/`to` dates, `fromMs`/`toMs` and `timezone` of the report
+ */
+export function resolveComparePeriod(compare, { from, to, fromMs, toMs, timezone }) {
+  if (compare === undefined || compare === null || compare === '') return null;
+
+  if (compare === COMPARE_MODES.PREVIOUS_PERIOD) {
+    const days = Math.round((Date.parse(to) - Date.parse(from)) / MS_PER_DAY) + 1;
+    return {
+      mode: compare,
+      from: shiftDate(from, -days),
+      to: shiftDate(to, -days),
+      fromMs: fromMs - days * MS_PER_DAY,
+      toMs: toMs - days * MS_PER_DAY,
+    };
+  }
+
+  if (compare === COMPARE_MODES.PREVIOUS_YEAR) {
+    return { mode: compare, from: shiftYear(from), to: shiftYear(to), fromMs: shiftYearMs(fromMs), toMs: shiftYearMs(toMs) };
+  }
+
+  if (typeof compare === 'object' && !Array.isArray(compare)) {
+    const { date_from, date_to } = compare;
+    if (!isDate(date_from) || !isDate(date_to)) {
+      throw invalidCompare('compare range needs date_from and date_to as YYYY-MM-DD');
+    }
+    if (date_from > date_to) throw invalidCompare('compare date_from must not be after date_to');
+    const bounds = zonedBounds(timezone, date_from, date_to);
+    return { mode: COMPARE_MODES.CUSTOM, from: date_from, to: date_to, fromMs: bounds.fromMs, toMs: bounds.toMs };
+  }
+
+  throw invalidCompare(
+    `invalid compare: ${JSON.stringify(compare)}. allowed: ${COMPARE_MODES.PREVIOUS_PERIOD}, ${COMPARE_MODES.PREVIOUS_YEAR}, or { date_from, date_to }`,
+  );
+}
+
+/**
+ * The first bucket of a period at `granularity`, in the form the dialect's
+ * dateBucket() and hourBucket() return; bucketOffset() counts from it.
+ */
+export function bucketStart(granularity, { from, fromMs, timezone }) {
+  if (granularity === GRANULARITY.HOUR) {
+    return `${new Date(fromMs + timezoneOffset(timezone, fromMs)).toISOString().slice(0, 13)}:00`;
+  }
+  if (granularity === GRANULARITY.WEEK) return shiftDate(from, -((new Date(`${from}T00:00:00Z`).getUTCDay() + 6) % 7));
+  if (granularity === GRANULARITY.MONTH) return from.slice(0, 7);
+  return from;
+}
+
+/** Whole buckets from `start` to `bucket`; null for a bucket that is not a time value. */
+export function bucketOffset(granularity, bucket, start) {
+  if (typeof bucket !== 'string') return null;
+  if (granularity === GRANULARITY.MONTH) {
+    const months = (value) => Number(value.slice(0, 4)) * 12 + Number(value.slice(5, 7));
+    return months(bucket) - months(start);
+  }
+  if (granularity === GRANULARITY.HOUR) {
+    return Math.round((Date.parse(`${bucket}:00Z`) - Date.parse(`${start}:00Z`)) / MS_PER_HOUR);
+  }
+  const days = Math.round((Date.parse(bucket) - Date.parse(start)) / MS_PER_DAY);
+  return granularity === GRANULARITY.WEEK ? Math.round(days / 7) : days;
+}
+
+/**
+ * Rows with `previous`, `change` and `change_pct` objects for `metrics`,
+ * matched to `previousRows` by key. A row without a match compares `counts`
+ * metrics against zero and the rest against null; a null key (the query()
+ * "other" row) never matches. `labels` copies the matched row's values
+ * into `previous`, e.g. the bucket it was compared with; a row with a null
+ * key keeps its own, so the "other" row reads $other in both periods.
+ *
+ * @param {Object[]} rows
+ * @param {Object[]} previousRows
+ * @param {Object} opts
+ * @param {(row: Object) => string|null} opts.currentKey
+ * @param {(row: Object) => string|null} [opts.previousKey] — defaults to currentKey
+ * @param {string[]} opts.metrics
+ * @param {string[]} [opts.counts] — metrics that are zero where no row exists
+ * @param {string[]} [opts.labels]
+ */
+export function compareRows(rows, previousRows, { currentKey, previousKey = currentKey, metrics, counts = metrics, labels = [] }) {
+  const byKey = new Map(previousRows.map((row) => [previousKey(row), row]));
+  return rows.map((row) => {
+    const key = currentKey(row);
+    const match = key === null ? undefined : byKey.get(key);
+    const previous = Object.fromEntries(labels.map((label) => [label, key === null ? row[label] : match?.[label] ?? null]));
+    const change = {};
+    const change_pct = {};
+    for (const metric of metrics) {
+      const isCount = counts.includes(metric);
+      const fallback = isCount && key !== null ? 0 : null;
+      const current = isCount ? (row[metric] ?? 0) : row[metric];
+      const d = delta(current, match ? (isCount ? (match[metric] ?? 0) : match[metric]) : fallback);
+      previous[metric] = d.previous;
+      change[metric] = d.change;
+      change_pct[metric] = d.change_pct;
+    }
+    return { ...row, previous, change, change_pct };
+  });
+}
@@ -0,0 +1,112 @@
+/**
+ * Property metrics for query() — aggregates over an event property, such as
+ * `{ sum: 'properties.amount' }` or `{ p75: 'properties.lcp' }`, next to the
+ * built-in count metrics and under the same group_by and filters.
+ *
+ * Numeric aggregates only see JSON numbers; strings, booleans and missing
+ * values are skipped, as SQL aggregates skip NULL. Percentiles interpolate
+ * between the two nearest values like PostgreSQL's percentile_cont, but
+ * are written with window functions so SQLite needs no extension.
+ */
+
+import { AnalyticsError, ERROR_CODES } from './errors.js';
+import { ALLOWED_METRICS } from './constants.js';
+import { SQLITE_DIALECT } from './db/dialect.js';
+import { validatePropertyKey } from './filters.js';
+
+export const PERCENTILES = Object.freeze({ p50: 0.5, p75: 0.75, p90: 0.9, p99: 0.99 });
+
+const AGGREGATES = Object.freeze({ sum: 'SUM', avg: 'AVG', min: 'MIN', max: 'MAX' });
+
+export const PROPERTY_METRIC_FUNCTIONS = Object.freeze([
+  ...Object.keys(AGGREGATES), 'count_distinct', ...Object.keys(PERCENTILES),
+]);
+
+function invalidMetric(metric, reason) {
+  return new AnalyticsError(
+    ERROR_CODES.INVALID_METRIC,
+    `invalid metric: ${JSON.stringify(metric)}. ${reason}`,
+    400,
+  );
+}
+
+export function isPropertyMetric(metric) {
+  return metric !== null && typeof metric === 'object' && !Array.isArray(metric);
+}
+
+/**
+ * `{ fn, key, name }` for a property metric object: the function, the
+ * property key (still to be checked with validatePropertyKey) and the
+ * result column, e.g. `p75_lcp`.
+ */
+export function parsePropertyMetric(metric) {
+  const entries = Object.entries(metric);
+  if (entries.length !== 1 || !PROPERTY_METRIC_FUNCTIONS.includes(entries[0][0])) {
+    throw invalidMetric(metric, `property metrics take one of: ${PROPERTY_METRIC_FUNCTIONS.join(', ')}`);
+  }
+  const [fn, field] = entries[0];
+  if (typeof field !== 'string' || !field.startsWith('properties.')) {
+    throw invalidMetric(metric, 'property metrics take a properties.<key> field');
+  }
+  const key = field.slice('properties.'.length);
+  return { fn, key, name: `${fn}_${key}` };
+}
+
+/**
+ * query() `metrics` with property metrics parsed: built-in metric names
+ * stay strings, property metrics become `{ fn, key, name }`. Throws 400
+ * INVALID_METRIC for anything else, a repeated property metric, or a
+ * `metrics` that is not an array.
+ */
+export function resolveQueryMetrics(metrics) {
+  if (!Array.isArray(metrics)) {
+    throw new AnalyticsError(ERROR_CODES.INVALID_METRIC, 'metrics must be an array of metric names or property metrics', 400);
+  }
+  const names = new Set();
+  return metrics.map((m) => {
+    if (!isPropertyMetric(m)) {
+      if (!ALLOWED_METRICS.includes(m)) throw new AnalyticsError(ERROR_CODES.INVALID_METRIC, `invalid metric: ${m}. allowed: ${ALLOWED_METRICS.join(', ')}, or { sum|avg|min|max|count_distinct|p50|p75|p90|p99: "properties.<key>" }`, 400);
+      return m;
+    }
+    const parsed = parsePropertyMetric(m);
+    validatePropertyKey(parsed.key);
+    if (names.has(parsed.name)) throw new AnalyticsError(ERROR_CODES.INVALID_METRIC, `duplicate metric: ${parsed.name}`, 400);
+    names.add(parsed.name);
+    return parsed;
+  });
+}
+
+/** Aggregate select for a non-percentile property metric over `filtered current`. */
+export function buildPropertyMetricSelect({ fn, key, name }, dialect = SQLITE_DIALECT) {
+  if (fn === 'count_distinct') {
+    return `COUNT(DISTINCT ${dialect.jsonExtract('current.properties', key)}) as ${name}`;
+  }
+  return `${AGGREGATES[fn]}(${dialect.jsonNumber('current.properties', key)}) as ${name}`;
+}
+
+/**
+ * A CTE named `cte` with one row per group_by combination (or one row
+ * overall) holding the percentile as `value`, read from CTE `source`.
+ * query() LEFT JOINs it on the group columns and selects MAX(cte.value).
+ *
+ * Rows are ranked 1..n per group; the percentile sits at rank
+ * 1 + p * (n - 1), between the values ranked at its floor and ceiling.
+ */
+export function buildPercentileCte({ fn, key }, cte, groupBy, dialect = SQLITE_DIALECT, source = 'filtered') {
+  const groups = groupBy.map(column => `${column}, `).join('');
+  const partition = groupBy.length > 0 ? `PARTITION BY ${groupBy.join(', ')} ` : '';
+  const rank = `1 + ${PERCENTILES[fn]} * (n - 1)`;
+  const below = `MAX(CASE WHEN rn <= ${rank} THEN v END)`;
+  const above = `MIN(CASE WHEN rn >= ${rank} THEN v END)`;
+  return `${cte} AS (
+      SELECT ${groups}${below}
+        + (MAX(${rank}) - MAX(CASE WHEN rn <= ${rank} THEN rn END)) * (${above} - ${below}) as value
+      FROM (
+        SELECT ${groups}v,
+               ROW_NUMBER() OVER (${partition}ORDER BY v) as rn,
+               COUNT(*) OVER (${partition.trim()}) as n
+        FROM (SELECT ${groups}${dialect.jsonNumber('properties', key)} as v FROM ${source}) valued
+        WHERE v IS NOT NULL
+      ) ranked${groupBy.length > 0 ? `\n      GROUP BY ${groupBy.join(', ')}` : ''}
+    )`;
+}
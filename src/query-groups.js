@@ -0,0 +1,87 @@
+/**
+ * group_by dimensions for query() beyond the stored columns: event
+ * properties (`properties.<key>`) and time buckets (`hour`, `week`,
+ * `month`, `day_of_week`), combinable with each other and with the
+ * built-in GROUP_BY_FIELDS.
+ *
+ * Derived dimensions are computed once as extra columns of the `filtered`
+ * CTE, so metrics, percentiles and count modes group on them exactly like
+ * stored columns. Time buckets follow the query's timezone.
+ */
+
+import { AnalyticsError, ERROR_CODES } from './errors.js';
+import { SQLITE_DIALECT } from './db/dialect.js';
+import { ALLOWED_GROUP_BY, GRANULARITY, GROUP_BY_FIELDS } from './constants.js';
+
+export const TIME_GROUPS = Object.freeze({
+  HOUR: 'hour', WEEK: 'week', MONTH: 'month', DAY_OF_WEEK: 'day_of_week',
+});
+
+/** Group value of the row that folds every group past the query's limit. */
+export const OTHER_GROUP = '$other';
+
+const PROPERTY_KEY_PATTERN = /^[a-zA-Z0-9_]+$/;
+
+function invalidGroupBy(message) {
+  return new AnalyticsError(ERROR_CODES.INVALID_GROUP_BY, message, 400);
+}
+
+/** True for group_by entries that order chronologically: date and the time buckets. */
+export function isTimeGroup(name) {
+  return name === GROUP_BY_FIELDS.DATE || Object.values(TIME_GROUPS).includes(name);
+}
+
+/**
+ * GRANULARITY of a time group that counts in buckets from a start, such as
+ * the day of `date` or the hour of `hour`; null for day_of_week and other
+ * groups, whose values recur.
+ */
+export function timeGroupGranularity(name) {
+  if (name === GROUP_BY_FIELDS.DATE) return GRANULARITY.DAY;
+  if (name === TIME_GROUPS.HOUR || name === TIME_GROUPS.WEEK || name === TIME_GROUPS.MONTH) return name;
+  return null;
+}
+
+/**
+ * Resolve group_by entries to `{ name, column, expr }`: `name` as given
+ * (the key in result rows), `column` a plain SQL identifier, and `expr`
+ * the SQL computing it, or null for stored columns.
+ *
+ * @param {string[]} groupBy
+ * @param {Object} [opts]
+ * @param {string} [opts.localTime] — epoch-ms expression in the query's timezone
+ * @param {typeof SQLITE_DIALECT} [opts.dialect]
+ */
+export function resolveGroupBy(groupBy, { localTime = 'timestamp', dialect = SQLITE_DIALECT } = {}) {
+  if (!Array.isArray(groupBy)) throw invalidGroupBy('group_by must be an array');
+  const seen = new Set();
+  return groupBy.map((name) => {
+    if (seen.has(name)) throw invalidGroupBy(`duplicate group_by: ${name}`);
+    seen.add(name);
+    if (ALLOWED_GROUP_BY.includes(name)) return { name, column: name, expr: null };
+
+    if (name === TIME_GROUPS.HOUR) return { name, column: name, expr: dialect.hourBucket(localTime) };
+    if (name === TIME_GROUPS.WEEK) return { name, column: name, expr: dialect.dateBucket('date', GRANULARITY.WEEK) };
+    if (name === TIME_GROUPS.MONTH) return { name, column: name, expr: dialect.dateBucket('date', GRANULARITY.MONTH) };
+    if (name === TIME_GROUPS.DAY_OF_WEEK) return { name, column: name, expr: dialect.dayOfWeek('date') };
+
+    if (typeof name === 'string' && name.startsWith('properties.')) {
+      const key = name.slice('properties.'.length);
+      if (!key || key.length > 128 || !PROPERTY_KEY_PATTERN.test(key)) {
+        throw new AnalyticsError(ERROR_CODES.INVALID_PROPERTY_KEY, 'Invalid property group_by key', 400);
+      }
+      return { name, column: `prop_${key}`, expr: dialect.jsonExtract('properties', key) };
+    }
+
+    throw invalidGroupBy(
+      `invalid group_by: ${name}. allowed: ${[...ALLOWED_GROUP_BY, ...Object.values(TIME_GROUPS)].join(', ')}, or properties.<key>`,
+    );
+  });
+}
+
+/** Result rows keyed by group `name` rather than the SQL column. */
+export function renameGroupColumns(rows, groups) {
+  const names = new Map(groups.filter(g => g.name !== g.column).map(g => [g.column, g.name]));
+  if (names.size === 0) return rows;
+  return rows.map(row => Object.fromEntries(Object.entries(row).map(([key, value]) => [names.get(key) ?? key, value])));
+}
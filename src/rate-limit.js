@@ -0,0 +1,164 @@
+/**
+ * Token-bucket rate limiting for the write endpoints.
+ *
+ * Each bucket holds up to `capacity` tokens and refills at
+ * `refillPerSecond`; every event written takes one, so a batch of 50 costs
+ * 50. Writes are keyed by project, write token and client IP, which keeps
+ * one noisy page or copied token from starving the rest of a project.
+ *
+ * Buckets live in a store with async `get(key)` and `set(key, bucket,
+ * ttlMs)`: createMemoryRateLimitStore() for a single process, or one over
+ * Workers KV or a Durable Object for several. A store may also offer
+ * `update(key, fn, ttlMs)`, which replaces the bucket with `fn(bucket)`
+ * atomically; the limiter prefers it, so concurrent writes cannot spend
+ * the same tokens twice. Limiters can also replace the whole thing: the
+ * handler calls `consume(key, cost)`, and `refund(key, cost)` when it has
+ * one, to give back what a batch took from one project's bucket when
+ * another project's bucket refuses it.
+ *
+ * The client IP is CF-Connecting-IP. X-Forwarded-For and X-Real-IP are
+ * set by whoever sends the request unless a proxy overwrites them, so
+ * they count only when the deployment says how many proxies it trusts.
+ */
+
+import { hashApiKey } from './api-keys.js';
+
+export const RATE_LIMIT_DEFAULTS = Object.freeze({
+  capacity: 200,
+  refillPerSecond: 10,
+  maxKeys: 10_000,
+});
+
+/**
+ * Buckets in a Map, dropping the least recently used once `maxKeys` are
+ * held. Per process: on Workers each isolate keeps its own. `update()`
+ * reads and writes without awaiting in between, so it is atomic.
+ */
+export function createMemoryRateLimitStore({ maxKeys = RATE_LIMIT_DEFAULTS.maxKeys } = {}) {
+  const buckets = new Map();
+
+  function read(key) {
+    const entry = buckets.get(key);
+    if (!entry) return null;
+    if (entry.expires <= Date.now()) {
+      buckets.delete(key);
+      return null;
+    }
+    return entry.bucket;
+  }
+
+  function write(key, bucket, ttlMs) {
+    buckets.delete(key);
+    buckets.set(key, { bucket, expires: Date.now() + ttlMs });
+    if (buckets.size > maxKeys) buckets.delete(buckets.keys().next().value);
+  }
+
+  return {
+    async get(key) {
+      return read(key);
+    },
+    async set(key, bucket, ttlMs) {
+      write(key, bucket, ttlMs);
+    },
+    async update(key, fn, ttlMs) {
+      write(key, fn(read(key)), ttlMs);
+    },
+  };
+}
+
+/**
+ * A token-bucket limiter. `consume(key, cost)` resolves to `{ allowed,
+ * remaining }`, plus `retry_after` in whole seconds when refused. A cost
+ * above `capacity` could never be paid: it is refused with `capacity`
+ * instead of `retry_after`, and the bucket is left alone. `refund(key,
+ * cost)` puts tokens an allowed consume() took back, up to `capacity`.
+ *
+ * @param {Object} [opts]
+ * @param {number} [opts.capacity=200] — burst size, at least the largest batch
+ * @param {number} [opts.refillPerSecond=10] — sustained events per second
+ * @param {{ get: Function, set: Function, update?: Function }} [opts.store] — defaults to createMemoryRateLimitStore()
+ */
+export function createRateLimiter({
+  capacity = RATE_LIMIT_DEFAULTS.capacity,
+  refillPerSecond = RATE_LIMIT_DEFAULTS.refillPerSecond,
+  store = createMemoryRateLimitStore(),
+} = {}) {
+  if (!(capacity > 0) || !Number.isFinite(capacity)) throw new Error('rate limit capacity must be a positive number');
+  if (!(refillPerSecond > 0) || !Number.isFinite(refillPerSecond)) throw new Error('rate limit refillPerSecond must be a positive number');
+  // A bucket left alone this long is full again, so the store can forget it
+  const ttlMs = Math.ceil((capacity / refillPerSecond) * 1000);
+
+  // Tokens in `bucket` once refilled up to `now`; a missing bucket is full
+  const refilled = (bucket, now) => {
+    if (!bucket) return capacity;
+    const elapsed = Math.max(0, now - bucket.updated) / 1000;
+    return Math.min(capacity, bucket.tokens + elapsed * refillPerSecond);
+  };
+
+  async function change(key, fn) {
+    if (store.update) {
+      await store.update(key, fn, ttlMs);
+    } else {
+      await store.set(key, fn(await store.get(key)), ttlMs);
+    }
+  }
+
+  return {
+    async consume(key, cost = 1, now = Date.now()) {
+      let result;
+      // The bucket refilled up to `now`, less `cost` when it holds enough
+      await change(key, (bucket) => {
+        const tokens = refilled(bucket, now);
+        if (cost > capacity) {
+          result = { allowed: false, remaining: Math.floor(tokens), capacity };
+          return bucket ?? { tokens, updated: now };
+        }
+        if (tokens >= cost) {
+          result = { allowed: true, remaining: Math.floor(tokens - cost) };
+          return { tokens: tokens - cost, updated: now };
+        }
+        const wait = (cost - tokens) / refillPerSecond;
+        result = { allowed: false, remaining: Math.floor(tokens), retry_after: Math.max(1, Math.ceil(wait)) };
+        return { tokens, updated: now };
+      });
+      return result;
+    },
+
+    async refund(key, cost = 1, now = Date.now()) {
+      await change(key, (bucket) => ({ tokens: Math.min(capacity, refilled(bucket, now) + cost), updated: now }));
+    },
+  };
+}
+
+/**
+ * The client IP a request came from. CF-Connecting-IP is set by Cloudflare
+ * and cannot be forged through it. Behind `trustedProxies` other proxies,
+ * the client is the X-Forwarded-For entry that many hops from the right
+ * (each proxy appends the address it received from; entries further left
+ * come from the client), else X-Real-IP. Without trusted proxies both
+ * headers are ignored.
+ *
+ * @param {Request} request
+ * @param {Object} [opts]
+ * @param {number} [opts.trustedProxies=0]
+ */
+export function clientIp(request, { trustedProxies = 0 } = {}) {
+  const connecting = request.headers.get('CF-Connecting-IP');
+  if (connecting) return connecting;
+  if (trustedProxies > 0) {
+    const hops = (request.headers.get('X-Forwarded-For') ?? '').split(',').map(hop => hop.trim()).filter(Boolean);
+    if (hops.length > 0) return hops[Math.max(0, hops.length - trustedProxies)];
+    const real = request.headers.get('X-Real-IP');
+    if (real) return real;
+  }
+  return 'unknown';
+}
+
+/**
+ * `project:token:ip`, the key a write is limited under. The token is
+ * hashed (SHA-256, hex) so a shared store never holds it in the clear.
+ */
+export async function rateLimitKey(project, token, ip) {
+  const hashed = token ? await hashApiKey(String(token)) : '';
+  return [project, hashed, ip].map(part => encodeURIComponent(part)).join(':');
+}
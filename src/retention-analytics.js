@@ -0,0 +1,217 @@
+import { daysAgo, parseSince, today } from './db/adapter.js';
+import { AnalyticsError, ERROR_CODES } from './errors.js';
+import { GRANULARITY, MS_PER_DAY } from './constants.js';
+import { SQLITE_DIALECT } from './db/dialect.js';
+
+export const RETENTION_TYPES = Object.freeze({ BOUNDED: 'bounded', UNBOUNDED: 'unbounded' });
+export const RETENTION_GRANULARITIES = Object.freeze([GRANULARITY.DAY, GRANULARITY.WEEK, GRANULARITY.MONTH]);
+export const RETENTION_DEFAULTS = Object.freeze({
+  granularity: GRANULARITY.DAY,
+  retention_type: RETENTION_TYPES.BOUNDED,
+  periods: Object.freeze({ [GRANULARITY.DAY]: 14, [GRANULARITY.WEEK]: 8, [GRANULARITY.MONTH]: 6 }),
+});
+export const RETENTION_LIMITS = Object.freeze({
+  periods: Object.freeze({ [GRANULARITY.DAY]: 90, [GRANULARITY.WEEK]: 52, [GRANULARITY.MONTH]: 24 }),
+});
+
+// Approximate bucket length, only used to default the cohort range
+const DAYS_PER_BUCKET = Object.freeze({ [GRANULARITY.DAY]: 1, [GRANULARITY.WEEK]: 7, [GRANULARITY.MONTH]: 30 });
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function invalid(message) {
+  return new AnalyticsError(ERROR_CODES.MISSING_FIELDS, message, 400);
+}
+
+function validateOptionalEvent(value, name) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'string' || !value.trim() || value.length > 256) {
+    throw invalid(`${name} must be a non-empty string (max 256 chars)`);
+  }
+  return value.trim();
+}
+
+export function validateRetentionOptions(options = {}) {
+  const granularity = options.granularity ?? RETENTION_DEFAULTS.granularity;
+  if (!RETENTION_GRANULARITIES.includes(granularity)) {
+    throw invalid(`granularity must be one of: ${RETENTION_GRANULARITIES.join(', ')}`);
+  }
+
+  const retentionType = options.retention_type ?? RETENTION_DEFAULTS.retention_type;
+  if (!Object.values(RETENTION_TYPES).includes(retentionType)) {
+    throw invalid(`retention_type must be one of: ${Object.values(RETENTION_TYPES).join(', ')}`);
+  }
+
+  const maxPeriods = RETENTION_LIMITS.periods[granularity];
+  const periods = options.periods ?? RETENTION_DEFAULTS.periods[granularity];
+  if (!Number.isInteger(periods) || periods < 1 || periods > maxPeriods) {
+    throw invalid(`periods must be 1-${maxPeriods} for ${granularity} granularity`);
+  }
+
+  const toDate = options.date_to ?? today();
+  if (typeof toDate !== 'string' || !DATE_PATTERN.test(toDate) || Number.isNaN(Date.parse(toDate))) {
+    throw invalid('date_to must be a YYYY-MM-DD date');
+  }
+
+  return {
+    granularity,
+    retentionType,
+    periods,
+    startEvent: validateOptionalEvent(options.start_event, 'start_event'),
+    returnEvent: validateOptionalEvent(options.return_event, 'return_event'),
+    fromDate: options.date_from ? parseSince(options.date_from) : daysAgo(periods * DAYS_PER_BUCKET[granularity]),
+    toDate,
+  };
+}
+
+/**
+ * Two queries: cohort sizes, and per cohort the number of users active in
+ * each period after it. A user's cohort is the bucket of their first ever
+ * start event (or first event of any kind), so users first seen before the
+ * range are never counted as new. Unbounded retention only needs each
+ * user's last active period, which the second query returns instead.
+ */
+export function buildRetentionQueries({ project, granularity, retentionType, periods, startEvent, returnEvent, fromDate, toDate, dialect = SQLITE_DIALECT }) {
+  const startClause = startEvent ? '\n                AND event = ?' : '';
+  const returnClause = returnEvent ? '\n                AND e.event = ?' : '';
+  const cohortsCte = `WITH first_seen AS (
+              SELECT user_id, MIN(date) as first_date
+              FROM events
+              WHERE project_id = ?
+                AND user_id IS NOT NULL${startClause}
+              GROUP BY user_id
+            ),
+            cohorts AS (
+              SELECT user_id, first_date, ${dialect.dateBucket('first_date', granularity)} as cohort
+              FROM first_seen
+              WHERE first_date >= ? AND first_date <= ?
+            )`;
+  const cohortParams = startEvent ? [project, startEvent, fromDate, toDate] : [project, fromDate, toDate];
+  const activityParams = returnEvent ? [project, fromDate, returnEvent] : [project, fromDate];
+  const period = dialect.bucketsBetween('c.first_date', 'e.date', granularity);
+
+  const activity = retentionType === RETENTION_TYPES.UNBOUNDED
+    ? {
+      sql: `${cohortsCte},
+            last_active AS (
+              SELECT c.cohort, c.user_id, MAX(${period}) as last_period
+              FROM cohorts c
+              JOIN events e
+                ON e.project_id = ?
+               AND e.user_id = c.user_id
+               AND e.date >= ?
+               AND e.date >= c.first_date${returnClause}
+              GROUP BY c.cohort, c.user_id
+            )
+            SELECT cohort, ${dialect.least('last_period', '?')} as period, COUNT(*) as users
+            FROM last_active
+            GROUP BY cohort, period
+            ORDER BY cohort, period`,
+      params: [...cohortParams, ...activityParams, periods],
+    }
+    : {
+      sql: `${cohortsCte},
+            active AS (
+              SELECT DISTINCT c.cohort, c.user_id, ${period} as period
+              FROM cohorts c
+              JOIN events e
+                ON e.project_id = ?
+               AND e.user_id = c.user_id
+               AND e.date >= ?
+               AND e.date >= c.first_date${returnClause}
+            )
+            SELECT cohort, period, COUNT(*) as users
+            FROM active
+            WHERE period <= ?
+            GROUP BY cohort, period
+            ORDER BY cohort, period`,
+      params: [...cohortParams, ...activityParams, periods],
+    };
+
+  return [
+    {
+      sql: `${cohortsCte}
+            SELECT cohort, COUNT(*) as users
+            FROM cohorts
+            GROUP BY cohort
+            ORDER BY cohort`,
+      params: cohortParams,
+    },
+    activity,
+  ];
+}
+
+/** JS mirror of dialect.bucketsBetween(), for periods a cohort has had time to reach. */
+function elapsedPeriods(cohort, asOf, granularity) {
+  if (granularity === GRANULARITY.MONTH) {
+    const [cy, cm] = cohort.split('-').map(Number);
+    const [ay, am] = asOf.split('-').map(Number);
+    return (ay * 12 + am) - (cy * 12 + cm);
+  }
+  const days = Math.floor((Date.parse(asOf) - Date.parse(cohort)) / MS_PER_DAY);
+  if (granularity === GRANULARITY.WEEK) {
+    // cohort is already a Monday; align asOf to its own Monday
+    const weekday = (new Date(Date.parse(asOf)).getUTCDay() + 6) % 7;
+    return Math.floor((days - weekday) / 7);
+  }
+  return days;
+}
+
+function percentage(numerator, denominator) {
+  if (!denominator) return 0;
+  return Math.round((numerator / denominator) * 1000) / 10;
+}
+
+export function buildRetentionReport(cohortRows, activityRows, { granularity, retentionType, periods, asOf = today() }) {
+  const counts = new Map();
+  for (const row of activityRows || []) {
+    if (!counts.has(row.cohort)) counts.set(row.cohort, new Array(periods + 1).fill(0));
+    if (row.period >= 0 && row.period <= periods) counts.get(row.cohort)[row.period] += row.users;
+  }
+
+  const totals = Array.from({ length: periods + 1 }, () => ({ retained: 0, eligible: 0 }));
+  const cohorts = (cohortRows || []).map(({ cohort, users }) => {
+    const active = counts.get(cohort) || new Array(periods + 1).fill(0);
+    if (retentionType === RETENTION_TYPES.UNBOUNDED) {
+      // Last active in period k means active on or after every period <= k
+      for (let n = periods - 1; n >= 0; n--) active[n] += active[n + 1];
+    }
+    const reachable = Math.min(elapsedPeriods(cohort, asOf, granularity), periods);
+
+    const retained = active.map((count, n) => (n <= reachable ? count : null));
+    retained.forEach((count, n) => {
+      if (count === null) return;
+      totals[n].retained += count;
+      totals[n].eligible += users;
+    });
+
+    return {
+      cohort,
+      users,
+      retained,
+      percentages: retained.map(count => (count === null ? null : percentage(count, users))),
+    };
+  });
+
+  return {
+    cohorts,
+    average: totals.map(({ retained, eligible }, period) => ({
+      period,
+      retained_users: retained,
+      eligible_users: eligible,
+      percentage: eligible ? percentage(retained, eligible) : null,
+    })),
+  };
+}
+
+export function buildRetentionResponse(project, options, cohortRows, activityRows) {
+  return {
+    project,
+    period: { from: options.fromDate, to: options.toDate },
+    granularity: options.granularity,
+    retention_type: options.retentionType,
+    periods: options.periods,
+    start_event: options.startEvent,
+    return_event: options.returnEvent,
+    ...buildRetentionReport(cohortRows, activityRows, options),
+  };
+}
@@ -0,0 +1,303 @@
+/**
+ * Daily rollups — pre-aggregated copies of `events` and `sessions` that
+ * getStats(), getInsights() and getSessionStats() read instead of scanning
+ * raw rows.
+ *
+ * daily_event_rollups holds one row per project, date, UTC hour and event.
+ * Unique users live apart, in daily_user_rollups (one row per project,
+ * date, event and identified user) and daily_session_rollups (one per
+ * project, date and user), which keeps unique-user counts exact over any
+ * range without a row per user in every hour. getHeatmap() needs users per
+ * hour, which neither keeps, so it reads raw rows. Anonymous session rows
+ * use user_id '' (primary keys cannot hold NULL portably).
+ *
+ * Writes, identify, erasure and retention keep both tables in step with
+ * the raw rows once migrate() has created them; before that they only
+ * touch the raw rows. rebuildRollups() backfills a date range from raw rows and
+ * records it in rollup_coverage; reads use rollups only for ranges inside
+ * that coverage, so a project reads raw rows until it has been rebuilt.
+ */
+
+import { AnalyticsError, ERROR_CODES } from './errors.js';
+import { SQLITE_DIALECT } from './db/dialect.js';
+import { formatDate } from './db/adapter.js';
+import { MS_PER_DAY } from './constants.js';
+
+export const ROLLUP_SOURCES = Object.freeze({ ROLLUP: 'rollup', RAW: 'raw' });
+
+// How long an adapter trusts "no rollup tables yet" before looking again
+export const ROLLUP_TABLES_RECHECK_MS = 60_000;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const EVENT_ROLLUP_CONFLICT = `ON CONFLICT (project_id, date, hour, event) DO UPDATE SET
+         event_count = daily_event_rollups.event_count + excluded.event_count`;
+
+const USER_ROLLUP_CONFLICT = `ON CONFLICT (project_id, date, event, user_id) DO UPDATE SET
+         event_count = daily_user_rollups.event_count + excluded.event_count`;
+
+const SESSION_ROLLUP_CONFLICT = `ON CONFLICT (project_id, date, user_id) DO UPDATE SET
+         session_count = daily_session_rollups.session_count + excluded.session_count,
+         bounce_count = daily_session_rollups.bounce_count + excluded.bounce_count,
+         total_duration = daily_session_rollups.total_duration + excluded.total_duration,
+         event_count = daily_session_rollups.event_count + excluded.event_count`;
+
+// The rollup tables keyed by user, which identify calls move between users
+const USER_ROLLUP_TABLES = Object.freeze([
+  { table: 'daily_user_rollups', keys: 'date, event', counts: 'event_count', conflict: USER_ROLLUP_CONFLICT },
+  {
+    table: 'daily_session_rollups',
+    keys: 'date',
+    counts: 'session_count, bounce_count, total_duration, event_count',
+    conflict: SESSION_ROLLUP_CONFLICT,
+  },
+]);
+
+function invalid(message) {
+  return new AnalyticsError(ERROR_CODES.MISSING_FIELDS, message, 400);
+}
+
+function isDate(value) {
+  return typeof value === 'string' && DATE_PATTERN.test(value) && !isNaN(Date.parse(`${value}T00:00:00Z`));
+}
+
+function nextDay(date) {
+  return formatDate(Date.parse(`${date}T00:00:00Z`) + MS_PER_DAY);
+}
+
+/**
+ * Both bounds are optional and inclusive. Without `date_from` the rebuild
+ * starts at the project's first row, without `date_to` it runs through the
+ * newest; either way the coverage stays open on that side, since writes
+ * keep every date current once the rollups exist.
+ */
+export function validateRollupRebuildOptions(options = {}) {
+  const { project, date_from, date_to } = options;
+  if (!project || typeof project !== 'string') throw invalid('project required');
+  for (const [key, value] of [['date_from', date_from], ['date_to', date_to]]) {
+    if (value !== undefined && value !== null && !isDate(value)) throw invalid(`${key} must be a YYYY-MM-DD date`);
+  }
+  if (date_from && date_to && date_from > date_to) throw invalid('date_from must not be after date_to');
+  return { project, dateFrom: date_from ?? null, dateTo: date_to ?? null };
+}
+
+/** Whether a `{ date_from, date_to }` coverage row (null: open on that side) spans fromDate..toDate. */
+export function rollupsCover(coverage, fromDate, toDate) {
+  if (!coverage) return false;
+  return (coverage.date_from === null || fromDate >= coverage.date_from)
+    && (coverage.date_to === null || toDate <= coverage.date_to);
+}
+
+/**
+ * Coverage after rebuilding `rebuilt`: the union with the existing range
+ * when the two overlap or touch, otherwise just the rebuilt range.
+ */
+export function mergeRollupCoverage(existing, rebuilt) {
+  if (!existing) return rebuilt;
+  const startsBy = (range, end) => end === null || range.date_from === null || range.date_from <= nextDay(end);
+  if (!startsBy(rebuilt, existing.date_to) || !startsBy(existing, rebuilt.date_to)) return rebuilt;
+  const bound = (a, b, pick) => (a === null || b === null ? null : pick(a, b));
+  return {
+    date_from: bound(existing.date_from, rebuilt.date_from, (a, b) => (a < b ? a : b)),
+    date_to: bound(existing.date_to, rebuilt.date_to, (a, b) => (a > b ? a : b)),
+  };
+}
+
+/**
+ * Table and aggregate expressions for reading event counts from raw
+ * `events` or from the rollups; both give identical results. The rollup
+ * "table" stacks daily_event_rollups (counts, no user) on
+ * daily_user_rollups (users, counted as zero events), so one query reads
+ * both by date and event.
+ */
+export function eventAggregates(source) {
+  if (source === ROLLUP_SOURCES.ROLLUP) {
+    return {
+      table: `(SELECT project_id, date, event, event_count, NULL AS user_id FROM daily_event_rollups
+         UNION ALL SELECT project_id, date, event, 0, user_id FROM daily_user_rollups) rollups`,
+      events: 'COALESCE(SUM(event_count), 0)',
+      users: 'COUNT(DISTINCT user_id)',
+    };
+  }
+  return { table: 'events', events: 'COUNT(*)', users: 'COUNT(DISTINCT user_id)' };
+}
+
+/** Like eventAggregates(), for `sessions` and daily_session_rollups. `where` skips emptied rollup rows. */
+export function sessionAggregates(source, dialect = SQLITE_DIALECT) {
+  if (source === ROLLUP_SOURCES.ROLLUP) {
+    return {
+      table: 'daily_session_rollups',
+      where: ' AND session_count > 0',
+      sessions: 'COALESCE(SUM(session_count), 0)',
+      bounced: 'SUM(bounce_count)',
+      duration: 'SUM(total_duration)',
+      avgDuration: dialect.divide('SUM(total_duration)', 'SUM(session_count)'),
+      events: 'SUM(event_count)',
+      users: `COUNT(DISTINCT NULLIF(user_id, ''))`,
+    };
+  }
+  return {
+    table: 'sessions',
+    where: '',
+    sessions: 'COUNT(*)',
+    bounced: 'SUM(CASE WHEN is_bounce = 1 THEN 1 ELSE 0 END)',
+    duration: 'SUM(duration)',
+    avgDuration: 'AVG(duration)',
+    events: 'SUM(event_count)',
+    users: 'COUNT(DISTINCT user_id)',
+  };
+}
+
+/** Adds one just-inserted event (by id) to its hour's rollup row and, when it has a user, to that user's. */
+export function buildEventRollupStatements({ eventId, dialect = SQLITE_DIALECT }) {
+  return [
+    {
+      sql: `INSERT INTO daily_event_rollups (project_id, date, hour, event, event_count)
+       SELECT project_id, date, ${dialect.hourOfDay('timestamp')}, event, 1
+       FROM events WHERE id = ?
+       ${EVENT_ROLLUP_CONFLICT}`,
+      params: [eventId],
+    },
+    {
+      sql: `INSERT INTO daily_user_rollups (project_id, date, event, user_id, event_count)
+       SELECT project_id, date, event, user_id, 1
+       FROM events WHERE id = ? AND user_id IS NOT NULL
+       ${USER_ROLLUP_CONFLICT}`,
+      params: [eventId],
+    },
+  ];
+}
+
+/**
+ * Statements to run around a session upsert: `before` takes the session's
+ * current contribution out of its rollup row, `after` adds the updated one
+ * back, so duration, bounce and user changes all land correctly. A row
+ * left at zero sessions (the session moved to another user) is ignored by
+ * reads and dropped by the next rebuild.
+ */
+export function buildSessionRollupStatements({ sessionId }) {
+  return {
+    before: {
+      sql: `UPDATE daily_session_rollups SET
+         session_count = daily_session_rollups.session_count - 1,
+         bounce_count = daily_session_rollups.bounce_count - CASE WHEN s.is_bounce = 1 THEN 1 ELSE 0 END,
+         total_duration = daily_session_rollups.total_duration - COALESCE(s.duration, 0),
+         event_count = daily_session_rollups.event_count - COALESCE(s.event_count, 0)
+       FROM sessions s
+       WHERE s.session_id = ?
+         AND daily_session_rollups.project_id = s.project_id
+         AND daily_session_rollups.date = s.date
+         AND daily_session_rollups.user_id = COALESCE(s.user_id, '')`,
+      params: [sessionId],
+    },
+    after: {
+      sql: `INSERT INTO daily_session_rollups (project_id, date, user_id, session_count, bounce_count, total_duration, event_count)
+       SELECT s.project_id, s.date, COALESCE(s.user_id, ''), 1,
+              CASE WHEN s.is_bounce = 1 THEN 1 ELSE 0 END, COALESCE(s.duration, 0), COALESCE(s.event_count, 0)
+       FROM sessions s WHERE s.session_id = ?
+       ${SESSION_ROLLUP_CONFLICT}`,
+      params: [sessionId],
+    },
+  };
+}
+
+/**
+ * Moves `previous_id`'s rollup rows to their canonical user, mirroring the
+ * events/sessions updates of buildIdentifyStatements (run after them).
+ */
+export function buildRollupIdentifyStatements({ project, previous_id }) {
+  const canonical = `(SELECT canonical_id FROM identity_map WHERE previous_id = ? AND project_id = ?)`;
+  return USER_ROLLUP_TABLES.flatMap(({ table, keys, counts, conflict }) => [
+    {
+      sql: `INSERT INTO ${table} (project_id, ${keys}, user_id, ${counts})
+       SELECT project_id, ${keys}, ${canonical}, ${counts}
+       FROM ${table} WHERE project_id = ? AND user_id = ? AND user_id <> ${canonical}
+       ${conflict}`,
+      params: [previous_id, project, project, previous_id, previous_id, project],
+    },
+    {
+      sql: `DELETE FROM ${table} WHERE project_id = ? AND user_id = ? AND user_id <> ${canonical}`,
+      params: [project, previous_id, previous_id, project],
+    },
+  ]);
+}
+
+/**
+ * Takes a data subject's rows out of the rollups; run before the raw rows
+ * are deleted (see data-subject.js). Event and user rollups are
+ * decremented by the subject's events, which include anonymous events in
+ * their sessions.
+ */
+export function buildRollupSubjectStatements({ project, scope, dialect = SQLITE_DIALECT }) {
+  const { where, params } = scope.events;
+  const decrement = (table, match) => ({
+    sql: `UPDATE ${table} SET event_count = event_count - (
+         SELECT COUNT(*) FROM events WHERE ${where}
+           AND events.date = ${table}.date
+           AND events.event = ${table}.event
+           AND ${match}
+       )
+       WHERE project_id = ? AND date IN (SELECT date FROM events WHERE ${where})`,
+    params: [...params, project, ...params],
+  });
+  return [
+    decrement('daily_event_rollups', `${dialect.hourOfDay('events.timestamp')} = daily_event_rollups.hour`),
+    decrement('daily_user_rollups', 'events.user_id = daily_user_rollups.user_id'),
+    { sql: `DELETE FROM daily_event_rollups WHERE project_id = ? AND event_count <= 0`, params: [project] },
+    { sql: `DELETE FROM daily_user_rollups WHERE project_id = ? AND event_count <= 0`, params: [project] },
+    { sql: `DELETE FROM daily_session_rollups WHERE ${scope.sessions.where}`, params: scope.sessions.params },
+  ];
+}
+
+/** Replaces a project's rollups for dateFrom..dateTo (either may be null) with aggregates of the raw rows. */
+export function buildRollupRebuildStatements({ project, dateFrom, dateTo, dialect = SQLITE_DIALECT }) {
+  let range = 'project_id = ?';
+  const rangeParams = [project];
+  if (dateFrom) {
+    range += ' AND date >= ?';
+    rangeParams.push(dateFrom);
+  }
+  if (dateTo) {
+    range += ' AND date <= ?';
+    rangeParams.push(dateTo);
+  }
+  const hour = dialect.hourOfDay('timestamp');
+  return [
+    { sql: `DELETE FROM daily_event_rollups WHERE ${range}`, params: rangeParams },
+    {
+      sql: `INSERT INTO daily_event_rollups (project_id, date, hour, event, event_count)
+       SELECT project_id, date, ${hour}, event, COUNT(*)
+       FROM events WHERE ${range}
+       GROUP BY project_id, date, ${hour}, event`,
+      params: rangeParams,
+    },
+    { sql: `DELETE FROM daily_user_rollups WHERE ${range}`, params: rangeParams },
+    {
+      sql: `INSERT INTO daily_user_rollups (project_id, date, event, user_id, event_count)
+       SELECT project_id, date, event, user_id, COUNT(*)
+       FROM events WHERE ${range} AND user_id IS NOT NULL
+       GROUP BY project_id, date, event, user_id`,
+      params: rangeParams,
+    },
+    { sql: `DELETE FROM daily_session_rollups WHERE ${range}`, params: rangeParams },
+    {
+      sql: `INSERT INTO daily_session_rollups (project_id, date, user_id, session_count, bounce_count, total_duration, event_count)
+       SELECT project_id, date, COALESCE(user_id, ''), COUNT(*),
+              SUM(CASE WHEN is_bounce = 1 THEN 1 ELSE 0 END), SUM(COALESCE(duration, 0)), SUM(COALESCE(event_count, 0))
+       FROM sessions WHERE ${range}
+       GROUP BY project_id, date, COALESCE(user_id, '')`,
+      params: rangeParams,
+    },
+  ];
+}
+
+export function buildRollupCoverageStatement({ project, coverage, rebuiltAt }) {
+  return {
+    sql: `INSERT INTO rollup_coverage (project_id, date_from, date_to, rebuilt_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT (project_id) DO UPDATE SET
+         date_from = excluded.date_from,
+         date_to = excluded.date_to,
+         rebuilt_at = excluded.rebuilt_at`,
+    params: [project, coverage.date_from, coverage.date_to, rebuiltAt],
+  };
+}
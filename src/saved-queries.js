@@ -0,0 +1,200 @@
+/**
+ * Saved queries and dashboards.
+ *
+ * A saved query stores the body of one report, `POST /query`, `/paths`,
+ * `/funnels` or `GET /breakdown`, under a name, so agents can run it again
+ * by id instead of rebuilding it. The project is kept on the saved query,
+ * never in the stored body. A run may override the date range and similar
+ * per-run options (RUN_OVERRIDES); everything else stays as saved.
+ *
+ * A dashboard is a named, ordered list of saved queries of one project
+ * that runs in a single call.
+ */
+
+import { AnalyticsError, ERROR_CODES } from './errors.js';
+
+export const SAVED_QUERY_TYPES = Object.freeze({
+  QUERY: 'query',
+  PATHS: 'paths',
+  FUNNEL: 'funnel',
+  BREAKDOWN: 'breakdown',
+});
+
+/** Options a run may override, per type. */
+export const RUN_OVERRIDES = Object.freeze({
+  [SAVED_QUERY_TYPES.QUERY]: Object.freeze(['date_from', 'date_to', 'timezone', 'compare', 'limit']),
+  [SAVED_QUERY_TYPES.PATHS]: Object.freeze(['since']),
+  [SAVED_QUERY_TYPES.FUNNEL]: Object.freeze(['date_from', 'date_to']),
+  [SAVED_QUERY_TYPES.BREAKDOWN]: Object.freeze(['since', 'limit']),
+});
+
+export const SAVED_QUERY_LIMITS = Object.freeze({
+  name: 256,
+  owner: 256,
+  description: 2048,
+  query_bytes: 16_384,
+  dashboard_queries: 50,
+});
+
+function invalid(message) {
+  return new AnalyticsError(ERROR_CODES.MISSING_FIELDS, message, 400);
+}
+
+function validateName(value) {
+  if (typeof value !== 'string' || !value.trim() || value.length > SAVED_QUERY_LIMITS.name) {
+    throw invalid(`name must be a non-empty string (max ${SAVED_QUERY_LIMITS.name} chars)`);
+  }
+  return value.trim();
+}
+
+function validateOptionalText(value, label, maxLength) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'string' || value.length > maxLength) {
+    throw invalid(`${label} must be a string (max ${maxLength} chars)`);
+  }
+  return value;
+}
+
+function validateType(type) {
+  const allowed = Object.values(SAVED_QUERY_TYPES);
+  if (!allowed.includes(type)) throw invalid(`invalid type: ${type}. allowed: ${allowed.join(', ')}`);
+  return type;
+}
+
+function validateQueryBody(query, type) {
+  if (!query || typeof query !== 'object' || Array.isArray(query)) throw invalid('query must be an object');
+  if ('project' in query) throw invalid('query must not include project; it is taken from the saved query');
+  if (JSON.stringify(query).length > SAVED_QUERY_LIMITS.query_bytes) {
+    throw invalid(`query must serialize to at most ${SAVED_QUERY_LIMITS.query_bytes} bytes`);
+  }
+  if (type === SAVED_QUERY_TYPES.BREAKDOWN && typeof query.property !== 'string') {
+    throw invalid('breakdown queries need a property');
+  }
+  return query;
+}
+
+/** Validate a create payload. Returns the normalized saved query fields. */
+export function validateSavedQueryInput(input = {}) {
+  const type = validateType(input.type ?? SAVED_QUERY_TYPES.QUERY);
+  return {
+    name: validateName(input.name),
+    type,
+    query: validateQueryBody(input.query, type),
+    owner: validateOptionalText(input.owner, 'owner', SAVED_QUERY_LIMITS.owner),
+  };
+}
+
+/**
+ * Validate an update payload against the saved query's current `type`.
+ * Only fields present in `input` are returned; a new type needs a new query.
+ */
+export function validateSavedQueryUpdate(input = {}, current) {
+  const changes = {};
+  if (input.name !== undefined) changes.name = validateName(input.name);
+  if (input.owner !== undefined) changes.owner = validateOptionalText(input.owner, 'owner', SAVED_QUERY_LIMITS.owner);
+  if (input.type !== undefined) {
+    changes.type = validateType(input.type);
+    if (changes.type !== current.type && input.query === undefined) throw invalid('changing type needs a new query');
+  }
+  if (input.query !== undefined) changes.query = validateQueryBody(input.query, changes.type ?? current.type);
+  if (Object.keys(changes).length === 0) throw invalid('nothing to update: provide name, type, query or owner');
+  return changes;
+}
+
+export function parseSavedQueryRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    project: row.project_id,
+    name: row.name,
+    type: row.type,
+    query: JSON.parse(row.query),
+    owner: row.owner,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+/** Adapter method that runs each type. */
+export const SAVED_QUERY_RUNNERS = Object.freeze({
+  [SAVED_QUERY_TYPES.QUERY]: 'query',
+  [SAVED_QUERY_TYPES.PATHS]: 'getPaths',
+  [SAVED_QUERY_TYPES.FUNNEL]: 'getFunnel',
+  [SAVED_QUERY_TYPES.BREAKDOWN]: 'getBreakdown',
+});
+
+function validateOverrides(overrides, allowed, label) {
+  if (overrides === undefined || overrides === null) return {};
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) throw invalid('overrides must be an object');
+  for (const key of Object.keys(overrides)) {
+    if (!allowed.includes(key)) throw invalid(`cannot override ${key} on ${label}. allowed: ${allowed.join(', ')}`);
+  }
+  return overrides;
+}
+
+/**
+ * The options to run a saved query with: its stored body, the allowed
+ * `overrides` on top, and its project.
+ */
+export function buildRunOptions(savedQuery, overrides) {
+  const checked = validateOverrides(overrides, RUN_OVERRIDES[savedQuery.type], `a ${savedQuery.type} query`);
+  return { ...savedQuery.query, ...checked, project: savedQuery.project };
+}
+
+/**
+ * Dashboard runs take any override some type allows, and pass each saved
+ * query only those its own type takes: `date_from` moves the queries and
+ * funnels while `since` moves paths and breakdowns.
+ */
+export function buildDashboardRunOptions(savedQuery, overrides) {
+  const checked = validateOverrides(overrides, [...new Set(Object.values(RUN_OVERRIDES).flat())], 'a dashboard');
+  const own = Object.fromEntries(Object.entries(checked).filter(([key]) => RUN_OVERRIDES[savedQuery.type].includes(key)));
+  return buildRunOptions(savedQuery, own);
+}
+
+function validateSavedQueryIds(ids) {
+  if (!Array.isArray(ids) || ids.length > SAVED_QUERY_LIMITS.dashboard_queries || !ids.every(id => typeof id === 'string' && id)) {
+    throw invalid(`saved_query_ids must be an array of up to ${SAVED_QUERY_LIMITS.dashboard_queries} saved query ids`);
+  }
+  if (new Set(ids).size !== ids.length) throw invalid('saved_query_ids must not repeat');
+  return ids;
+}
+
+/** Validate a dashboard create payload. Returns the normalized dashboard fields. */
+export function validateDashboardInput(input = {}) {
+  return {
+    name: validateName(input.name),
+    description: validateOptionalText(input.description, 'description', SAVED_QUERY_LIMITS.description),
+    saved_query_ids: validateSavedQueryIds(input.saved_query_ids ?? []),
+    owner: validateOptionalText(input.owner, 'owner', SAVED_QUERY_LIMITS.owner),
+  };
+}
+
+/** Validate a dashboard update payload. Only fields present in `input` are returned. */
+export function validateDashboardUpdate(input = {}) {
+  const changes = {};
+  if (input.name !== undefined) changes.name = validateName(input.name);
+  if (input.description !== undefined) {
+    changes.description = validateOptionalText(input.description, 'description', SAVED_QUERY_LIMITS.description);
+  }
+  if (input.saved_query_ids !== undefined) changes.saved_query_ids = validateSavedQueryIds(input.saved_query_ids);
+  if (input.owner !== undefined) changes.owner = validateOptionalText(input.owner, 'owner', SAVED_QUERY_LIMITS.owner);
+  if (Object.keys(changes).length === 0) {
+    throw invalid('nothing to update: provide name, description, saved_query_ids or owner');
+  }
+  return changes;
+}
+
+export function parseDashboardRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    project: row.project_id,
+    name: row.name,
+    description: row.description,
+    saved_query_ids: JSON.parse(row.saved_query_ids),
+    owner: row.owner,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
@@ -0,0 +1,185 @@
+/**
+ * Small statistics toolkit for experiment analysis — zero dependencies.
+ *
+ * Normal and chi-square distributions are enough for conversion tests:
+ * two-proportion z-tests, chi-square tests of independence and
+ * goodness-of-fit (sample ratio mismatch), and Wilson score intervals.
+ */
+
+const LANCZOS = [
+  676.5203681218851, -1259.1392167224028, 771.3234287776531, -176.61503916999186,
+  12.507343278686905, -0.13857109526572012, 9.984369578019572e-6, 1.5056327351493116e-7,
+];
+
+function lnGamma(x) {
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - lnGamma(1 - x);
+  x -= 1;
+  let a = 0.9999999999998099;
+  const t = x + 7.5;
+  for (let i = 0; i < LANCZOS.length; i++) a += LANCZOS[i] / (x + i + 1);
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+/** Regularized upper incomplete gamma Q(a, x). */
+function gammaQ(a, x) {
+  if (x <= 0) return 1;
+  const lnPrefix = -x + a * Math.log(x) - lnGamma(a);
+
+  if (x < a + 1) {
+    // Series for P(a, x), then Q = 1 - P
+    let sum = 1 / a;
+    let term = sum;
+    for (let n = 1; n < 500; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * 1e-15) break;
+    }
+    return Math.max(0, 1 - sum * Math.exp(lnPrefix));
+  }
+
+  // Continued fraction for Q(a, x) (modified Lentz)
+  const tiny = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < 500; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = b + an / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-15) break;
+  }
+  return Math.min(1, h * Math.exp(lnPrefix));
+}
+
+/** Standard normal CDF. */
+export function normalCdf(z) {
+  if (z === 0) return 0.5;
+  const q = 0.5 * gammaQ(0.5, (z * z) / 2);
+  return z > 0 ? 1 - q : q;
+}
+
+/** Inverse standard normal CDF (Acklam's rational approximation). */
+export function normalQuantile(p) {
+  if (p <= 0 || p >= 1) throw new RangeError('p must be in (0, 1)');
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5])
+      / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) return -normalQuantile(1 - p);
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q
+    / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/** Upper-tail p-value of a chi-square statistic. */
+export function chiSquarePValue(statistic, degreesOfFreedom) {
+  if (!(degreesOfFreedom > 0) || !Number.isFinite(statistic)) return null;
+  return gammaQ(degreesOfFreedom / 2, statistic / 2);
+}
+
+/**
+ * Wilson score interval for a binomial proportion.
+ * @returns {{ lower: number, upper: number }|null}
+ */
+export function wilsonInterval(successes, trials, confidence = 0.95) {
+  if (!trials) return null;
+  const z = normalQuantile(1 - (1 - confidence) / 2);
+  const p = successes / trials;
+  const z2 = z * z;
+  const denom = 1 + z2 / trials;
+  const center = (p + z2 / (2 * trials)) / denom;
+  const margin = (z * Math.sqrt((p * (1 - p)) / trials + z2 / (4 * trials * trials))) / denom;
+  return { lower: Math.max(0, center - margin), upper: Math.min(1, center + margin) };
+}
+
+/**
+ * Pooled two-proportion z-test of B against A (two-sided), plus the
+ * unpooled confidence interval for the absolute difference pB - pA.
+ */
+export function twoProportionZTest(successesA, trialsA, successesB, trialsB, confidence = 0.95) {
+  if (!trialsA || !trialsB) return { z: null, p_value: null, difference: null, difference_ci: null };
+  const pA = successesA / trialsA;
+  const pB = successesB / trialsB;
+  const pooled = (successesA + successesB) / (trialsA + trialsB);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / trialsA + 1 / trialsB));
+  const difference = pB - pA;
+
+  const zCrit = normalQuantile(1 - (1 - confidence) / 2);
+  const seDiff = Math.sqrt((pA * (1 - pA)) / trialsA + (pB * (1 - pB)) / trialsB);
+  const difference_ci = { lower: difference - zCrit * seDiff, upper: difference + zCrit * seDiff };
+
+  if (se === 0) return { z: 0, p_value: 1, difference, difference_ci };
+  const z = difference / se;
+  return { z, p_value: 2 * (1 - normalCdf(Math.abs(z))), difference, difference_ci };
+}
+
+/**
+ * Pearson chi-square test of independence for a k x 2 table of
+ * [successes, failures] rows. Rows with no trials are ignored.
+ */
+export function chiSquareIndependence(rows) {
+  const table = rows.filter(([s, f]) => s + f > 0);
+  if (table.length < 2) return { statistic: null, degrees_of_freedom: 0, p_value: null };
+
+  const colTotals = [0, 0];
+  let total = 0;
+  for (const [s, f] of table) {
+    colTotals[0] += s;
+    colTotals[1] += f;
+    total += s + f;
+  }
+  if (colTotals[0] === 0 || colTotals[1] === 0) {
+    return { statistic: 0, degrees_of_freedom: table.length - 1, p_value: 1 };
+  }
+
+  let statistic = 0;
+  for (const row of table) {
+    const rowTotal = row[0] + row[1];
+    for (let j = 0; j < 2; j++) {
+      const expected = (rowTotal * colTotals[j]) / total;
+      statistic += ((row[j] - expected) ** 2) / expected;
+    }
+  }
+  const degreesOfFreedom = table.length - 1;
+  return { statistic, degrees_of_freedom: degreesOfFreedom, p_value: chiSquarePValue(statistic, degreesOfFreedom) };
+}
+
+/** Chi-square goodness-of-fit of observed counts against expected proportions. */
+export function chiSquareGoodnessOfFit(observed, proportions) {
+  const total = observed.reduce((sum, n) => sum + n, 0);
+  const weightTotal = proportions.reduce((sum, w) => sum + w, 0);
+  if (!total || !weightTotal || observed.length < 2) {
+    return { statistic: null, degrees_of_freedom: 0, p_value: null, expected: observed.map(() => 0) };
+  }
+
+  const expected = proportions.map(w => (total * w) / weightTotal);
+  let statistic = 0;
+  let categories = 0;
+  for (let i = 0; i < observed.length; i++) {
+    if (expected[i] === 0) {
+      if (observed[i] > 0) statistic = Infinity;
+      continue;
+    }
+    categories += 1;
+    statistic += ((observed[i] - expected[i]) ** 2) / expected[i];
+  }
+  const degreesOfFreedom = Math.max(categories - 1, 0);
+  const p_value = statistic === Infinity ? 0 : chiSquarePValue(statistic, degreesOfFreedom);
+  return { statistic, degrees_of_freedom: degreesOfFreedom, p_value, expected };
+}
@@ -0,0 +1,162 @@
+/**
+ * Time-zone aware reporting.
+ *
+ * Stored `date` columns and the dialect bucket helpers are UTC. Reports in
+ * another IANA zone instead bound rows on their epoch-ms column at local
+ * midnights and shift it by the zone's UTC offset before bucketing. The
+ * offset is resolved in JS (Intl carries the zone database; SQLite has
+ * none) as a CASE over the offset changes inside the report range, so DST
+ * changes land on the right local day and hour in every dialect.
+ */
+
+import { AnalyticsError, ERROR_CODES } from './errors.js';
+import { formatDate, parseSince } from './db/adapter.js';
+import { DEFAULT_DAYS, MS_PER_DAY } from './constants.js';
+
+export const DEFAULT_TIMEZONE = 'UTC';
+
+/** Zone names that are UTC under another name; they take the plain `date` path. */
+const UTC_ALIASES = /^(Etc\/)?(UTC|UCT|GMT|GMT[+-]?0|Universal|Zulu|Greenwich)$/;
+
+/** Zones never change offset twice within this step, so scanning by it finds every change. */
+const OFFSET_SCAN_STEP = 7 * MS_PER_DAY;
+
+const formatters = new Map();
+
+function formatter(timezone) {
+  let f = formatters.get(timezone);
+  if (!f) {
+    f = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+    });
+    formatters.set(timezone, f);
+  }
+  return f;
+}
+
+function invalidTimezone(timezone) {
+  return new AnalyticsError(
+    ERROR_CODES.INVALID_TIMEZONE,
+    `invalid timezone: ${timezone}. expected an IANA name such as America/Los_Angeles`,
+    400,
+  );
+}
+
+/**
+ * `timezone` as the caller sent it once Intl knows it, so responses echo
+ * `Asia/Kolkata` rather than ICU's `Asia/Calcutta`; DEFAULT_TIMEZONE when
+ * it is missing or any UTC alias. Throws INVALID_TIMEZONE for unknown names.
+ */
+export function validateTimezone(timezone) {
+  if (timezone === undefined || timezone === null || timezone === '') return DEFAULT_TIMEZONE;
+  if (typeof timezone !== 'string') throw invalidTimezone(timezone);
+  let resolved;
+  try {
+    resolved = new Intl.DateTimeFormat('en-US', { timeZone: timezone }).resolvedOptions().timeZone;
+  } catch {
+    throw invalidTimezone(timezone);
+  }
+  return UTC_ALIASES.test(resolved) ? DEFAULT_TIMEZONE : timezone;
+}
+
+export function isUtcTimezone(timezone) {
+  return timezone === DEFAULT_TIMEZONE;
+}
+
+/** Milliseconds to add to UTC epoch `ms` to get wall-clock time in `timezone`. */
+export function timezoneOffset(timezone, ms) {
+  const parts = {};
+  for (const { type, value } of formatter(timezone).formatToParts(ms)) parts[type] = Number(value);
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(ms / 1000) * 1000;
+}
+
+/** Local YYYY-MM-DD of epoch `ms` in `timezone`. */
+export function zonedDate(timezone, ms) {
+  return formatDate(ms + timezoneOffset(timezone, ms));
+}
+
+export function zonedToday(timezone) {
+  return zonedDate(timezone, Date.now());
+}
+
+/** YYYY-MM-DD `days` calendar days after (or before) `date`. */
+export function shiftDate(date, days) {
+  return formatDate(Date.parse(`${date}T00:00:00Z`) + days * MS_PER_DAY);
+}
+
+/**
+ * parseSince() in `timezone`: `Nd` counts back from the local today and
+ * timestamps resolve to their local date. UTC defers to parseSince().
+ */
+export function parseZonedSince(since, timezone) {
+  if (isUtcTimezone(timezone)) return parseSince(since);
+  const m = typeof since === 'string' && since.match(/^(\d+)d$/);
+  if (m) return shiftDate(zonedToday(timezone), -Number(m[1]));
+  if (typeof since === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(since) && !isNaN(Date.parse(since))) return since;
+  const ms = since ? new Date(since).getTime() : NaN;
+  return isNaN(ms) ? shiftDate(zonedToday(timezone), -DEFAULT_DAYS) : zonedDate(timezone, ms);
+}
+
+/** Epoch ms of the first instant of local `date` in `timezone`. */
+export function zonedDayStart(timezone, date) {
+  const midnight = Date.parse(`${date}T00:00:00Z`);
+  const guess = midnight - timezoneOffset(timezone, midnight);
+  // The offset at the guess, not at UTC midnight, is the one in force locally
+  return midnight - timezoneOffset(timezone, guess);
+}
+
+/**
+ * Instants bounding the local dates fromDate..toDate (inclusive):
+ * `fromMs` inclusive, `toMs` exclusive, or null when toDate is null.
+ */
+export function zonedBounds(timezone, fromDate, toDate = null) {
+  return {
+    fromMs: zonedDayStart(timezone, fromDate),
+    toMs: toDate ? zonedDayStart(timezone, shiftDate(toDate, 1)) : null,
+  };
+}
+
+/**
+ * The zone's offsets between fromMs and toMs as [{ until, offset }], each
+ * in force until the epoch-ms `until` (exclusive); the last has until null.
+ */
+export function offsetSegments(timezone, fromMs, toMs) {
+  const segments = [];
+  let offset = timezoneOffset(timezone, fromMs);
+  for (let ms = fromMs; ms < toMs;) {
+    const next = Math.min(ms + OFFSET_SCAN_STEP, toMs);
+    const nextOffset = timezoneOffset(timezone, next);
+    if (nextOffset !== offset) {
+      // Offsets change on whole seconds: search for the first second with the new one
+      let lo = Math.floor(ms / 1000);
+      let hi = Math.ceil(next / 1000);
+      while (hi - lo > 1) {
+        const mid = Math.floor((lo + hi) / 2);
+        if (timezoneOffset(timezone, mid * 1000) === offset) lo = mid;
+        else hi = mid;
+      }
+      segments.push({ until: hi * 1000, offset });
+      offset = nextOffset;
+    }
+    ms = next;
+  }
+  segments.push({ until: null, offset });
+  return segments;
+}
+
+/**
+ * SQL for epoch-ms `column` as local wall-clock epoch ms in `timezone`,
+ * exact for rows between fromMs and toMs. Every value is a computed
+ * integer, so the expression carries no bind parameters.
+ */
+export function buildLocalTimeExpr(column, timezone, fromMs, toMs) {
+  const segments = offsetSegments(timezone, fromMs, toMs);
+  const last = segments[segments.length - 1];
+  if (segments.length === 1) return `(${column} + ${last.offset})`;
+  const whens = segments.slice(0, -1).map(s => `WHEN ${column} < ${s.until} THEN ${s.offset}`).join(' ');
+  return `(${column} + CASE ${whens} ELSE ${last.offset} END)`;
+}
@@ -1,5 +1,5 @@
 // AUTO-GENERATED — edit tracker.src.js instead
 export const TRACKER_CHECKSUMS = Object.freeze({
   algorithm: 'sha256',
-  trackerMinifiedSha256: 'b0239818eafc7a997edc799f9e2dabbb399d594cc6588b2a7ceb84abe979cf1f',
+  trackerMinifiedSha256: 'a031a41ab49e9a17604517450061648cbd7c61bcea1f9c0b3c9d277490abb36a',
 });
@@ -678,7 +678,7 @@ export const TRACKER_SOURCE_JS = `(function() {
 
   (function loadExperimentConfig() {
     if (!TOKEN) { applyDeclarativeExperiments(); return; }
-    var configUrl = ENDPOINT.replace('/track', '/experiments/config') + '?token=' + TOKEN;
+    var configUrl = ENDPOINT.replace('/track', '/experiments/config') + '?token=' + encodeURIComponent(TOKEN) + '&project=' + encodeURIComponent(PROJECT);
     try {
       var configReq = fetch(configUrl, { credentials: 'omit' });
       if (configReq && typeof configReq.then === 'function') {
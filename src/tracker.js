@@ -1,3 +1,3 @@
 // AUTO-GENERATED — edit tracker.src.js instead
 export const TRACKER_JS = `/*! Agent Analytics tracker | Source: /tracker.src.js | Privacy: no hard fingerprinting, dynamic script loading, eval, document.write, or form value collection. */
-(function(){"use strict";function Zt(){return{track:function(){},identify:function(){},page:function(){},experiment:function(){return null},set:function(){},requireConsent:function(){},grantConsent:function(){},revokeConsent:function(){},getIdentity:function(){return{anonymousId:null,userId:null}}}}function p(d,G){return function(){try{return d.apply(this,arguments)}catch(Ot){return G}}}function kt(d){return{track:p(d.track,void 0),identify:p(d.identify,void 0),page:p(d.page,void 0),experiment:p(d.experiment,null),set:p(d.set,void 0),requireConsent:p(d.requireConsent,void 0),grantConsent:p(d.grantConsent,void 0),revokeConsent:p(d.revokeConsent,void 0),getIdentity:p(d.getIdentity,{anonymousId:null,userId:null})}}try{if(window.aa||(window.aa=Zt()),window.__aaTrackerRuntimeLoaded)return;window.__aaTrackerRuntimeLoaded=!0}catch(d){}try{let d=function(){var t=k||_t||"default";t=String(t||"default");try{return encodeURIComponent(t).replace(/[!'()*]/g,function(a){return"%"+a.charCodeAt(0).toString(16).toUpperCase()})||"default"}catch(a){for(var e="",r=0;r<t.length;r++){var n=t.charAt(r);e+=/[a-zA-Z0-9._-]/.test(n)?n:"%"+t.charCodeAt(r).toString(16).toUpperCase()}return e||"default"}},G=function(t){var e=null,r={},n={};try{e=window[t]}catch(i){e=null}function a(i){return Pt+i}return{getItem:function(i){var o=a(i);if(Object.prototype.hasOwnProperty.call(n,o))return null;if(Object.prototype.hasOwnProperty.call(r,o))return r[o];try{if(e&&typeof e.getItem=="function"){var f=e.getItem(o);if(f!=null)return f}}catch(g){}return null},setItem:function(i,o){var f=a(i);delete n[f],r[f]=String(o);try{e&&typeof e.setItem=="function"&&e.setItem(f,String(o))}catch(g){}},removeItem:function(i){var o=a(i);delete r[o],n[o]=!0;try{e&&typeof e.removeItem=="function"&&e.removeItem(o)}catch(f){}}}},Ot=function(t){if(!L||t===location.hostname)return!1;for(var e=0;e<L.length;e++){var r=L[e];if(t===r||t.endsWith("."+r))return!0}return!1},ee=function(){if(!L)return null;var t=new URLSearchParams(location.search),e=t.get("_aa");if(e){t.delete("_aa");var r=location.pathname+(t.toString()?"?"+t.toString():"")+location.hash;return history.replaceState(null,"",r),e}return null},re=function(){var t=l.getItem("uid");return t||(t="anon_"+Math.random().toString(36).slice(2,11)+Date.now().toString(36),l.setItem("uid",t)),t},dt=function(){return nt||I},ne=function(){var t=Date.now(),e=parseInt(_.getItem("last_activity")||"0",10),r=_.getItem("sid");return(!r||e&&t-e>Xt)&&(r="sess_"+Math.random().toString(36).slice(2,11)+t.toString(36),_.setItem("sid",r),at++,l.setItem("sc",String(at))),_.setItem("last_activity",String(t)),r},vt=function(){for(var t=new URLSearchParams(location.search),e={},r=["utm_source","utm_medium","utm_campaign","utm_content","utm_term"],n=!1,a=0;a<r.length;a++){var i=t.get(r[a]);i&&(e[r[a]]=i,n=!0)}if(n)_.setItem("utm",JSON.stringify(e));else try{e=E(JSON.parse(_.getItem("utm")||"{}"))}catch(o){e={}}return n&&!l.getItem("ft")&&l.setItem("ft",JSON.stringify(e)),e},w=function(t){if(!t)return"";try{var e=new URL(t,location.href);if(e.protocol==="http:"||e.protocol==="https:")return e.origin+e.pathname}catch(r){}return""},ae=function(t){var e="Unknown",r="",n="Unknown",a;return(a=t.match(/(Edge|Edg)\\/([\\d.]+)/))?(e="Edge",r=a[2]):(a=t.match(/OPR\\/([\\d.]+)/))?(e="Opera",r=a[1]):(a=t.match(/Chrome\\/([\\d.]+)/))?(e="Chrome",r=a[1]):(a=t.match(/Safari\\/([\\d.]+)/))?(a=t.match(/Version\\/([\\d.]+)/))&&(e="Safari",r=a[1]):(a=t.match(/Firefox\\/([\\d.]+)/))&&(e="Firefox",r=a[1]),/iPhone|iPad|iPod/.test(t)?n="iOS":/Windows/.test(t)?n="Windows":/Android/.test(t)?n="Android":/CrOS/.test(t)?n="ChromeOS":/Mac OS X/.test(t)?n="macOS":/Linux/.test(t)&&(n="Linux"),{browser:e,browser_version:r.split(".")[0],os:n}},ie=function(){var t=screen.width;return/Tablet|iPad/i.test(N)||t>=768&&t<1024&&!/Mobi/i.test(N)?"tablet":/Mobi/i.test(N)||t<768?"mobile":"desktop"},Mt=function(t){try{if(typeof Blob!="undefined"){var e=new Blob([t]);if(typeof e.size=="number")return e.size}}catch(r){}try{if(typeof TextEncoder!="undefined")return new TextEncoder().encode(t).length}catch(r){}return String(t||"").length},gt=function(t,e){try{if(typeof e=="string"&&Mt(e)>xt)return;if(navigator.sendBeacon)try{if(navigator.sendBeacon(t,new Blob([e],{type:"text/plain"})))return}catch(n){}if(typeof fetch=="function")try{var r=fetch(t,{method:"POST",body:e,keepalive:!0,credentials:"omit"});r&&typeof r.catch=="function"&&r.catch(function(){})}catch(n){}}catch(n){}},ht=function(t){try{var e=JSON.stringify(t);if(e&&Mt(e)<=xt)return e}catch(r){}return null},oe=function(t){return String(t||"").trim().toLowerCase()},ce=function(t){return typeof t=="string"&&t.toLowerCase().indexOf("email")!==-1},mt=function(t,e,r){if(t!==void 0){if(t===null)return null;var n=typeof t;if(n==="string")return t.length>It?t.slice(0,It):t;if(n==="number"||n==="boolean")return t;if(!(n==="function"||n==="symbol"||n==="bigint")){if(n!=="object")return t;if(e.indexOf(t)!==-1)return"[Circular]";if(r>=Kt)return"[MaxDepth]";if(e.push(t),Array.isArray(t)){for(var a=[],i=0;i<t.length&&i<Gt;i++){var o=mt(t[i],e,r+1);o!==void 0&&a.push(o)}return e.pop(),a}var f={},g=0;for(var v in t)if(Object.prototype.hasOwnProperty.call(t,v)&&!ce(v)){if(g>=Tt)break;var m=mt(t[v],e,r+1);m!==void 0&&(f[v]=m,g++)}return e.pop(),f}}},E=function(t){if(!t||typeof t!="object")return{};try{return mt(t,[],0)||{}}catch(e){return{}}},fe=function(t){var e=E(t),r=t&&t.email?oe(t.email):"";return r&&(e.email=r),e},$t=function(t,e,r){if(!(!t||!e||!k||Q&&!A)){var n=fe(r),a={token:k,previous_id:t,user_id:e};if(Object.keys(n).length>0&&(a.traits=n),a.traits||t!==e){var i=ht(a);i&&gt(q.replace("/track","/identify"),i)}}},ue=function(t){var e=ht(t);e&&gt(q,e)},pt=function(t){if(t.length){if(t.length===1){ue(t[0]);return}var e=ht({events:t});if(e){gt(q.replace("/track","/track/batch"),e);return}var r=Math.ceil(t.length/2);pt(t.slice(0,r)),pt(t.slice(r))}},J=function(){if(!(!X.length||Q&&!A))for(var t=X.splice(0);t.length;)pt(t.splice(0,Vt))},se=function(){Q&&!A||ot||(ot=setTimeout(function(){ot=null,J()},Yt))},le=function(t){var e={url:w(location.href),path:location.pathname,hostname:location.hostname,referrer:w(document.referrer),title:document.title,screen:screen.width+"x"+screen.height,language:navigator.language||"",browser:s.browser,browser_version:s.browser_version,os:s.os,device:s.device,timezone:Et};e.session_count=at,e.days_since_first_visit=Math.floor((Date.now()-D)/864e5);for(var r in x)x.hasOwnProperty(r)&&(e[r]=x[r]);try{var n=E(JSON.parse(l.getItem("ft")||"{}"));for(var a in n)n.hasOwnProperty(a)&&(e["first_"+a]=n[a])}catch(v){}var i=E(ct);for(var o in i)i.hasOwnProperty(o)&&(e[o]=i[o]);var f=E(t);for(var g in f)f.hasOwnProperty(g)&&(e[g]=f[g]);return e},H=function(){for(var t=document.querySelectorAll("[data-aa-experiment]"),e=0;e<t.length;e++){var r=t[e],n=r.getAttribute("data-aa-experiment"),a=u.experiment(n);if(a){var i=r.getAttribute("data-aa-variant-"+a.toLowerCase());i!==null&&(r.textContent=i)}}document.documentElement.classList.remove("aa-loading")},yt=function(){var t=location.pathname+location.search+location.hash;t!==ft&&(O&&O(),$&&$(),U&&U(),ut&&ut(),M&&M(),ft=t,x=vt(),u.page(),z&&z())},bt=function(t,e){try{return String(t||"")}catch(r){return e||""}},wt=function(t){try{return bt(t).replace(/https?:\\/\\/[^\\s"'<>]+/gi,function(e){try{var r=new URL(e);return r.origin+r.pathname}catch(n){return"[redacted]"}}).replace(/[A-Z0-9._%+-]+%40[A-Z0-9.-]+\\.[A-Z]{2,}/gi,"[redacted]").replace(/[A-Z0-9._%+-]+@[A-Z0-9.-]+\\.[A-Z]{2,}/gi,"[redacted]").replace(/\\b(Bearer\\s+)[A-Za-z0-9._~+/-]{8,}/gi,"$1[redacted]").replace(/\\b(token|api_key|apikey|key|secret|password|access_token|refresh_token|auth|code)\\s*[:=]\\s*[^\\s&,;]+/gi,"$1=[redacted]").replace(/\\b[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}\\b/gi,"[redacted]").replace(/(^|[^A-Za-z0-9_-])([A-Za-z0-9_-]{32,})(?=$|[^A-Za-z0-9_-])/g,"$1[redacted]")}catch(e){return"[redacted]"}},Ut=function(t,e){try{var r=wt(t);return e?r.slice(0,e):r}catch(n){return""}},de=function(t){try{var e=bt(t);if(!e)return"";try{var r=new URL(e);return wt(r.origin+r.pathname).slice(0,500)}catch(n){return wt(e.replace(/[?#].*$/,"")).slice(0,500)}}catch(n){return""}};if(/^localhost$|^127(\\.\\d+){3}$/.test(location.hostname)){window.aa=kt({track:function(t,e){console.log("[aa-dev] track",t,e||{})},identify:function(t){console.log("[aa-dev] identify",t)},page:function(t){console.log("[aa-dev] page",t||document.title)},experiment:function(){return null},set:function(t){console.log("[aa-dev] set",t||{})},requireConsent:function(){console.log("[aa-dev] requireConsent")},grantConsent:function(){console.log("[aa-dev] grantConsent")},revokeConsent:function(){console.log("[aa-dev] revokeConsent")},getIdentity:function(){return{anonymousId:null,userId:null}}});return}var c=document.currentScript,q=c&&c.src?new URL(c.src).origin+"/track":"/track",_t=c&&c.dataset.project||"default",k=c&&c.dataset.token||null,Pt="aa:"+d()+":",Bt=c&&c.getAttribute("data-do-not-track")==="true";if(Bt&&navigator.doNotTrack==="1")return;var l=G("localStorage"),_=G("sessionStorage");if(l.getItem("disabled")==="true"||document.visibilityState==="prerender")return;var Lt=c&&c.getAttribute("data-link-domains")||null,Rt=c&&c.getAttribute("data-track-outgoing")==="true",St=c&&c.getAttribute("data-heartbeat"),jt=c&&c.getAttribute("data-track-errors")==="true",Ft=c&&c.getAttribute("data-track-performance")==="true",At=c&&c.getAttribute("data-require-consent")==="true",Wt=c&&c.getAttribute("data-track-clicks")==="true",Jt=c&&c.getAttribute("data-track-vitals")==="true",Ht=c&&c.getAttribute("data-track-downloads")==="true",qt=c&&c.getAttribute("data-track-forms")==="true",Dt=c&&c.getAttribute("data-track-404")==="true",Nt=c&&c.getAttribute("data-track-scroll-depth")==="true",Qt=c&&c.getAttribute("data-track-spa")==="true",L=null;Lt&&(L=Lt.split(",").map(function(t){return t.trim().toLowerCase()}));var rt=ee(),I=re(),nt=l.getItem("identified_uid")||null;L&&document.addEventListener("click",function(t){var e=t.target.closest?t.target.closest("a"):null;if(!(!e||!e.href))try{var r=new URL(e.href);Ot(r.hostname)&&(r.searchParams.set("_aa",I),e.href=r.toString())}catch(n){}});var Xt=1800*1e3,at=parseInt(l.getItem("sc")||"0",10),D=parseInt(l.getItem("fv")||"0",10);D||(D=Date.now(),l.setItem("fv",String(D)));var x=vt(),N=navigator.userAgent||"",s=ae(N);s.device=ie();var Et="";try{Et=Intl.DateTimeFormat().resolvedOptions().timeZone}catch(t){}if(navigator.userAgentData){var h=navigator.userAgentData;if(typeof h.mobile=="boolean"&&h.mobile&&(s.device="mobile"),h.platform){var b=h.platform;b==="macOS"?s.os="macOS":b==="Windows"?s.os="Windows":b==="Android"?s.os="Android":b==="Chrome OS"||b==="ChromeOS"?s.os="ChromeOS":b==="Linux"?s.os="Linux":b==="iOS"&&(s.os="iOS")}if(h.brands&&h.brands.length)for(var S=0;S<h.brands.length;S++){var it=h.brands[S].brand;if(it==="Google Chrome"){s.browser="Chrome",s.browser_version=h.brands[S].version;break}if(it==="Microsoft Edge"){s.browser="Edge",s.browser_version=h.brands[S].version;break}if(it==="Opera"){s.browser="Opera",s.browser_version=h.brands[S].version;break}}}var Q=At,A=At?l.getItem("consent")==="granted":!1,X=[],ot=null,Yt=5e3,Vt=100,It=4096,Tt=100,Gt=50,Kt=8,xt=64*1024;rt&&rt!==I&&$t(rt,I),document.addEventListener("visibilitychange",function(){document.visibilityState==="hidden"&&J()}),window.addEventListener("beforeunload",J);var ct={},Y={},C=null,u={track:function(t,e){X.push({project:_t,token:k,event:t,properties:le(e),user_id:dt(),session_id:ne(),timestamp:Date.now()}),se()},identify:function(t,e){if(t){var r=dt();nt=t,l.setItem("identified_uid",t),J(),$t(r,t,e||{})}},page:function(t){this.track("page_view",{page:t||document.title})},experiment:function(t,e){if(Y[t]!==void 0)return Y[t];var r=null;if(C){for(var n=0;n<C.length;n++)if(C[n].key===t){r=C[n];break}}if(!r&&e){var a=Math.floor(100/e.length),i=100-a*e.length;r={key:t,variants:e.map(function(ve,ge){return{key:ve,weight:a+(ge===0?i:0)}})}}if(!r)return null;var o=new URLSearchParams(location.search).get("aa_variant_"+t);if(o){for(var f=0;f<r.variants.length;f++)if(r.variants[f].key===o)return Y[t]=o,u.track("$experiment_exposure",{experiment:t,variant:o,forced:!0}),o}for(var g=t+"."+dt(),v=0,m=0;m<g.length;m++)v=(v<<5)-v+g.charCodeAt(m),v|=0;for(var K=Math.abs(v)%100,zt=0,tt=r.variants[0].key,et=0;et<r.variants.length;et++)if(zt+=r.variants[et].weight,K<zt){tt=r.variants[et].key;break}return Y[t]=tt,u.track("$experiment_exposure",{experiment:t,variant:tt}),tt},set:function(t){if(t){var e=E(t);for(var r in e)e.hasOwnProperty(r)&&(t[r]===null?delete ct[r]:ct[r]=e[r])}},getIdentity:function(){return{anonymousId:I,userId:nt||null}},requireConsent:function(){Q=!0,A=l.getItem("consent")==="granted"},grantConsent:function(){A=!0,l.setItem("consent","granted"),u.track("$consent",{action:"granted"}),J()},revokeConsent:function(){A=!1,l.removeItem("consent"),X.length=0}};(function(){if(!k){H();return}var e=q.replace("/track","/experiments/config")+"?token="+k;try{var r=fetch(e,{credentials:"omit"});r&&typeof r.then=="function"?r.then(function(n){return n.json()}).then(function(n){C=n.experiments||[],H()}).catch(function(){H()}):H()}catch(n){H()}})();var ft=location.pathname+location.search+location.hash,O=null,ut=null,M=null,$=null,U=null,z=null;if(Qt&&(window.addEventListener("popstate",yt),window.addEventListener("hashchange",yt),["pushState","replaceState"].forEach(function(t){var e=history[t];history[t]=function(){var r=e.apply(this,arguments);return yt(),r}}),window.addEventListener("pageshow",function(t){t.persisted&&(O&&O(),$&&$(),U&&U(),ft=location.pathname+location.search+location.hash,x=vt(),u.page(),z&&z(),M&&M())})),document.addEventListener("click",function(t){var e=t.target.closest?t.target.closest("[data-aa-event]"):null;if(e){var r=e.getAttribute("data-aa-event");if(r){for(var n={},a=e.attributes,i=0;i<a.length;i++){var o=a[i].name;o.startsWith("data-aa-event-")&&(n[o.slice(14)]=a[i].value)}u.track(r,n)}}}),Rt&&document.addEventListener("click",function(t){var e=t.target.closest?t.target.closest("a"):null;if(!(!e||!e.href)&&!(e.closest&&e.closest("[data-aa-event]")))try{var r=new URL(e.href);r.hostname&&r.hostname!==location.hostname&&r.protocol.startsWith("http")&&u.track("outgoing_link",{href:w(e.href),hostname:r.hostname})}catch(n){}}),Wt&&document.addEventListener("click",function(t){var e=t.target.closest?t.target.closest("[data-aa-event]"):null;if(!e){var r=t.target.closest?t.target.closest("a, button"):null;if(r){var n=r.tagName.toLowerCase(),a={tag:n,id:r.id||"",classes:(r.className&&typeof r.className=="string"?r.className:"").slice(0,200)};if(n==="a"){var i=r.href||"";a.href=w(i);try{var o=new URL(i);if(/^(mailto|tel|javascript):/.test(i))return;a.is_external=o.hostname!==location.hostname}catch(f){a.is_external=!1}}else a.type=r.type||"submit";u.track("$click",a)}}}),Ht){var te=/\\.(pdf|xlsx?|docx?|txt|rtf|csv|exe|key|pps|pptx?|7z|pkg|rar|gz|zip|avi|mov|mp4|mpeg|wmv|midi|mp3|wav|wma|dmg|iso|msi)$/i;document.addEventListener("click",function(t){var e=t.target.closest?t.target.closest("a"):null;if(!(!e||!e.href)&&!(e.closest&&e.closest("[data-aa-event]")))try{var r=new URL(e.href);if(!r.protocol.startsWith("http"))return;var n=r.pathname,a=n.match(te);a&&u.track("$download",{href:w(e.href),filename:n.split("/").pop(),extension:a[1].toLowerCase()})}catch(i){}})}if(qt&&document.addEventListener("submit",function(t){var e=t.target;!e||e.tagName!=="FORM"||e.getAttribute("data-aa-event")||!e.hasAttribute("novalidate")&&e.checkValidity&&!e.checkValidity()||u.track("$form_submit",{id:e.id||"",name:e.getAttribute("name")||"",action:w(e.action).slice(0,500),method:(e.method||"GET").toUpperCase(),classes:(e.className&&typeof e.className=="string"?e.className:"").slice(0,200)})},!0),Dt){let t=function(){var e=!1,r=document.querySelector('meta[name="aa-status"]');if(r&&r.content==="404"&&(e=!0),!e)try{var n=performance.getEntriesByType&&performance.getEntriesByType("navigation")[0];n&&n.responseStatus===404&&(e=!0)}catch(a){}e&&u.track("$404",{path:location.pathname,referrer:w(document.referrer),title:document.title})};z=t,document.readyState==="loading"?document.addEventListener("DOMContentLoaded",t):setTimeout(t,0)}if((function(){if(!window.IntersectionObserver)return;var t;function e(){t&&t.disconnect();var r=document.querySelectorAll("[data-aa-impression]");if(r.length){t=new IntersectionObserver(function(a){for(var i=0;i<a.length;i++)if(a[i].isIntersecting){var o=a[i].target,f=o.getAttribute("data-aa-impression");if(!f)continue;for(var g={name:f},v=o.attributes,m=0;m<v.length;m++){var K=v[m].name;K.startsWith("data-aa-impression-")&&(g[K.slice(19)]=v[m].value)}u.track("$impression",g),t.unobserve(o)}},{threshold:.5});for(var n=0;n<r.length;n++)t.observe(r[n])}}e(),M=e})(),jt){var Z={},P=0,Ct=5;ut=function(){Z={},P=0},window.addEventListener("error",function(t){if(!(P>=Ct)){var e=Ut(t&&t.message,500),r=de(t&&t.filename),n=e+"|"+r+"|"+(t&&t.lineno||0);Z[n]||(Z[n]=1,P++,u.track("$error",{message:e,source:r,line:t&&t.lineno||0,col:t&&t.colno||0}))}}),window.addEventListener("unhandledrejection",function(t){if(!(P>=Ct)){var e=t&&t.reason,r=e instanceof Error?e.message:bt(e),n=Ut(r,500),a=n+"||0";Z[a]||(Z[a]=1,P++,u.track("$error",{message:n,source:"",line:0,col:0}))}})}if(Ft){let t=function(){var e=performance.getEntriesByType&&performance.getEntriesByType("navigation")[0];e&&u.track("$performance",{path:location.pathname,perf_dns:Math.round(e.domainLookupEnd-e.domainLookupStart),perf_tcp:Math.round(e.connectEnd-e.connectStart),perf_ttfb:Math.round(e.responseStart-e.requestStart),perf_dom_interactive:Math.round(e.domInteractive),perf_dom_complete:Math.round(e.domComplete),perf_load:Math.round(e.loadEventEnd)})};document.readyState==="complete"?setTimeout(t,0):window.addEventListener("load",function(){setTimeout(t,0)})}if(Jt){let t=function(){if(!st&&!(B<0&&V===0&&y.length===0)){st=!0;var r={path:location.pathname};if(B>=0&&(r.cwv_lcp=Math.round(B)),r.cwv_cls=Math.round(V*1e3)/1e3,y.length>0){y.sort(function(a,i){return a-i});var n=Math.min(Math.ceil(y.length*.98)-1,y.length-1);r.cwv_inp=y[Math.max(n,0)]}u.track("$web_vitals",r)}},e=function(){t(),B=-1,V=0,y=[],st=!1};var B=-1,V=0,y=[],st=!1;try{new PerformanceObserver(function(r){var n=r.getEntries();n.length&&(B=n[n.length-1].startTime)}).observe({type:"largest-contentful-paint",buffered:!0})}catch(r){}try{new PerformanceObserver(function(r){for(var n=r.getEntries(),a=0;a<n.length;a++)n[a].hadRecentInput||(V+=n[a].value)}).observe({type:"layout-shift",buffered:!0})}catch(r){}try{new PerformanceObserver(function(r){for(var n=r.getEntries(),a=0;a<n.length;a++)n[a].interactionId&&y.push(n[a].duration)}).observe({type:"event",buffered:!0,durationThreshold:16})}catch(r){}document.addEventListener("visibilitychange",function(){document.visibilityState==="hidden"&&t()}),window.addEventListener("beforeunload",t),$=e}if(Nt){let t=function(){var i=document.body,o=document.documentElement;return Math.max(i.scrollHeight,i.offsetHeight,i.clientHeight,o.scrollHeight,o.offsetHeight,o.clientHeight)},e=function(){R=t();var i=window.innerHeight||document.documentElement.clientHeight||0,o=R<=i?R:(window.scrollY||0)+i;o>j&&(j=o)},r=function(){if(!lt&&(e(),j>0&&R>0)){lt=!0;var i=Math.min(Math.round(j/R*100),100);u.track("$scroll_depth",{scroll_depth:i,path:location.pathname})}},n=function(){r(),j=0,lt=!1,e()},a=function(){var i=0,o=setInterval(function(){e(),++i>=15&&clearInterval(o)},200)};var R=t(),j=0,lt=!1;e(),document.addEventListener("scroll",e,{passive:!0}),document.readyState==="complete"?a():window.addEventListener("load",a),document.addEventListener("visibilitychange",function(){document.visibilityState==="hidden"&&r()}),window.addEventListener("beforeunload",r),U=n}if(St){var F=parseInt(St,10);if(F>0){let t=function(){W||(W=setInterval(function(){T+=F},F*1e3))},e=function(){W&&(clearInterval(W),W=null)},r=function(){T>0&&(u.track("$time_on_page",{time_on_page:T,path:location.pathname}),T=0)};F=Math.max(F,15);var T=0,W=null;document.addEventListener("visibilitychange",function(){document.visibilityState==="visible"?t():(e(),r())}),document.visibilityState!=="hidden"&&t(),window.addEventListener("beforeunload",function(){e(),r()}),O=function(){e(),r(),t()}}}u.page(),window.aa=kt(u)}catch(d){}})();`;
+(function(){"use strict";function Zt(){return{track:function(){},identify:function(){},page:function(){},experiment:function(){return null},set:function(){},requireConsent:function(){},grantConsent:function(){},revokeConsent:function(){},getIdentity:function(){return{anonymousId:null,userId:null}}}}function p(d,K){return function(){try{return d.apply(this,arguments)}catch(Ot){return K}}}function _t(d){return{track:p(d.track,void 0),identify:p(d.identify,void 0),page:p(d.page,void 0),experiment:p(d.experiment,null),set:p(d.set,void 0),requireConsent:p(d.requireConsent,void 0),grantConsent:p(d.grantConsent,void 0),revokeConsent:p(d.revokeConsent,void 0),getIdentity:p(d.getIdentity,{anonymousId:null,userId:null})}}try{if(window.aa||(window.aa=Zt()),window.__aaTrackerRuntimeLoaded)return;window.__aaTrackerRuntimeLoaded=!0}catch(d){}try{let d=function(){var t=k||rt||"default";t=String(t||"default");try{return encodeURIComponent(t).replace(/[!'()*]/g,function(a){return"%"+a.charCodeAt(0).toString(16).toUpperCase()})||"default"}catch(a){for(var e="",r=0;r<t.length;r++){var n=t.charAt(r);e+=/[a-zA-Z0-9._-]/.test(n)?n:"%"+t.charCodeAt(r).toString(16).toUpperCase()}return e||"default"}},K=function(t){var e=null,r={},n={};try{e=window[t]}catch(i){e=null}function a(i){return Bt+i}return{getItem:function(i){var o=a(i);if(Object.prototype.hasOwnProperty.call(n,o))return null;if(Object.prototype.hasOwnProperty.call(r,o))return r[o];try{if(e&&typeof e.getItem=="function"){var f=e.getItem(o);if(f!=null)return f}}catch(g){}return null},setItem:function(i,o){var f=a(i);delete n[f],r[f]=String(o);try{e&&typeof e.setItem=="function"&&e.setItem(f,String(o))}catch(g){}},removeItem:function(i){var o=a(i);delete r[o],n[o]=!0;try{e&&typeof e.removeItem=="function"&&e.removeItem(o)}catch(f){}}}},Ot=function(t){if(!L||t===location.hostname)return!1;for(var e=0;e<L.length;e++){var r=L[e];if(t===r||t.endsWith("."+r))return!0}return!1},ee=function(){if(!L)return null;var t=new URLSearchParams(location.search),e=t.get("_aa");if(e){t.delete("_aa");var r=location.pathname+(t.toString()?"?"+t.toString():"")+location.hash;return history.replaceState(null,"",r),e}return null},re=function(){var t=l.getItem("uid");return t||(t="anon_"+Math.random().toString(36).slice(2,11)+Date.now().toString(36),l.setItem("uid",t)),t},vt=function(){return at||I},ne=function(){var t=Date.now(),e=parseInt(_.getItem("last_activity")||"0",10),r=_.getItem("sid");return(!r||e&&t-e>Xt)&&(r="sess_"+Math.random().toString(36).slice(2,11)+t.toString(36),_.setItem("sid",r),it++,l.setItem("sc",String(it))),_.setItem("last_activity",String(t)),r},gt=function(){for(var t=new URLSearchParams(location.search),e={},r=["utm_source","utm_medium","utm_campaign","utm_content","utm_term"],n=!1,a=0;a<r.length;a++){var i=t.get(r[a]);i&&(e[r[a]]=i,n=!0)}if(n)_.setItem("utm",JSON.stringify(e));else try{e=E(JSON.parse(_.getItem("utm")||"{}"))}catch(o){e={}}return n&&!l.getItem("ft")&&l.setItem("ft",JSON.stringify(e)),e},w=function(t){if(!t)return"";try{var e=new URL(t,location.href);if(e.protocol==="http:"||e.protocol==="https:")return e.origin+e.pathname}catch(r){}return""},ae=function(t){var e="Unknown",r="",n="Unknown",a;return(a=t.match(/(Edge|Edg)\\/([\\d.]+)/))?(e="Edge",r=a[2]):(a=t.match(/OPR\\/([\\d.]+)/))?(e="Opera",r=a[1]):(a=t.match(/Chrome\\/([\\d.]+)/))?(e="Chrome",r=a[1]):(a=t.match(/Safari\\/([\\d.]+)/))?(a=t.match(/Version\\/([\\d.]+)/))&&(e="Safari",r=a[1]):(a=t.match(/Firefox\\/([\\d.]+)/))&&(e="Firefox",r=a[1]),/iPhone|iPad|iPod/.test(t)?n="iOS":/Windows/.test(t)?n="Windows":/Android/.test(t)?n="Android":/CrOS/.test(t)?n="ChromeOS":/Mac OS X/.test(t)?n="macOS":/Linux/.test(t)&&(n="Linux"),{browser:e,browser_version:r.split(".")[0],os:n}},ie=function(){var t=screen.width;return/Tablet|iPad/i.test(N)||t>=768&&t<1024&&!/Mobi/i.test(N)?"tablet":/Mobi/i.test(N)||t<768?"mobile":"desktop"},Mt=function(t){try{if(typeof Blob!="undefined"){var e=new Blob([t]);if(typeof e.size=="number")return e.size}}catch(r){}try{if(typeof TextEncoder!="undefined")return new TextEncoder().encode(t).length}catch(r){}return String(t||"").length},mt=function(t,e){try{if(typeof e=="string"&&Mt(e)>xt)return;if(navigator.sendBeacon)try{if(navigator.sendBeacon(t,new Blob([e],{type:"text/plain"})))return}catch(n){}if(typeof fetch=="function")try{var r=fetch(t,{method:"POST",body:e,keepalive:!0,credentials:"omit"});r&&typeof r.catch=="function"&&r.catch(function(){})}catch(n){}}catch(n){}},ht=function(t){try{var e=JSON.stringify(t);if(e&&Mt(e)<=xt)return e}catch(r){}return null},oe=function(t){return String(t||"").trim().toLowerCase()},ce=function(t){return typeof t=="string"&&t.toLowerCase().indexOf("email")!==-1},pt=function(t,e,r){if(t!==void 0){if(t===null)return null;var n=typeof t;if(n==="string")return t.length>It?t.slice(0,It):t;if(n==="number"||n==="boolean")return t;if(!(n==="function"||n==="symbol"||n==="bigint")){if(n!=="object")return t;if(e.indexOf(t)!==-1)return"[Circular]";if(r>=Tt)return"[MaxDepth]";if(e.push(t),Array.isArray(t)){for(var a=[],i=0;i<t.length&&i<Kt;i++){var o=pt(t[i],e,r+1);o!==void 0&&a.push(o)}return e.pop(),a}var f={},g=0;for(var v in t)if(Object.prototype.hasOwnProperty.call(t,v)&&!ce(v)){if(g>=Gt)break;var h=pt(t[v],e,r+1);h!==void 0&&(f[v]=h,g++)}return e.pop(),f}}},E=function(t){if(!t||typeof t!="object")return{};try{return pt(t,[],0)||{}}catch(e){return{}}},fe=function(t){var e=E(t),r=t&&t.email?oe(t.email):"";return r&&(e.email=r),e},$t=function(t,e,r){if(!(!t||!e||!k||Q&&!A)){var n=fe(r),a={token:k,previous_id:t,user_id:e};if(Object.keys(n).length>0&&(a.traits=n),a.traits||t!==e){var i=ht(a);i&&mt(q.replace("/track","/identify"),i)}}},ue=function(t){var e=ht(t);e&&mt(q,e)},yt=function(t){if(t.length){if(t.length===1){ue(t[0]);return}var e=ht({events:t});if(e){mt(q.replace("/track","/track/batch"),e);return}var r=Math.ceil(t.length/2);yt(t.slice(0,r)),yt(t.slice(r))}},H=function(){if(!(!X.length||Q&&!A))for(var t=X.splice(0);t.length;)yt(t.splice(0,Vt))},se=function(){Q&&!A||ct||(ct=setTimeout(function(){ct=null,H()},Yt))},le=function(t){var e={url:w(location.href),path:location.pathname,hostname:location.hostname,referrer:w(document.referrer),title:document.title,screen:screen.width+"x"+screen.height,language:navigator.language||"",browser:s.browser,browser_version:s.browser_version,os:s.os,device:s.device,timezone:Et};e.session_count=it,e.days_since_first_visit=Math.floor((Date.now()-D)/864e5);for(var r in x)x.hasOwnProperty(r)&&(e[r]=x[r]);try{var n=E(JSON.parse(l.getItem("ft")||"{}"));for(var a in n)n.hasOwnProperty(a)&&(e["first_"+a]=n[a])}catch(v){}var i=E(ft);for(var o in i)i.hasOwnProperty(o)&&(e[o]=i[o]);var f=E(t);for(var g in f)f.hasOwnProperty(g)&&(e[g]=f[g]);return e},J=function(){for(var t=document.querySelectorAll("[data-aa-experiment]"),e=0;e<t.length;e++){var r=t[e],n=r.getAttribute("data-aa-experiment"),a=u.experiment(n);if(a){var i=r.getAttribute("data-aa-variant-"+a.toLowerCase());i!==null&&(r.textContent=i)}}document.documentElement.classList.remove("aa-loading")},bt=function(){var t=location.pathname+location.search+location.hash;t!==ut&&(O&&O(),$&&$(),U&&U(),st&&st(),M&&M(),ut=t,x=gt(),u.page(),z&&z())},wt=function(t,e){try{return String(t||"")}catch(r){return e||""}},kt=function(t){try{return wt(t).replace(/https?:\\/\\/[^\\s"'<>]+/gi,function(e){try{var r=new URL(e);return r.origin+r.pathname}catch(n){return"[redacted]"}}).replace(/[A-Z0-9._%+-]+%40[A-Z0-9.-]+\\.[A-Z]{2,}/gi,"[redacted]").replace(/[A-Z0-9._%+-]+@[A-Z0-9.-]+\\.[A-Z]{2,}/gi,"[redacted]").replace(/\\b(Bearer\\s+)[A-Za-z0-9._~+/-]{8,}/gi,"$1[redacted]").replace(/\\b(token|api_key|apikey|key|secret|password|access_token|refresh_token|auth|code)\\s*[:=]\\s*[^\\s&,;]+/gi,"$1=[redacted]").replace(/\\b[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}\\b/gi,"[redacted]").replace(/(^|[^A-Za-z0-9_-])([A-Za-z0-9_-]{32,})(?=$|[^A-Za-z0-9_-])/g,"$1[redacted]")}catch(e){return"[redacted]"}},Ut=function(t,e){try{var r=kt(t);return e?r.slice(0,e):r}catch(n){return""}},de=function(t){try{var e=wt(t);if(!e)return"";try{var r=new URL(e);return kt(r.origin+r.pathname).slice(0,500)}catch(n){return kt(e.replace(/[?#].*$/,"")).slice(0,500)}}catch(n){return""}};if(/^localhost$|^127(\\.\\d+){3}$/.test(location.hostname)){window.aa=_t({track:function(t,e){console.log("[aa-dev] track",t,e||{})},identify:function(t){console.log("[aa-dev] identify",t)},page:function(t){console.log("[aa-dev] page",t||document.title)},experiment:function(){return null},set:function(t){console.log("[aa-dev] set",t||{})},requireConsent:function(){console.log("[aa-dev] requireConsent")},grantConsent:function(){console.log("[aa-dev] grantConsent")},revokeConsent:function(){console.log("[aa-dev] revokeConsent")},getIdentity:function(){return{anonymousId:null,userId:null}}});return}var c=document.currentScript,q=c&&c.src?new URL(c.src).origin+"/track":"/track",rt=c&&c.dataset.project||"default",k=c&&c.dataset.token||null,Bt="aa:"+d()+":",Pt=c&&c.getAttribute("data-do-not-track")==="true";if(Pt&&navigator.doNotTrack==="1")return;var l=K("localStorage"),_=K("sessionStorage");if(l.getItem("disabled")==="true"||document.visibilityState==="prerender")return;var Lt=c&&c.getAttribute("data-link-domains")||null,Rt=c&&c.getAttribute("data-track-outgoing")==="true",St=c&&c.getAttribute("data-heartbeat"),jt=c&&c.getAttribute("data-track-errors")==="true",Ft=c&&c.getAttribute("data-track-performance")==="true",At=c&&c.getAttribute("data-require-consent")==="true",Wt=c&&c.getAttribute("data-track-clicks")==="true",Ht=c&&c.getAttribute("data-track-vitals")==="true",Jt=c&&c.getAttribute("data-track-downloads")==="true",qt=c&&c.getAttribute("data-track-forms")==="true",Dt=c&&c.getAttribute("data-track-404")==="true",Nt=c&&c.getAttribute("data-track-scroll-depth")==="true",Qt=c&&c.getAttribute("data-track-spa")==="true",L=null;Lt&&(L=Lt.split(",").map(function(t){return t.trim().toLowerCase()}));var nt=ee(),I=re(),at=l.getItem("identified_uid")||null;L&&document.addEventListener("click",function(t){var e=t.target.closest?t.target.closest("a"):null;if(!(!e||!e.href))try{var r=new URL(e.href);Ot(r.hostname)&&(r.searchParams.set("_aa",I),e.href=r.toString())}catch(n){}});var Xt=1800*1e3,it=parseInt(l.getItem("sc")||"0",10),D=parseInt(l.getItem("fv")||"0",10);D||(D=Date.now(),l.setItem("fv",String(D)));var x=gt(),N=navigator.userAgent||"",s=ae(N);s.device=ie();var Et="";try{Et=Intl.DateTimeFormat().resolvedOptions().timeZone}catch(t){}if(navigator.userAgentData){var m=navigator.userAgentData;if(typeof m.mobile=="boolean"&&m.mobile&&(s.device="mobile"),m.platform){var b=m.platform;b==="macOS"?s.os="macOS":b==="Windows"?s.os="Windows":b==="Android"?s.os="Android":b==="Chrome OS"||b==="ChromeOS"?s.os="ChromeOS":b==="Linux"?s.os="Linux":b==="iOS"&&(s.os="iOS")}if(m.brands&&m.brands.length)for(var S=0;S<m.brands.length;S++){var ot=m.brands[S].brand;if(ot==="Google Chrome"){s.browser="Chrome",s.browser_version=m.brands[S].version;break}if(ot==="Microsoft Edge"){s.browser="Edge",s.browser_version=m.brands[S].version;break}if(ot==="Opera"){s.browser="Opera",s.browser_version=m.brands[S].version;break}}}var Q=At,A=At?l.getItem("consent")==="granted":!1,X=[],ct=null,Yt=5e3,Vt=100,It=4096,Gt=100,Kt=50,Tt=8,xt=64*1024;nt&&nt!==I&&$t(nt,I),document.addEventListener("visibilitychange",function(){document.visibilityState==="hidden"&&H()}),window.addEventListener("beforeunload",H);var ft={},Y={},C=null,u={track:function(t,e){X.push({project:rt,token:k,event:t,properties:le(e),user_id:vt(),session_id:ne(),timestamp:Date.now()}),se()},identify:function(t,e){if(t){var r=vt();at=t,l.setItem("identified_uid",t),H(),$t(r,t,e||{})}},page:function(t){this.track("page_view",{page:t||document.title})},experiment:function(t,e){if(Y[t]!==void 0)return Y[t];var r=null;if(C){for(var n=0;n<C.length;n++)if(C[n].key===t){r=C[n];break}}if(!r&&e){var a=Math.floor(100/e.length),i=100-a*e.length;r={key:t,variants:e.map(function(ve,ge){return{key:ve,weight:a+(ge===0?i:0)}})}}if(!r)return null;var o=new URLSearchParams(location.search).get("aa_variant_"+t);if(o){for(var f=0;f<r.variants.length;f++)if(r.variants[f].key===o)return Y[t]=o,u.track("$experiment_exposure",{experiment:t,variant:o,forced:!0}),o}for(var g=t+"."+vt(),v=0,h=0;h<g.length;h++)v=(v<<5)-v+g.charCodeAt(h),v|=0;for(var T=Math.abs(v)%100,zt=0,tt=r.variants[0].key,et=0;et<r.variants.length;et++)if(zt+=r.variants[et].weight,T<zt){tt=r.variants[et].key;break}return Y[t]=tt,u.track("$experiment_exposure",{experiment:t,variant:tt}),tt},set:function(t){if(t){var e=E(t);for(var r in e)e.hasOwnProperty(r)&&(t[r]===null?delete ft[r]:ft[r]=e[r])}},getIdentity:function(){return{anonymousId:I,userId:at||null}},requireConsent:function(){Q=!0,A=l.getItem("consent")==="granted"},grantConsent:function(){A=!0,l.setItem("consent","granted"),u.track("$consent",{action:"granted"}),H()},revokeConsent:function(){A=!1,l.removeItem("consent"),X.length=0}};(function(){if(!k){J();return}var e=q.replace("/track","/experiments/config")+"?token="+encodeURIComponent(k)+"&project="+encodeURIComponent(rt);try{var r=fetch(e,{credentials:"omit"});r&&typeof r.then=="function"?r.then(function(n){return n.json()}).then(function(n){C=n.experiments||[],J()}).catch(function(){J()}):J()}catch(n){J()}})();var ut=location.pathname+location.search+location.hash,O=null,st=null,M=null,$=null,U=null,z=null;if(Qt&&(window.addEventListener("popstate",bt),window.addEventListener("hashchange",bt),["pushState","replaceState"].forEach(function(t){var e=history[t];history[t]=function(){var r=e.apply(this,arguments);return bt(),r}}),window.addEventListener("pageshow",function(t){t.persisted&&(O&&O(),$&&$(),U&&U(),ut=location.pathname+location.search+location.hash,x=gt(),u.page(),z&&z(),M&&M())})),document.addEventListener("click",function(t){var e=t.target.closest?t.target.closest("[data-aa-event]"):null;if(e){var r=e.getAttribute("data-aa-event");if(r){for(var n={},a=e.attributes,i=0;i<a.length;i++){var o=a[i].name;o.startsWith("data-aa-event-")&&(n[o.slice(14)]=a[i].value)}u.track(r,n)}}}),Rt&&document.addEventListener("click",function(t){var e=t.target.closest?t.target.closest("a"):null;if(!(!e||!e.href)&&!(e.closest&&e.closest("[data-aa-event]")))try{var r=new URL(e.href);r.hostname&&r.hostname!==location.hostname&&r.protocol.startsWith("http")&&u.track("outgoing_link",{href:w(e.href),hostname:r.hostname})}catch(n){}}),Wt&&document.addEventListener("click",function(t){var e=t.target.closest?t.target.closest("[data-aa-event]"):null;if(!e){var r=t.target.closest?t.target.closest("a, button"):null;if(r){var n=r.tagName.toLowerCase(),a={tag:n,id:r.id||"",classes:(r.className&&typeof r.className=="string"?r.className:"").slice(0,200)};if(n==="a"){var i=r.href||"";a.href=w(i);try{var o=new URL(i);if(/^(mailto|tel|javascript):/.test(i))return;a.is_external=o.hostname!==location.hostname}catch(f){a.is_external=!1}}else a.type=r.type||"submit";u.track("$click",a)}}}),Jt){var te=/\\.(pdf|xlsx?|docx?|txt|rtf|csv|exe|key|pps|pptx?|7z|pkg|rar|gz|zip|avi|mov|mp4|mpeg|wmv|midi|mp3|wav|wma|dmg|iso|msi)$/i;document.addEventListener("click",function(t){var e=t.target.closest?t.target.closest("a"):null;if(!(!e||!e.href)&&!(e.closest&&e.closest("[data-aa-event]")))try{var r=new URL(e.href);if(!r.protocol.startsWith("http"))return;var n=r.pathname,a=n.match(te);a&&u.track("$download",{href:w(e.href),filename:n.split("/").pop(),extension:a[1].toLowerCase()})}catch(i){}})}if(qt&&document.addEventListener("submit",function(t){var e=t.target;!e||e.tagName!=="FORM"||e.getAttribute("data-aa-event")||!e.hasAttribute("novalidate")&&e.checkValidity&&!e.checkValidity()||u.track("$form_submit",{id:e.id||"",name:e.getAttribute("name")||"",action:w(e.action).slice(0,500),method:(e.method||"GET").toUpperCase(),classes:(e.className&&typeof e.className=="string"?e.className:"").slice(0,200)})},!0),Dt){let t=function(){var e=!1,r=document.querySelector('meta[name="aa-status"]');if(r&&r.content==="404"&&(e=!0),!e)try{var n=performance.getEntriesByType&&performance.getEntriesByType("navigation")[0];n&&n.responseStatus===404&&(e=!0)}catch(a){}e&&u.track("$404",{path:location.pathname,referrer:w(document.referrer),title:document.title})};z=t,document.readyState==="loading"?document.addEventListener("DOMContentLoaded",t):setTimeout(t,0)}if((function(){if(!window.IntersectionObserver)return;var t;function e(){t&&t.disconnect();var r=document.querySelectorAll("[data-aa-impression]");if(r.length){t=new IntersectionObserver(function(a){for(var i=0;i<a.length;i++)if(a[i].isIntersecting){var o=a[i].target,f=o.getAttribute("data-aa-impression");if(!f)continue;for(var g={name:f},v=o.attributes,h=0;h<v.length;h++){var T=v[h].name;T.startsWith("data-aa-impression-")&&(g[T.slice(19)]=v[h].value)}u.track("$impression",g),t.unobserve(o)}},{threshold:.5});for(var n=0;n<r.length;n++)t.observe(r[n])}}e(),M=e})(),jt){var Z={},B=0,Ct=5;st=function(){Z={},B=0},window.addEventListener("error",function(t){if(!(B>=Ct)){var e=Ut(t&&t.message,500),r=de(t&&t.filename),n=e+"|"+r+"|"+(t&&t.lineno||0);Z[n]||(Z[n]=1,B++,u.track("$error",{message:e,source:r,line:t&&t.lineno||0,col:t&&t.colno||0}))}}),window.addEventListener("unhandledrejection",function(t){if(!(B>=Ct)){var e=t&&t.reason,r=e instanceof Error?e.message:wt(e),n=Ut(r,500),a=n+"||0";Z[a]||(Z[a]=1,B++,u.track("$error",{message:n,source:"",line:0,col:0}))}})}if(Ft){let t=function(){var e=performance.getEntriesByType&&performance.getEntriesByType("navigation")[0];e&&u.track("$performance",{path:location.pathname,perf_dns:Math.round(e.domainLookupEnd-e.domainLookupStart),perf_tcp:Math.round(e.connectEnd-e.connectStart),perf_ttfb:Math.round(e.responseStart-e.requestStart),perf_dom_interactive:Math.round(e.domInteractive),perf_dom_complete:Math.round(e.domComplete),perf_load:Math.round(e.loadEventEnd)})};document.readyState==="complete"?setTimeout(t,0):window.addEventListener("load",function(){setTimeout(t,0)})}if(Ht){let t=function(){if(!lt&&!(P<0&&V===0&&y.length===0)){lt=!0;var r={path:location.pathname};if(P>=0&&(r.cwv_lcp=Math.round(P)),r.cwv_cls=Math.round(V*1e3)/1e3,y.length>0){y.sort(function(a,i){return a-i});var n=Math.min(Math.ceil(y.length*.98)-1,y.length-1);r.cwv_inp=y[Math.max(n,0)]}u.track("$web_vitals",r)}},e=function(){t(),P=-1,V=0,y=[],lt=!1};var P=-1,V=0,y=[],lt=!1;try{new PerformanceObserver(function(r){var n=r.getEntries();n.length&&(P=n[n.length-1].startTime)}).observe({type:"largest-contentful-paint",buffered:!0})}catch(r){}try{new PerformanceObserver(function(r){for(var n=r.getEntries(),a=0;a<n.length;a++)n[a].hadRecentInput||(V+=n[a].value)}).observe({type:"layout-shift",buffered:!0})}catch(r){}try{new PerformanceObserver(function(r){for(var n=r.getEntries(),a=0;a<n.length;a++)n[a].interactionId&&y.push(n[a].duration)}).observe({type:"event",buffered:!0,durationThreshold:16})}catch(r){}document.addEventListener("visibilitychange",function(){document.visibilityState==="hidden"&&t()}),window.addEventListener("beforeunload",t),$=e}if(Nt){let t=function(){var i=document.body,o=document.documentElement;return Math.max(i.scrollHeight,i.offsetHeight,i.clientHeight,o.scrollHeight,o.offsetHeight,o.clientHeight)},e=function(){R=t();var i=window.innerHeight||document.documentElement.clientHeight||0,o=R<=i?R:(window.scrollY||0)+i;o>j&&(j=o)},r=function(){if(!dt&&(e(),j>0&&R>0)){dt=!0;var i=Math.min(Math.round(j/R*100),100);u.track("$scroll_depth",{scroll_depth:i,path:location.pathname})}},n=function(){r(),j=0,dt=!1,e()},a=function(){var i=0,o=setInterval(function(){e(),++i>=15&&clearInterval(o)},200)};var R=t(),j=0,dt=!1;e(),document.addEventListener("scroll",e,{passive:!0}),document.readyState==="complete"?a():window.addEventListener("load",a),document.addEventListener("visibilitychange",function(){document.visibilityState==="hidden"&&r()}),window.addEventListener("beforeunload",r),U=n}if(St){var F=parseInt(St,10);if(F>0){let t=function(){W||(W=setInterval(function(){G+=F},F*1e3))},e=function(){W&&(clearInterval(W),W=null)},r=function(){G>0&&(u.track("$time_on_page",{time_on_page:G,path:location.pathname}),G=0)};F=Math.max(F,15);var G=0,W=null;document.addEventListener("visibilitychange",function(){document.visibilityState==="visible"?t():(e(),r())}),document.visibilityState!=="hidden"&&t(),window.addEventListener("beforeunload",function(){e(),r()}),O=function(){e(),r(),t()}}}u.page(),window.aa=_t(u)}catch(d){}})();`;
@@ -0,0 +1,236 @@
+/**
+ * Tracking plans: per-project event contracts checked at ingestion.
+ *
+ * A plan lists the events a project sends and, for each, its properties
+ * with a type and optionally `required`, an `enum` of allowed values or a
+ * `max_length`. Its mode decides what a violation does:
+ *
+ *   off      nothing is checked
+ *   warn     events are stored; violations are recorded
+ *   reject   violating events are refused; violations are recorded
+ *
+ * Violations are tallied per day in `schema_violations`, keyed by event,
+ * property and kind, so agents can watch instrumentation drift without
+ * the table growing with traffic.
+ */
+
+import { AnalyticsError, ERROR_CODES } from './errors.js';
+
+export const TRACKING_PLAN_MODES = Object.freeze({
+  OFF: 'off',
+  WARN: 'warn',
+  REJECT: 'reject',
+});
+
+export const PROPERTY_TYPES = Object.freeze(['string', 'number', 'integer', 'boolean', 'object', 'array']);
+
+export const VIOLATION_KINDS = Object.freeze({
+  UNPLANNED_EVENT: 'unplanned_event',
+  UNPLANNED_PROPERTY: 'unplanned_property',
+  MISSING_PROPERTY: 'missing_property',
+  WRONG_TYPE: 'wrong_type',
+  NOT_IN_ENUM: 'not_in_enum',
+  TOO_LONG: 'too_long',
+});
+
+// The reason /track/batch gives for events a reject-mode plan refuses
+export const TRACKING_PLAN_REJECTION = 'schema_violation';
+
+export const TRACKING_PLAN_LIMITS = Object.freeze({
+  events: 500,
+  properties: 100,
+  enum_values: 100,
+  name: 256,
+});
+
+// How long the handler trusts a cached plan before reading it again
+export const TRACKING_PLAN_CACHE_MS = 30_000;
+
+// Plans the handler keeps at once, least recently used dropped first
+export const TRACKING_PLAN_CACHE_KEYS = 1_000;
+
+function invalid(message) {
+  return new AnalyticsError(ERROR_CODES.MISSING_FIELDS, message, 400);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validateName(name, label) {
+  if (!name || name.length > TRACKING_PLAN_LIMITS.name) {
+    throw invalid(`${label} names must be 1-${TRACKING_PLAN_LIMITS.name} chars`);
+  }
+}
+
+function validatePropertySpec(spec, path) {
+  if (!isPlainObject(spec)) throw invalid(`${path} must be an object`);
+  if (!PROPERTY_TYPES.includes(spec.type)) throw invalid(`${path}.type must be one of: ${PROPERTY_TYPES.join(', ')}`);
+  if (spec.required !== undefined && typeof spec.required !== 'boolean') throw invalid(`${path}.required must be a boolean`);
+  const normalized = { type: spec.type, required: spec.required === true };
+  if (spec.enum !== undefined) {
+    const scalar = ['string', 'number', 'integer'].includes(spec.type);
+    if (!scalar || !Array.isArray(spec.enum) || spec.enum.length === 0 || spec.enum.length > TRACKING_PLAN_LIMITS.enum_values) {
+      throw invalid(`${path}.enum must be 1-${TRACKING_PLAN_LIMITS.enum_values} values of a string, number or integer property`);
+    }
+    if (!spec.enum.every(value => matchesType(value, spec.type))) throw invalid(`${path}.enum values must be of type ${spec.type}`);
+    normalized.enum = spec.enum;
+  }
+  if (spec.max_length !== undefined) {
+    if (spec.type !== 'string' || !Number.isInteger(spec.max_length) || spec.max_length < 1) {
+      throw invalid(`${path}.max_length must be a positive integer on a string property`);
+    }
+    normalized.max_length = spec.max_length;
+  }
+  return normalized;
+}
+
+function validateEventDefinition(definition, path) {
+  if (!isPlainObject(definition)) throw invalid(`${path} must be an object`);
+  const properties = definition.properties ?? {};
+  if (!isPlainObject(properties)) throw invalid(`${path}.properties must be an object`);
+  const entries = Object.entries(properties);
+  if (entries.length > TRACKING_PLAN_LIMITS.properties) {
+    throw invalid(`${path}.properties allows at most ${TRACKING_PLAN_LIMITS.properties} properties`);
+  }
+  if (definition.additional_properties !== undefined && typeof definition.additional_properties !== 'boolean') {
+    throw invalid(`${path}.additional_properties must be a boolean`);
+  }
+  return {
+    properties: Object.fromEntries(entries.map(([name, spec]) => {
+      validateName(name, 'property');
+      return [name, validatePropertySpec(spec, `${path}.properties.${name}`)];
+    })),
+    additional_properties: definition.additional_properties !== false,
+  };
+}
+
+/** Validate a plan payload. Returns `{ mode, allow_unplanned_events, events }`. */
+export function validateTrackingPlanInput(input = {}) {
+  const modes = Object.values(TRACKING_PLAN_MODES);
+  const mode = input.mode ?? TRACKING_PLAN_MODES.WARN;
+  if (!modes.includes(mode)) throw invalid(`invalid mode: ${mode}. allowed: ${modes.join(', ')}`);
+  if (input.allow_unplanned_events !== undefined && typeof input.allow_unplanned_events !== 'boolean') {
+    throw invalid('allow_unplanned_events must be a boolean');
+  }
+  if (!isPlainObject(input.events)) throw invalid('events must be an object of event definitions keyed by event name');
+  const entries = Object.entries(input.events);
+  if (entries.length > TRACKING_PLAN_LIMITS.events) throw invalid(`events allows at most ${TRACKING_PLAN_LIMITS.events} events`);
+  return {
+    mode,
+    allow_unplanned_events: input.allow_unplanned_events === true,
+    events: Object.fromEntries(entries.map(([name, definition]) => {
+      validateName(name, 'event');
+      return [name, validateEventDefinition(definition, `events.${name}`)];
+    })),
+  };
+}
+
+export function parseTrackingPlanRow(row) {
+  if (!row) return null;
+  return { project: row.project_id, mode: row.mode, ...JSON.parse(row.plan), updated_at: row.updated_at };
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'object': return isPlainObject(value);
+    case 'array': return Array.isArray(value);
+    default: return false;
+  }
+}
+
+/**
+ * Violations of `plan` by one tracked event, as `{ event, property, kind,
+ * message }`; `property` is null for event-level violations.
+ */
+export function checkTrackedEvent(plan, { event, properties }) {
+  const definition = Object.hasOwn(plan.events, event) ? plan.events[event] : null;
+  if (!definition) {
+    if (plan.allow_unplanned_events) return [];
+    return [{ event, property: null, kind: VIOLATION_KINDS.UNPLANNED_EVENT, message: `event is not in the tracking plan: ${event}` }];
+  }
+
+  const props = isPlainObject(properties) ? properties : {};
+  const violations = [];
+  const add = (property, kind, message) => violations.push({ event, property, kind, message: `${property}: ${message}` });
+  for (const [name, spec] of Object.entries(definition.properties)) {
+    const value = props[name];
+    if (value === undefined || value === null) {
+      if (spec.required) add(name, VIOLATION_KINDS.MISSING_PROPERTY, 'required property is missing');
+    } else if (!matchesType(value, spec.type)) {
+      add(name, VIOLATION_KINDS.WRONG_TYPE, `expected ${spec.type}`);
+    } else if (spec.enum && !spec.enum.includes(value)) {
+      add(name, VIOLATION_KINDS.NOT_IN_ENUM, `expected one of: ${spec.enum.join(', ')}`);
+    } else if (spec.max_length && value.length > spec.max_length) {
+      add(name, VIOLATION_KINDS.TOO_LONG, `longer than ${spec.max_length} chars`);
+    }
+  }
+  if (!definition.additional_properties) {
+    for (const name of Object.keys(props)) {
+      if (!Object.hasOwn(definition.properties, name)) add(name, VIOLATION_KINDS.UNPLANNED_PROPERTY, 'property is not in the tracking plan');
+    }
+  }
+  return violations;
+}
+
+/**
+ * Plans by project for the write path, cached for `ttlMs` so ingestion
+ * reads each plan at most that often. Only projects that have a plan are
+ * kept, at most `maxKeys` of them. Which projects those are is read in one
+ * query per `ttlMs` (getTrackingPlanProjects()), so events for any other
+ * project name cost no lookup; adapters without it read the plan of such
+ * projects every time. Adapters without getTrackingPlan(), or whose
+ * lookup fails, have no plans.
+ */
+export function createTrackingPlanCache(db, { ttlMs = TRACKING_PLAN_CACHE_MS, maxKeys = TRACKING_PLAN_CACHE_KEYS } = {}) {
+  const plans = new Map();
+  let planned = null;
+
+  async function lookup(read, fallback) {
+    try {
+      return await read();
+    } catch (err) {
+      // e.g. before migrate() created the table; ingestion goes on unchecked
+      console.error('Tracking plan lookup failed:', err);
+      return fallback;
+    }
+  }
+
+  async function hasPlan(project) {
+    if (typeof db.getTrackingPlanProjects !== 'function') return true;
+    if (!planned || planned.expires <= Date.now()) {
+      // Concurrent writes share one read of the list
+      const projects = lookup(async () => new Set(await db.getTrackingPlanProjects()), new Set());
+      planned = { projects, expires: Date.now() + ttlMs };
+    }
+    return (await planned.projects).has(project);
+  }
+
+  return {
+    async get(project) {
+      if (typeof db.getTrackingPlan !== 'function') return null;
+      if (!(await hasPlan(project))) return null;
+      const cached = plans.get(project);
+      plans.delete(project);
+      if (cached && cached.expires > Date.now()) {
+        // Re-insert to keep the Map in least-recently-used order
+        plans.set(project, cached);
+        return cached.plan;
+      }
+      const plan = await lookup(() => db.getTrackingPlan({ project }), null);
+      if (plan) {
+        plans.set(project, { plan, expires: Date.now() + ttlMs });
+        if (plans.size > maxKeys) plans.delete(plans.keys().next().value);
+      }
+      return plan;
+    },
+    invalidate(project) {
+      plans.delete(project);
+      planned = null;
+    },
+  };
+}
@@ -0,0 +1,270 @@
+/**
+ * Built-in API keys: BaseAdapter create/rotate/revoke/verify, and the
+ * handler enforcing scopes and allowed projects on every route.
+ */
+import assert from 'node:assert/strict';
+import { test, describe, before, after, beforeEach } from 'node:test';
+import { readFileSync } from 'node:fs';
+import { resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Database from 'better-sqlite3';
+import { PGlite } from '@electric-sql/pglite';
+import { SqliteAdapter } from '../src/db/sqlite.js';
+import { PostgresAdapter } from '../src/db/postgres.js';
+import { createAnalyticsHandler } from '../src/handler.js';
+import { ERROR_CODES } from '../src/errors.js';
+import { createApiKeyAuth, hashApiKey } from '../src/api-keys.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const postgresSchema = readFileSync(resolve(__dirname, '../schema.postgres.sql'), 'utf-8');
+// Writes without a browser User-Agent are dropped as bots before auth runs
+const BROWSER = { 'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36' };
+
+function apiKeyTests(createAdapter) {
+  let adapter;
+
+  beforeEach(async () => {
+    adapter = await createAdapter();
+  });
+
+  test('stores only the hash and verifies the plaintext key', async () => {
+    const { api_key, key } = await adapter.createApiKey({ name: 'agent', scopes: ['read'], projects: ['a', 'a', 'b'] });
+    assert.match(key, /^aak_[0-9a-f]{48}$/);
+    assert.equal(api_key.key_prefix, key.slice(0, 12));
+    assert.deepEqual(api_key.projects, ['a', 'b']);
+    assert.equal(api_key.key_hash, undefined);
+
+    const row = await adapter._queryOne('SELECT key_hash FROM api_keys WHERE id = ?', [api_key.id]);
+    assert.equal(row.key_hash, await hashApiKey(key));
+
+    assert.equal((await adapter.verifyApiKey(key)).id, api_key.id);
+    assert.equal(await adapter.verifyApiKey(`${key}0`), null);
+    assert.equal(await adapter.verifyApiKey(undefined), null);
+  });
+
+  test('rotation replaces the key and revocation ends it', async () => {
+    const first = await adapter.createApiKey({ name: 'ci', scopes: ['write'], expires_at: Date.now() + 60_000 });
+    const rotated = await adapter.rotateApiKey({ id: first.api_key.id });
+    assert.notEqual(rotated.key, first.key);
+    assert.equal(rotated.api_key.rotated_from, first.api_key.id);
+    assert.deepEqual(rotated.api_key.scopes, ['write']);
+    assert.equal(rotated.api_key.expires_at, first.api_key.expires_at);
+    assert.equal(await adapter.verifyApiKey(first.key), null);
+    assert.equal((await adapter.verifyApiKey(rotated.key)).id, rotated.api_key.id);
+
+    await assert.rejects(() => adapter.rotateApiKey({ id: first.api_key.id }), (err) => err.code === ERROR_CODES.CONFLICT);
+
+    const revoked = await adapter.revokeApiKey({ id: rotated.api_key.id });
+    assert.ok(revoked.revoked_at);
+    assert.equal(await adapter.verifyApiKey(rotated.key), null);
+    assert.deepEqual(await adapter.listApiKeys(), []);
+    assert.equal((await adapter.listApiKeys({ include_revoked: true })).length, 2);
+    await assert.rejects(() => adapter.revokeApiKey({ id: 'missing' }), (err) => err.code === ERROR_CODES.NOT_FOUND);
+  });
+
+  test('expired keys no longer verify', async () => {
+    const { api_key, key } = await adapter.createApiKey({ name: 'short', scopes: ['read'], expires_at: Date.now() + 60_000 });
+    await adapter._run('UPDATE api_keys SET expires_at = ? WHERE id = ?', [Date.now() - 1, api_key.id]);
+    assert.equal(await adapter.verifyApiKey(key), null);
+  });
+}
+
+describe('API keys (SQLite)', () => {
+  apiKeyTests(async () => new SqliteAdapter(new Database(':memory:')));
+
+  test('rejects invalid keys', async () => {
+    const adapter = new SqliteAdapter(new Database(':memory:'));
+    const cases = [
+      { scopes: ['read'] },
+      { name: 'x', scopes: [] },
+      { name: 'x', scopes: ['delete'] },
+      { name: 'x', scopes: ['read'], projects: [] },
+      { name: 'x', scopes: ['read'], projects: [''] },
+      { name: 'x', scopes: ['read'], expires_at: Date.now() - 1 },
+      { name: 'x', scopes: ['read'], expires_at: '2030-01-01' },
+    ];
+    for (const input of cases) {
+      await assert.rejects(() => adapter.createApiKey(input), (err) => err.code === ERROR_CODES.MISSING_FIELDS);
+    }
+  });
+});
+
+describe('API key enforcement in the handler', () => {
+  let adapter;
+  let handler;
+  let keys;
+
+  beforeEach(async () => {
+    adapter = new SqliteAdapter(new Database(':memory:'));
+    await adapter.trackEvent({ project: 'a', event: 'page_view', user_id: 'u1', timestamp: Date.now() });
+    await adapter.trackEvent({ project: 'b', event: 'page_view', user_id: 'u2', timestamp: Date.now() });
+    handler = createAnalyticsHandler({ db: adapter, ...createApiKeyAuth(adapter) });
+    keys = {
+      readA: (await adapter.createApiKey({ name: 'read a', scopes: ['read'], projects: ['a'] })).key,
+      writeA: (await adapter.createApiKey({ name: 'write a', scopes: ['write'], projects: ['a'] })).key,
+      admin: (await adapter.createApiKey({ name: 'root', scopes: ['admin'] })).key,
+      adminA: (await adapter.createApiKey({ name: 'admin a', scopes: ['admin'], projects: ['a'] })).key,
+    };
+  });
+
+  function request(method, path, key, body) {
+    const headers = key ? { ...BROWSER, 'X-API-Key': key } : BROWSER;
+    return handler(new Request(`https://api.test${path}`, { method, headers, body: body && JSON.stringify(body) }));
+  }
+
+  test('read keys only serve their projects, from the query string or the body', async () => {
+    let { response } = await request('GET', '/stats?project=a', keys.readA);
+    assert.equal(response.status, 200);
+
+    ({ response } = await request('GET', '/stats?project=b', keys.readA));
+    assert.equal(response.status, 403);
+    const error = await response.json();
+    assert.equal(error.error, ERROR_CODES.FORBIDDEN);
+    assert.match(error.message, /not allowed for project: b/);
+
+    ({ response } = await request('POST', '/query', keys.readA, { project: 'b' }));
+    assert.equal(response.status, 403);
+    ({ response } = await request('POST', '/paths', keys.readA, { project: 'b', goal_event: 'signup' }));
+    assert.equal(response.status, 403);
+    ({ response } = await request('POST', '/query', keys.readA, { project: 'a' }));
+    assert.equal(response.status, 200);
+
+    ({ response } = await request('GET', '/projects', keys.readA));
+    assert.deepEqual((await response.json()).projects.map(p => p.id), ['a']);
+    ({ response } = await request('GET', '/projects', keys.admin));
+    assert.equal((await response.json()).projects.length, 2);
+  });
+
+  test('scopes separate reads, writes and key management', async () => {
+    let { response } = await request('GET', '/stats?project=a', keys.writeA);
+    assert.equal(response.status, 401);
+    ({ response } = await request('GET', '/stats?project=a', 'aak_unknown'));
+    assert.equal(response.status, 401);
+
+    ({ response } = await request('POST', '/track', keys.readA, { project: 'a', event: 'x' }));
+    assert.equal(response.status, 403);
+    ({ response } = await request('POST', '/track', undefined, { project: 'a', event: 'x', token: keys.writeA }));
+    assert.equal(response.status, 200);
+    ({ response } = await request('POST', '/track/batch', keys.writeA, { events: [{ project: 'a', event: 'x' }, { project: 'b', event: 'x' }] }));
+    assert.equal(response.status, 403);
+
+    ({ response } = await request('GET', '/api-keys', keys.readA));
+    assert.equal(response.status, 401);
+    ({ response } = await request('GET', '/stats?project=b', keys.admin));
+    assert.equal(response.status, 200);
+  });
+
+  test('routes that change stored data need the write scope', async () => {
+    keys.readWriteA = (await adapter.createApiKey({ name: 'read write a', scopes: ['read', 'write'], projects: ['a'] })).key;
+    const experiment = { project: 'a', key: 'cta', variants: ['control', 'blue'] };
+    let { response } = await request('POST', '/experiments', keys.readWriteA, experiment);
+    assert.equal(response.status, 201);
+    ({ response } = await request('POST', '/saved-queries', keys.readWriteA, { project: 'a', name: 'views', query: {} }));
+    const savedQuery = (await response.json()).saved_query;
+    ({ response } = await request('POST', '/dashboards', keys.readWriteA, { project: 'a', name: 'home', saved_query_ids: [savedQuery.id] }));
+    const dashboard = (await response.json()).dashboard;
+
+    const mutations = [
+      ['/users/delete', { project: 'a', user_id: 'u1' }],
+      ['/tracking-plan', { project: 'a', events: {} }],
+      ['/experiments', { ...experiment, key: 'other' }],
+      ['/experiments/update', { project: 'a', key: 'cta', name: 'renamed' }],
+      ['/experiments/archive', { project: 'a', key: 'cta' }],
+      ['/saved-queries', { project: 'a', name: 'other', query: {} }],
+      [`/saved-queries/${savedQuery.id}/update`, { project: 'a', name: 'renamed' }],
+      [`/saved-queries/${savedQuery.id}/delete`, { project: 'a' }],
+      ['/dashboards', { project: 'a', name: 'other', saved_query_ids: [] }],
+      [`/dashboards/${dashboard.id}/update`, { project: 'a', name: 'renamed' }],
+      [`/dashboards/${dashboard.id}/delete`, { project: 'a' }],
+    ];
+    for (const [path, body] of mutations) {
+      ({ response } = await request('POST', path, keys.readA, body));
+      assert.equal(response.status, 403, path);
+      assert.match((await response.json()).message, /lacks the write scope/);
+    }
+    assert.equal((await adapter.getEvents({ project: 'a' })).length, 1);
+
+    ({ response } = await request('POST', `/saved-queries/${savedQuery.id}/run`, keys.readA, { project: 'a' }));
+    assert.equal(response.status, 200);
+    ({ response } = await request('POST', '/users/delete', keys.adminA, { project: 'a', user_id: 'u1' }));
+    assert.equal(response.status, 200);
+  });
+
+  test('admin routes create, rotate and revoke keys', async () => {
+    let { response } = await request('POST', '/api-keys', keys.admin, { name: 'agent', scopes: ['read'], projects: ['b'] });
+    assert.equal(response.status, 201);
+    const created = await response.json();
+    assert.match(created.key, /^aak_/);
+
+    ({ response } = await request('POST', `/api-keys/${created.api_key.id}/rotate`, keys.admin));
+    const rotated = await response.json();
+    ({ response } = await request('GET', '/stats?project=b', created.key));
+    assert.equal(response.status, 401);
+    ({ response } = await request('GET', '/stats?project=b', rotated.key));
+    assert.equal(response.status, 200);
+
+    ({ response } = await request('POST', `/api-keys/${rotated.api_key.id}/revoke`, keys.admin));
+    assert.ok((await response.json()).api_key.revoked_at);
+    ({ response } = await request('GET', '/stats?project=b', rotated.key));
+    assert.equal(response.status, 401);
+
+    ({ response } = await request('GET', '/api-keys?include_revoked=true', keys.admin));
+    assert.equal((await response.json()).api_keys.length, 6);
+  });
+
+  test('admins limited to projects only manage keys within them', async () => {
+    let { response } = await request('POST', '/api-keys', keys.adminA, { name: 'all', scopes: ['read'] });
+    assert.equal(response.status, 403);
+    ({ response } = await request('POST', '/api-keys', keys.adminA, { name: 'b', scopes: ['read'], projects: ['a', 'b'] }));
+    assert.equal(response.status, 403);
+    ({ response } = await request('POST', '/api-keys', keys.adminA, { name: 'a', scopes: ['read'], projects: ['a'] }));
+    assert.equal(response.status, 201);
+
+    ({ response } = await request('GET', '/api-keys', keys.adminA));
+    assert.deepEqual((await response.json()).api_keys.map(k => k.name).sort(), ['a', 'admin a', 'read a', 'write a']);
+
+    const [root] = (await adapter.listApiKeys()).filter(k => k.name === 'root');
+    ({ response } = await request('POST', `/api-keys/${root.id}/revoke`, keys.adminA));
+    assert.equal(response.status, 404);
+  });
+
+  test('custom validators may return projects; without validateAdmin keys cannot be managed', async () => {
+    const custom = createAnalyticsHandler({
+      db: adapter,
+      validateRead: () => ({ valid: true, projects: ['a'] }),
+      validateWrite: async () => ({ valid: true, projects: ['a'] }),
+    });
+    const call = (method, path, body) => custom(new Request(`https://api.test${path}`, { method, headers: BROWSER, body: body && JSON.stringify(body) }));
+
+    let { response } = await call('GET', '/events?project=b');
+    assert.equal(response.status, 403);
+    ({ response } = await call('POST', '/identify', { project: 'b', previous_id: 'x', user_id: 'y' }));
+    assert.equal(response.status, 403);
+    ({ response } = await call('GET', '/experiments/config?project=b'));
+    assert.equal(response.status, 403);
+    ({ response } = await call('GET', '/events?project=a'));
+    assert.equal(response.status, 200);
+
+    ({ response } = await call('GET', '/api-keys'));
+    assert.equal(response.status, 403);
+    assert.match((await response.json()).message, /validateAdmin/);
+  });
+});
+
+describe('API keys (PostgreSQL)', () => {
+  let pg;
+
+  before(async () => {
+    pg = new PGlite();
+    await pg.exec(postgresSchema);
+  });
+
+  after(async () => {
+    await pg.close();
+  });
+
+  apiKeyTests(async () => {
+    await pg.exec('TRUNCATE api_keys');
+    return new PostgresAdapter(pg);
+  });
+});
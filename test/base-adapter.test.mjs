@@ -1,21 +1,25 @@
 /**
  * Contract tests for BaseAdapter.
  *
- * Uses a MockAdapter backed by better-sqlite3 :memory: that implements
- * the 4 primitive methods (_run, _queryAll, _queryOne, _batch).
- * Every public method on BaseAdapter is tested through this mock.
+ * Runs once against a MockAdapter backed by better-sqlite3 :memory: that
+ * implements the 4 primitive methods (_run, _queryAll, _queryOne, _batch),
+ * and once against PostgresAdapter on PGlite (in-process Postgres).
+ * Every public method on BaseAdapter is tested through both.
  */
 import assert from 'node:assert/strict';
-import { test, describe, beforeEach } from 'node:test';
+import { test, describe, before, after, beforeEach } from 'node:test';
 import { readFileSync } from 'node:fs';
 import { resolve, dirname } from 'node:path';
 import { fileURLToPath } from 'node:url';
 import Database from 'better-sqlite3';
+import { PGlite } from '@electric-sql/pglite';
 import { BaseAdapter } from '../src/db/base-adapter.js';
+import { PostgresAdapter } from '../src/db/postgres.js';
 import { ERROR_CODES } from '../src/errors.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const schema = readFileSync(resolve(__dirname, '../schema.sql'), 'utf-8');
+const postgresSchema = readFileSync(resolve(__dirname, '../schema.postgres.sql'), 'utf-8');
 
 // ---------------------------------------------------------------------------
 // MockAdapter — thin subclass using better-sqlite3 in-memory
@@ -54,13 +58,7 @@ class MockAdapter extends BaseAdapter {
 // Tests
 // ---------------------------------------------------------------------------
 
-describe('BaseAdapter contract', () => {
-  let adapter;
-
-  beforeEach(() => {
-    adapter = new MockAdapter();
-  });
-
+describe('BaseAdapter', () => {
   // --- Abstract methods ---
 
   test('abstract methods throw when not overridden', async () => {
@@ -70,6 +68,36 @@ describe('BaseAdapter contract', () => {
     await assert.rejects(() => base._queryOne('', []), /not implemented/);
     await assert.rejects(() => base._batch([]), /not implemented/);
   });
+});
+
+describe('BaseAdapter contract (SQLite)', () => {
+  contractTests(async () => new MockAdapter());
+});
+
+describe('BaseAdapter contract (PostgreSQL)', () => {
+  let pg;
+
+  before(async () => {
+    pg = new PGlite();
+    await pg.exec(postgresSchema);
+  });
+
+  after(async () => {
+    await pg.close();
+  });
+
+  contractTests(async () => {
+    await pg.exec('TRUNCATE events, sessions, identity_map, experiments');
+    return new PostgresAdapter(pg);
+  });
+});
+
+function contractTests(createAdapter) {
+  let adapter;
+
+  beforeEach(async () => {
+    adapter = await createAdapter();
+  });
 
   // --- trackEvent ---
 
@@ -77,13 +105,13 @@ describe('BaseAdapter contract', () => {
     await adapter.trackEvent({
       project: 'p1', event: 'click', user_id: 'u1', timestamp: 1000000,
     });
-    const rows = adapter.db.prepare('SELECT * FROM events').all();
+    const rows = await adapter._queryAll('SELECT * FROM events', []);
     assert.equal(rows.length, 1);
     assert.equal(rows[0].project_id, 'p1');
     assert.equal(rows[0].event, 'click');
     assert.equal(rows[0].session_id, null);
     // No session created
-    assert.equal(adapter.db.prepare('SELECT * FROM sessions').all().length, 0);
+    assert.equal((await adapter._queryAll('SELECT * FROM sessions', [])).length, 0);
   });
 
   test('trackEvent inserts event + upserts session atomically', async () => {
@@ -92,11 +120,11 @@ describe('BaseAdapter contract', () => {
       session_id: 'sess1', timestamp: 1000000,
       properties: { path: '/home' },
     });
-    const events = adapter.db.prepare('SELECT * FROM events').all();
+    const events = await adapter._queryAll('SELECT * FROM events', []);
     assert.equal(events.length, 1);
     assert.equal(events[0].session_id, 'sess1');
 
-    const sessions = adapter.db.prepare('SELECT * FROM sessions').all();
+    const sessions = await adapter._queryAll('SELECT * FROM sessions', []);
     assert.equal(sessions.length, 1);
     assert.equal(sessions[0].session_id, 'sess1');
     assert.equal(sessions[0].entry_page, '/home');
@@ -114,7 +142,7 @@ describe('BaseAdapter contract', () => {
       session_id: 'sess1', timestamp: 1060000,
       properties: { path: '/about' },
     });
-    const s = adapter.db.prepare('SELECT * FROM sessions').all();
+    const s = await adapter._queryAll('SELECT * FROM sessions', []);
     assert.equal(s.length, 1);
     assert.equal(s[0].event_count, 2);
     assert.equal(s[0].is_bounce, 0);
@@ -127,7 +155,7 @@ describe('BaseAdapter contract', () => {
       project: 'p1', event: 'click', properties: { button: 'signup', page: 3 },
       timestamp: 1000000,
     });
-    const row = adapter.db.prepare('SELECT properties FROM events').get();
+    const row = await adapter._queryOne('SELECT properties FROM events', []);
     const parsed = JSON.parse(row.properties);
     assert.deepEqual(parsed, { button: 'signup', page: 3 });
   });
@@ -141,8 +169,8 @@ describe('BaseAdapter contract', () => {
       { project: 'p1', event: 'page_view', session_id: 'sB', user_id: 'u2', timestamp: 2000000, properties: { path: '/x' } },
       { project: 'p1', event: 'click', user_id: 'u3', timestamp: 3000000 },
     ]);
-    assert.equal(adapter.db.prepare('SELECT COUNT(*) as c FROM events').get().c, 4);
-    const sessions = adapter.db.prepare('SELECT * FROM sessions ORDER BY session_id').all();
+    assert.equal((await adapter._queryOne('SELECT COUNT(*) as c FROM events', [])).c, 4);
+    const sessions = await adapter._queryAll('SELECT * FROM sessions ORDER BY session_id', []);
     assert.equal(sessions.length, 2);
     const sA = sessions.find(s => s.session_id === 'sA');
     assert.equal(sA.event_count, 2);
@@ -159,14 +187,14 @@ describe('BaseAdapter contract', () => {
       project_id: 'p1', session_id: 'sess1', user_id: 'u1',
       timestamp: 1000000, properties: { path: '/home' },
     });
-    let s = adapter.db.prepare('SELECT * FROM sessions WHERE session_id = ?').get('sess1');
+    let s = await adapter._queryOne('SELECT * FROM sessions WHERE session_id = ?', ['sess1']);
     assert.equal(s.entry_page, '/home');
 
     await adapter.upsertSession({
       project_id: 'p1', session_id: 'sess1', user_id: 'u1',
       timestamp: 1060000, properties: { path: '/about' },
     });
-    s = adapter.db.prepare('SELECT * FROM sessions WHERE session_id = ?').get('sess1');
+    s = await adapter._queryOne('SELECT * FROM sessions WHERE session_id = ?', ['sess1']);
     assert.equal(s.event_count, 2);
     assert.equal(s.exit_page, '/about');
   });
@@ -231,7 +259,7 @@ describe('BaseAdapter contract', () => {
     await adapter.trackEvent({ project: 'p', event: 'pv', session_id: 's_new', user_id: 'u1', timestamp: recent, properties: { path: '/' } });
 
     await adapter.cleanupSessions({ project: 'p', before_date: '2025-01-01' });
-    const sessions = adapter.db.prepare('SELECT * FROM sessions').all();
+    const sessions = await adapter._queryAll('SELECT * FROM sessions', []);
     assert.equal(sessions.length, 1);
     assert.equal(sessions[0].session_id, 's_new');
   });
@@ -649,15 +677,9 @@ describe('BaseAdapter contract', () => {
     // Insert events with country directly into DB
     const now = Date.now();
     const date = new Date(now).toISOString().split('T')[0];
-    adapter.db.prepare(
-      `INSERT INTO events (id, project_id, event, user_id, timestamp, date, country) VALUES (?, ?, ?, ?, ?, ?, ?)`
-    ).run('e1', 'p', 'click', 'u1', now, date, 'US');
-    adapter.db.prepare(
-      `INSERT INTO events (id, project_id, event, user_id, timestamp, date, country) VALUES (?, ?, ?, ?, ?, ?, ?)`
-    ).run('e2', 'p', 'click', 'u2', now, date, 'US');
-    adapter.db.prepare(
-      `INSERT INTO events (id, project_id, event, user_id, timestamp, date, country) VALUES (?, ?, ?, ?, ?, ?, ?)`
-    ).run('e3', 'p', 'click', 'u3', now, date, 'DE');
+    await adapter._run(`INSERT INTO events (id, project_id, event, user_id, timestamp, date, country) VALUES (?, ?, ?, ?, ?, ?, ?)`, ['e1', 'p', 'click', 'u1', now, date, 'US']);
+    await adapter._run(`INSERT INTO events (id, project_id, event, user_id, timestamp, date, country) VALUES (?, ?, ?, ?, ?, ?, ?)`, ['e2', 'p', 'click', 'u2', now, date, 'US']);
+    await adapter._run(`INSERT INTO events (id, project_id, event, user_id, timestamp, date, country) VALUES (?, ?, ?, ?, ?, ?, ?)`, ['e3', 'p', 'click', 'u3', now, date, 'DE']);
 
     const result = await adapter.query({
       project: 'p',
@@ -775,4 +797,4 @@ describe('BaseAdapter contract', () => {
       },
     );
   });
-});
+}
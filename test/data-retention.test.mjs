@@ -0,0 +1,161 @@
+import assert from 'node:assert/strict';
+import { test, describe, beforeEach } from 'node:test';
+import { readFileSync } from 'node:fs';
+import { resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Database from 'better-sqlite3';
+import { PGlite } from '@electric-sql/pglite';
+import { SqliteAdapter } from '../src/db/sqlite.js';
+import { PostgresAdapter } from '../src/db/postgres.js';
+import {
+  validateDataRetentionOptions,
+  resolveDataRetentionPolicy,
+  runScheduledRetention,
+} from '../src/data-retention.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const postgresSchema = readFileSync(resolve(__dirname, '../schema.postgres.sql'), 'utf-8');
+
+const NOW = Date.parse('2025-06-30T12:00:00Z');
+const DAY = 86_400_000;
+
+async function trackDaysAgo(adapter, project, days, extra = {}) {
+  await adapter.trackEvent({ project, event: 'page_view', timestamp: NOW - days * DAY, ...extra });
+}
+
+async function addMapping(adapter, project, previous_id, canonical_id, created_at) {
+  await adapter._run(
+    `INSERT INTO identity_map (previous_id, canonical_id, project_id, created_at) VALUES (?, ?, ?, ?)`,
+    [previous_id, canonical_id, project, created_at],
+  );
+}
+
+async function count(adapter, table) {
+  return (await adapter._queryOne(`SELECT COUNT(*) as n FROM ${table}`, [])).n;
+}
+
+describe('validateDataRetentionOptions', () => {
+  test('keeps everything unless a policy says otherwise', () => {
+    const opts = validateDataRetentionOptions({});
+    assert.deepEqual(resolveDataRetentionPolicy(opts, 'p'), { events_days: null, sessions_days: null });
+    assert.equal(opts.dryRun, false);
+    assert.equal(opts.chunkSize, 1000);
+  });
+
+  test('project policies override the default key by key', () => {
+    const opts = validateDataRetentionOptions({
+      policies: { default: { events_days: 90, sessions_days: 365 }, projects: { vip: { events_days: null }, short: { sessions_days: 30 } } },
+    });
+    assert.deepEqual(resolveDataRetentionPolicy(opts, 'vip'), { events_days: null, sessions_days: 365 });
+    assert.deepEqual(resolveDataRetentionPolicy(opts, 'short'), { events_days: 90, sessions_days: 30 });
+    assert.deepEqual(resolveDataRetentionPolicy(opts, 'other'), { events_days: 90, sessions_days: 365 });
+  });
+
+  test('rejects unknown settings and out-of-range values', () => {
+    assert.throws(() => validateDataRetentionOptions({ policies: { default: { event_days: 30 } } }), /not a retention setting/);
+    assert.throws(() => validateDataRetentionOptions({ policies: { default: { events_days: 0 } } }), /between 1 and 3650/);
+    assert.throws(() => validateDataRetentionOptions({ chunk_size: 1.5 }), /chunk_size must be an integer/);
+    assert.throws(() => validateDataRetentionOptions({ projects: 'p' }), /projects must be an array/);
+  });
+});
+
+describe('BaseAdapter.applyRetention', () => {
+  let adapter;
+
+  beforeEach(() => {
+    adapter = new SqliteAdapter(new Database(':memory:'));
+  });
+
+  test('deletes events and sessions past each project policy', async () => {
+    await trackDaysAgo(adapter, 'a', 100, { session_id: 'a-old' });
+    await trackDaysAgo(adapter, 'a', 10, { session_id: 'a-new' });
+    await trackDaysAgo(adapter, 'b', 100, { session_id: 'b-old' });
+
+    const report = await adapter.applyRetention({
+      now: NOW,
+      policies: { default: { events_days: 90, sessions_days: 365 }, projects: { b: { events_days: null } } },
+    });
+
+    assert.equal(report.complete, true);
+    assert.deepEqual(report.projects.map(p => [p.project, p.events?.rows ?? null, p.sessions.rows]), [['a', 1, 0], ['b', null, 0]]);
+    assert.equal(report.projects[0].events.before, '2025-04-01');
+    const events = await adapter._queryAll('SELECT project_id, session_id FROM events ORDER BY project_id, session_id', []);
+    assert.deepEqual(events.map(e => e.session_id), ['a-new', 'b-old']);
+    assert.equal(await count(adapter, 'sessions'), 3);
+  });
+
+  test('dry run counts rows, including mappings the purge would orphan, without deleting', async () => {
+    await trackDaysAgo(adapter, 'p', 40, { user_id: 'u-old', session_id: 's-old' });
+    await trackDaysAgo(adapter, 'p', 1, { user_id: 'u-new' });
+    await addMapping(adapter, 'p', 'anon-old', 'u-old', NOW - 50 * DAY);
+    await addMapping(adapter, 'p', 'anon-new', 'u-new', NOW - 50 * DAY);
+
+    const report = await adapter.applyRetention({ now: NOW, dry_run: true, policies: { default: { events_days: 30, sessions_days: 30 } } });
+    assert.equal(report.dry_run, true);
+    const [p] = report.projects;
+    assert.deepEqual([p.events.rows, p.sessions.rows, p.identities.rows], [1, 1, 1]);
+    assert.equal(await count(adapter, 'events'), 2);
+    assert.equal(await count(adapter, 'identity_map'), 2);
+
+    const applied = await adapter.applyRetention({ now: NOW, policies: { default: { events_days: 30, sessions_days: 30 } } });
+    assert.deepEqual(applied.projects[0].identities, { before: '2025-05-31', rows: 1 });
+    assert.deepEqual((await adapter._queryAll('SELECT previous_id FROM identity_map', [])).map(r => r.previous_id), ['anon-new']);
+  });
+
+  test('keeps mappings created after the cutoff and users with surviving sessions', async () => {
+    await trackDaysAgo(adapter, 'p', 5, { user_id: 'u-session', session_id: 's1' });
+    await adapter._run('DELETE FROM events', []);
+    await addMapping(adapter, 'p', 'anon-session', 'u-session', NOW - 50 * DAY);
+    await addMapping(adapter, 'p', 'anon-fresh', 'u-nothing-yet', NOW - DAY);
+
+    const report = await adapter.applyRetention({ now: NOW, policies: { default: { events_days: 30 } } });
+    assert.equal(report.projects[0].identities.rows, 0);
+    assert.equal(await count(adapter, 'identity_map'), 2);
+  });
+
+  test('stops after max_chunks and finishes on the next run', async () => {
+    for (let i = 0; i < 5; i++) await trackDaysAgo(adapter, 'p', 200 + i);
+
+    const first = await adapter.applyRetention({ now: NOW, chunk_size: 2, max_chunks: 2, policies: { default: { events_days: 30 } } });
+    assert.equal(first.complete, false);
+    assert.equal(first.projects[0].events.rows, 4);
+    assert.equal(await count(adapter, 'events'), 1);
+
+    const second = await adapter.applyRetention({ now: NOW, chunk_size: 2, max_chunks: 2, policies: { default: { events_days: 30 } } });
+    assert.equal(second.complete, true);
+    assert.equal(await count(adapter, 'events'), 0);
+  });
+
+  test('runs on Postgres', async () => {
+    const pg = new PGlite();
+    try {
+      await pg.exec(postgresSchema);
+      const pgAdapter = new PostgresAdapter(pg);
+      await trackDaysAgo(pgAdapter, 'p', 100, { user_id: 'u1', session_id: 's1' });
+      await trackDaysAgo(pgAdapter, 'p', 1, { user_id: 'u2' });
+      await addMapping(pgAdapter, 'p', 'anon', 'u1', NOW - 200 * DAY);
+
+      const report = await pgAdapter.applyRetention({ now: NOW, policies: { default: { events_days: 90, sessions_days: 90 } } });
+      const [p] = report.projects;
+      assert.deepEqual([p.events.rows, p.sessions.rows, p.identities.rows], [1, 1, 1]);
+      assert.equal(await count(pgAdapter, 'events'), 1);
+    } finally {
+      await pg.close();
+    }
+  });
+});
+
+describe('runScheduledRetention', () => {
+  test('uses the scheduled time and returns the report with totals, without logging', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const adapter = new SqliteAdapter(new Database(':memory:'));
+    await trackDaysAgo(adapter, 'p', 10);
+    await trackDaysAgo(adapter, 'q', 12);
+
+    const report = await runScheduledRetention(adapter, { policies: { default: { events_days: 7 } } }, { scheduledTime: NOW });
+    assert.deepEqual(report.projects.map(p => [p.project, p.events.rows]), [['p', 1], ['q', 1]]);
+    assert.deepEqual(report.totals, { events: 2, sessions: 0, identities: 0 });
+    assert.equal(report.complete, true);
+    assert.equal(console.log.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,152 @@
+import assert from 'node:assert/strict';
+import { test, describe, before, after, beforeEach } from 'node:test';
+import { readFileSync } from 'node:fs';
+import { resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Database from 'better-sqlite3';
+import { PGlite } from '@electric-sql/pglite';
+import { SqliteAdapter } from '../src/db/sqlite.js';
+import { PostgresAdapter } from '../src/db/postgres.js';
+import { createAnalyticsHandler } from '../src/handler.js';
+import { ERROR_CODES } from '../src/errors.js';
+import { hashDataSubject } from '../src/data-subject.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const postgresSchema = readFileSync(resolve(__dirname, '../schema.postgres.sql'), 'utf-8');
+
+/**
+ * anon-1 browses (one event without a user id in the same session), then
+ * signs up and is identified as alice; anon-2 is merged into alice later.
+ * bob is another user who must be left alone.
+ */
+async function seed(adapter) {
+  await adapter.trackEvent({ project: 'p', event: 'page_view', user_id: 'anon-1', session_id: 's1', timestamp: 1000, properties: { path: '/' } });
+  await adapter.trackEvent({ project: 'p', event: 'scroll', session_id: 's1', timestamp: 2000 });
+  await adapter.identifyUser({ project: 'p', previous_id: 'anon-1', canonical_id: 'alice' });
+  await adapter.trackEvent({ project: 'p', event: 'purchase', user_id: 'alice', session_id: 's2', timestamp: 3000 });
+  await adapter.identifyUser({ project: 'p', previous_id: 'anon-2', canonical_id: 'alice' });
+  await adapter.trackEvent({ project: 'p', event: 'page_view', user_id: 'bob', session_id: 's3', timestamp: 4000 });
+  await adapter.trackEvent({ project: 'other', event: 'page_view', user_id: 'alice', timestamp: 5000 });
+}
+
+async function rows(adapter, sql) {
+  return adapter._queryAll(sql, []);
+}
+
+function subjectTests(createAdapter) {
+  let adapter;
+
+  beforeEach(async () => {
+    adapter = await createAdapter();
+    await seed(adapter);
+  });
+
+  test('deleteUserData erases every row linked to the user and records the request', async () => {
+    const result = await adapter.deleteUserData({ project: 'p', user_id: 'anon-2', reference: 'TICKET-7' });
+    assert.equal(result.user_id, 'alice');
+    assert.deepEqual(result.deleted, { events: 3, sessions: 2, identities: 2 });
+
+    assert.deepEqual((await rows(adapter, 'SELECT project_id, user_id FROM events ORDER BY timestamp')).map(r => [r.project_id, r.user_id]), [['p', 'bob'], ['other', 'alice']]);
+    assert.deepEqual((await rows(adapter, 'SELECT session_id FROM sessions')).map(r => r.session_id), ['s3']);
+    assert.deepEqual(await rows(adapter, 'SELECT * FROM identity_map'), []);
+
+    const [audit] = await rows(adapter, 'SELECT * FROM data_subject_requests');
+    assert.equal(audit.id, result.request_id);
+    assert.equal(audit.action, 'delete');
+    assert.equal(audit.reference, 'TICKET-7');
+    assert.equal(audit.subject_hash, await hashDataSubject('p', 'alice'));
+    assert.deepEqual([audit.events, audit.sessions, audit.identities], [3, 2, 2]);
+  });
+
+  test('exportUserData returns the same rows without deleting them', async () => {
+    const result = await adapter.exportUserData({ project: 'p', user_id: 'alice' });
+    assert.equal(result.user_id, 'alice');
+    assert.deepEqual(result.linked_ids.sort(), ['anon-1', 'anon-2']);
+    assert.deepEqual(result.events.map(e => e.event), ['page_view', 'scroll', 'purchase']);
+    assert.deepEqual(result.events[0].properties, { path: '/' });
+    assert.deepEqual(result.sessions.map(s => s.session_id), ['s1', 's2']);
+    assert.equal(result.identities.length, 2);
+
+    assert.equal((await rows(adapter, 'SELECT COUNT(*) as n FROM events'))[0].n, 5);
+    const [audit] = await rows(adapter, 'SELECT action, events, sessions, identities FROM data_subject_requests');
+    assert.deepEqual(audit, { action: 'export', events: 3, sessions: 2, identities: 2 });
+  });
+
+  test('an unknown user is a no-op that is still recorded', async () => {
+    const result = await adapter.deleteUserData({ project: 'p', user_id: 'nobody' });
+    assert.deepEqual(result.deleted, { events: 0, sessions: 0, identities: 0 });
+    assert.equal((await rows(adapter, 'SELECT COUNT(*) as n FROM events'))[0].n, 5);
+    assert.equal((await rows(adapter, 'SELECT COUNT(*) as n FROM data_subject_requests'))[0].n, 1);
+  });
+}
+
+describe('data subject requests (SQLite)', () => {
+  subjectTests(async () => new SqliteAdapter(new Database(':memory:')));
+});
+
+describe('data subject requests (PostgreSQL)', () => {
+  let pg;
+
+  before(async () => {
+    pg = new PGlite();
+    await pg.exec(postgresSchema);
+  });
+
+  after(async () => {
+    await pg.close();
+  });
+
+  subjectTests(async () => {
+    await pg.exec('TRUNCATE events, sessions, identity_map, data_subject_requests');
+    return new PostgresAdapter(pg);
+  });
+});
+
+describe('POST /users/delete and /users/export', () => {
+  let adapter;
+  let handle;
+
+  beforeEach(async () => {
+    adapter = new SqliteAdapter(new Database(':memory:'));
+    await seed(adapter);
+    handle = createAnalyticsHandler({
+      db: adapter,
+      validateWrite: () => ({ valid: true }),
+      validateRead: (request) => ({ valid: request.headers.get('X-API-Key') === 'aak_test' }),
+    });
+  });
+
+  function post(path, body, key = 'aak_test') {
+    return new Request(`https://api.test${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': key },
+      body: JSON.stringify(body),
+    });
+  }
+
+  test('deletes and exports for an authenticated caller', async () => {
+    let { response } = await handle(post('/users/export', { project: 'p', user_id: 'alice' }));
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).events.length, 3);
+
+    ({ response } = await handle(post('/users/delete', { project: 'p', user_id: 'alice' })));
+    assert.equal(response.status, 200);
+    const data = await response.json();
+    assert.equal(data.ok, true);
+    assert.equal(data.project, 'p');
+    assert.deepEqual(data.deleted, { events: 3, sessions: 2, identities: 2 });
+  });
+
+  test('requires an API key, a project and a user id', async () => {
+    let { response } = await handle(post('/users/delete', { project: 'p', user_id: 'alice' }, 'wrong'));
+    assert.equal(response.status, 401);
+
+    ({ response } = await handle(post('/users/delete', { user_id: 'alice' })));
+    assert.equal((await response.json()).error, ERROR_CODES.PROJECT_REQUIRED);
+
+    ({ response } = await handle(post('/users/export', { project: 'p', user_id: '' })));
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, ERROR_CODES.MISSING_FIELDS);
+    assert.equal((await adapter._queryOne('SELECT COUNT(*) as n FROM data_subject_requests', [])).n, 0);
+  });
+});
@@ -0,0 +1,143 @@
+import assert from 'node:assert/strict';
+import { test, describe, beforeEach } from 'node:test';
+import Database from 'better-sqlite3';
+import { SqliteAdapter } from '../src/db/sqlite.js';
+import { createAnalyticsHandler } from '../src/handler.js';
+import {
+  parseUserAgent,
+  classifyReferrer,
+  countryEnricher,
+  botEnricher,
+  builtinEnrichers,
+  enrichEvents,
+} from '../src/enrichment.js';
+
+const CHROME_MAC = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const SAFARI_IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1';
+const GOOGLEBOT = 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)';
+
+function trackRequest(path, body, headers = {}) {
+  return new Request(`https://api.test${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'User-Agent': CHROME_MAC, ...headers },
+    body: JSON.stringify(body),
+  });
+}
+
+describe('parseUserAgent', () => {
+  test('buckets browsers, OS and device like the tracker', () => {
+    assert.deepEqual(parseUserAgent(CHROME_MAC), { browser: 'Chrome', browser_version: '120', os: 'macOS', device: 'desktop' });
+    assert.deepEqual(parseUserAgent(SAFARI_IPHONE), { browser: 'Safari', browser_version: '17', os: 'iOS', device: 'mobile' });
+    assert.deepEqual(parseUserAgent(null), { browser: 'Unknown', browser_version: '', os: 'Unknown', device: 'desktop' });
+  });
+});
+
+describe('classifyReferrer', () => {
+  test('classifies direct, internal, search, social, AI and other referrers', () => {
+    assert.deepEqual(classifyReferrer(''), { referrer_host: null, referrer_type: 'direct' });
+    assert.deepEqual(classifyReferrer('not a url'), { referrer_host: null, referrer_type: 'direct' });
+    assert.equal(classifyReferrer('https://www.example.com/a', 'example.com').referrer_type, 'internal');
+    assert.deepEqual(classifyReferrer('https://www.google.co.uk/'), { referrer_host: 'google.co.uk', referrer_type: 'search' });
+    assert.equal(classifyReferrer('https://t.co/abc').referrer_type, 'social');
+    assert.equal(classifyReferrer('https://gemini.google.com/app').referrer_type, 'ai');
+    assert.equal(classifyReferrer('https://chatgpt.com/').referrer_type, 'ai');
+    assert.deepEqual(classifyReferrer('https://blog.dev/post'), { referrer_host: 'blog.dev', referrer_type: 'referral' });
+  });
+});
+
+describe('enrichEvents', () => {
+  const request = new Request('https://api.test/track', { headers: { 'User-Agent': CHROME_MAC, 'CF-IPCountry': 'de' } });
+
+  test('fills missing properties without overriding the client', async () => {
+    const [event] = await enrichEvents(
+      [{ event: 'page_view', properties: { browser: 'Arc', referrer: 'https://news.ycombinator.com/' } }],
+      builtinEnrichers(),
+      { request },
+    );
+    assert.equal(event.country, 'DE');
+    assert.equal(event.properties.browser, 'Arc');
+    assert.equal(event.properties.os, 'macOS');
+    assert.equal(event.properties.referrer_type, 'social');
+    assert.equal(event.properties.bot_category, undefined);
+  });
+
+  test('each built-in can be switched off or configured', async () => {
+    const vercel = new Request('https://api.test/track', { headers: { 'User-Agent': CHROME_MAC, 'X-Vercel-IP-Country': 'NZ' } });
+    const [event] = await enrichEvents(
+      [{ event: 'signup' }],
+      builtinEnrichers({ country: { header: 'X-Vercel-IP-Country' }, userAgent: false, referrer: false, bot: false }),
+      { request: vercel },
+    );
+    assert.deepEqual(event, { event: 'signup', country: 'NZ' });
+  });
+
+  test('prefers request.cf and ignores unknown countries', async () => {
+    const enrich = countryEnricher();
+    assert.equal(enrich({}, { request: Object.assign(request.clone(), { cf: { country: 'FR' } }) }).country, 'FR');
+    const unknown = new Request('https://api.test/track', { headers: { 'CF-IPCountry': 'XX' } });
+    assert.deepEqual(enrich({ event: 'x' }, { request: unknown }), { event: 'x' });
+  });
+
+  test('drops events an enricher rejects and survives one that throws', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const failing = () => { throw new Error('boom'); };
+    const events = await enrichEvents(
+      [{ event: 'keep' }, { event: 'drop' }],
+      [failing, (e) => (e.event === 'drop' ? null : e)],
+      { request },
+    );
+    assert.deepEqual(events, [{ event: 'keep' }]);
+    assert.equal(console.error.mock.callCount(), 2);
+  });
+});
+
+describe('createAnalyticsHandler enrichers', () => {
+  let db;
+  let adapter;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    adapter = new SqliteAdapter(db);
+  });
+
+  function handler(opts = {}) {
+    return createAnalyticsHandler({
+      db: adapter,
+      validateWrite: () => ({ valid: true }),
+      validateRead: () => ({ valid: true }),
+      ...opts,
+    });
+  }
+
+  test('writes enriched single and batch events, including country', async () => {
+    const handle = handler({ enrichers: builtinEnrichers() });
+    const one = await handle(trackRequest('/track', { project: 'p', event: 'signup' }, { 'CF-IPCountry': 'US' }));
+    await Promise.all(one.writeOps);
+    const batch = await handle(trackRequest('/track/batch', { events: [{ project: 'p', event: 'a' }, { project: 'p', event: 'b' }] }, { 'CF-IPCountry': 'JP' }));
+    await Promise.all(batch.writeOps);
+
+    const rows = db.prepare('SELECT event, country, properties FROM events ORDER BY event').all();
+    assert.deepEqual(rows.map(r => [r.event, r.country]), [['a', 'JP'], ['b', 'JP'], ['signup', 'US']]);
+    assert.equal(JSON.parse(rows[2].properties).browser, 'Chrome');
+  });
+
+  test('enriches events before they are queued', async () => {
+    const handle = handler({ useQueue: true, enrichers: [countryEnricher()] });
+    const { queueMessages } = await handle(trackRequest('/track', { project: 'p', event: 'signup' }, { 'CF-IPCountry': 'GB' }));
+    assert.equal(queueMessages[0].country, 'GB');
+  });
+
+  test('bots are dropped by default and tagged with dropBots: false', async () => {
+    let result = await handler({ enrichers: [botEnricher()] })(trackRequest('/track', { project: 'p', event: 'crawl' }, { 'User-Agent': GOOGLEBOT }));
+    assert.equal(result.writeOps, undefined);
+
+    result = await handler({ dropBots: false, enrichers: [botEnricher()] })(trackRequest('/track', { project: 'p', event: 'crawl' }, { 'User-Agent': GOOGLEBOT }));
+    await Promise.all(result.writeOps);
+    const props = JSON.parse(db.prepare('SELECT properties FROM events').get().properties);
+    assert.deepEqual(props, { bot_category: 'search_crawler', bot_actor: 'Googlebot' });
+
+    result = await handler({ dropBots: false, enrichers: [botEnricher({ drop: true })] })(trackRequest('/track', { project: 'p', event: 'crawl' }, { 'User-Agent': GOOGLEBOT }));
+    assert.equal(result.writeOps, undefined);
+    assert.equal((await result.response.json()).ok, true);
+  });
+});
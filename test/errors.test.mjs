@@ -54,10 +54,10 @@ async function getError(handler, method, path, body) {
 test('ERROR_CODES is frozen and has all codes', () => {
   assert.ok(Object.isFrozen(ERROR_CODES));
   const expected = [
-    'AUTH_REQUIRED', 'FORBIDDEN', 'NOT_FOUND', 'PROJECT_REQUIRED',
-    'MISSING_FIELDS', 'INVALID_BODY', 'BATCH_TOO_LARGE', 'INVALID_METRIC',
+    'AUTH_REQUIRED', 'FORBIDDEN', 'ORIGIN_NOT_ALLOWED', 'NOT_FOUND', 'CONFLICT', 'PROJECT_REQUIRED',
+    'MISSING_FIELDS', 'INVALID_BODY', 'BATCH_TOO_LARGE', 'PAYLOAD_TOO_LARGE', 'RATE_LIMITED', 'SCHEMA_VIOLATION', 'INVALID_METRIC',
     'INVALID_GROUP_BY', 'INVALID_FILTER_OP', 'INVALID_FILTER_FIELD', 'INVALID_PROPERTY_KEY',
-    'QUERY_FAILED', 'INTERNAL_ERROR',
+    'INVALID_CURSOR', 'INVALID_TIMEZONE', 'INVALID_COMPARE', 'QUERY_FAILED', 'SCHEMA_OUTDATED', 'INTERNAL_ERROR',
   ];
   for (const code of expected) {
     assert.equal(ERROR_CODES[code], code, `ERROR_CODES.${code} should equal "${code}"`);
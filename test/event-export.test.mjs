@@ -0,0 +1,187 @@
+import assert from 'node:assert/strict';
+import { test, describe, beforeEach } from 'node:test';
+import { readFileSync } from 'node:fs';
+import { resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Database from 'better-sqlite3';
+import { PGlite } from '@electric-sql/pglite';
+import { SqliteAdapter } from '../src/db/sqlite.js';
+import { PostgresAdapter } from '../src/db/postgres.js';
+import { createAnalyticsHandler } from '../src/handler.js';
+import { ERROR_CODES } from '../src/errors.js';
+import { EXPORT_COLUMNS, validateExportOptions, formatExportRow, createEventExportStream } from '../src/event-export.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const postgresSchema = readFileSync(resolve(__dirname, '../schema.postgres.sql'), 'utf-8');
+
+const T = Date.parse('2025-03-10T12:00:00Z');
+
+/** Five events, two of them sharing a timestamp so pages split on id. */
+async function seed(adapter) {
+  await adapter.trackEvent({ project: 'p', event: 'page_view', user_id: 'u1', timestamp: T, properties: { path: '/' } });
+  await adapter.trackEvent({ project: 'p', event: 'page_view', user_id: 'u2', timestamp: T, properties: { path: '/pricing' } });
+  await adapter.trackEvent({ project: 'p', event: 'signup', user_id: 'u1', timestamp: T + 1000, properties: { plan: 'pro' } });
+  await adapter.trackEvent({ project: 'p', event: 'page_view', user_id: 'u3', timestamp: T + 2000, properties: { path: '/docs' } });
+  await adapter.trackEvent({ project: 'other', event: 'page_view', user_id: 'u9', timestamp: T + 3000 });
+}
+
+async function readAll(adapter, options) {
+  const pages = [];
+  let page = await adapter.exportEvents(options);
+  pages.push(page.events);
+  while (page.next) {
+    page = await adapter.exportEvents({ ...options, after: page.next });
+    pages.push(page.events);
+  }
+  return pages;
+}
+
+const RANGE = { date_from: '2025-03-01', date_to: '2025-03-31' };
+
+describe('BaseAdapter.exportEvents', () => {
+  let sqlite;
+  let adapter;
+
+  beforeEach(async () => {
+    sqlite = new Database(':memory:');
+    adapter = new SqliteAdapter(sqlite);
+    await seed(adapter);
+  });
+
+  test('pages through every event of the project by (timestamp, id)', async () => {
+    const pages = await readAll(adapter, { project: 'p', ...RANGE, page_size: 2 });
+    assert.deepEqual(pages.map(p => p.length), [2, 2]);
+    const events = pages.flat();
+    assert.deepEqual(events.map(e => e.user_id).slice(2), ['u1', 'u3']);
+    assert.deepEqual(new Set(events.slice(0, 2).map(e => e.user_id)), new Set(['u1', 'u2']));
+    assert.equal(new Set(events.map(e => e.id)).size, 4);
+    assert.deepEqual(events[2].properties, { plan: 'pro' });
+  });
+
+  test('every page is a range scan of the (project_id, timestamp, id) index', async () => {
+    const queries = [];
+    const queryAll = adapter._queryAll.bind(adapter);
+    adapter._queryAll = (sql, params) => {
+      queries.push({ sql, params });
+      return queryAll(sql, params);
+    };
+    await readAll(adapter, { project: 'p', ...RANGE, page_size: 2 });
+    const pages = queries.filter(q => q.sql.includes('ORDER BY timestamp, id'));
+    assert.equal(pages.length, 2);
+    for (const { sql, params } of pages) {
+      const plan = sqlite.prepare(`EXPLAIN QUERY PLAN ${sql}`).all(...params).map(r => r.detail).join('; ');
+      assert.match(plan, /USING INDEX idx_events_project_timestamp/);
+      assert.doesNotMatch(plan, /TEMP B-TREE/);
+    }
+  });
+
+  test('applies the event name, date range and query() property filters', async () => {
+    const [views] = await readAll(adapter, { project: 'p', ...RANGE, event: 'page_view', filters: [{ field: 'properties.path', op: 'neq', value: '/' }] });
+    assert.deepEqual(views.map(e => e.properties.path), ['/pricing', '/docs']);
+
+    const [none] = await readAll(adapter, { project: 'p', date_from: '2025-04-01', date_to: '2025-04-30' });
+    assert.deepEqual(none, []);
+  });
+
+  test('rejects invalid filters and page sizes', async () => {
+    await assert.rejects(() => adapter.exportEvents({ project: 'p', filters: [{ field: 'path', op: 'eq', value: '/' }] }), (err) => {
+      assert.equal(err.code, ERROR_CODES.INVALID_FILTER_FIELD);
+      assert.equal(err.details.suggested_field, 'properties.path');
+      return true;
+    });
+    await assert.rejects(() => adapter.exportEvents({ project: 'p', page_size: 0 }), /page_size must be an integer/);
+  });
+
+  test('pages the same way on Postgres', async () => {
+    const pg = new PGlite();
+    try {
+      await pg.exec(postgresSchema);
+      const pgAdapter = new PostgresAdapter(pg);
+      await seed(pgAdapter);
+      const sqlitePages = await readAll(adapter, { project: 'p', ...RANGE, page_size: 3 });
+      const pgPages = await readAll(pgAdapter, { project: 'p', ...RANGE, page_size: 3 });
+      assert.deepEqual(pgPages.map(p => p.length), [3, 1]);
+      assert.deepEqual(pgPages.flat().map(e => e.event), sqlitePages.flat().map(e => e.event));
+      assert.equal(typeof pgPages[0][0].timestamp, 'number');
+    } finally {
+      await pg.close();
+    }
+  });
+});
+
+describe('export formats', () => {
+  const row = { id: 'e1', timestamp: 1, date: '2025-01-01', event: 'say "hi", ok', user_id: null, session_id: 's1', properties: { a: 'x,y' } };
+
+  test('CSV quotes fields that need it and keeps properties as JSON', () => {
+    assert.equal(formatExportRow(row, 'csv'), 'e1,1,2025-01-01,"say ""hi"", ok",,s1,,"{""a"":""x,y""}"\n');
+  });
+
+  test('NDJSON writes every column in a fixed order', () => {
+    const line = formatExportRow(row, 'ndjson');
+    assert.ok(line.endsWith('\n'));
+    assert.deepEqual(Object.keys(JSON.parse(line)), EXPORT_COLUMNS);
+    assert.equal(JSON.parse(line).country, null);
+  });
+
+  test('rejects unknown formats', () => {
+    assert.throws(() => validateExportOptions({ format: 'xml' }), /format must be one of: ndjson, csv/);
+  });
+
+  test('the stream fetches one page per pull and writes the CSV header once', async () => {
+    const adapter = new SqliteAdapter(new Database(':memory:'));
+    await seed(adapter);
+    const query = { project: 'p', ...RANGE, page_size: 1 };
+    const stream = createEventExportStream(adapter, query, await adapter.exportEvents(query), 'csv');
+    const lines = (await new Response(stream).text()).trimEnd().split('\n');
+    assert.equal(lines[0], EXPORT_COLUMNS.join(','));
+    assert.equal(lines.length, 5);
+  });
+});
+
+describe('GET /export', () => {
+  let handle;
+
+  beforeEach(async () => {
+    const adapter = new SqliteAdapter(new Database(':memory:'));
+    await seed(adapter);
+    handle = createAnalyticsHandler({
+      db: adapter,
+      validateWrite: () => ({ valid: true }),
+      validateRead: (request) => ({ valid: request.headers.get('X-API-Key') === 'aak_test' }),
+    });
+  });
+
+  function get(query, key = 'aak_test') {
+    return new Request(`https://api.test/export?${new URLSearchParams(query)}`, { headers: { 'X-API-Key': key } });
+  }
+
+  test('streams NDJSON by default', async () => {
+    const { response } = await handle(get({ project: 'p', ...RANGE }));
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('Content-Type'), 'application/x-ndjson; charset=utf-8');
+    assert.equal(response.headers.get('Content-Disposition'), 'attachment; filename="p-events.ndjson"');
+    const lines = (await response.text()).trimEnd().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines.map(e => e.event), ['page_view', 'page_view', 'signup', 'page_view']);
+  });
+
+  test('streams CSV with filters from the query string', async () => {
+    const { response } = await handle(get({ project: 'p', ...RANGE, format: 'csv', filters: JSON.stringify([{ field: 'user_id', op: 'eq', value: 'u1' }]) }));
+    assert.equal(response.headers.get('Content-Type'), 'text/csv; charset=utf-8');
+    const lines = (await response.text()).trimEnd().split('\n');
+    assert.equal(lines.length, 3);
+  });
+
+  test('answers JSON errors before streaming starts', async () => {
+    let { response } = await handle(get({ project: 'p' }, 'wrong'));
+    assert.equal(response.status, 401);
+
+    ({ response } = await handle(get({ project: 'p', format: 'xml' })));
+    assert.equal(response.status, 400);
+
+    ({ response } = await handle(get({ project: 'p', filters: '[{' })));
+    assert.equal((await response.json()).error, ERROR_CODES.INVALID_BODY);
+
+    ({ response } = await handle(get({ project: 'p', filters: JSON.stringify([{ field: 'nope', op: 'eq', value: 1 }]) })));
+    assert.equal((await response.json()).error, ERROR_CODES.INVALID_FILTER_FIELD);
+  });
+});
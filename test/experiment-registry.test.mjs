@@ -0,0 +1,240 @@
+/**
+ * Server-side experiment registry: BaseAdapter CRUD plus the
+ * /experiments routes, including the public config route the tracker calls.
+ */
+import assert from 'node:assert/strict';
+import { test, describe, beforeEach } from 'node:test';
+import { readFileSync } from 'node:fs';
+import { resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Database from 'better-sqlite3';
+import { BaseAdapter } from '../src/db/base-adapter.js';
+import { createAnalyticsHandler } from '../src/handler.js';
+import { ERROR_CODES } from '../src/errors.js';
+import { normalizeVariants } from '../src/experiments.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const schema = readFileSync(resolve(__dirname, '../schema.sql'), 'utf-8');
+
+class MockAdapter extends BaseAdapter {
+  constructor() {
+    super();
+    this.db = new Database(':memory:');
+    this.db.exec(schema);
+  }
+
+  _run(sql, params) {
+    return this.db.prepare(sql).run(...params);
+  }
+
+  _queryAll(sql, params) {
+    return this.db.prepare(sql).all(...params);
+  }
+
+  _queryOne(sql, params) {
+    return this.db.prepare(sql).get(...params) || null;
+  }
+
+  _batch(statements) {
+    const txn = this.db.transaction((stmts) => {
+      for (const { sql, params } of stmts) {
+        this.db.prepare(sql).run(...params);
+      }
+    });
+    txn(statements);
+  }
+}
+
+function makeHandler(db, overrides = {}) {
+  return createAnalyticsHandler({
+    db,
+    validateRead: () => ({ valid: true }),
+    validateWrite: (_request, body) => (body.token === 'aat_good' ? { valid: true } : { valid: false, error: 'invalid token' }),
+    ...overrides,
+  });
+}
+
+function post(path, body) {
+  return new Request(`https://api.test${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-API-Key': 'aak_test' },
+    body: JSON.stringify(body),
+  });
+}
+
+describe('normalizeVariants', () => {
+  test('splits evenly when weights are omitted, remainder to the first variant', () => {
+    assert.deepEqual(normalizeVariants(['a', 'b', 'c']), [
+      { key: 'a', weight: 34 },
+      { key: 'b', weight: 33 },
+      { key: 'c', weight: 33 },
+    ]);
+  });
+
+  test('keeps explicit weights that sum to 100', () => {
+    assert.deepEqual(normalizeVariants([{ key: 'control', weight: 80 }, { key: 'new', weight: 20 }]), [
+      { key: 'control', weight: 80 },
+      { key: 'new', weight: 20 },
+    ]);
+  });
+
+  test('rejects weights that do not sum to 100', () => {
+    assert.throws(() => normalizeVariants([{ key: 'a', weight: 60 }, { key: 'b', weight: 60 }]), /sum to 100/);
+  });
+
+  test('rejects mixed weighted and unweighted variants', () => {
+    assert.throws(() => normalizeVariants([{ key: 'a', weight: 50 }, 'b']), /all variants or none/);
+  });
+
+  test('rejects duplicate and single-variant lists', () => {
+    assert.throws(() => normalizeVariants(['a', 'A']), /unique/);
+    assert.throws(() => normalizeVariants(['a']), /2-10 entries/);
+  });
+});
+
+describe('BaseAdapter experiments', () => {
+  let adapter;
+
+  beforeEach(() => {
+    adapter = new MockAdapter();
+  });
+
+  test('createExperiment stores a draft with normalized variants', async () => {
+    const experiment = await adapter.createExperiment({ project: 'p', key: 'hero', variants: ['control', 'bold'] });
+    assert.equal(experiment.key, 'hero');
+    assert.equal(experiment.status, 'draft');
+    assert.deepEqual(experiment.variants, [{ key: 'control', weight: 50 }, { key: 'bold', weight: 50 }]);
+    assert.ok(experiment.created_at);
+  });
+
+  test('createExperiment rejects a duplicate key in the same project', async () => {
+    await adapter.createExperiment({ project: 'p', key: 'hero', variants: ['a', 'b'] });
+    await adapter.createExperiment({ project: 'other', key: 'hero', variants: ['a', 'b'] });
+    await assert.rejects(
+      () => adapter.createExperiment({ project: 'p', key: 'hero', variants: ['a', 'b'] }),
+      (err) => err.code === ERROR_CODES.CONFLICT && err.status === 409,
+    );
+  });
+
+  test('updateExperiment changes only the given fields', async () => {
+    await adapter.createExperiment({ project: 'p', key: 'hero', name: 'Hero copy', variants: ['a', 'b'] });
+    const updated = await adapter.updateExperiment({
+      project: 'p', key: 'hero', status: 'running', variants: [{ key: 'a', weight: 90 }, { key: 'b', weight: 10 }],
+    });
+    assert.equal(updated.status, 'running');
+    assert.equal(updated.name, 'Hero copy');
+    assert.deepEqual(updated.variants, [{ key: 'a', weight: 90 }, { key: 'b', weight: 10 }]);
+  });
+
+  test('updateExperiment rejects unknown experiments and archived status', async () => {
+    await assert.rejects(
+      () => adapter.updateExperiment({ project: 'p', key: 'missing', status: 'running' }),
+      (err) => err.code === ERROR_CODES.NOT_FOUND && err.status === 404,
+    );
+    await adapter.createExperiment({ project: 'p', key: 'hero', variants: ['a', 'b'] });
+    await assert.rejects(
+      () => adapter.updateExperiment({ project: 'p', key: 'hero', status: 'archived' }),
+      /invalid status/,
+    );
+  });
+
+  test('archiveExperiment hides the experiment and makes it read-only', async () => {
+    await adapter.createExperiment({ project: 'p', key: 'hero', variants: ['a', 'b'] });
+    const archived = await adapter.archiveExperiment({ project: 'p', key: 'hero' });
+    assert.equal(archived.status, 'archived');
+    assert.ok(archived.archived_at);
+
+    assert.equal((await adapter.listExperiments({ project: 'p' })).length, 0);
+    assert.equal((await adapter.listExperiments({ project: 'p', include_archived: true })).length, 1);
+    await assert.rejects(
+      () => adapter.updateExperiment({ project: 'p', key: 'hero', name: 'x' }),
+      (err) => err.code === ERROR_CODES.CONFLICT,
+    );
+  });
+
+  test('getExperimentConfig returns only running experiments as key + weights', async () => {
+    await adapter.createExperiment({ project: 'p', key: 'hero', status: 'running', goal_event: 'signup', variants: [{ key: 'a', weight: 70 }, { key: 'b', weight: 30 }] });
+    await adapter.createExperiment({ project: 'p', key: 'draft_one', variants: ['a', 'b'] });
+    await adapter.createExperiment({ project: 'other', key: 'elsewhere', status: 'running', variants: ['a', 'b'] });
+
+    const config = await adapter.getExperimentConfig({ project: 'p' });
+    assert.deepEqual(config, [{ key: 'hero', variants: [{ key: 'a', weight: 70 }, { key: 'b', weight: 30 }] }]);
+  });
+});
+
+describe('experiment routes', () => {
+  let adapter;
+  let handler;
+
+  beforeEach(() => {
+    adapter = new MockAdapter();
+    handler = makeHandler(adapter);
+  });
+
+  test('GET /experiments/config serves running experiments for a valid write token', async () => {
+    await adapter.createExperiment({ project: 'site-a', key: 'hero', status: 'running', variants: ['a', 'b'] });
+    const { response } = await handler(new Request('https://api.test/experiments/config?token=aat_good&project=site-a'));
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('Access-Control-Allow-Origin'), '*');
+    const data = await response.json();
+    assert.deepEqual(data.experiments, [{ key: 'hero', variants: [{ key: 'a', weight: 50 }, { key: 'b', weight: 50 }] }]);
+  });
+
+  test('GET /experiments/config rejects an invalid write token', async () => {
+    const { response } = await handler(new Request('https://api.test/experiments/config?token=nope&project=site-a'));
+    assert.equal(response.status, 403);
+    const data = await response.json();
+    assert.equal(data.error, ERROR_CODES.FORBIDDEN);
+    assert.equal(data.message, 'invalid token');
+  });
+
+  test('GET /experiments/config without project takes it from the token, as older trackers call it', async () => {
+    await adapter.createExperiment({ project: 'site-a', key: 'hero', status: 'running', variants: ['a', 'b'] });
+    let { response } = await handler(new Request('https://api.test/experiments/config?token=aat_good'));
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { experiments: [] });
+
+    const scoped = makeHandler(adapter, {
+      validateWrite: (_request, body) => (body.token === 'aat_good' ? { valid: true, project: 'site-a' } : { valid: false }),
+    });
+    ({ response } = await scoped(new Request('https://api.test/experiments/config?token=aat_good')));
+    assert.equal(response.status, 200);
+    assert.deepEqual((await response.json()).experiments.map(e => e.key), ['hero']);
+  });
+
+  test('CRUD routes create, update, list and archive experiments', async () => {
+    let { response } = await handler(post('/experiments', { project: 'site-a', key: 'hero', variants: ['a', 'b'] }));
+    assert.equal(response.status, 201);
+    assert.equal((await response.json()).experiment.status, 'draft');
+
+    ({ response } = await handler(post('/experiments/update', { project: 'site-a', key: 'hero', status: 'running' })));
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).experiment.status, 'running');
+
+    ({ response } = await handler(new Request('https://api.test/experiments?project=site-a', { headers: { 'X-API-Key': 'aak_test' } })));
+    const listed = await response.json();
+    assert.equal(listed.project, 'site-a');
+    assert.deepEqual(listed.experiments.map(e => e.key), ['hero']);
+
+    ({ response } = await handler(post('/experiments/archive', { project: 'site-a', key: 'hero' })));
+    assert.equal((await response.json()).experiment.status, 'archived');
+  });
+
+  test('CRUD routes surface validation, duplicate and auth errors', async () => {
+    let { response } = await handler(post('/experiments', { project: 'site-a', key: 'hero', variants: ['a'] }));
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, ERROR_CODES.MISSING_FIELDS);
+
+    await handler(post('/experiments', { project: 'site-a', key: 'hero', variants: ['a', 'b'] }));
+    ({ response } = await handler(post('/experiments', { project: 'site-a', key: 'hero', variants: ['a', 'b'] })));
+    assert.equal(response.status, 409);
+
+    ({ response } = await handler(post('/experiments/update', { key: 'hero', status: 'running' })));
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, ERROR_CODES.PROJECT_REQUIRED);
+
+    const denied = makeHandler(adapter, { validateRead: () => ({ valid: false }) });
+    ({ response } = await denied(post('/experiments', { project: 'site-a', key: 'other', variants: ['a', 'b'] })));
+    assert.equal(response.status, 401);
+  });
+});
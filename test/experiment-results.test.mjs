@@ -0,0 +1,213 @@
+/**
+ * Experiment results: first exposure per user joined to later goal events,
+ * with per-variant significance and sample ratio mismatch detection.
+ */
+import assert from 'node:assert/strict';
+import { test, describe, beforeEach } from 'node:test';
+import { readFileSync } from 'node:fs';
+import { resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Database from 'better-sqlite3';
+import { BaseAdapter } from '../src/db/base-adapter.js';
+import { createAnalyticsHandler } from '../src/handler.js';
+import { ERROR_CODES } from '../src/errors.js';
+import { buildExperimentResults } from '../src/experiments.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const schema = readFileSync(resolve(__dirname, '../schema.sql'), 'utf-8');
+
+class MockAdapter extends BaseAdapter {
+  constructor() {
+    super();
+    this.db = new Database(':memory:');
+    this.db.exec(schema);
+  }
+
+  _run(sql, params) {
+    return this.db.prepare(sql).run(...params);
+  }
+
+  _queryAll(sql, params) {
+    return this.db.prepare(sql).all(...params);
+  }
+
+  _queryOne(sql, params) {
+    return this.db.prepare(sql).get(...params) || null;
+  }
+
+  _batch(statements) {
+    const txn = this.db.transaction((stmts) => {
+      for (const { sql, params } of stmts) {
+        this.db.prepare(sql).run(...params);
+      }
+    });
+    txn(statements);
+  }
+}
+
+const NOW = Date.now();
+
+function exposure(adapter, user_id, variant, timestamp, experiment = 'hero') {
+  return adapter.trackEvent({ project: 'p', event: '$experiment_exposure', user_id, timestamp, properties: { experiment, variant } });
+}
+
+function goal(adapter, user_id, timestamp, event = 'signup') {
+  return adapter.trackEvent({ project: 'p', event, user_id, timestamp });
+}
+
+describe('BaseAdapter.getExperimentResults', () => {
+  let adapter;
+
+  beforeEach(() => {
+    adapter = new MockAdapter();
+  });
+
+  test('attributes users to their first exposure and counts only later goals', async () => {
+    await exposure(adapter, 'u1', 'control', NOW - 5000);
+    await exposure(adapter, 'u1', 'bold', NOW - 4000); // re-exposure does not move u1
+    await goal(adapter, 'u1', NOW - 3000);
+    await exposure(adapter, 'u2', 'control', NOW - 5000);
+    await goal(adapter, 'u2', NOW - 6000); // converted before exposure — not counted
+    await exposure(adapter, 'u3', 'bold', NOW - 5000);
+    await goal(adapter, 'u3', NOW - 1000);
+    await goal(adapter, 'u3', NOW - 500);
+    await exposure(adapter, 'u4', 'bold', NOW - 5000);
+    await exposure(adapter, 'u5', 'control', NOW - 5000, 'other_experiment');
+    await goal(adapter, 'u5', NOW - 1000);
+
+    const result = await adapter.getExperimentResults({ project: 'p', experiment: 'hero', goal_event: 'signup' });
+    assert.equal(result.control, 'control', 'a variant named control is the baseline');
+
+    const control = result.variants.find(v => v.variant === 'control');
+    assert.equal(control.exposed_users, 2);
+    assert.equal(control.converted_users, 1);
+    assert.equal(control.conversion_rate, 0.5);
+
+    const bold = result.variants.find(v => v.variant === 'bold');
+    assert.equal(bold.exposed_users, 2);
+    assert.equal(bold.converted_users, 1);
+    assert.equal(bold.goal_events, 2);
+    assert.equal(result.total_exposed_users, 4);
+  });
+
+  test('uses registry weights, control and goal_event defaults', async () => {
+    await adapter.createExperiment({
+      project: 'p', key: 'hero', status: 'running', goal_event: 'signup',
+      variants: [{ key: 'control', weight: 50 }, { key: 'bold', weight: 50 }],
+    });
+    for (let i = 0; i < 40; i++) {
+      await exposure(adapter, `c${i}`, 'control', NOW - 10_000);
+      if (i < 4) await goal(adapter, `c${i}`, NOW - 5000);
+      await exposure(adapter, `b${i}`, 'bold', NOW - 10_000);
+      if (i < 12) await goal(adapter, `b${i}`, NOW - 5000);
+    }
+
+    const result = await adapter.getExperimentResults({ project: 'p', experiment: 'hero' });
+    assert.equal(result.goal_event, 'signup');
+    assert.equal(result.status, 'running');
+    assert.equal(result.control, 'control');
+    assert.deepEqual(result.variants.map(v => v.variant), ['control', 'bold']);
+
+    const bold = result.variants[1];
+    assert.equal(bold.weight, 50);
+    assert.equal(bold.conversion_rate, 0.3);
+    assert.equal(bold.lift, 2);
+    assert.ok(bold.lift_ci.lower < bold.lift && bold.lift < bold.lift_ci.upper);
+    assert.ok(bold.conversion_rate_ci.lower < 0.3 && bold.conversion_rate_ci.upper > 0.3);
+    assert.ok(bold.p_value < 0.05);
+    assert.equal(bold.significant, true);
+    assert.equal(result.test.degrees_of_freedom, 1);
+    assert.equal(result.sample_ratio_mismatch.detected, false);
+    assert.deepEqual(result.sample_ratio_mismatch.expected, { control: 40, bold: 40 });
+  });
+
+  test('honours the conversion window', async () => {
+    await exposure(adapter, 'u1', 'a', NOW - 3 * 86_400_000);
+    await goal(adapter, 'u1', NOW);
+    await exposure(adapter, 'u2', 'b', NOW - 1000);
+    await goal(adapter, 'u2', NOW);
+
+    const result = await adapter.getExperimentResults({
+      project: 'p', experiment: 'hero', goal_event: 'signup', conversion_window_days: 1,
+    });
+    assert.equal(result.variants.find(v => v.variant === 'a').converted_users, 0);
+    assert.equal(result.variants.find(v => v.variant === 'b').converted_users, 1);
+  });
+
+  test('rejects a missing goal_event when the experiment is not registered', async () => {
+    await assert.rejects(
+      () => adapter.getExperimentResults({ project: 'p', experiment: 'hero' }),
+      (err) => err.code === ERROR_CODES.MISSING_FIELDS && /goal_event/.test(err.message),
+    );
+  });
+
+  test('rejects an unknown control variant', async () => {
+    await exposure(adapter, 'u1', 'a', NOW - 1000);
+    await assert.rejects(
+      () => adapter.getExperimentResults({ project: 'p', experiment: 'hero', goal_event: 'signup', control: 'zzz' }),
+      /control must be one of: a/,
+    );
+  });
+});
+
+describe('buildExperimentResults sample ratio mismatch', () => {
+  const base = { project: 'p', experiment: 'hero', goalEvent: 'signup', fromDate: '2026-01-01', toDate: '2026-01-31', confidence: 0.95 };
+  const registered = { status: 'running', variants: [{ key: 'control', weight: 50 }, { key: 'bold', weight: 50 }] };
+
+  test('detects a skewed split against configured weights', () => {
+    const result = buildExperimentResults([
+      { variant: 'control', exposed_users: 600, converted_users: 60, goal_events: 60 },
+      { variant: 'bold', exposed_users: 400, converted_users: 40, goal_events: 40 },
+    ], { ...base, registered });
+    assert.equal(result.sample_ratio_mismatch.detected, true);
+    assert.ok(result.sample_ratio_mismatch.p_value < 0.001);
+  });
+
+  test('flags variants that are not in the registry', () => {
+    const result = buildExperimentResults([
+      { variant: 'control', exposed_users: 500, converted_users: 50, goal_events: 50 },
+      { variant: 'bold', exposed_users: 500, converted_users: 50, goal_events: 50 },
+      { variant: 'legacy', exposed_users: 3, converted_users: 0, goal_events: 0 },
+    ], { ...base, registered });
+    assert.equal(result.sample_ratio_mismatch.detected, true);
+    assert.deepEqual(result.sample_ratio_mismatch.unexpected_variants, ['legacy']);
+    assert.equal(result.variants.length, 3);
+  });
+
+  test('reports zero-exposure variants from the registry', () => {
+    const result = buildExperimentResults([], { ...base, registered });
+    assert.deepEqual(result.variants.map(v => [v.variant, v.exposed_users]), [['control', 0], ['bold', 0]]);
+    assert.equal(result.test.p_value, null);
+    assert.equal(result.sample_ratio_mismatch.detected, false);
+  });
+});
+
+describe('POST /experiments/results', () => {
+  test('returns the results report for a readable project', async () => {
+    const adapter = new MockAdapter();
+    await exposure(adapter, 'u1', 'a', NOW - 1000);
+    await goal(adapter, 'u1', NOW);
+    const handler = createAnalyticsHandler({ db: adapter, validateRead: () => ({ valid: true }), validateWrite: () => ({ valid: true }) });
+
+    const { response } = await handler(new Request('https://api.test/experiments/results', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': 'aak_test' },
+      body: JSON.stringify({ project: 'p', experiment: 'hero', goal_event: 'signup' }),
+    }));
+    assert.equal(response.status, 200);
+    const data = await response.json();
+    assert.equal(data.experiment, 'hero');
+    assert.equal(data.variants[0].converted_users, 1);
+  });
+
+  test('requires a project', async () => {
+    const handler = createAnalyticsHandler({ db: {}, validateRead: () => ({ valid: true }), validateWrite: () => ({ valid: true }) });
+    const { response } = await handler(new Request('https://api.test/experiments/results', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ experiment: 'hero' }),
+    }));
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, ERROR_CODES.PROJECT_REQUIRED);
+  });
+});
@@ -0,0 +1,222 @@
+import assert from 'node:assert/strict';
+import { test, describe, before, after, beforeEach } from 'node:test';
+import { readFileSync } from 'node:fs';
+import { resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Database from 'better-sqlite3';
+import { PGlite } from '@electric-sql/pglite';
+import { SqliteAdapter } from '../src/db/sqlite.js';
+import { PostgresAdapter } from '../src/db/postgres.js';
+import { D1Adapter } from '../src/db/d1.js';
+import { createAnalyticsHandler } from '../src/handler.js';
+import { ERROR_CODES } from '../src/errors.js';
+import { validateFilters, compileFilterPattern } from '../src/filters.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const postgresSchema = readFileSync(resolve(__dirname, '../schema.postgres.sql'), 'utf-8');
+
+const T = Date.now() - 3_600_000;
+
+async function seed(adapter) {
+  const events = [
+    ['page_view', 'u1', { path: '/docs/intro', plan: 'pro', n: 1 }],
+    ['page_view', 'u2', { path: '/pricing', n: 2 }],
+    ['page_view', 'u3', { path: '/docs/api', plan: 'free', n: 3 }],
+    ['signup', 'u1', { plan: 'pro' }],
+    ['signup', 'u4', { source: 'ad' }],
+    ['page_view', 'u5', { path: '/blog_post' }],
+  ];
+  for (const [i, [event, user_id, properties]] of events.entries()) {
+    await adapter.trackEvent({ project: 'p', event, user_id, session_id: `s-${user_id}`, properties, timestamp: T + i });
+  }
+}
+
+function filterTreeTests(createAdapter) {
+  let adapter;
+
+  beforeEach(async () => {
+    adapter = await createAdapter();
+    await seed(adapter);
+  });
+
+  /** `event:user_id` of the matching events, oldest first. */
+  async function matching(filters) {
+    const events = await adapter.getEvents({ project: 'p', filters });
+    return events.reverse().map(e => `${e.event}:${e.user_id}`);
+  }
+
+  test('combines and, or and not nodes', async () => {
+    assert.deepEqual(await matching({
+      or: [
+        { and: [{ field: 'event', op: 'eq', value: 'page_view' }, { field: 'properties.path', op: 'starts_with', value: '/docs/' }] },
+        { field: 'event', op: 'eq', value: 'signup' },
+      ],
+    }), ['page_view:u1', 'page_view:u3', 'signup:u1', 'signup:u4']);
+
+    assert.deepEqual(await matching([
+      { field: 'event', op: 'eq', value: 'page_view' },
+      { not: { or: [{ field: 'user_id', op: 'eq', value: 'u1' }, { field: 'properties.n', op: 'gte', value: 3 }] } },
+    ]), ['page_view:u2', 'page_view:u5']);
+  });
+
+  test('in and not_in compare typed values; negations match missing fields', async () => {
+    assert.deepEqual(await matching({ field: 'properties.n', op: 'in', value: [1, 3] }), ['page_view:u1', 'page_view:u3']);
+    assert.deepEqual(await matching({ field: 'user_id', op: 'in', value: ['u4', 'u5'] }), ['signup:u4', 'page_view:u5']);
+    assert.deepEqual(
+      await matching({ field: 'properties.plan', op: 'not_in', value: ['pro'] }),
+      ['page_view:u2', 'page_view:u3', 'signup:u4', 'page_view:u5'],
+    );
+    assert.deepEqual(
+      await matching({ field: 'properties.path', op: 'not_contains', value: 'docs' }),
+      ['page_view:u2', 'signup:u1', 'signup:u4', 'page_view:u5'],
+    );
+    assert.deepEqual(
+      await matching({ not: { field: 'properties.plan', op: 'eq', value: 'pro' } }),
+      ['page_view:u2', 'page_view:u3', 'signup:u4', 'page_view:u5'],
+    );
+  });
+
+  test('is_set and is_not_set', async () => {
+    assert.deepEqual(await matching({ field: 'properties.plan', op: 'is_set' }), ['page_view:u1', 'page_view:u3', 'signup:u1']);
+    assert.deepEqual(await matching({ field: 'properties.plan', op: 'is_not_set' }), ['page_view:u2', 'signup:u4', 'page_view:u5']);
+  });
+
+  test('starts_with is literal and regex matches patterns', async () => {
+    assert.deepEqual(await matching({ field: 'properties.path', op: 'starts_with', value: '/blog_' }), ['page_view:u5']);
+    assert.deepEqual(await matching({ field: 'properties.path', op: 'starts_with', value: '/blo%' }), []);
+    assert.deepEqual(await matching({ field: 'properties.path', op: 'starts_with', value: '/docs_' }), []);
+    assert.deepEqual(
+      await matching({ field: 'properties.path', op: 'regex', value: '^/(docs/intro|pricing)$' }),
+      ['page_view:u1', 'page_view:u2'],
+    );
+  });
+
+  test('query(), getBreakdown() and exportEvents() share the grammar', async () => {
+    const notPageViews = { not: { field: 'event', op: 'eq', value: 'page_view' } };
+    const counted = await adapter.query({ project: 'p', filters: notPageViews });
+    assert.deepEqual(counted.rows, [{ event_count: 2 }]);
+
+    const breakdown = await adapter.getBreakdown({
+      project: 'p', property: 'path', filters: { field: 'user_id', op: 'not_in', value: ['u2'] },
+    });
+    assert.equal(breakdown.total_events, 5);
+    assert.equal(breakdown.total_with_property, 3);
+    assert.deepEqual(breakdown.values.map(v => v.value).sort(), ['/blog_post', '/docs/api', '/docs/intro']);
+
+    const exported = await adapter.exportEvents({ project: 'p', filters: { or: [notPageViews, { field: 'properties.n', op: 'eq', value: 2 }] } });
+    assert.deepEqual(exported.events.map(e => e.user_id), ['u2', 'u1', 'u4']);
+  });
+}
+
+describe('filter trees (SQLite)', () => {
+  filterTreeTests(async () => new SqliteAdapter(new Database(':memory:')));
+
+  test('errors name the offending node by path', async () => {
+    const adapter = new SqliteAdapter(new Database(':memory:'));
+    const rejects = (filters, check) => assert.rejects(() => adapter.getEvents({ project: 'p', filters }), check);
+
+    await rejects([{ field: 'event', op: 'like', value: 'x' }], (err) => {
+      assert.equal(err.code, ERROR_CODES.INVALID_FILTER_OP);
+      assert.match(err.message, /^filters\[0\]: invalid filter op: like/);
+      return true;
+    });
+    await rejects({ or: [{ field: 'event', op: 'eq', value: 'x' }, { field: 'properties.a', op: 'in', value: [] }] }, (err) => {
+      assert.equal(err.code, ERROR_CODES.INVALID_BODY);
+      assert.equal(err.details.path, 'filters.or[1].value');
+      return true;
+    });
+    await rejects({ not: { field: 'plan', op: 'is_set' } }, (err) => {
+      assert.equal(err.code, ERROR_CODES.INVALID_FILTER_FIELD);
+      assert.equal(err.details.path, 'filters.not');
+      assert.equal(err.details.suggested_field, 'properties.plan');
+      assert.ok(err.details.available_properties);
+      return true;
+    });
+    await rejects({ field: 'properties.path', op: 'regex', value: '(' }, /filters\.value must be a valid regular expression/);
+    await rejects({ field: 'properties.a', op: 'in', value: [1, 'one'] }, /one type/);
+    await rejects({ and: { field: 'event', op: 'eq', value: 'x' } }, /filters\.and must be an array/);
+    await rejects({ field: "properties.x') --", op: 'is_set' }, (err) => err.code === ERROR_CODES.INVALID_PROPERTY_KEY);
+  });
+
+  test('limits depth and condition count', () => {
+    let deep = { field: 'event', op: 'eq', value: 'x' };
+    for (let i = 0; i < 6; i++) deep = { not: deep };
+    assert.throws(() => validateFilters(deep), /nests filters deeper than 5 levels/);
+
+    const many = Array.from({ length: 51 }, () => ({ field: 'event', op: 'eq', value: 'x' }));
+    assert.throws(() => validateFilters(many), /at most 50 conditions/);
+  });
+
+  test('regex patterns keep to a portable subset without nested repetition', async () => {
+    const refused = (value, message) => assert.throws(
+      () => validateFilters({ field: 'properties.path', op: 'regex', value }),
+      (err) => err.code === ERROR_CODES.INVALID_BODY && message.test(err.message),
+    );
+    refused('(a+)+$', /may not repeat a group that holds a quantifier or alternation/);
+    refused('^(a|aa)*$', /may not repeat a group/);
+    refused('(?:x*y)+', /may not repeat a group/);
+    refused('\\bword', /may not use the escape \\b/);
+    refused('(?<=x)y', /may only use \(\.\.\.\) and \(\?:\.\.\.\) groups/);
+    refused('[[:alpha:]]', /must escape a \[ inside a class/);
+    refused('a{1,500}', /may repeat at most 100 times/);
+    refused('a{', /must escape a literal \{/);
+    refused('a?'.repeat(21), /at most 20 quantifiers/);
+
+    for (const value of ['^/(docs|blog)/[a-z0-9\\-]+$', '(ab)+c', '^/(en|de)?/pricing', '\\d{2,4}\\.\\w*?']) {
+      assert.ok(validateFilters({ field: 'properties.path', op: 'regex', value }));
+    }
+    assert.ok(compileFilterPattern('^a.b$').test('a\nb'));
+
+    // The SQL function applies the same checks
+    const adapter = new SqliteAdapter(new Database(':memory:'));
+    assert.equal(await adapter._queryOne(`SELECT 'aaa' REGEXP '^a+$' AS matched`, []).then(r => r.matched), 1);
+    await assert.rejects(() => adapter._queryOne(`SELECT 'aaaa!' REGEXP '(a+)+$' AS matched`, []), /may not repeat a group/);
+  });
+
+  test('adapters without a regex operator refuse regex filters', async () => {
+    const adapter = new D1Adapter({ prepare() { throw new Error('not reached'); } });
+    await assert.rejects(
+      () => adapter.getEvents({ project: 'p', filters: { field: 'properties.path', op: 'regex', value: '^/docs' } }),
+      (err) => err.code === ERROR_CODES.INVALID_FILTER_OP && err.status === 400 && /not supported by this database/.test(err.message),
+    );
+  });
+
+  test('GET /events and /breakdown take filters as JSON', async () => {
+    const adapter = new SqliteAdapter(new Database(':memory:'));
+    await seed(adapter);
+    const handle = createAnalyticsHandler({
+      db: adapter,
+      validateWrite: () => ({ valid: true }),
+      validateRead: () => ({ valid: true }),
+    });
+    const get = (path, query) => handle(new Request(`https://api.test/${path}?${new URLSearchParams({ project: 'p', ...query })}`));
+
+    let { response } = await get('events', { filters: JSON.stringify({ field: 'properties.plan', op: 'is_set' }) });
+    assert.deepEqual((await response.json()).events.map(e => e.user_id), ['u1', 'u3', 'u1']);
+
+    ({ response } = await get('breakdown', { property: 'plan', filters: JSON.stringify({ field: 'event', op: 'eq', value: 'signup' }) }));
+    assert.deepEqual((await response.json()).values.map(v => v.value), ['pro']);
+
+    ({ response } = await get('events', { filters: '{' }));
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, ERROR_CODES.INVALID_BODY);
+  });
+});
+
+describe('filter trees (PostgreSQL)', () => {
+  let pg;
+
+  before(async () => {
+    pg = new PGlite();
+    await pg.exec(postgresSchema);
+  });
+
+  after(async () => {
+    await pg.close();
+  });
+
+  filterTreeTests(async () => {
+    await pg.exec('TRUNCATE events, sessions, daily_event_rollups, daily_user_rollups, daily_session_rollups');
+    return new PostgresAdapter(pg);
+  });
+});
@@ -0,0 +1,255 @@
+import assert from 'node:assert/strict';
+import { test, describe, beforeEach } from 'node:test';
+import { readFileSync } from 'node:fs';
+import { resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Database from 'better-sqlite3';
+import { BaseAdapter } from '../src/db/base-adapter.js';
+import { createAnalyticsHandler } from '../src/handler.js';
+import { ERROR_CODES } from '../src/errors.js';
+import { buildFunnelReport, validateFunnelOptions } from '../src/funnel-analytics.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const schema = readFileSync(resolve(__dirname, '../schema.sql'), 'utf-8');
+
+class MockAdapter extends BaseAdapter {
+  constructor() {
+    super();
+    this.db = new Database(':memory:');
+    this.db.exec(schema);
+  }
+
+  _run(sql, params) {
+    return this.db.prepare(sql).run(...params);
+  }
+
+  _queryAll(sql, params) {
+    return this.db.prepare(sql).all(...params);
+  }
+
+  _queryOne(sql, params) {
+    return this.db.prepare(sql).get(...params) || null;
+  }
+
+  _batch(statements) {
+    const txn = this.db.transaction((stmts) => {
+      for (const { sql, params } of stmts) {
+        this.db.prepare(sql).run(...params);
+      }
+    });
+    txn(statements);
+  }
+}
+
+const HOUR = 60 * 60 * 1000;
+const BASE = Date.now() - 3 * 24 * HOUR;
+
+async function track(adapter, user_id, event, offsetHours, properties = null, session_id = `${user_id}-s`) {
+  await adapter.trackEvent({ project: 'p', event, user_id, session_id, properties, timestamp: BASE + offsetHours * HOUR });
+}
+
+describe('validateFunnelOptions', () => {
+  test('applies defaults and accepts event-name shorthand', () => {
+    const options = validateFunnelOptions({ steps: ['view', { event: 'signup' }] });
+    assert.equal(options.stepOrder, 'loose');
+    assert.equal(options.countBy, 'user');
+    assert.equal(options.windowDays, 7);
+    assert.deepEqual(options.steps, [{ event: 'view', filters: [] }, { event: 'signup', filters: [] }]);
+  });
+
+  test('rejects too few steps, unknown modes and out-of-range windows', () => {
+    assert.throws(() => validateFunnelOptions({ steps: ['only'] }), /steps must be an array of 2-10/);
+    assert.throws(() => validateFunnelOptions({ steps: ['a', 'b'], step_order: 'exact' }), /step_order must be one of/);
+    assert.throws(() => validateFunnelOptions({ steps: ['a', 'b'], count_by: 'device' }), /count_by must be one of/);
+    assert.throws(() => validateFunnelOptions({ steps: ['a', 'b'], conversion_window_days: 0 }), /conversion_window_days must be 1-90/);
+  });
+
+  test('only accepts properties.* step filters with known ops and safe keys', () => {
+    assert.throws(
+      () => validateFunnelOptions({ steps: [{ event: 'a', filters: [{ field: 'country', op: 'eq', value: 'US' }] }, 'b'] }),
+      (err) => err.code === ERROR_CODES.INVALID_FILTER_FIELD,
+    );
+    assert.throws(
+      () => validateFunnelOptions({ steps: [{ event: 'a', filters: [{ field: 'properties.plan', op: 'like', value: 'x' }] }, 'b'] }),
+      (err) => err.code === ERROR_CODES.INVALID_FILTER_OP,
+    );
+    assert.throws(
+      () => validateFunnelOptions({ steps: [{ event: 'a', filters: [{ field: "properties.x') OR 1=1 --", op: 'eq', value: 'x' }] }, 'b'] }),
+      (err) => err.code === ERROR_CODES.INVALID_PROPERTY_KEY,
+    );
+  });
+});
+
+describe('buildFunnelReport', () => {
+  const options = (overrides = {}) => ({
+    steps: [{ event: 'a', filters: [] }, { event: 'b', filters: [] }, { event: 'c', filters: [] }],
+    stepOrder: 'loose',
+    conversionWindowMs: 10,
+    breakdown: null,
+    breakdownLimit: 10,
+    candidateCap: 100,
+    toDate: '2026-01-31',
+    ...overrides,
+  });
+  const row = (actor, timestamp, flags, extra = {}) => ({
+    actor, candidate_rank: 1, timestamp, date: '2026-01-01', breakdown_value: null,
+    s0: flags[0], s1: flags[1], s2: flags[2], ...extra,
+  });
+
+  test('retries later starts when an earlier attempt runs out of window', () => {
+    const report = buildFunnelReport([
+      row('u1', 0, [1, 0, 0]),
+      row('u1', 20, [1, 0, 0]),
+      row('u1', 25, [0, 1, 0]),
+      row('u1', 28, [0, 0, 1]),
+    ], options());
+    assert.equal(report.converted, 1);
+    assert.deepEqual(report.steps.map(s => s.median_time_from_previous_ms), [null, 5, 3]);
+    assert.equal(report.median_time_to_convert_ms, 8);
+  });
+
+  test('one event advances only one step even when it matches several', () => {
+    const report = buildFunnelReport([
+      row('u1', 0, [1, 1, 0]),
+      row('u1', 1, [1, 1, 0]),
+    ], options({ steps: [{ event: 'a', filters: [] }, { event: 'a', filters: [] }, { event: 'c', filters: [] }] }));
+    assert.deepEqual(report.steps.map(s => s.count), [1, 1, 0]);
+  });
+
+  test('reports truncation when the candidate cap is exceeded', () => {
+    const report = buildFunnelReport([
+      row('u1', 0, [1, 0, 0]),
+      row('u2', 1, [1, 0, 0], { candidate_rank: 2 }),
+    ], options({ candidateCap: 1 }));
+    assert.equal(report.entered, 1);
+    assert.deepEqual(report.bounds, { candidate_cap: 1, truncated: true });
+  });
+});
+
+describe('BaseAdapter.getFunnel', () => {
+  let adapter;
+
+  beforeEach(async () => {
+    adapter = new MockAdapter();
+    // u1: full funnel with a detour between steps
+    await track(adapter, 'u1', 'view', 0, { plan: 'pro' });
+    await track(adapter, 'u1', 'scroll', 1);
+    await track(adapter, 'u1', 'signup', 2);
+    await track(adapter, 'u1', 'purchase', 6, { amount: 50 });
+    // u2: full funnel in strict order, second step in a new session
+    await track(adapter, 'u2', 'view', 0, { plan: 'free' });
+    await track(adapter, 'u2', 'signup', 4, null, 'u2-s2');
+    await track(adapter, 'u2', 'purchase', 5, { amount: 5 }, 'u2-s2');
+    // u3: signs up but never purchases
+    await track(adapter, 'u3', 'view', 0, { plan: 'free' });
+    await track(adapter, 'u3', 'signup', 1);
+    // u4: purchase before view does not count
+    await track(adapter, 'u4', 'purchase', 0);
+    await track(adapter, 'u4', 'view', 1, { plan: 'pro' });
+  });
+
+  test('loose funnel counts users through ordered steps with conversion and timing', async () => {
+    const result = await adapter.getFunnel({ project: 'p', steps: ['view', 'signup', 'purchase'] });
+    assert.equal(result.project, 'p');
+    assert.equal(result.step_order, 'loose');
+    assert.deepEqual(result.steps.map(s => s.count), [4, 3, 2]);
+    assert.deepEqual(result.steps.map(s => s.conversion_rate), [1, 0.75, 0.667]);
+    assert.deepEqual(result.steps.map(s => s.overall_conversion_rate), [1, 0.75, 0.5]);
+    assert.deepEqual(result.steps.map(s => s.drop_off), [0, 1, 1]);
+    assert.equal(result.steps[1].median_time_from_previous_ms, 2 * HOUR);
+    assert.equal(result.steps[2].median_time_from_previous_ms, 2.5 * HOUR);
+    assert.equal(result.overall_conversion_rate, 0.5);
+    assert.equal(result.median_time_to_convert_ms, 5.5 * HOUR);
+  });
+
+  test('strict funnel breaks on any event between steps', async () => {
+    const result = await adapter.getFunnel({ project: 'p', steps: ['view', 'signup', 'purchase'], step_order: 'strict' });
+    assert.deepEqual(result.steps.map(s => s.count), [4, 2, 1]);
+  });
+
+  test('conversion window bounds the whole funnel from the first step', async () => {
+    const result = await adapter.getFunnel({ project: 'p', steps: ['view', 'signup', 'purchase'], conversion_window_days: 1 });
+    assert.deepEqual(result.steps.map(s => s.count), [4, 3, 2]);
+
+    await track(adapter, 'u5', 'view', -48);
+    await track(adapter, 'u5', 'signup', 0);
+    const windowed = await adapter.getFunnel({ project: 'p', steps: ['view', 'signup'], conversion_window_days: 1 });
+    assert.deepEqual(windowed.steps.map(s => s.count), [5, 3]);
+  });
+
+  test('step property filters narrow matching events', async () => {
+    const result = await adapter.getFunnel({
+      project: 'p',
+      steps: ['view', 'signup', { event: 'purchase', filters: [{ field: 'properties.amount', op: 'gte', value: 10 }] }],
+    });
+    assert.deepEqual(result.steps.map(s => s.count), [4, 3, 1]);
+    assert.deepEqual(result.steps[2].filters, [{ field: 'properties.amount', op: 'gte', value: 10 }]);
+  });
+
+  test('counting by session keeps each session separate', async () => {
+    const result = await adapter.getFunnel({ project: 'p', steps: ['view', 'signup', 'purchase'], count_by: 'session' });
+    assert.equal(result.count_by, 'session');
+    assert.deepEqual(result.steps.map(s => s.count), [4, 2, 1]);
+  });
+
+  test('breakdown groups by the first step property', async () => {
+    const result = await adapter.getFunnel({ project: 'p', steps: ['view', 'signup', 'purchase'], breakdown: 'plan' });
+    assert.equal(result.breakdown.property, 'plan');
+    assert.equal(result.breakdown.total_groups, 2);
+    const byValue = Object.fromEntries(result.breakdown.groups.map(g => [g.value, g]));
+    assert.deepEqual(byValue.free.steps.map(s => s.count), [2, 2, 1]);
+    assert.deepEqual(byValue.pro.steps.map(s => s.count), [2, 1, 1]);
+  });
+
+  test('ignores other projects', async () => {
+    await adapter.trackEvent({ project: 'other', event: 'view', user_id: 'u1', timestamp: BASE });
+    const result = await adapter.getFunnel({ project: 'other', steps: ['view', 'signup'] });
+    assert.deepEqual(result.steps.map(s => s.count), [1, 0]);
+    assert.equal(result.steps[1].median_time_from_previous_ms, null);
+  });
+});
+
+describe('POST /funnels', () => {
+  let adapter;
+  let handler;
+
+  beforeEach(async () => {
+    adapter = new MockAdapter();
+    handler = createAnalyticsHandler({
+      db: adapter,
+      validateWrite: () => ({ valid: true }),
+      validateRead: (request) => ({ valid: request.headers.get('X-API-Key') === 'aak_test' }),
+    });
+    await track(adapter, 'u1', 'view', 0);
+    await track(adapter, 'u1', 'signup', 1);
+  });
+
+  function post(body, apiKey = 'aak_test') {
+    return new Request('https://api.test/funnels', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': apiKey },
+      body: JSON.stringify(body),
+    });
+  }
+
+  test('returns the funnel report', async () => {
+    const { response } = await handler(post({ project: 'p', steps: ['view', 'signup'] }));
+    assert.equal(response.status, 200);
+    const data = await response.json();
+    assert.deepEqual(data.steps.map(s => s.count), [1, 1]);
+    assert.equal(data.overall_conversion_rate, 1);
+  });
+
+  test('requires auth, a project and valid steps', async () => {
+    let { response } = await handler(post({ project: 'p', steps: ['view', 'signup'] }, 'wrong'));
+    assert.equal(response.status, 401);
+
+    ({ response } = await handler(post({ steps: ['view', 'signup'] })));
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, ERROR_CODES.PROJECT_REQUIRED);
+
+    ({ response } = await handler(post({ project: 'p', steps: 'view' })));
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, ERROR_CODES.MISSING_FIELDS);
+  });
+});
@@ -1,10 +1,47 @@
 import assert from 'node:assert/strict';
 import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
 import { test } from 'node:test';
+import Database from 'better-sqlite3';
 import { createAnalyticsHandler } from '../src/handler.js';
+import { BaseAdapter } from '../src/db/base-adapter.js';
 import { AnalyticsError, ERROR_CODES } from '../src/errors.js';
 import { TRACKER_CHECKSUMS } from '../src/index.js';
 
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const schema = readFileSync(resolve(__dirname, '../schema.sql'), 'utf-8');
+
+class MockAdapter extends BaseAdapter {
+  constructor() {
+    super();
+    this.db = new Database(':memory:');
+    this.db.exec(schema);
+  }
+
+  _run(sql, params) {
+    return this.db.prepare(sql).run(...params);
+  }
+
+  _queryAll(sql, params) {
+    return this.db.prepare(sql).all(...params);
+  }
+
+  _queryOne(sql, params) {
+    return this.db.prepare(sql).get(...params) || null;
+  }
+
+  _batch(statements) {
+    const txn = this.db.transaction((stmts) => {
+      for (const { sql, params } of stmts) {
+        this.db.prepare(sql).run(...params);
+      }
+    });
+    txn(statements);
+  }
+}
+
 function sha256Hex(value) {
   return createHash('sha256').update(value, 'utf8').digest('hex');
 }
@@ -19,6 +56,12 @@ function makeHandler(overrides = {}) {
       getPaths: async () => ({ project: 'site-a', goal_event: 'signup', period: { from: '2026-01-01', to: '2026-01-31' }, bounds: {}, entry_paths: [] }),
       getProperties: async () => ({ events: [], property_keys: [] }),
       getPropertiesReceived: async () => ({ properties: [], sample_size: 10 }),
+      getSessions: async () => ([]),
+      getBreakdown: async ({ property }) => ({ property, values: [] }),
+      getInsights: async () => ({ metrics: {}, trend: 'stable' }),
+      getPages: async () => ({ entry_pages: [] }),
+      getSessionDistribution: async () => ({ distribution: [], median_bucket: null, engaged_pct: 0 }),
+      getHeatmap: async () => ({ heatmap: [], peak: null }),
       ...overrides,
     },
     validateRead: () => ({ valid: true }),
@@ -60,7 +103,7 @@ test('core keeps OSS basic routes like stats and events', async () => {
   assert.equal(response.status, 200);
 });
 
-test('core keeps OSS query and properties routes but excludes hosted-only reads', async () => {
+test('core keeps OSS query and properties routes', async () => {
   const handler = makeHandler();
   const keptRoutes = [
     'https://api.test/query',
@@ -82,29 +125,115 @@ test('core keeps OSS query and properties routes but excludes hosted-only reads'
     const { response } = await handler(new Request(url, init));
     assert.equal(response.status, 200);
   }
+});
+
+test('core routes session, breakdown, insights, pages, distribution and heatmap reads', async () => {
+  const calls = {};
+  const record = (name, result) => async (opts) => {
+    calls[name] = opts;
+    return result;
+  };
+  const handler = makeHandler({
+    getSessions: record('getSessions', []),
+    getBreakdown: record('getBreakdown', { property: 'path', values: [] }),
+    getInsights: record('getInsights', { trend: 'stable' }),
+    getPages: record('getPages', { exit_pages: [] }),
+    getSessionDistribution: record('getSessionDistribution', { distribution: [] }),
+    getHeatmap: record('getHeatmap', { heatmap: [] }),
+  });
 
-  const removedRoutes = [
-    'https://api.test/sessions?project=site-a',
-    'https://api.test/breakdown?project=site-a&property=path',
-    'https://api.test/insights?project=site-a',
-    'https://api.test/pages?project=site-a',
-    'https://api.test/sessions/distribution?project=site-a',
-    'https://api.test/heatmap?project=site-a',
+  const routes = [
+    ['https://api.test/sessions?project=site-a&user_id=u1&is_bounce=1&limit=5000', 'getSessions', { project: 'site-a', since: undefined, until: undefined, user_id: 'u1', is_bounce: 1, cursor: undefined, limit: 1000 }],
+    ['https://api.test/breakdown?project=site-a&property=path&event=page_view&limit=5', 'getBreakdown', { project: 'site-a', property: 'path', event: 'page_view', since: undefined, filters: undefined, limit: 5 }],
+    ['https://api.test/insights?project=site-a&period=30d', 'getInsights', { project: 'site-a', period: '30d', timezone: undefined }],
+    ['https://api.test/pages?project=site-a&type=exit&since=30d', 'getPages', { project: 'site-a', type: 'exit', since: '30d', limit: 20 }],
+    ['https://api.test/sessions/distribution?project=site-a&since=14d&timezone=Europe/Berlin', 'getSessionDistribution', { project: 'site-a', since: '14d', timezone: 'Europe/Berlin' }],
+    ['https://api.test/heatmap?project=site-a', 'getHeatmap', { project: 'site-a', since: undefined, timezone: undefined }],
   ];
 
-  for (const url of removedRoutes) {
-    const init = url.endsWith('/query')
-      ? {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json', 'X-API-Key': 'aak_test' },
-          body: JSON.stringify({ project: 'site-a', metrics: ['event_count'] }),
-        }
-      : { headers: { 'X-API-Key': 'aak_test' } };
-    const { response } = await handler(new Request(url, init));
-    assert.equal(response.status, 404);
+  for (const [url, method, expected] of routes) {
+    const { response } = await handler(new Request(url, { headers: { 'X-API-Key': 'aak_test' } }));
+    assert.equal(response.status, 200, url);
+    assert.equal((await response.json()).project, 'site-a', url);
+    assert.deepEqual(calls[method], expected, url);
   }
 });
 
+test('core analytics reads require auth and a project', async () => {
+  const paths = ['/sessions', '/breakdown?property=path', '/insights', '/pages', '/sessions/distribution', '/heatmap'];
+  const handler = makeHandler();
+  const denied = createAnalyticsHandler({
+    db: {},
+    validateRead: () => ({ valid: false }),
+    validateWrite: () => ({ valid: true }),
+  });
+
+  for (const path of paths) {
+    const sep = path.includes('?') ? '&' : '?';
+    let { response } = await denied(new Request(`https://api.test${path}${sep}project=site-a`));
+    assert.equal(response.status, 401, path);
+
+    ({ response } = await handler(new Request(`https://api.test${path}`, { headers: { 'X-API-Key': 'aak_test' } })));
+    assert.equal(response.status, 400, path);
+    assert.equal((await response.json()).error, ERROR_CODES.PROJECT_REQUIRED, path);
+  }
+});
+
+test('core analytics reads validate parameters', async () => {
+  const handler = makeHandler();
+  const cases = [
+    ['https://api.test/breakdown?project=site-a', ERROR_CODES.MISSING_FIELDS, /property/],
+    ['https://api.test/pages?project=site-a&type=middle', ERROR_CODES.MISSING_FIELDS, /type must be one of: entry, exit, both/],
+    ['https://api.test/sessions?project=site-a&is_bounce=yes', ERROR_CODES.MISSING_FIELDS, /is_bounce must be 0 or 1/],
+  ];
+
+  for (const [url, code, message] of cases) {
+    const { response } = await handler(new Request(url, { headers: { 'X-API-Key': 'aak_test' } }));
+    assert.equal(response.status, 400, url);
+    const data = await response.json();
+    assert.equal(data.error, code, url);
+    assert.match(data.message, message, url);
+  }
+});
+
+test('core analytics reads surface adapter validation errors against a real adapter', async () => {
+  const adapter = new MockAdapter();
+  const now = Date.now();
+  await adapter.trackEvent({ project: 'site-a', event: 'page_view', user_id: 'u1', session_id: 's1', timestamp: now, properties: { path: '/home' } });
+  await adapter.trackEvent({ project: 'site-a', event: 'page_view', user_id: 'u1', session_id: 's1', timestamp: now + 5000, properties: { path: '/pricing' } });
+  const handler = createAnalyticsHandler({ db: adapter, validateRead: () => ({ valid: true }), validateWrite: () => ({ valid: true }) });
+  const get = async (path) => {
+    const { response } = await handler(new Request(`https://api.test${path}`, { headers: { 'X-API-Key': 'aak_test' } }));
+    return { status: response.status, data: await response.json() };
+  };
+
+  let { status, data } = await get('/sessions?project=site-a');
+  assert.equal(status, 200);
+  assert.equal(data.sessions[0].session_id, 's1');
+
+  ({ status, data } = await get('/breakdown?project=site-a&property=path'));
+  assert.equal(status, 200);
+  assert.equal(data.total_with_property, 2);
+
+  ({ status, data } = await get('/pages?project=site-a&type=both'));
+  assert.equal(data.entry_pages[0].page, '/home');
+  assert.equal(data.exit_pages[0].page, '/pricing');
+
+  ({ status, data } = await get('/sessions/distribution?project=site-a'));
+  assert.equal(data.distribution[0].bucket, '1-10s');
+
+  ({ status, data } = await get('/heatmap?project=site-a'));
+  assert.equal(data.peak.events, 2);
+
+  ({ status, data } = await get('/insights?project=site-a&period=365d'));
+  assert.equal(status, 400);
+  assert.match(data.message, /invalid period/);
+
+  ({ status, data } = await get("/breakdown?project=site-a&property=a'b"));
+  assert.equal(status, 400);
+  assert.equal(data.error, ERROR_CODES.INVALID_PROPERTY_KEY);
+});
+
 test('core /query returns invalid filter guidance payload from AnalyticsError details', async () => {
   const handler = makeHandler({
     query: async () => {
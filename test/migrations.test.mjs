@@ -0,0 +1,237 @@
+import assert from 'node:assert/strict';
+import { test, describe, beforeEach } from 'node:test';
+import { readFileSync } from 'node:fs';
+import { resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Database from 'better-sqlite3';
+import { PGlite } from '@electric-sql/pglite';
+import { SqliteAdapter } from '../src/db/sqlite.js';
+import { PostgresAdapter } from '../src/db/postgres.js';
+import { migrate, assertSchemaCurrent, MIGRATIONS, LATEST_SCHEMA_VERSION } from '../src/db/migrate.js';
+import * as initial from '../src/db/migrations/0001-initial.js';
+import { createAnalyticsHandler } from '../src/handler.js';
+import { ERROR_CODES } from '../src/errors.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const schema = readFileSync(resolve(__dirname, '../schema.sql'), 'utf-8');
+const postgresSchema = readFileSync(resolve(__dirname, '../schema.postgres.sql'), 'utf-8');
+
+function sqliteColumns(db) {
+  return db.prepare(`
+    SELECT m.name || '.' || p.name as col
+    FROM sqlite_master m, pragma_table_info(m.name) p
+    WHERE m.type = 'table'
+    ORDER BY col
+  `).all().map(r => r.col);
+}
+
+async function postgresColumns(pg) {
+  const { rows } = await pg.query(`
+    SELECT table_name || '.' || column_name as col
+    FROM information_schema.columns
+    WHERE table_schema = current_schema()
+    ORDER BY col
+  `);
+  return rows.map(r => r.col);
+}
+
+describe('migrate', () => {
+  let db;
+  let adapter;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    adapter = new SqliteAdapter(db, { applySchema: false });
+  });
+
+  test('applies every migration to an empty database, once', async () => {
+    assert.equal(await adapter.getSchemaVersion(), 0);
+
+    const first = await migrate(adapter);
+    assert.equal(first.from, 0);
+    assert.equal(first.to, LATEST_SCHEMA_VERSION);
+    assert.deepEqual(first.applied.map(m => m.version), MIGRATIONS.map(m => m.version));
+    assert.equal(await adapter.getSchemaVersion(), LATEST_SCHEMA_VERSION);
+
+    const second = await migrate(adapter);
+    assert.deepEqual(second, { from: LATEST_SCHEMA_VERSION, to: LATEST_SCHEMA_VERSION, applied: [] });
+  });
+
+  test('a database created from schema.sql is recorded as current by migrate()', async () => {
+    db.exec(schema);
+    assert.equal(await adapter.getSchemaVersion(), 0);
+    const before = sqliteColumns(db);
+
+    const result = await migrate(adapter);
+    assert.equal(result.to, LATEST_SCHEMA_VERSION);
+    assert.deepEqual(sqliteColumns(db), before);
+  });
+
+  test('SqliteAdapter records its own fresh schema as current', async () => {
+    const fresh = new SqliteAdapter(new Database(':memory:'));
+    assert.equal(await fresh.getSchemaVersion(), LATEST_SCHEMA_VERSION);
+    assert.deepEqual((await migrate(fresh)).applied, []);
+  });
+
+  test('SqliteAdapter leaves an older database for migrate() to bring forward', async () => {
+    for (const sql of await initial.up()) db.exec(sql);
+    const old = new SqliteAdapter(db);
+    assert.equal(await old.getSchemaVersion(), 0);
+
+    const result = await migrate(old);
+    assert.equal(result.from, 0);
+    assert.equal(result.to, LATEST_SCHEMA_VERSION);
+    await old.trackEvent({ project: 'p', event: 'signup', user_id: 'u1', country: 'DE' });
+    assert.equal(db.prepare(`SELECT country FROM events WHERE event = 'signup'`).get().country, 'DE');
+  });
+
+  test('adopts a schema.sql database from before migrations without touching its data', async () => {
+    db.exec(schema);
+    db.exec('DROP TABLE schema_migrations');
+    await adapter.trackEvent({ project: 'p', event: 'signup', user_id: 'u1' });
+    assert.equal(await adapter.getSchemaVersion(), 0);
+
+    const result = await migrate(adapter);
+    assert.equal(result.to, LATEST_SCHEMA_VERSION);
+    assert.equal(db.prepare('SELECT COUNT(*) as n FROM events').get().n, 1);
+  });
+
+  test('adds events.country to databases that predate it', async () => {
+    for (const sql of await initial.up()) db.exec(sql);
+    db.prepare(`INSERT INTO events (id, project_id, event, timestamp, date) VALUES ('e1', 'p', 'old', 1, '2025-01-01')`).run();
+
+    const result = await migrate(adapter);
+    assert.deepEqual(result.applied.map(m => m.name), MIGRATIONS.map(m => m.name));
+    assert.ok(sqliteColumns(db).includes('events.country'));
+    assert.equal(db.prepare(`SELECT country FROM events WHERE id = 'e1'`).get().country, null);
+  });
+
+  test('moves unique users out of daily_event_rollups and rebuilds the covered rollups', async () => {
+    await migrate(adapter, { to: 10 });
+    db.exec(`INSERT INTO daily_event_rollups (project_id, date, hour, event, user_id, event_count) VALUES ('p', '2025-01-01', 0, 'stale', 'u9', 5)`);
+    db.exec(`INSERT INTO rollup_coverage (project_id, date_from, date_to, rebuilt_at) VALUES ('p', NULL, NULL, 0)`);
+    // Written before the migration, so without rollups
+    await adapter.trackBatch([
+      { project: 'p', event: 'view', user_id: 'u1', session_id: 's1' },
+      { project: 'p', event: 'view', user_id: 'u1', session_id: 's1' },
+      { project: 'p', event: 'view', session_id: 's2' },
+    ]);
+
+    await migrate(adapter);
+    assert.ok(!sqliteColumns(db).includes('daily_event_rollups.user_id'));
+    assert.deepEqual(db.prepare('SELECT event, event_count FROM daily_event_rollups').all(), [{ event: 'view', event_count: 3 }]);
+    assert.deepEqual(db.prepare('SELECT user_id, event_count FROM daily_user_rollups').all(), [{ user_id: 'u1', event_count: 2 }]);
+    const stats = await adapter.getStats({ project: 'p', since: '7d' });
+    assert.equal(stats.source, 'rollup');
+    assert.equal(stats.totals.total_events, 3);
+    assert.equal(stats.totals.unique_users, 1);
+  });
+
+  test('migrations produce the tables and columns of schema.sql', async () => {
+    await migrate(adapter);
+    const fresh = new Database(':memory:');
+    fresh.exec(schema);
+    assert.deepEqual(sqliteColumns(db), sqliteColumns(fresh));
+  });
+
+  test('migrations produce the tables and columns of schema.postgres.sql', async () => {
+    const migrated = new PGlite();
+    const fresh = new PGlite();
+    try {
+      await migrate(new PostgresAdapter(migrated));
+      await fresh.exec(postgresSchema);
+      assert.deepEqual(await postgresColumns(migrated), await postgresColumns(fresh));
+      assert.equal(await new PostgresAdapter(fresh).getSchemaVersion(), 0);
+      assert.equal((await migrate(new PostgresAdapter(fresh))).to, LATEST_SCHEMA_VERSION);
+      assert.deepEqual(await postgresColumns(fresh), await postgresColumns(migrated));
+    } finally {
+      await migrated.close();
+      await fresh.close();
+    }
+  });
+
+  test('a failing migration rolls back and is not recorded', async () => {
+    const broken = { version: LATEST_SCHEMA_VERSION + 1, name: 'broken', up: async () => ['CREATE TABLE half_done (id TEXT)', 'NOT VALID SQL'] };
+    await assert.rejects(() => migrate(adapter, { migrations: [...MIGRATIONS, broken] }), /syntax error/);
+    assert.equal(await adapter.getSchemaVersion(), LATEST_SCHEMA_VERSION);
+    assert.ok(!sqliteColumns(db).some(c => c.startsWith('half_done.')));
+  });
+
+  test('stops at `to` and rejects out-of-order versions', async () => {
+    const partial = await migrate(adapter, { to: 1 });
+    assert.deepEqual(partial.applied.map(m => m.version), [1]);
+    assert.equal(await adapter.getSchemaVersion(), 1);
+
+    await assert.rejects(() => migrate(adapter, { migrations: [MIGRATIONS[1], MIGRATIONS[0]] }), /increasing integers/);
+  });
+
+  test('assertSchemaCurrent reports the recorded and required versions', async () => {
+    await migrate(adapter, { to: 1 });
+    await assert.rejects(() => assertSchemaCurrent(adapter), (err) => {
+      assert.equal(err.code, ERROR_CODES.SCHEMA_OUTDATED);
+      assert.equal(err.status, 503);
+      assert.deepEqual(err.details, { schema_version: 1, required_version: LATEST_SCHEMA_VERSION });
+      return true;
+    });
+    await migrate(adapter);
+    assert.equal(await assertSchemaCurrent(adapter), LATEST_SCHEMA_VERSION);
+  });
+});
+
+describe('requireCurrentSchema', () => {
+  test('database routes answer 503 until the schema is migrated', async () => {
+    const adapter = new SqliteAdapter(new Database(':memory:'), { applySchema: false });
+    await migrate(adapter, { to: 1 });
+    const handle = createAnalyticsHandler({
+      db: adapter,
+      validateWrite: () => ({ valid: true }),
+      validateRead: () => ({ valid: true }),
+      requireCurrentSchema: true,
+    });
+
+    let { response } = await handle(new Request('https://api.test/events?project=p'));
+    assert.equal(response.status, 503);
+    const data = await response.json();
+    assert.equal(data.error, ERROR_CODES.SCHEMA_OUTDATED);
+    assert.equal(data.schema_version, 1);
+
+    ({ response } = await handle(new Request('https://api.test/health')));
+    assert.equal(response.status, 200);
+
+    await migrate(adapter);
+    ({ response } = await handle(new Request('https://api.test/events?project=p')));
+    assert.equal(response.status, 200);
+  });
+});
+
+describe('writes before migrate()', () => {
+  const CHROME = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36';
+
+  test('store events without rollups until the rollup tables exist', async () => {
+    const db = new Database(':memory:');
+    const adapter = new SqliteAdapter(db, { applySchema: false });
+    await migrate(adapter, { to: 4 });
+    const handle = createAnalyticsHandler({ db: adapter, validateWrite: () => ({ valid: true }), validateRead: () => ({ valid: true }) });
+    const post = async (path, body) => {
+      const result = await handle(new Request(`https://api.test${path}`, {
+        method: 'POST',
+        headers: { 'User-Agent': CHROME },
+        body: JSON.stringify(body),
+      }));
+      await Promise.all(result.writeOps ?? []);
+      return result.response;
+    };
+
+    assert.equal((await post('/track', { project: 'p', event: 'a', session_id: 's1', user_id: 'anon' })).status, 200);
+    assert.equal((await post('/track/batch', { events: [{ project: 'p', event: 'b', session_id: 's1' }, { project: 'p', event: 'c' }] })).status, 200);
+    assert.equal((await post('/identify', { project: 'p', previous_id: 'anon', user_id: 'u1' })).status, 200);
+    assert.equal(db.prepare('SELECT COUNT(*) as n FROM events').get().n, 3);
+    assert.equal(db.prepare('SELECT event_count FROM sessions').get().event_count, 2);
+
+    await migrate(adapter);
+    await post('/track', { project: 'p', event: 'd', session_id: 's2', user_id: 'u1' });
+    assert.equal(db.prepare('SELECT COUNT(*) as n FROM events').get().n, 4);
+    assert.equal(db.prepare('SELECT SUM(event_count) as n FROM daily_event_rollups').get().n, 1);
+    assert.equal(db.prepare('SELECT SUM(session_count) as n FROM daily_session_rollups').get().n, 1);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Ingest normalization: body size, event fields, timestamp bounds and the
+ * per-event rejections of /track/batch.
+ */
+import assert from 'node:assert/strict';
+import { test, describe, beforeEach } from 'node:test';
+import Database from 'better-sqlite3';
+import { SqliteAdapter } from '../src/db/sqlite.js';
+import { createAnalyticsHandler } from '../src/handler.js';
+import { ERROR_CODES } from '../src/errors.js';
+import { MS_PER_DAY } from '../src/constants.js';
+import { normalizeEvent, readJsonBody } from '../src/normalize.js';
+
+const CHROME = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36';
+const NOW = Date.parse('2025-06-15T12:00:00Z');
+
+test('normalizes ids and timestamps', () => {
+  const { event } = normalizeEvent({ project: 'p', event: 'e', user_id: 42, session_id: '', timestamp: '2025-06-15T11:00:00Z', extra: 1 }, { now: NOW });
+  assert.deepEqual(event, { project: 'p', event: 'e', properties: undefined, user_id: '42', session_id: undefined, timestamp: NOW - 3_600_000 });
+
+  assert.equal(normalizeEvent({ project: 'p', event: 'e' }, { now: NOW }).event.timestamp, NOW);
+  assert.equal(normalizeEvent({ project: 'p', event: 'e', timestamp: NOW + 60_000 }, { now: NOW }).event.timestamp, NOW);
+  assert.equal(normalizeEvent({ project: 'p', event: 'e', timestamp: NOW - 1.5 }, { now: NOW }).event.timestamp, NOW - 2);
+});
+
+test('refuses malformed events with a reason', () => {
+  const reason = (input, opts) => normalizeEvent(input, { now: NOW, ...opts }).reason;
+  assert.equal(reason(null), 'missing_fields');
+  assert.equal(reason({ project: 'p' }), 'missing_fields');
+  assert.equal(reason({ project: 7, event: 'e' }), 'invalid_project');
+  assert.equal(reason({ project: 'p', event: { name: 'e' } }), 'invalid_event');
+  assert.equal(reason({ project: 'p', event: 'e'.repeat(257) }), 'invalid_event');
+  assert.equal(reason({ project: 'p', event: 'e', properties: 'path=/' }), 'invalid_properties');
+  assert.equal(reason({ project: 'p', event: 'e', properties: [1] }), 'invalid_properties');
+  assert.equal(reason({ project: 'p', event: 'e', user_id: 'u'.repeat(257) }), 'invalid_user_id');
+  assert.equal(reason({ project: 'p', event: 'e', session_id: { id: 1 } }), 'invalid_session_id');
+  assert.equal(reason({ project: 'p', event: 'e', timestamp: 'yesterday' }), 'invalid_timestamp');
+  assert.equal(reason({ project: 'p', event: 'e', timestamp: NOW + 2 * MS_PER_DAY }), 'timestamp_out_of_range');
+  assert.equal(reason({ project: 'p', event: 'e', timestamp: NOW - 8 * MS_PER_DAY }), 'timestamp_out_of_range');
+  assert.equal(reason({ project: 'p', event: 'e', timestamp: NOW / 1000 }), 'timestamp_out_of_range'); // seconds, not ms
+  assert.equal(reason({ project: 'p', event: 'e', timestamp: NOW - 8 * MS_PER_DAY }, { maxEventAgeMs: 30 * MS_PER_DAY }), undefined);
+});
+
+test('reads JSON bodies up to the size limit', async () => {
+  const post = (body, headers) => new Request('https://api.test/track', { method: 'POST', body, headers });
+  assert.deepEqual(await readJsonBody(post('{"a":1}'), 16), { a: 1 });
+
+  const tooLarge = (err) => err.code === ERROR_CODES.PAYLOAD_TOO_LARGE && err.status === 413;
+  await assert.rejects(readJsonBody(post(JSON.stringify({ a: 'x'.repeat(20) })), 16), tooLarge);
+  await assert.rejects(readJsonBody(post('{}', { 'Content-Length': '999' }), 16), tooLarge);
+  // A stream has no Content-Length, so the limit applies while reading
+  const stream = new ReadableStream({
+    pull(controller) { controller.enqueue(new TextEncoder().encode('{"a":"xxxxxxxx')); },
+  });
+  await assert.rejects(readJsonBody(new Request('https://api.test/track', { method: 'POST', body: stream, duplex: 'half' }), 16), tooLarge);
+
+  await assert.rejects(readJsonBody(post('not json')), (err) => err.code === ERROR_CODES.INVALID_BODY && err.status === 400);
+});
+
+describe('normalization in the handler', () => {
+  let adapter;
+  let handle;
+
+  beforeEach(() => {
+    adapter = new SqliteAdapter(new Database(':memory:'));
+    handle = createAnalyticsHandler({ db: adapter, validateWrite: () => ({ valid: true }), validateRead: () => ({ valid: true }) });
+  });
+
+  async function post(path, body) {
+    const result = await handle(new Request(`https://api.test${path}`, {
+      method: 'POST',
+      headers: { 'User-Agent': CHROME },
+      body: typeof body === 'string' ? body : JSON.stringify(body),
+    }));
+    await Promise.all(result.writeOps ?? []);
+    return result.response;
+  }
+
+  test('refuses an invalid /track with its reason and counts it', async () => {
+    let response = await post('/track', { project: 'p', event: 'e', properties: 'nope' });
+    assert.equal(response.status, 400);
+    assert.deepEqual(await response.json(), { error: ERROR_CODES.INVALID_BODY, message: 'properties must be an object', reason: 'invalid_properties' });
+
+    response = await post('/track', '{"project":');
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, ERROR_CODES.INVALID_BODY);
+
+    response = await post('/track', { project: 'p', event: 'e', properties: { blob: 'x'.repeat(1024 * 1024) } });
+    assert.equal(response.status, 413);
+
+    response = await post('/track', { project: 'p', event: 'e', user_id: 7 });
+    assert.equal(response.status, 200);
+    assert.equal((await adapter.getEvents({ project: 'p' }))[0].user_id, '7');
+    assert.deepEqual((await adapter.getRejectedEvents({ project: 'p' })).by_reason, { invalid_properties: 1 });
+  });
+
+  test('a batch keeps valid events and lists the rest by index', async () => {
+    const response = await post('/track/batch', {
+      events: [
+        { project: 'p', event: 'kept' },
+        { project: 'p', event: 'old', timestamp: Date.now() - 30 * MS_PER_DAY },
+        'not an event',
+        { project: 'p', event: 'also_kept', session_id: 's1' },
+        { project: 'p', event: 'bad', user_id: ['u'] },
+      ],
+    });
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), {
+      ok: true,
+      count: 2,
+      accepted: 2,
+      rejected: [
+        { index: 1, reason: 'timestamp_out_of_range' },
+        { index: 2, reason: 'missing_fields' },
+        { index: 4, reason: 'invalid_user_id' },
+      ],
+    });
+    assert.deepEqual((await adapter.getEvents({ project: 'p' })).map(e => e.event).sort(), ['also_kept', 'kept']);
+    assert.deepEqual((await adapter.getRejectedEvents({ project: 'p' })).by_reason, { timestamp_out_of_range: 1, invalid_user_id: 1 });
+  });
+});
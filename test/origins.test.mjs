@@ -0,0 +1,250 @@
+/**
+ * Origin allowlists on the write endpoints: origin and hostname checks,
+ * reflected CORS origins, and the rejected_events tally.
+ */
+import assert from 'node:assert/strict';
+import { test, describe, before, after, beforeEach } from 'node:test';
+import { readFileSync } from 'node:fs';
+import { resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Database from 'better-sqlite3';
+import { PGlite } from '@electric-sql/pglite';
+import { SqliteAdapter } from '../src/db/sqlite.js';
+import { PostgresAdapter } from '../src/db/postgres.js';
+import { createAnalyticsHandler } from '../src/handler.js';
+import { ERROR_CODES } from '../src/errors.js';
+import { formatDate } from '../src/db/adapter.js';
+import { normalizeAllowedOrigins, originAllowed, hostnameAllowed, requestOrigin } from '../src/origins.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const postgresSchema = readFileSync(resolve(__dirname, '../schema.postgres.sql'), 'utf-8');
+const CHROME = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36';
+
+test('allowlist entries match full origins, hosts and subdomains', () => {
+  const entries = normalizeAllowedOrigins(['https://App.example.com', 'example.org', '*.example.net']);
+  assert.deepEqual(entries, ['https://app.example.com', 'example.org', '*.example.net']);
+
+  assert.equal(originAllowed('https://app.example.com', entries), true);
+  assert.equal(originAllowed('http://app.example.com', entries), false);
+  assert.equal(originAllowed('https://app.example.com:8443', entries), false);
+  assert.equal(originAllowed('http://example.org:3000', entries), true);
+  assert.equal(originAllowed('https://shop.example.net', entries), true);
+  assert.equal(originAllowed('https://example.net', entries), false);
+  assert.equal(originAllowed('https://evil-example.net', entries), false);
+  assert.equal(originAllowed('null', entries), false);
+
+  assert.equal(hostnameAllowed('App.Example.com', entries), true);
+  assert.equal(hostnameAllowed('a.b.example.net', entries), true);
+  assert.equal(hostnameAllowed('example.com', entries), false);
+
+  for (const bad of ['https://example.com/', 'https://*.example.com', 'exa mple.com', '', 42]) {
+    assert.throws(() => normalizeAllowedOrigins([bad], 'site'), /invalid allowed origin for site/);
+  }
+});
+
+test('requestOrigin falls back to the Referer', () => {
+  const origin = (headers) => requestOrigin(new Request('https://api.test/track', { headers }));
+  assert.equal(origin({ Origin: 'https://A.example.com' }), 'https://a.example.com');
+  assert.equal(origin({ Referer: 'https://a.example.com/pricing?x=1' }), 'https://a.example.com');
+  assert.equal(origin({}), null);
+});
+
+describe('origin allowlists in the handler', () => {
+  let adapter;
+  let handle;
+
+  beforeEach(() => {
+    adapter = new SqliteAdapter(new Database(':memory:'));
+    handle = createAnalyticsHandler({
+      db: adapter,
+      validateWrite: () => ({ valid: true }),
+      validateRead: () => ({ valid: true }),
+      allowedOrigins: { site: ['https://site.com', '*.site.com'] },
+      validateHostname: true,
+    });
+  });
+
+  async function post(path, body, headers = {}) {
+    const result = await handle(new Request(`https://api.test${path}`, {
+      method: 'POST',
+      headers: { 'User-Agent': CHROME, ...headers },
+      body: JSON.stringify(body),
+    }));
+    await Promise.all(result.writeOps ?? []);
+    return result.response;
+  }
+
+  async function rejections(project) {
+    const { response } = await handle(new Request(`https://api.test/rejections?project=${project}`));
+    return response.json();
+  }
+
+  test('writes from listed origins are stored and see their origin reflected', async () => {
+    const response = await post('/track', { project: 'site', event: 'page_view' }, { Origin: 'https://www.site.com' });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('Access-Control-Allow-Origin'), 'https://www.site.com');
+    assert.match(response.headers.get('Vary'), /Origin/);
+    assert.equal((await adapter.getEvents({ project: 'site' })).length, 1);
+  });
+
+  test('writes from other origins are refused and counted', async () => {
+    let response = await post('/track', { project: 'site', event: 'page_view' }, { Origin: 'https://copycat.io' });
+    assert.equal(response.status, 403);
+    assert.equal(response.headers.get('Access-Control-Allow-Origin'), null);
+    assert.equal((await response.json()).error, ERROR_CODES.ORIGIN_NOT_ALLOWED);
+
+    response = await post('/track/batch', {
+      events: [{ project: 'site', event: 'a' }, { project: 'site', event: 'b' }, { project: 'open', event: 'c' }],
+    }, { Referer: 'https://copycat.io/page' });
+    assert.equal(response.status, 403);
+
+    assert.deepEqual(await adapter.getEvents({ project: 'site' }), []);
+    const report = await rejections('site');
+    assert.equal(report.total, 3);
+    assert.deepEqual(report.by_reason, { origin_not_allowed: 3 });
+    assert.deepEqual(report.days, [{ date: formatDate(Date.now()), reason: 'origin_not_allowed', count: 3 }]);
+    assert.equal((await rejections('open')).total, 0);
+  });
+
+  test('a refused batch counts only the events of the projects that refused it', async () => {
+    handle = createAnalyticsHandler({
+      db: adapter,
+      validateWrite: () => ({ valid: true }),
+      validateRead: () => ({ valid: true }),
+      allowedOrigins: { site: ['https://site.com'], shop: ['https://shop.com'], partner: ['https://copycat.io'] },
+    });
+
+    const response = await post('/track/batch', {
+      events: [
+        { project: 'open', event: 'a' },
+        { project: 'site', event: 'b' },
+        { project: 'partner', event: 'c' },
+        { project: 'shop', event: 'd' },
+        { project: 'shop', event: 'e' },
+        { project: 'open', event: 'f' },
+      ],
+    }, { Origin: 'https://copycat.io' });
+    assert.equal(response.status, 403);
+
+    assert.equal((await rejections('site')).total, 1);
+    assert.equal((await rejections('shop')).total, 2);
+    assert.equal((await rejections('partner')).total, 0);
+    assert.equal((await rejections('open')).total, 0);
+  });
+
+  test('projects without a list and requests without an origin are not checked', async () => {
+    let response = await post('/track', { project: 'open', event: 'x' }, { Origin: 'https://anywhere.io' });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('Access-Control-Allow-Origin'), '*');
+
+    response = await post('/track', { project: 'site', event: 'server_side' });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('Access-Control-Allow-Origin'), '*');
+  });
+
+  test('events with a hostname off the list are refused', async () => {
+    let response = await post('/track', { project: 'site', event: 'x', properties: { hostname: 'copycat.io' } }, { Origin: 'https://site.com' });
+    assert.equal(response.status, 403);
+    assert.match((await response.json()).message, /hostname not allowed/);
+
+    response = await post('/track/batch', {
+      events: [
+        { project: 'site', event: 'kept', properties: { hostname: 'docs.site.com' } },
+        { project: 'site', event: 'dropped', properties: { hostname: 'copycat.io' } },
+        { project: 'site', event: 'no_hostname' },
+      ],
+    });
+    assert.deepEqual(await response.json(), { ok: true, count: 2, accepted: 2, rejected: [{ index: 1, reason: 'hostname_not_allowed' }] });
+
+    assert.deepEqual((await adapter.getEvents({ project: 'site' })).map(e => e.event).sort(), ['kept', 'no_hostname']);
+    assert.deepEqual((await rejections('site')).by_reason, { hostname_not_allowed: 2 });
+  });
+
+  test('reads reflect only listed origins', async () => {
+    const read = (origin) => handle(new Request('https://api.test/events?project=site', { headers: { Origin: origin } }));
+    let { response } = await read('https://docs.site.com');
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('Access-Control-Allow-Origin'), 'https://docs.site.com');
+    assert.match(response.headers.get('Vary'), /Origin/);
+
+    ({ response } = await read('https://copycat.io'));
+    assert.equal(response.headers.get('Access-Control-Allow-Origin'), null);
+    assert.match(response.headers.get('Vary'), /Origin/);
+
+    ({ response } = await handle(new Request('https://api.test/events?project=open', { headers: { Origin: 'https://copycat.io' } })));
+    assert.equal(response.headers.get('Access-Control-Allow-Origin'), '*');
+  });
+
+  test('preflights and handlers without allowlists answer *; allowedOrigins may be a function', async () => {
+    let { response } = await handle(new Request('https://api.test/track', { method: 'OPTIONS', headers: { Origin: 'https://site.com' } }));
+    assert.equal(response.headers.get('Access-Control-Allow-Origin'), '*');
+
+    const open = createAnalyticsHandler({ db: adapter, validateWrite: () => ({ valid: true }), validateRead: () => ({ valid: true }) });
+    ({ response } = await open(new Request('https://api.test/events?project=site', { headers: { Origin: 'https://copycat.io' } })));
+    assert.equal(response.headers.get('Access-Control-Allow-Origin'), '*');
+
+    const lookups = [];
+    const dynamic = createAnalyticsHandler({
+      db: adapter,
+      validateWrite: () => ({ valid: true }),
+      validateRead: () => ({ valid: true }),
+      allowedOrigins: async (project) => {
+        lookups.push(project);
+        return project === 'site' ? ['site.com'] : null;
+      },
+    });
+    const result = await dynamic(new Request('https://api.test/track', {
+      method: 'POST',
+      headers: { 'User-Agent': CHROME, Origin: 'https://other.com' },
+      body: JSON.stringify({ project: 'site', event: 'x' }),
+    }));
+    assert.equal(result.response.status, 403);
+    assert.deepEqual(lookups, ['site']);
+
+    assert.throws(
+      () => createAnalyticsHandler({ db: adapter, validateWrite: () => ({}), validateRead: () => ({}), allowedOrigins: { site: ['https://site.com/app'] } }),
+      /invalid allowed origin for site/,
+    );
+  });
+});
+
+function rejectedEventTests(createAdapter) {
+  test('tallies refused events per day and reason', async () => {
+    const adapter = await createAdapter();
+    const day = Date.parse('2025-03-01T12:00:00Z');
+    await adapter.recordRejectedEvents({ project: 'p', reason: 'origin_not_allowed', count: 2, timestamp: day });
+    await adapter.recordRejectedEvents({ project: 'p', reason: 'origin_not_allowed', timestamp: day });
+    await adapter.recordRejectedEvents({ project: 'p', reason: 'hostname_not_allowed', timestamp: day + 86_400_000 });
+    await adapter.recordRejectedEvents({ project: 'q', reason: 'origin_not_allowed', timestamp: day });
+
+    const report = await adapter.getRejectedEvents({ project: 'p', since: '2025-03-01' });
+    assert.equal(report.total, 4);
+    assert.deepEqual(report.by_reason, { origin_not_allowed: 3, hostname_not_allowed: 1 });
+    assert.deepEqual(report.days, [
+      { date: '2025-03-02', reason: 'hostname_not_allowed', count: 1 },
+      { date: '2025-03-01', reason: 'origin_not_allowed', count: 3 },
+    ]);
+  });
+}
+
+describe('rejected events (SQLite)', () => {
+  rejectedEventTests(async () => new SqliteAdapter(new Database(':memory:')));
+});
+
+describe('rejected events (PostgreSQL)', () => {
+  let pg;
+
+  before(async () => {
+    pg = new PGlite();
+    await pg.exec(postgresSchema);
+  });
+
+  after(async () => {
+    await pg.close();
+  });
+
+  rejectedEventTests(async () => {
+    await pg.exec('TRUNCATE rejected_events');
+    return new PostgresAdapter(pg);
+  });
+});
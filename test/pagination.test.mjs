@@ -0,0 +1,120 @@
+import assert from 'node:assert/strict';
+import { test, describe, beforeEach } from 'node:test';
+import Database from 'better-sqlite3';
+import { SqliteAdapter } from '../src/db/sqlite.js';
+import { createAnalyticsHandler } from '../src/handler.js';
+import { ERROR_CODES } from '../src/errors.js';
+import { CURSOR_KEYS, encodeCursor, decodeCursor, nextCursor } from '../src/cursor.js';
+
+const DAY = 86_400_000;
+const T = Date.now() - DAY;
+
+/** Six events in six sessions, with pairs sharing a timestamp so pages split on the tiebreak. */
+async function seed(adapter) {
+  for (let i = 0; i < 6; i++) {
+    await adapter.trackEvent({ project: 'p', event: 'page_view', session_id: `s${i}`, user_id: `u${i}`, timestamp: T - Math.floor(i / 2) * 1000 });
+  }
+}
+
+async function walk(fetchPage, keys, limit) {
+  const pages = [];
+  let cursor;
+  do {
+    const rows = await fetchPage(cursor);
+    pages.push(rows);
+    cursor = nextCursor(keys, rows, limit);
+  } while (cursor);
+  return pages;
+}
+
+describe('cursor', () => {
+  test('round-trips the sort key and is URL safe', () => {
+    const cursor = encodeCursor(CURSOR_KEYS.sessions, { start_time: 1700000000000, session_id: 'sess/é+?' });
+    assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+    assert.deepEqual(decodeCursor(CURSOR_KEYS.sessions, cursor), [1700000000000, 'sess/é+?']);
+  });
+
+  test('rejects tampered or foreign cursors', () => {
+    const eventsCursor = encodeCursor(CURSOR_KEYS.events, { timestamp: 1, id: 'x' });
+    for (const bad of ['not a cursor', encodeCursor(['a'], { a: 1 }), encodeCursor(CURSOR_KEYS.events, { timestamp: 'x', id: 'x' })]) {
+      assert.throws(() => decodeCursor(CURSOR_KEYS.events, bad), (err) => err.code === ERROR_CODES.INVALID_CURSOR && err.status === 400);
+    }
+    assert.deepEqual(decodeCursor(CURSOR_KEYS.events, eventsCursor), [1, 'x']);
+  });
+
+  test('nextCursor is null once a page comes back short', () => {
+    assert.equal(nextCursor(CURSOR_KEYS.events, [{ timestamp: 1, id: 'a' }], 2), null);
+    assert.equal(nextCursor(CURSOR_KEYS.events, [], 2), null);
+    assert.ok(nextCursor(CURSOR_KEYS.events, [{ timestamp: 2, id: 'b' }, { timestamp: 1, id: 'a' }], 2));
+  });
+});
+
+describe('getEvents and getSessions with cursors', () => {
+  let adapter;
+
+  beforeEach(async () => {
+    adapter = new SqliteAdapter(new Database(':memory:'));
+    await seed(adapter);
+  });
+
+  test('walks every event exactly once, newest first', async () => {
+    const pages = await walk(cursor => adapter.getEvents({ project: 'p', cursor, limit: 4 }), CURSOR_KEYS.events, 4);
+    assert.deepEqual(pages.map(p => p.length), [4, 2]);
+    const events = pages.flat();
+    assert.equal(new Set(events.map(e => e.id)).size, 6);
+    const keys = events.map(e => [e.timestamp, e.id]);
+    assert.deepEqual(keys, [...keys].sort((a, b) => b[0] - a[0] || (a[1] < b[1] ? 1 : -1)));
+  });
+
+  test('walks every session exactly once, splitting equal start times', async () => {
+    const pages = await walk(cursor => adapter.getSessions({ project: 'p', cursor, limit: 3 }), CURSOR_KEYS.sessions, 3);
+    assert.deepEqual(pages.map(p => p.length), [3, 3, 0]);
+    assert.deepEqual(pages.flat().map(s => s.session_id), ['s1', 's0', 's3', 's2', 's5', 's4']);
+  });
+
+  test('until bounds both listings by date', async () => {
+    await adapter.trackEvent({ project: 'p', event: 'old', session_id: 'old', timestamp: T - 3 * DAY });
+    const until = new Date(T - 2 * DAY).toISOString().slice(0, 10);
+    assert.deepEqual((await adapter.getEvents({ project: 'p', since: '30d', until })).map(e => e.event), ['old']);
+    assert.deepEqual((await adapter.getSessions({ project: 'p', since: '30d', until })).map(s => s.session_id), ['old']);
+  });
+});
+
+describe('GET /events and /sessions pagination', () => {
+  let handle;
+
+  beforeEach(async () => {
+    const adapter = new SqliteAdapter(new Database(':memory:'));
+    await seed(adapter);
+    handle = createAnalyticsHandler({
+      db: adapter,
+      validateWrite: () => ({ valid: true }),
+      validateRead: () => ({ valid: true }),
+    });
+  });
+
+  async function get(path) {
+    const { response } = await handle(new Request(`https://api.test${path}`));
+    return { status: response.status, data: await response.json() };
+  }
+
+  test('follows next_cursor to the end', async () => {
+    const first = await get('/events?project=p&limit=5');
+    assert.equal(first.data.events.length, 5);
+    assert.equal(typeof first.data.next_cursor, 'string');
+
+    const second = await get(`/events?project=p&limit=5&cursor=${first.data.next_cursor}`);
+    assert.equal(second.data.events.length, 1);
+    assert.equal(second.data.next_cursor, null);
+
+    const sessions = await get('/sessions?project=p&limit=10');
+    assert.equal(sessions.data.sessions.length, 6);
+    assert.equal(sessions.data.next_cursor, null);
+  });
+
+  test('rejects an invalid cursor', async () => {
+    const { status, data } = await get('/sessions?project=p&cursor=garbage');
+    assert.equal(status, 400);
+    assert.equal(data.error, ERROR_CODES.INVALID_CURSOR);
+  });
+});
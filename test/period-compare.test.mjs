@@ -0,0 +1,193 @@
+import assert from 'node:assert/strict';
+import { test, describe, before, after, beforeEach } from 'node:test';
+import { readFileSync } from 'node:fs';
+import { resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Database from 'better-sqlite3';
+import { PGlite } from '@electric-sql/pglite';
+import { SqliteAdapter } from '../src/db/sqlite.js';
+import { PostgresAdapter } from '../src/db/postgres.js';
+import { createAnalyticsHandler } from '../src/handler.js';
+import { ERROR_CODES } from '../src/errors.js';
+import { formatDate } from '../src/db/adapter.js';
+import { OTHER_GROUP } from '../src/query-groups.js';
+import { delta, resolveComparePeriod } from '../src/period-compare.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const postgresSchema = readFileSync(resolve(__dirname, '../schema.postgres.sql'), 'utf-8');
+
+const RANGE = { date_from: '2025-03-08', date_to: '2025-03-14' };
+const SIGNUPS = [{ field: 'event', op: 'eq', value: 'signup' }];
+
+async function seed(adapter) {
+  const events = [
+    ['2025-03-01T10:00:00Z', 'signup', 'u1', { plan: 'pro', amount: 10 }],
+    ['2025-03-03T10:00:00Z', 'signup', 'u2', { plan: 'free', amount: 20 }],
+    ['2025-03-03T11:00:00Z', 'page_view', 'u2', {}],
+    ['2025-03-08T10:00:00Z', 'signup', 'u3', { plan: 'pro', amount: 30 }],
+    ['2025-03-08T12:00:00Z', 'signup', 'u4', { plan: 'pro', amount: 50 }],
+    ['2025-03-10T10:00:00Z', 'signup', 'u5', { plan: 'team' }],
+    ['2024-03-09T10:00:00Z', 'signup', 'u6', { plan: 'pro' }],
+  ];
+  for (const [iso, event, user_id, properties] of events) {
+    await adapter.trackEvent({ project: 'p', event, user_id, session_id: `s-${user_id}`, properties, timestamp: Date.parse(iso) });
+  }
+}
+
+function periodCompareTests(createAdapter) {
+  let adapter;
+
+  beforeEach(async () => {
+    adapter = await createAdapter();
+    await seed(adapter);
+  });
+
+  test('matches groups by value against the previous period', async () => {
+    const result = await adapter.query({
+      project: 'p', ...RANGE, compare: 'previous_period',
+      metrics: ['event_count', 'unique_users', { sum: 'properties.amount' }],
+      filters: SIGNUPS,
+      group_by: ['properties.plan'],
+    });
+    assert.equal(result.compare, 'previous_period');
+    assert.deepEqual(result.previous_period, { from: '2025-03-01', to: '2025-03-07', timezone: 'UTC' });
+    assert.deepEqual(result.rows, [
+      {
+        'properties.plan': 'pro', event_count: 2, unique_users: 2, sum_amount: 80,
+        previous: { event_count: 1, unique_users: 1, sum_amount: 10 },
+        change: { event_count: 1, unique_users: 1, sum_amount: 70 },
+        change_pct: { event_count: 100, unique_users: 100, sum_amount: 700 },
+      },
+      {
+        'properties.plan': 'team', event_count: 1, unique_users: 1, sum_amount: null,
+        previous: { event_count: 0, unique_users: 0, sum_amount: null },
+        change: { event_count: 1, unique_users: 1, sum_amount: null },
+        change_pct: { event_count: null, unique_users: null, sum_amount: null },
+      },
+    ]);
+  });
+
+  test('aligns time buckets by their offset into each period', async () => {
+    const result = await adapter.query({ project: 'p', ...RANGE, compare: 'previous_period', group_by: ['date'], order: 'asc' });
+    assert.deepEqual(result.rows.map(r => [r.date, r.previous.date, r.event_count, r.previous.event_count, r.change_pct.event_count]), [
+      ['2025-03-08', '2025-03-01', 2, 1, 100],
+      ['2025-03-10', '2025-03-03', 1, 2, -50],
+    ]);
+  });
+
+  test('compares with the previous year or a custom range', async () => {
+    const yearly = await adapter.query({ project: 'p', ...RANGE, filters: SIGNUPS, compare: 'previous_year' });
+    assert.deepEqual(yearly.previous_period, { from: '2024-03-08', to: '2024-03-14', timezone: 'UTC' });
+    assert.deepEqual(yearly.rows[0].previous, { event_count: 1 });
+    assert.deepEqual(yearly.rows[0].change_pct, { event_count: 200 });
+
+    const custom = await adapter.query({
+      project: 'p', ...RANGE, filters: SIGNUPS, compare: { date_from: '2025-03-01', date_to: '2025-03-03' },
+    });
+    assert.equal(custom.compare, 'custom');
+    assert.deepEqual(custom.rows[0].change, { event_count: 1 });
+    assert.deepEqual(custom.rows[0].change_pct, { event_count: 50 });
+  });
+
+  test('the other row has no previous values', async () => {
+    const result = await adapter.query({
+      project: 'p', ...RANGE, compare: 'previous_period', filters: SIGNUPS, group_by: ['properties.plan'], limit: 1,
+    });
+    assert.equal(result.rows[1]['properties.plan'], OTHER_GROUP);
+    assert.deepEqual(result.rows[1].previous, { event_count: null });
+    assert.deepEqual(result.rows[1].change_pct, { event_count: null });
+  });
+
+  test('the other row of time groups reads $other in the previous period too', async () => {
+    const result = await adapter.query({
+      project: 'p', ...RANGE, compare: 'previous_period', filters: SIGNUPS, group_by: ['date', 'properties.plan'], limit: 1,
+    });
+    assert.equal(result.rows.length, 2);
+    assert.deepEqual(result.rows[0].previous, { date: null, event_count: 0 });
+    const other = result.rows[1];
+    assert.equal(other.date, OTHER_GROUP);
+    assert.equal(other['properties.plan'], OTHER_GROUP);
+    assert.equal(other.event_count, 2);
+    assert.deepEqual(other.previous, { date: OTHER_GROUP, event_count: null });
+    assert.deepEqual(other.change, { event_count: null });
+  });
+}
+
+describe('period comparison (SQLite)', () => {
+  periodCompareTests(async () => new SqliteAdapter(new Database(':memory:')));
+
+  test('getStats() compares totals, buckets and top events', async () => {
+    const adapter = new SqliteAdapter(new Database(':memory:'));
+    const now = Date.now();
+    const day = 86_400_000;
+    const events = [[1, 'signup', 'u1'], [1, 'page_view', 'u1'], [2, 'page_view', 'u2'], [9, 'page_view', 'u1'], [10, 'page_view', 'u3']];
+    for (const [daysAgo, event, user_id] of events) {
+      await adapter.trackEvent({ project: 'p', event, user_id, timestamp: now - daysAgo * day });
+    }
+
+    const stats = await adapter.getStats({ project: 'p', since: '7d', compare: 'previous_period' });
+    assert.equal(stats.compare, 'previous_period');
+    assert.equal(stats.previous_period.to, formatDate(now - 8 * day));
+    assert.deepEqual(stats.totals.previous, { unique_users: 2, total_events: 2 });
+    assert.deepEqual(stats.totals.change_pct, { unique_users: 0, total_events: 50 });
+
+    const yesterday = stats.timeSeries.find(b => b.bucket === formatDate(now - day));
+    assert.deepEqual(yesterday.previous, { bucket: formatDate(now - 9 * day), unique_users: 1, total_events: 1 });
+    assert.deepEqual(stats.events.find(e => e.event === 'signup').previous, { count: 0, unique_users: 0 });
+    assert.deepEqual(stats.events.find(e => e.event === 'page_view').change, { count: 0, unique_users: 0 });
+
+    const plain = await adapter.getStats({ project: 'p', since: '7d' });
+    assert.equal(plain.previous_period, undefined);
+    assert.equal(plain.totals.previous, undefined);
+  });
+
+  test('GET /stats takes compare or a compare_from/compare_to range', async () => {
+    const adapter = new SqliteAdapter(new Database(':memory:'));
+    const handle = createAnalyticsHandler({ db: adapter, validateWrite: () => ({ valid: true }), validateRead: () => ({ valid: true }) });
+    const get = (query) => handle(new Request(`https://api.test/stats?${new URLSearchParams({ project: 'p', ...query })}`));
+
+    let { response } = await get({ compare_from: '2025-01-01', compare_to: '2025-01-31' });
+    assert.equal(response.status, 200);
+    assert.deepEqual((await response.json()).previous_period, { from: '2025-01-01', to: '2025-01-31', groupBy: 'day', timezone: 'UTC' });
+
+    ({ response } = await get({ compare: 'last_week' }));
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, ERROR_CODES.INVALID_COMPARE);
+  });
+
+  test('rejects malformed compare options', async () => {
+    const adapter = new SqliteAdapter(new Database(':memory:'));
+    for (const compare of ['yesterday', ['previous_period'], { date_from: '2025-01-01' }, { date_from: '2025-02-30', date_to: '2025-03-01' }, { date_from: '2025-03-02', date_to: '2025-03-01' }]) {
+      await assert.rejects(() => adapter.query({ project: 'p', compare }), (err) => err.code === ERROR_CODES.INVALID_COMPARE);
+    }
+  });
+
+  test('previous_year keeps the calendar dates; delta matches getInsights()', () => {
+    const period = { from: '2024-02-29', to: '2024-03-01', fromMs: Date.parse('2024-02-29'), toMs: Date.parse('2024-03-02'), timezone: 'UTC' };
+    const previous = resolveComparePeriod('previous_year', period);
+    assert.deepEqual([previous.from, previous.to], ['2023-02-28', '2023-03-01']);
+    assert.equal(previous.fromMs, Date.parse('2023-02-28'));
+
+    assert.deepEqual(delta(15, 10), { current: 15, previous: 10, change: 5, change_pct: 50 });
+    assert.deepEqual(delta(3, 0), { current: 3, previous: 0, change: 3, change_pct: null });
+    assert.deepEqual(delta(0, 0), { current: 0, previous: 0, change: 0, change_pct: 0 });
+  });
+});
+
+describe('period comparison (PostgreSQL)', () => {
+  let pg;
+
+  before(async () => {
+    pg = new PGlite();
+    await pg.exec(postgresSchema);
+  });
+
+  after(async () => {
+    await pg.close();
+  });
+
+  periodCompareTests(async () => {
+    await pg.exec('TRUNCATE events, sessions, daily_event_rollups, daily_user_rollups, daily_session_rollups');
+    return new PostgresAdapter(pg);
+  });
+});
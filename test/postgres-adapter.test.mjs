@@ -0,0 +1,136 @@
+import assert from 'node:assert/strict';
+import { test, describe, before, after, beforeEach } from 'node:test';
+import { readFileSync } from 'node:fs';
+import { resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { PGlite } from '@electric-sql/pglite';
+import { PostgresAdapter } from '@agent-analytics/core/postgres';
+import { POSTGRES_DIALECT } from '../src/db/dialect.js';
+import { createAnalyticsHandler } from '../src/handler.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const schema = readFileSync(resolve(__dirname, '../schema.postgres.sql'), 'utf-8');
+
+async function track(adapter, user_id, event, date, properties) {
+  await adapter.trackEvent({ project: 'p', event, user_id, session_id: `${user_id}-${date}`, timestamp: Date.parse(`${date}T12:00:00Z`), properties });
+}
+
+describe('POSTGRES_DIALECT', () => {
+  test('numbers placeholders outside quoted literals', () => {
+    assert.equal(
+      POSTGRES_DIALECT.placeholders(`SELECT '?' as q FROM events WHERE id = ? AND path LIKE '%?%' AND user_id = ?`),
+      `SELECT '?' as q FROM events WHERE id = $1 AND path LIKE '%?%' AND user_id = $2`,
+    );
+  });
+});
+
+describe('PostgresAdapter', () => {
+  let pg;
+  let adapter;
+
+  before(async () => {
+    pg = new PGlite();
+    await pg.exec(schema);
+  });
+
+  after(async () => {
+    await pg.close();
+  });
+
+  beforeEach(async () => {
+    await pg.exec('TRUNCATE events, sessions, identity_map, experiments');
+    adapter = new PostgresAdapter(pg);
+  });
+
+  test('returns counts, sums and epoch-ms columns as numbers', async () => {
+    await adapter.trackEvent({ project: 'p', event: 'page_view', user_id: 'u1', session_id: 's1', timestamp: 1736164800000 });
+    const row = await adapter._queryOne('SELECT COUNT(*) as n, SUM(timestamp) as total, MAX(timestamp) as latest FROM events WHERE project_id = ?', ['p']);
+    assert.deepEqual(row, { n: 1, total: 1736164800000, latest: 1736164800000 });
+    assert.equal(await adapter._queryOne('SELECT 1 FROM events WHERE id = ?', ['nope']), null);
+  });
+
+  test('_batch rolls back every statement when one fails', async () => {
+    await assert.rejects(() => adapter._batch([
+      { sql: `INSERT INTO identity_map (previous_id, canonical_id, project_id, created_at) VALUES (?, ?, ?, ?)`, params: ['a', 'b', 'p', 1] },
+      { sql: `INSERT INTO identity_map (previous_id, canonical_id, project_id, created_at) VALUES (?, ?, ?, ?)`, params: ['a', 'c', 'p', 2] },
+    ]), /duplicate key/);
+    assert.equal((await adapter._queryOne('SELECT COUNT(*) as n FROM identity_map', [])).n, 0);
+  });
+
+  test('runs each batch on a client of its own from a pool, and refuses a single client', async () => {
+    const log = [];
+    let clients = 0;
+    const pool = {
+      totalCount: 0,
+      query: async () => ({ rows: [] }),
+      connect: async () => {
+        const id = ++clients;
+        return {
+          query: async (text) => { log.push([id, text]); return { rows: [] }; },
+          release: () => log.push([id, 'release']),
+        };
+      },
+    };
+    const pooled = new PostgresAdapter(pool);
+    await Promise.all([
+      pooled._batch([{ sql: 'SELECT ?', params: [1] }]),
+      pooled._batch([{ sql: 'SELECT ?', params: [2] }]),
+    ]);
+    for (const id of [1, 2]) {
+      assert.deepEqual(log.filter(([client]) => client === id).map(([, text]) => text), ['BEGIN', 'SELECT $1', 'COMMIT', 'release']);
+    }
+
+    const client = { query: async () => ({ rows: [] }), connect: async () => {} };
+    assert.throws(() => new PostgresAdapter(client), /needs a pg Pool or PGlite/);
+    assert.throws(() => new PostgresAdapter({ query: async () => ({ rows: [] }) }), /needs a pg Pool or PGlite/);
+  });
+
+  test('compares numeric and boolean properties by JSON type', async () => {
+    await track(adapter, 'u1', 'purchase', '2025-01-06', { amount: 20, trial: true });
+    await track(adapter, 'u2', 'purchase', '2025-01-06', { amount: '30', trial: 'true' });
+    const result = await adapter.query({
+      project: 'p',
+      date_from: '2025-01-01',
+      date_to: '2025-01-31',
+      metrics: ['event_count'],
+      filters: [
+        { field: 'properties.amount', op: 'gte', value: 10 },
+        { field: 'properties.trial', op: 'eq', value: true },
+      ],
+    });
+    assert.equal(result.rows[0].event_count, 1);
+  });
+
+  test('buckets funnels and weekly retention like SQLite', async () => {
+    await track(adapter, 'u1', 'page_view', '2025-03-05');
+    await track(adapter, 'u1', 'signup', '2025-03-06');
+    await track(adapter, 'u1', 'page_view', '2025-03-10');
+    await track(adapter, 'u2', 'page_view', '2025-03-07');
+
+    const funnel = await adapter.getFunnel({ project: 'p', steps: ['page_view', 'signup'], date_from: '2025-03-01', date_to: '2025-03-31' });
+    assert.deepEqual(funnel.steps.map(s => s.count), [2, 1]);
+    assert.equal(funnel.median_time_to_convert_ms, 86400000);
+
+    const retention = await adapter.getRetention({ project: 'p', granularity: 'week', date_from: '2025-03-01', date_to: '2025-03-31', periods: 2 });
+    assert.deepEqual(retention.cohorts.map(c => [c.cohort, c.users]), [['2025-03-03', 2]]);
+    assert.deepEqual(retention.cohorts[0].retained, [2, 1, 0]);
+  });
+
+  test('serves the handler end to end', async () => {
+    const handle = createAnalyticsHandler({
+      db: adapter,
+      validateWrite: () => ({ valid: true }),
+      validateRead: () => ({ valid: true }),
+    });
+    const track = await handle(new Request('https://api.test/track', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36' },
+      body: JSON.stringify({ project: 'p', event: 'signup', user_id: 'u1' }),
+    }));
+    await Promise.all(track.writeOps);
+
+    const { response } = await handle(new Request('https://api.test/events?project=p'));
+    const data = await response.json();
+    assert.deepEqual(data.events.map(e => e.event), ['signup']);
+  });
+});
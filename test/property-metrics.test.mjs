@@ -0,0 +1,139 @@
+import assert from 'node:assert/strict';
+import { test, describe, before, after, beforeEach } from 'node:test';
+import { readFileSync } from 'node:fs';
+import { resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Database from 'better-sqlite3';
+import { PGlite } from '@electric-sql/pglite';
+import { SqliteAdapter } from '../src/db/sqlite.js';
+import { PostgresAdapter } from '../src/db/postgres.js';
+import { ERROR_CODES } from '../src/errors.js';
+import { parsePropertyMetric } from '../src/property-metrics.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const postgresSchema = readFileSync(resolve(__dirname, '../schema.postgres.sql'), 'utf-8');
+
+const T = Date.now() - 3_600_000;
+
+async function seed(adapter) {
+  const events = [
+    ['purchase', 'u1', { amount: 10, plan: 'basic' }],
+    ['purchase', 'u2', { amount: 20, plan: 'basic' }],
+    ['purchase', 'u1', { amount: 30, plan: 'pro' }],
+    ['purchase', 'u3', { amount: 40, plan: 'pro' }],
+    ['purchase', 'u3', { amount: '15', plan: 'pro' }],
+    ['purchase', 'u4', { plan: 'team' }],
+    ['$web_vitals', 'u1', { lcp: 1200 }],
+    ['$web_vitals', 'u2', { lcp: 2400 }],
+  ];
+  for (const [i, [event, user_id, properties]] of events.entries()) {
+    await adapter.trackEvent({ project: 'p', event, user_id, session_id: `s-${user_id}`, properties, timestamp: T + i });
+  }
+}
+
+const rounded = rows => rows.map(row => Object.fromEntries(
+  Object.entries(row).map(([k, v]) => [k, typeof v === 'number' ? Math.round(v * 1000) / 1000 : v]),
+));
+
+function propertyMetricTests(createAdapter) {
+  let adapter;
+
+  beforeEach(async () => {
+    adapter = await createAdapter();
+    await seed(adapter);
+  });
+
+  test('aggregates numeric values and skips non-numbers', async () => {
+    const result = await adapter.query({
+      project: 'p',
+      metrics: [
+        'event_count',
+        { sum: 'properties.amount' }, { avg: 'properties.amount' },
+        { min: 'properties.amount' }, { max: 'properties.amount' },
+        { count_distinct: 'properties.plan' },
+      ],
+      filters: [{ field: 'event', op: 'eq', value: 'purchase' }],
+    });
+    assert.deepEqual(rounded(result.rows), [{
+      event_count: 6, sum_amount: 100, avg_amount: 25, min_amount: 10, max_amount: 40, count_distinct_plan: 3,
+    }]);
+  });
+
+  test('percentiles interpolate like percentile_cont', async () => {
+    const result = await adapter.query({
+      project: 'p',
+      metrics: [{ p50: 'properties.amount' }, { p75: 'properties.amount' }, { p90: 'properties.amount' }, { p99: 'properties.amount' }],
+    });
+    assert.deepEqual(rounded(result.rows), [{ p50_amount: 25, p75_amount: 32.5, p90_amount: 37, p99_amount: 39.7 }]);
+  });
+
+  test('works with group_by, filters and ordering by a property metric', async () => {
+    const result = await adapter.query({
+      project: 'p',
+      metrics: ['event_count', { sum: 'properties.amount' }, { p50: 'properties.amount' }, { p75: 'properties.lcp' }],
+      group_by: ['event'],
+      order_by: 'sum_amount',
+      order: 'desc',
+    });
+    assert.deepEqual(rounded(result.rows), [
+      { event: 'purchase', event_count: 6, sum_amount: 100, p50_amount: 25, p75_lcp: null },
+      { event: '$web_vitals', event_count: 2, sum_amount: null, p50_amount: null, p75_lcp: 2100 },
+    ]);
+
+    const basic = await adapter.query({
+      project: 'p',
+      metrics: [{ p50: 'properties.amount' }],
+      filters: [{ field: 'properties.plan', op: 'eq', value: 'basic' }],
+      group_by: ['user_id'],
+      order: 'asc',
+    });
+    assert.deepEqual(rounded(basic.rows), [{ user_id: 'u1', p50_amount: 10 }, { user_id: 'u2', p50_amount: 20 }]);
+  });
+}
+
+describe('query() property metrics (SQLite)', () => {
+  propertyMetricTests(async () => new SqliteAdapter(new Database(':memory:')));
+
+  test('rejects malformed property metrics', async () => {
+    const adapter = new SqliteAdapter(new Database(':memory:'));
+    for (const metric of [{ median: 'properties.amount' }, { sum: 'amount' }, { sum: 'properties.a', max: 'properties.a' }]) {
+      await assert.rejects(() => adapter.query({ project: 'p', metrics: [metric] }), (err) => err.code === ERROR_CODES.INVALID_METRIC);
+    }
+    await assert.rejects(
+      () => adapter.query({ project: 'p', metrics: [{ sum: "properties.x') --" }] }),
+      (err) => err.code === ERROR_CODES.INVALID_PROPERTY_KEY,
+    );
+    await assert.rejects(
+      () => adapter.query({ project: 'p', metrics: [{ sum: 'properties.a' }, { sum: 'properties.a' }] }),
+      /duplicate metric: sum_a/,
+    );
+    for (const metrics of ['event_count', { sum: 'properties.a' }, null]) {
+      await assert.rejects(
+        () => adapter.query({ project: 'p', metrics }),
+        (err) => err.code === ERROR_CODES.INVALID_METRIC && err.status === 400 && /metrics must be an array/.test(err.message),
+      );
+    }
+  });
+
+  test('names result columns after the function and key', () => {
+    assert.deepEqual(parsePropertyMetric({ p75: 'properties.lcp' }), { fn: 'p75', key: 'lcp', name: 'p75_lcp' });
+  });
+});
+
+describe('query() property metrics (PostgreSQL)', () => {
+  let pg;
+
+  before(async () => {
+    pg = new PGlite();
+    await pg.exec(postgresSchema);
+  });
+
+  after(async () => {
+    await pg.close();
+  });
+
+  propertyMetricTests(async () => {
+    await pg.exec('TRUNCATE events, sessions, daily_event_rollups, daily_user_rollups, daily_session_rollups');
+    return new PostgresAdapter(pg);
+  });
+});
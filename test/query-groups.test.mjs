@@ -0,0 +1,145 @@
+import assert from 'node:assert/strict';
+import { test, describe, before, after, beforeEach } from 'node:test';
+import { readFileSync } from 'node:fs';
+import { resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Database from 'better-sqlite3';
+import { PGlite } from '@electric-sql/pglite';
+import { SqliteAdapter } from '../src/db/sqlite.js';
+import { PostgresAdapter } from '../src/db/postgres.js';
+import { ERROR_CODES } from '../src/errors.js';
+import { OTHER_GROUP } from '../src/query-groups.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const postgresSchema = readFileSync(resolve(__dirname, '../schema.postgres.sql'), 'utf-8');
+
+const RANGE = { date_from: '2025-01-01', date_to: '2025-03-31' };
+
+async function seed(adapter) {
+  const events = [
+    ['2025-01-06T09:15:00Z', 'signup', 'u1', { utm_source: 'google', browser: 'Chrome', amount: 10 }],
+    ['2025-01-06T09:45:00Z', 'signup', 'u2', { utm_source: 'google', browser: 'Firefox', amount: 20 }],
+    ['2025-01-07T14:00:00Z', 'signup', 'u3', { utm_source: 'google', browser: 'Chrome', amount: 30 }],
+    ['2025-02-01T09:30:00Z', 'signup', 'u4', { utm_source: 'twitter', browser: 'Chrome', amount: 40 }],
+    ['2025-02-02T20:00:00Z', 'signup', 'u4', { utm_source: 'twitter', browser: 'Safari', amount: 50 }],
+    ['2025-03-03T09:00:00Z', 'signup', 'u5', { utm_source: 'direct', browser: 'Safari', amount: 60 }],
+    ['2025-03-04T09:00:00Z', 'signup', 'u6', { browser: 'Chrome', amount: 70 }],
+    ['2025-03-04T10:00:00Z', 'page_view', 'u6', { browser: 'Chrome' }],
+  ];
+  for (const [iso, event, user_id, properties] of events) {
+    await adapter.trackEvent({ project: 'p', event, user_id, session_id: `s-${user_id}`, properties, timestamp: Date.parse(iso) });
+  }
+}
+
+function queryGroupTests(createAdapter) {
+  let adapter;
+
+  beforeEach(async () => {
+    adapter = await createAdapter();
+    await seed(adapter);
+  });
+
+  test('groups by a property, keyed by its field name', async () => {
+    const result = await adapter.query({
+      project: 'p', ...RANGE,
+      metrics: ['event_count', 'unique_users'],
+      filters: [{ field: 'event', op: 'eq', value: 'signup' }],
+      group_by: ['properties.utm_source'],
+    });
+    assert.deepEqual(result.rows, [
+      { 'properties.utm_source': 'google', event_count: 3, unique_users: 3 },
+      { 'properties.utm_source': 'twitter', event_count: 2, unique_users: 1 },
+      { 'properties.utm_source': null, event_count: 1, unique_users: 1 },
+      { 'properties.utm_source': 'direct', event_count: 1, unique_users: 1 },
+    ]);
+  });
+
+  test('combines properties with built-in dimensions and metrics', async () => {
+    const result = await adapter.query({
+      project: 'p', ...RANGE,
+      metrics: ['event_count', { p50: 'properties.amount' }],
+      group_by: ['event', 'properties.browser'],
+      order_by: 'properties.browser',
+      order: 'asc',
+    });
+    assert.deepEqual(result.rows.map(r => [r.event, r['properties.browser'], r.event_count, r.p50_amount == null ? null : Number(r.p50_amount)]), [
+      ['page_view', 'Chrome', 1, null],
+      ['signup', 'Chrome', 4, 35],
+      ['signup', 'Firefox', 1, 20],
+      ['signup', 'Safari', 2, 55],
+    ]);
+  });
+
+  test('buckets by hour, week, month and day of week, in time order', async () => {
+    const signups = { project: 'p', ...RANGE, filters: [{ field: 'event', op: 'eq', value: 'signup' }], order: 'asc' };
+
+    const months = await adapter.query({ ...signups, group_by: ['month'] });
+    assert.deepEqual(months.rows.map(r => [r.month, r.event_count]), [['2025-01', 3], ['2025-02', 2], ['2025-03', 2]]);
+
+    const weeks = await adapter.query({ ...signups, group_by: ['week'], order: undefined });
+    assert.deepEqual(weeks.rows.map(r => r.week), ['2025-03-03', '2025-01-27', '2025-01-06']);
+
+    const hours = await adapter.query({ ...signups, group_by: ['hour'], date_to: '2025-01-06' });
+    assert.deepEqual(hours.rows.map(r => [r.hour, r.event_count]), [['2025-01-06T09:00', 2]]);
+
+    const days = await adapter.query({ ...signups, group_by: ['day_of_week', 'properties.browser'] });
+    assert.deepEqual(days.rows.map(r => [r.day_of_week, r['properties.browser'], r.event_count]), [
+      [0, 'Safari', 1], [1, 'Chrome', 1], [1, 'Firefox', 1], [1, 'Safari', 1], [2, 'Chrome', 2], [6, 'Chrome', 1],
+    ]);
+  });
+
+  test('hour buckets follow the timezone', async () => {
+    const result = await adapter.query({
+      project: 'p', ...RANGE, timezone: 'Asia/Tokyo', group_by: ['hour'], order: 'asc',
+      filters: [{ field: 'event', op: 'eq', value: 'signup' }],
+    });
+    assert.deepEqual(result.rows[0], { hour: '2025-01-06T18:00', event_count: 2 });
+  });
+
+  test('folds groups past the limit into one re-aggregated other row', async () => {
+    const result = await adapter.query({
+      project: 'p', ...RANGE,
+      metrics: ['event_count', 'unique_users', { sum: 'properties.amount' }, { p50: 'properties.amount' }],
+      group_by: ['properties.browser'],
+      limit: 1,
+    });
+    assert.equal(result.count, 2);
+    assert.deepEqual(result.rows[0], { 'properties.browser': 'Chrome', event_count: 5, unique_users: 4, sum_amount: 150, p50_amount: 35 });
+    assert.deepEqual(result.rows[1], { 'properties.browser': OTHER_GROUP, event_count: 3, unique_users: 3, sum_amount: 130, p50_amount: 50 });
+
+    const exact = await adapter.query({ project: 'p', ...RANGE, group_by: ['properties.browser'], limit: 3 });
+    assert.equal(exact.rows.some(r => r['properties.browser'] === OTHER_GROUP), false);
+  });
+}
+
+describe('query() group_by dimensions (SQLite)', () => {
+  queryGroupTests(async () => new SqliteAdapter(new Database(':memory:')));
+
+  test('rejects unknown dimensions, bad keys and duplicates', async () => {
+    const adapter = new SqliteAdapter(new Database(':memory:'));
+    await assert.rejects(() => adapter.query({ project: 'p', group_by: ['minute'] }), (err) => err.code === ERROR_CODES.INVALID_GROUP_BY);
+    await assert.rejects(() => adapter.query({ project: 'p', group_by: ['week', 'week'] }), /duplicate group_by/);
+    await assert.rejects(
+      () => adapter.query({ project: 'p', group_by: ["properties.x') --"] }),
+      (err) => err.code === ERROR_CODES.INVALID_PROPERTY_KEY,
+    );
+  });
+});
+
+describe('query() group_by dimensions (PostgreSQL)', () => {
+  let pg;
+
+  before(async () => {
+    pg = new PGlite();
+    await pg.exec(postgresSchema);
+  });
+
+  after(async () => {
+    await pg.close();
+  });
+
+  queryGroupTests(async () => {
+    await pg.exec('TRUNCATE events, sessions, daily_event_rollups, daily_user_rollups, daily_session_rollups');
+    return new PostgresAdapter(pg);
+  });
+});
@@ -0,0 +1,167 @@
+import assert from 'node:assert/strict';
+import { test, describe, beforeEach } from 'node:test';
+import Database from 'better-sqlite3';
+import { SqliteAdapter } from '../src/db/sqlite.js';
+import { createAnalyticsHandler } from '../src/handler.js';
+import { ERROR_CODES } from '../src/errors.js';
+import { createRateLimiter, createMemoryRateLimitStore, clientIp, rateLimitKey } from '../src/rate-limit.js';
+import { hashApiKey } from '../src/api-keys.js';
+
+const CHROME = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36';
+
+test('token bucket spends, refuses with retry_after and refills', async () => {
+  const limiter = createRateLimiter({ capacity: 5, refillPerSecond: 2 });
+  const t = 1_000_000;
+  assert.deepEqual(await limiter.consume('k', 4, t), { allowed: true, remaining: 1 });
+  assert.deepEqual(await limiter.consume('k', 3, t), { allowed: false, remaining: 1, retry_after: 1 });
+  assert.deepEqual(await limiter.consume('k', 5, t + 500), { allowed: false, remaining: 2, retry_after: 2 });
+  assert.deepEqual(await limiter.consume('k', 3, t + 1000), { allowed: true, remaining: 0 });
+  assert.deepEqual(await limiter.consume('k', 1, t + 60_000), { allowed: true, remaining: 4 });
+  assert.equal((await limiter.consume('other', 5, t)).allowed, true);
+  assert.deepEqual(await limiter.consume('k', 6, t + 120_000), { allowed: false, remaining: 5, capacity: 5 });
+  assert.equal((await limiter.consume('k', 5, t + 120_000)).allowed, true);
+
+  await limiter.refund('k', 3, t + 120_000);
+  assert.deepEqual(await limiter.consume('k', 3, t + 120_000), { allowed: true, remaining: 0 });
+  await limiter.refund('k', 10, t + 120_000);
+  assert.deepEqual(await limiter.consume('k', 1, t + 120_000), { allowed: true, remaining: 4 });
+
+  assert.throws(() => createRateLimiter({ capacity: 0 }), /capacity must be a positive number/);
+  assert.throws(() => createRateLimiter({ refillPerSecond: -1 }), /refillPerSecond/);
+});
+
+test('buckets live in any store with get and set', async () => {
+  const saved = new Map();
+  const kv = {
+    get: async (key) => (saved.has(key) ? JSON.parse(saved.get(key).value) : null),
+    set: async (key, bucket, ttlMs) => saved.set(key, { value: JSON.stringify(bucket), ttlMs }),
+  };
+  const limiter = createRateLimiter({ capacity: 10, refillPerSecond: 5, store: kv });
+  await limiter.consume('a', 4, 0);
+  assert.deepEqual(saved.get('a'), { value: JSON.stringify({ tokens: 6, updated: 0 }), ttlMs: 2000 });
+
+  const memory = createMemoryRateLimitStore({ maxKeys: 2 });
+  await memory.set('x', { tokens: 1 }, 60_000);
+  await memory.set('y', { tokens: 2 }, 60_000);
+  await memory.get('x');
+  await memory.set('x', { tokens: 3 }, 60_000);
+  await memory.set('z', { tokens: 4 }, 60_000);
+  assert.equal(await memory.get('y'), null);
+  assert.deepEqual(await memory.get('x'), { tokens: 3 });
+  await memory.set('gone', { tokens: 1 }, -1);
+  assert.equal(await memory.get('gone'), null);
+});
+
+test('concurrent writes cannot spend the same tokens twice', async () => {
+  const limiter = createRateLimiter({ capacity: 5, refillPerSecond: 1 });
+  const results = await Promise.all([limiter.consume('k', 3, 0), limiter.consume('k', 3, 0)]);
+  assert.deepEqual(results.map(r => r.allowed).sort(), [false, true]);
+
+  // Stores without update() still work through get and set
+  const saved = new Map();
+  const plain = createRateLimiter({ capacity: 5, refillPerSecond: 1, store: { get: async (key) => saved.get(key) ?? null, set: async (key, bucket) => saved.set(key, bucket) } });
+  assert.equal((await plain.consume('k', 3, 0)).allowed, true);
+  assert.equal((await plain.consume('k', 3, 0)).allowed, false);
+});
+
+test('client IP and keys', async () => {
+  const ip = (headers) => clientIp(new Request('https://api.test/', { headers }));
+  const behind = (trustedProxies, headers) => clientIp(new Request('https://api.test/', { headers }), { trustedProxies });
+  assert.equal(ip({ 'CF-Connecting-IP': '1.1.1.1', 'X-Forwarded-For': '2.2.2.2' }), '1.1.1.1');
+  // Without trusted proxies a client-sent X-Forwarded-For or X-Real-IP counts for nothing
+  assert.equal(ip({ 'X-Forwarded-For': '2.2.2.2, 10.0.0.1', 'X-Real-IP': '3.3.3.3' }), 'unknown');
+  assert.equal(behind(1, { 'X-Forwarded-For': 'spoofed, 2.2.2.2' }), '2.2.2.2');
+  assert.equal(behind(2, { 'X-Forwarded-For': 'spoofed, 2.2.2.2, 10.0.0.1' }), '2.2.2.2');
+  assert.equal(behind(3, { 'X-Forwarded-For': '2.2.2.2, 10.0.0.1' }), '2.2.2.2');
+  assert.equal(behind(1, { 'X-Real-IP': '3.3.3.3' }), '3.3.3.3');
+  assert.equal(ip({}), 'unknown');
+  assert.equal(await rateLimitKey('a:b', undefined, '::1'), 'a%3Ab::%3A%3A1');
+  assert.equal(await rateLimitKey('p', 'secret-token', '1.1.1.1'), `p:${await hashApiKey('secret-token')}:1.1.1.1`);
+});
+
+describe('rate limits in the handler', () => {
+  let handle;
+
+  beforeEach(() => {
+    handle = createAnalyticsHandler({
+      db: new SqliteAdapter(new Database(':memory:')),
+      validateWrite: () => ({ valid: true }),
+      validateRead: () => ({ valid: true }),
+      rateLimit: createRateLimiter({ capacity: 3, refillPerSecond: 0.1 }),
+    });
+  });
+
+  async function post(path, body, ip = '203.0.113.1') {
+    const { response } = await handle(new Request(`https://api.test${path}`, {
+      method: 'POST',
+      headers: { 'User-Agent': CHROME, 'CF-Connecting-IP': ip, Origin: 'https://site.com' },
+      body: JSON.stringify(body),
+    }));
+    return response;
+  }
+
+  const batch = (project) => ({ token: 't', events: [1, 2, 3].map(() => ({ project, event: 'x' })) });
+
+  test('answers 429 with Retry-After once a bucket is empty', async () => {
+    const response = await post('/track/batch', { token: 't', events: [{ project: 'p', event: 'a' }, { project: 'p', event: 'b' }] });
+    assert.equal(response.status, 200);
+    assert.equal((await post('/track', { token: 't', project: 'p', event: 'c' })).status, 200);
+
+    const limited = await post('/track', { token: 't', project: 'p', event: 'd' });
+    assert.equal(limited.status, 429);
+    assert.equal(limited.headers.get('Retry-After'), '10');
+    assert.equal(limited.headers.get('Access-Control-Expose-Headers'), 'Retry-After');
+    assert.equal(limited.headers.get('Access-Control-Allow-Origin'), '*');
+    const body = await limited.json();
+    assert.equal(body.error, ERROR_CODES.RATE_LIMITED);
+    assert.equal(body.retry_after, 10);
+  });
+
+  test('keys by project, token and client IP', async () => {
+    assert.equal((await post('/track/batch', batch('p'))).status, 200);
+    assert.equal((await post('/track', { token: 't', project: 'p', event: 'x' })).status, 429);
+
+    assert.equal((await post('/track', { token: 't', project: 'p', event: 'x' }, '198.51.100.7')).status, 200);
+    assert.equal((await post('/track', { token: 'u', project: 'p', event: 'x' })).status, 200);
+    assert.equal((await post('/track', { token: 't', project: 'q', event: 'x' })).status, 200);
+    assert.equal((await post('/identify', { token: 't', project: 'p', previous_id: 'a', user_id: 'b' })).status, 429);
+
+    const tooBig = await post('/track/batch', { token: 't', events: [1, 2, 3, 4].map(() => ({ project: 'r', event: 'x' })) });
+    assert.equal(tooBig.status, 413);
+    assert.equal((await tooBig.json()).error, ERROR_CODES.PAYLOAD_TOO_LARGE);
+    assert.equal((await post('/track/batch', batch('r'))).status, 200);
+  });
+
+  test('a batch refused for one project takes nothing from the others', async () => {
+    assert.equal((await post('/track/batch', { token: 't', events: [1, 2, 3].map(() => ({ project: 'full', event: 'x' })) })).status, 200);
+
+    const refused = await post('/track/batch', { token: 't', events: [{ project: 'p', event: 'x' }, { project: 'p', event: 'y' }, { project: 'full', event: 'z' }] });
+    assert.equal(refused.status, 429);
+    const tooBig = await post('/track/batch', { token: 't', events: [{ project: 'p', event: 'x' }, ...[1, 2, 3, 4].map(() => ({ project: 'r', event: 'x' }))] });
+    assert.equal(tooBig.status, 413);
+
+    assert.equal((await post('/track/batch', batch('p'))).status, 200);
+  });
+
+  test('events that fail validation share one bucket instead of one per project name', async () => {
+    const keys = [];
+    const limiter = createRateLimiter({ capacity: 3, refillPerSecond: 0.1 });
+    handle = createAnalyticsHandler({
+      db: new SqliteAdapter(new Database(':memory:')),
+      validateWrite: () => ({ valid: true }),
+      validateRead: () => ({ valid: true }),
+      rateLimit: { consume: (key, cost) => { keys.push(key); return limiter.consume(key, cost); } },
+    });
+
+    for (const project of ['junk-1', 'junk-2', 'junk-3']) {
+      assert.equal((await post('/track', { token: 't', project })).status, 400);
+    }
+    const limited = await post('/track', { token: 't', project: 'junk-4', event: { not: 'a string' } });
+    assert.equal(limited.status, 429);
+    assert.match((await limited.json()).message, /invalid events/);
+    assert.equal(new Set(keys).size, 1);
+    assert.ok(!keys[0].includes('junk') && !keys[0].includes(':t:'));
+
+    assert.equal((await post('/track', { token: 't', project: 'p', event: 'x' })).status, 200);
+  });
+});
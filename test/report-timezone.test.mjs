@@ -0,0 +1,195 @@
+import assert from 'node:assert/strict';
+import { test, describe, before, after, beforeEach } from 'node:test';
+import { readFileSync } from 'node:fs';
+import { resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Database from 'better-sqlite3';
+import { PGlite } from '@electric-sql/pglite';
+import { SqliteAdapter } from '../src/db/sqlite.js';
+import { PostgresAdapter } from '../src/db/postgres.js';
+import { createAnalyticsHandler } from '../src/handler.js';
+import { ERROR_CODES } from '../src/errors.js';
+import {
+  validateTimezone,
+  timezoneOffset,
+  zonedDate,
+  zonedBounds,
+  offsetSegments,
+  parseZonedSince,
+} from '../src/timezone.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const postgresSchema = readFileSync(resolve(__dirname, '../schema.postgres.sql'), 'utf-8');
+
+const LA = 'America/Los_Angeles';
+const HOUR = 3_600_000;
+
+/**
+ * Around the 2025-03-09 spring-forward in Los Angeles (10:00 UTC):
+ * Saturday 23:30 PST, Sunday 01:30 PST, Sunday 03:30 PDT, Sunday 23:30 PDT.
+ */
+async function seed(adapter) {
+  const events = [
+    ['2025-03-09T07:30:00Z', 's1'],
+    ['2025-03-09T09:30:00Z', 's2'],
+    ['2025-03-09T10:30:00Z', 's2'],
+    ['2025-03-10T06:30:00Z', 's3'],
+  ];
+  for (const [iso, session_id] of events) {
+    await adapter.trackEvent({ project: 'p', event: 'page_view', user_id: session_id, session_id, timestamp: Date.parse(iso) });
+  }
+}
+
+describe('timezone helpers', () => {
+  test('accepts IANA names as sent and folds UTC aliases', () => {
+    assert.equal(validateTimezone(undefined), 'UTC');
+    assert.equal(validateTimezone('Etc/UTC'), 'UTC');
+    assert.equal(validateTimezone('utc'), 'UTC');
+    assert.equal(validateTimezone(LA), LA);
+    assert.equal(validateTimezone('america/los_angeles'), 'america/los_angeles');
+    // ICU canonicalizes this one to Asia/Calcutta
+    assert.equal(validateTimezone('Asia/Kolkata'), 'Asia/Kolkata');
+    for (const bad of ['Mars/Olympus', 42]) {
+      assert.throws(() => validateTimezone(bad), (err) => err.code === ERROR_CODES.INVALID_TIMEZONE && err.status === 400);
+    }
+  });
+
+  test('offsets and day bounds follow DST', () => {
+    assert.equal(timezoneOffset(LA, Date.parse('2025-03-09T09:59:59Z')), -8 * HOUR);
+    assert.equal(timezoneOffset(LA, Date.parse('2025-03-09T10:00:00Z')), -7 * HOUR);
+    assert.equal(zonedDate(LA, Date.parse('2025-03-09T07:30:00Z')), '2025-03-08');
+
+    const spring = zonedBounds(LA, '2025-03-09', '2025-03-09');
+    assert.equal(spring.fromMs, Date.parse('2025-03-09T08:00:00Z'));
+    assert.equal(spring.toMs - spring.fromMs, 23 * HOUR);
+    assert.equal(zonedBounds(LA, '2025-03-09').toMs, null);
+  });
+
+  test('finds each offset change in a range to the second', () => {
+    const segments = offsetSegments(LA, Date.parse('2025-01-01T00:00:00Z'), Date.parse('2026-01-01T00:00:00Z'));
+    assert.deepEqual(segments, [
+      { until: Date.parse('2025-03-09T10:00:00Z'), offset: -8 * HOUR },
+      { until: Date.parse('2025-11-02T09:00:00Z'), offset: -7 * HOUR },
+      { until: null, offset: -8 * HOUR },
+    ]);
+    assert.equal(offsetSegments('Asia/Tokyo', 0, Date.parse('2025-01-01T00:00:00Z')).length, 1);
+  });
+
+  test('parses since as a local date', () => {
+    assert.equal(parseZonedSince('2025-03-08', LA), '2025-03-08');
+    assert.equal(parseZonedSince('2025-03-09T07:30:00Z', LA), '2025-03-08');
+    assert.equal(parseZonedSince('2025-03-09T07:30:00Z', 'UTC'), '2025-03-09');
+  });
+});
+
+function zonedReportTests(createAdapter) {
+  let adapter;
+
+  beforeEach(async () => {
+    adapter = await createAdapter();
+    await seed(adapter);
+  });
+
+  test('getStats buckets days and hours in the zone and echoes it', async () => {
+    const utc = await adapter.getStats({ project: 'p', since: '2025-03-08' });
+    assert.deepEqual(utc.timeSeries.map(r => [r.bucket, r.total_events]), [['2025-03-09', 3], ['2025-03-10', 1]]);
+    assert.equal(utc.period.timezone, 'UTC');
+
+    const local = await adapter.getStats({ project: 'p', since: '2025-03-08', timezone: LA });
+    assert.deepEqual(local.timeSeries.map(r => [r.bucket, r.total_events]), [['2025-03-08', 1], ['2025-03-09', 3]]);
+    assert.equal(local.period.timezone, LA);
+    assert.equal(local.period.from, '2025-03-08');
+    assert.equal(local.sessions.total_sessions, 3);
+
+    const sunday = await adapter.getStats({ project: 'p', since: '2025-03-09', timezone: LA });
+    assert.equal(sunday.totals.total_events, 3);
+    assert.equal(sunday.sessions.total_sessions, 2);
+
+    const hourly = await adapter.getStats({ project: 'p', since: '2025-03-08', groupBy: 'hour', timezone: LA });
+    assert.deepEqual(hourly.timeSeries.map(r => r.bucket), ['2025-03-08T23:00', '2025-03-09T01:00', '2025-03-09T03:00', '2025-03-09T23:00']);
+  });
+
+  test('query bounds, filters and groups on local dates', async () => {
+    const base = { project: 'p', date_from: '2025-03-08', date_to: '2025-03-09', group_by: ['date'], order: 'asc' };
+    const utc = await adapter.query(base);
+    assert.deepEqual(utc.rows.map(r => [r.date, r.event_count]), [['2025-03-09', 3]]);
+
+    const local = await adapter.query({ ...base, timezone: LA });
+    assert.deepEqual(local.rows.map(r => [r.date, r.event_count]), [['2025-03-08', 1], ['2025-03-09', 3]]);
+    assert.deepEqual(local.period, { from: '2025-03-08', to: '2025-03-09', timezone: LA });
+
+    const filtered = await adapter.query({ ...base, timezone: LA, filters: [{ field: 'date', op: 'eq', value: '2025-03-08' }] });
+    assert.deepEqual(filtered.rows.map(r => [r.date, r.event_count]), [['2025-03-08', 1]]);
+  });
+
+  test('getHeatmap uses local days and DST-correct hours', async () => {
+    const local = await adapter.getHeatmap({ project: 'p', since: '2025-03-08', timezone: LA });
+    assert.deepEqual(local.heatmap.map(r => [r.day_name, r.hour]), [['Sunday', 1], ['Sunday', 3], ['Sunday', 23], ['Saturday', 23]]);
+    assert.equal(local.busiest_day, 'Sunday');
+    assert.equal(local.period.timezone, LA);
+    assert.equal(local.source, 'raw');
+  });
+
+  test('getSessionDistribution and getInsights take the zone', async () => {
+    const utc = await adapter.getSessionDistribution({ project: 'p', since: '2025-03-09' });
+    const local = await adapter.getSessionDistribution({ project: 'p', since: '2025-03-09', timezone: LA });
+    assert.equal(utc.distribution.reduce((sum, r) => sum + r.sessions, 0), 3);
+    assert.equal(local.distribution.reduce((sum, r) => sum + r.sessions, 0), 2);
+    assert.equal(local.period.timezone, LA);
+
+    const insights = await adapter.getInsights({ project: 'p', period: '7d', timezone: 'Asia/Tokyo' });
+    assert.equal(insights.current_period.timezone, 'Asia/Tokyo');
+    assert.equal(insights.previous_period.timezone, 'Asia/Tokyo');
+    assert.equal(insights.metrics.total_events.current, 0);
+  });
+}
+
+describe('time-zone reports (SQLite)', () => {
+  zonedReportTests(async () => new SqliteAdapter(new Database(':memory:')));
+});
+
+describe('time-zone reports (PostgreSQL)', () => {
+  let pg;
+
+  before(async () => {
+    pg = new PGlite();
+    await pg.exec(postgresSchema);
+  });
+
+  after(async () => {
+    await pg.close();
+  });
+
+  zonedReportTests(async () => {
+    await pg.exec('TRUNCATE events, sessions, identity_map, daily_event_rollups, daily_user_rollups, daily_session_rollups, rollup_coverage');
+    return new PostgresAdapter(pg);
+  });
+});
+
+describe('GET reads with timezone', () => {
+  let handle;
+
+  beforeEach(async () => {
+    const adapter = new SqliteAdapter(new Database(':memory:'));
+    await seed(adapter);
+    handle = createAnalyticsHandler({
+      db: adapter,
+      validateWrite: () => ({ valid: true }),
+      validateRead: () => ({ valid: true }),
+    });
+  });
+
+  test('passes the zone through and rejects unknown names', async () => {
+    let { response } = await handle(new Request(`https://api.test/heatmap?project=p&since=2025-03-08&timezone=${LA}`));
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).period.timezone, LA);
+
+    ({ response } = await handle(new Request('https://api.test/stats?project=p&since=2025-03-08&timezone=Asia/Kolkata')));
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).period.timezone, 'Asia/Kolkata');
+
+    ({ response } = await handle(new Request('https://api.test/stats?project=p&timezone=Mars/Olympus')));
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, ERROR_CODES.INVALID_TIMEZONE);
+  });
+});
@@ -0,0 +1,184 @@
+import assert from 'node:assert/strict';
+import { test, describe, beforeEach } from 'node:test';
+import { readFileSync } from 'node:fs';
+import { resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Database from 'better-sqlite3';
+import { BaseAdapter } from '../src/db/base-adapter.js';
+import { createAnalyticsHandler } from '../src/handler.js';
+import { ERROR_CODES } from '../src/errors.js';
+import { buildRetentionReport, validateRetentionOptions } from '../src/retention-analytics.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const schema = readFileSync(resolve(__dirname, '../schema.sql'), 'utf-8');
+
+class MockAdapter extends BaseAdapter {
+  constructor() {
+    super();
+    this.db = new Database(':memory:');
+    this.db.exec(schema);
+  }
+
+  _run(sql, params) {
+    return this.db.prepare(sql).run(...params);
+  }
+
+  _queryAll(sql, params) {
+    return this.db.prepare(sql).all(...params);
+  }
+
+  _queryOne(sql, params) {
+    return this.db.prepare(sql).get(...params) || null;
+  }
+
+  _batch(statements) {
+    const txn = this.db.transaction((stmts) => {
+      for (const { sql, params } of stmts) {
+        this.db.prepare(sql).run(...params);
+      }
+    });
+    txn(statements);
+  }
+}
+
+async function track(adapter, user_id, event, date) {
+  await adapter.trackEvent({ project: 'p', event, user_id, timestamp: Date.parse(`${date}T12:00:00Z`) });
+}
+
+describe('validateRetentionOptions', () => {
+  test('defaults to bounded daily retention over the default number of periods', () => {
+    const options = validateRetentionOptions({});
+    assert.equal(options.granularity, 'day');
+    assert.equal(options.retentionType, 'bounded');
+    assert.equal(options.periods, 14);
+    assert.equal(options.startEvent, null);
+  });
+
+  test('rejects hourly buckets, unknown types and too many periods', () => {
+    assert.throws(() => validateRetentionOptions({ granularity: 'hour' }), /granularity must be one of: day, week, month/);
+    assert.throws(() => validateRetentionOptions({ retention_type: 'rolling' }), /retention_type must be one of/);
+    assert.throws(() => validateRetentionOptions({ granularity: 'week', periods: 53 }), /periods must be 1-52 for week/);
+    assert.throws(() => validateRetentionOptions({ date_to: 'yesterday' }), /date_to must be a YYYY-MM-DD/);
+  });
+});
+
+describe('buildRetentionReport', () => {
+  test('leaves periods a cohort has not reached yet as null', () => {
+    const report = buildRetentionReport(
+      [{ cohort: '2025-01-06', users: 4 }],
+      [{ cohort: '2025-01-06', period: 0, users: 4 }, { cohort: '2025-01-06', period: 1, users: 1 }],
+      { granularity: 'day', retentionType: 'bounded', periods: 3, asOf: '2025-01-07' },
+    );
+    assert.deepEqual(report.cohorts[0].retained, [4, 1, null, null]);
+    assert.deepEqual(report.cohorts[0].percentages, [100, 25, null, null]);
+    assert.deepEqual(report.average[2], { period: 2, retained_users: 0, eligible_users: 0, percentage: null });
+  });
+
+  test('counts whole weeks from the Monday of the cohort week', () => {
+    const report = buildRetentionReport(
+      [{ cohort: '2025-01-06', users: 1 }],
+      [],
+      { granularity: 'week', retentionType: 'bounded', periods: 3, asOf: '2025-01-19' },
+    );
+    assert.deepEqual(report.cohorts[0].retained, [0, 0, null, null]);
+  });
+});
+
+describe('BaseAdapter.getRetention', () => {
+  let adapter;
+  const range = { project: 'p', date_from: '2025-01-06', date_to: '2025-01-07', periods: 3 };
+
+  beforeEach(async () => {
+    adapter = new MockAdapter();
+    await track(adapter, 'u1', 'page_view', '2025-01-06');
+    await track(adapter, 'u1', 'page_view', '2025-01-07');
+    await track(adapter, 'u1', 'purchase', '2025-01-09');
+    await track(adapter, 'u2', 'page_view', '2025-01-06');
+    await track(adapter, 'u2', 'purchase', '2025-01-08');
+    await track(adapter, 'u3', 'page_view', '2025-01-07');
+    // First seen before the range: not part of any cohort
+    await track(adapter, 'u0', 'page_view', '2024-12-01');
+    await track(adapter, 'u0', 'signup', '2025-01-06');
+    await track(adapter, 'u0', 'page_view', '2025-01-07');
+  });
+
+  test('bounded retention counts users active in exactly period N', async () => {
+    const result = await adapter.getRetention(range);
+    assert.equal(result.retention_type, 'bounded');
+    assert.deepEqual(result.cohorts.map(c => [c.cohort, c.users]), [['2025-01-06', 2], ['2025-01-07', 1]]);
+    assert.deepEqual(result.cohorts[0].retained, [2, 1, 1, 1]);
+    assert.deepEqual(result.cohorts[0].percentages, [100, 50, 50, 50]);
+    assert.deepEqual(result.cohorts[1].retained, [1, 0, 0, 0]);
+    assert.deepEqual(result.average[1], { period: 1, retained_users: 1, eligible_users: 3, percentage: 33.3 });
+  });
+
+  test('unbounded retention counts users active in period N or later', async () => {
+    const result = await adapter.getRetention({ ...range, retention_type: 'unbounded' });
+    assert.deepEqual(result.cohorts[0].retained, [2, 2, 2, 1]);
+    assert.deepEqual(result.cohorts[1].retained, [1, 0, 0, 0]);
+  });
+
+  test('start_event and return_event narrow cohorts and activity', async () => {
+    const result = await adapter.getRetention({ ...range, start_event: 'signup', return_event: 'page_view' });
+    assert.equal(result.start_event, 'signup');
+    assert.deepEqual(result.cohorts.map(c => [c.cohort, c.users]), [['2025-01-06', 1]]);
+    // u0 signed up on the 6th and viewed a page on the 7th, not on the 6th itself
+    assert.deepEqual(result.cohorts[0].retained, [0, 1, 0, 0]);
+  });
+
+  test('weekly and monthly cohorts bucket by calendar week and month', async () => {
+    await track(adapter, 'w1', 'page_view', '2025-03-05');
+    await track(adapter, 'w1', 'page_view', '2025-03-10');
+    await track(adapter, 'w1', 'page_view', '2025-03-24');
+    const weekly = await adapter.getRetention({ project: 'p', granularity: 'week', date_from: '2025-03-01', date_to: '2025-03-31', periods: 3 });
+    assert.deepEqual(weekly.cohorts.map(c => c.cohort), ['2025-03-03']);
+    assert.deepEqual(weekly.cohorts[0].retained, [1, 1, 0, 1]);
+
+    await track(adapter, 'm1', 'page_view', '2025-05-31');
+    await track(adapter, 'm1', 'page_view', '2025-06-01');
+    const monthly = await adapter.getRetention({ project: 'p', granularity: 'month', date_from: '2025-05-01', date_to: '2025-05-31', periods: 2 });
+    assert.deepEqual(monthly.cohorts.map(c => c.cohort), ['2025-05']);
+    assert.deepEqual(monthly.cohorts[0].retained, [1, 1, 0]);
+  });
+});
+
+describe('POST /retention', () => {
+  let handler;
+
+  beforeEach(async () => {
+    const adapter = new MockAdapter();
+    await track(adapter, 'u1', 'page_view', '2025-01-06');
+    await track(adapter, 'u1', 'page_view', '2025-01-07');
+    handler = createAnalyticsHandler({
+      db: adapter,
+      validateWrite: () => ({ valid: true }),
+      validateRead: () => ({ valid: true }),
+    });
+  });
+
+  function post(body) {
+    return new Request('https://api.test/retention', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': 'aak_test' },
+      body: JSON.stringify(body),
+    });
+  }
+
+  test('returns the cohort matrix', async () => {
+    const { response } = await handler(post({ project: 'p', date_from: '2025-01-06', date_to: '2025-01-06', periods: 1 }));
+    assert.equal(response.status, 200);
+    const data = await response.json();
+    assert.equal(data.project, 'p');
+    assert.deepEqual(data.cohorts, [{ cohort: '2025-01-06', users: 1, retained: [1, 1], percentages: [100, 100] }]);
+  });
+
+  test('requires a project and a supported granularity', async () => {
+    let { response } = await handler(post({ granularity: 'week' }));
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, ERROR_CODES.PROJECT_REQUIRED);
+
+    ({ response } = await handler(post({ project: 'p', granularity: 'hour' })));
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, ERROR_CODES.MISSING_FIELDS);
+  });
+});
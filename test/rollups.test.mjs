@@ -0,0 +1,208 @@
+import assert from 'node:assert/strict';
+import { test, describe, before, after, beforeEach } from 'node:test';
+import { readFileSync } from 'node:fs';
+import { resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Database from 'better-sqlite3';
+import { PGlite } from '@electric-sql/pglite';
+import { SqliteAdapter } from '../src/db/sqlite.js';
+import { PostgresAdapter } from '../src/db/postgres.js';
+import { formatDate } from '../src/db/adapter.js';
+import {
+  ROLLUP_SOURCES,
+  validateRollupRebuildOptions,
+  rollupsCover,
+  mergeRollupCoverage,
+} from '../src/rollups.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const postgresSchema = readFileSync(resolve(__dirname, '../schema.postgres.sql'), 'utf-8');
+
+const NOW = Date.now();
+const DAY = 86_400_000;
+const HOUR = 3_600_000;
+const at = (days, hours = 0) => NOW - days * DAY - hours * HOUR;
+
+async function seed(adapter) {
+  await adapter.trackEvent({ project: 'p', event: 'page_view', user_id: 'anon-1', session_id: 's1', timestamp: at(3), properties: { path: '/' } });
+  await adapter.trackEvent({ project: 'p', event: 'page_view', user_id: 'anon-1', session_id: 's1', timestamp: at(3) + 60_000, properties: { path: '/pricing' } });
+  await adapter.trackEvent({ project: 'p', event: 'scroll', session_id: 's1', timestamp: at(3) + 90_000 });
+  await adapter.trackEvent({ project: 'p', event: 'signup', user_id: 'anon-1', session_id: 's1', timestamp: at(3) + 120_000 });
+  await adapter.trackEvent({ project: 'p', event: 'page_view', session_id: 's2', timestamp: at(10, 5) });
+  await adapter.trackEvent({ project: 'p', event: 'page_view', user_id: 'u2', session_id: 's3', timestamp: at(20, 2) });
+  await adapter.trackEvent({ project: 'p', event: 'click', user_id: 'u2', timestamp: at(1) });
+  await adapter.trackEvent({ project: 'other', event: 'page_view', user_id: 'x', timestamp: at(1) });
+}
+
+/** Writes after the rebuild: new and extended sessions, then two merges into one user. */
+async function moreActivity(adapter) {
+  await adapter.trackBatch([
+    { project: 'p', event: 'page_view', user_id: 'anon-3', session_id: 's4', timestamp: at(2) },
+    { project: 'p', event: 'page_view', user_id: 'anon-3', session_id: 's4', timestamp: at(2) + 300_000 },
+    { project: 'p', event: 'page_view', user_id: 'u2', session_id: 's3', timestamp: at(20, 2) + 600_000 },
+  ]);
+  await adapter.identifyUser({ project: 'p', previous_id: 'anon-1', canonical_id: 'alice' });
+  await adapter.identifyUser({ project: 'p', previous_id: 'anon-3', canonical_id: 'alice' });
+}
+
+/** The same adapter with rollups switched off, as the reference answer. */
+function rawView(adapter) {
+  const raw = Object.create(adapter);
+  raw._rollupSource = async () => ROLLUP_SOURCES.RAW;
+  return raw;
+}
+
+async function reads(adapter) {
+  const { source: statsSource, ...stats } = await adapter.getStats({ project: 'p', since: '30d' });
+  const { source: insightsSource, ...insights } = await adapter.getInsights({ project: 'p', period: '14d' });
+  const { source: heatmapSource, ...heatmap } = await adapter.getHeatmap({ project: 'p', since: '30d' });
+  stats.events.sort((a, b) => a.event.localeCompare(b.event));
+  return { sources: [statsSource, insightsSource, heatmapSource], results: { stats, insights, heatmap } };
+}
+
+async function assertMatchesRaw(adapter) {
+  const rollup = await reads(adapter);
+  const raw = await reads(rawView(adapter));
+  assert.deepEqual(rollup.sources, ['rollup', 'rollup', 'raw']);
+  assert.deepEqual(rollup.results, raw.results);
+}
+
+async function rollupRows(adapter) {
+  return {
+    events: await adapter._queryAll(
+      `SELECT project_id, date, hour, event, event_count FROM daily_event_rollups
+       ORDER BY project_id, date, hour, event`, [],
+    ),
+    users: await adapter._queryAll(
+      `SELECT project_id, date, event, user_id, event_count FROM daily_user_rollups
+       ORDER BY project_id, date, event, user_id`, [],
+    ),
+    sessions: await adapter._queryAll(
+      `SELECT project_id, date, user_id, session_count, bounce_count, total_duration, event_count FROM daily_session_rollups
+       WHERE session_count > 0 ORDER BY project_id, date, user_id`, [],
+    ),
+  };
+}
+
+/** Incremental upkeep must leave exactly what a rebuild from raw rows produces. */
+async function assertRollupsMatchRebuild(adapter) {
+  const incremental = await rollupRows(adapter);
+  await adapter.rebuildRollups({ project: 'p' });
+  await adapter.rebuildRollups({ project: 'other' });
+  assert.deepEqual(incremental, await rollupRows(adapter));
+}
+
+function rollupTests(createAdapter) {
+  let adapter;
+
+  beforeEach(async () => {
+    adapter = await createAdapter();
+    await seed(adapter);
+  });
+
+  test('reads raw rows until the project is rebuilt, then the rollups', async () => {
+    const rawBefore = await reads(adapter);
+    assert.deepEqual(rawBefore.sources, ['raw', 'raw', 'raw']);
+
+    const result = await adapter.rebuildRollups({ project: 'p' });
+    assert.deepEqual(result.coverage, { date_from: null, date_to: null });
+
+    const rollup = await reads(adapter);
+    assert.deepEqual(rollup.sources, ['rollup', 'rollup', 'raw']);
+    assert.deepEqual(rollup.results, rawBefore.results);
+    assert.equal(rollup.results.stats.totals.unique_users, 2);
+  });
+
+  test('writes and identify calls keep the rollups exact', async () => {
+    await adapter.rebuildRollups({ project: 'p' });
+    await moreActivity(adapter);
+    await assertMatchesRaw(adapter);
+    await assertRollupsMatchRebuild(adapter);
+  });
+
+  test('erasure and retention remove rollup rows with the raw rows', async () => {
+    await adapter.rebuildRollups({ project: 'p' });
+    await moreActivity(adapter);
+
+    await adapter.deleteUserData({ project: 'p', user_id: 'alice' });
+    await assertMatchesRaw(adapter);
+    const left = await adapter._queryAll(`SELECT DISTINCT event, user_id FROM daily_user_rollups WHERE project_id = 'p' ORDER BY user_id, event`, []);
+    assert.deepEqual(left.map(r => [r.user_id, r.event]), [['u2', 'click'], ['u2', 'page_view']]);
+    const events = await adapter._queryAll(`SELECT event, SUM(event_count) as n FROM daily_event_rollups WHERE project_id = 'p' GROUP BY event ORDER BY event`, []);
+    assert.deepEqual(events.map(r => [r.event, Number(r.n)]), [['click', 1], ['page_view', 3]]);
+
+    await adapter.applyRetention({ now: NOW, policies: { default: { events_days: 15, sessions_days: 15 } } });
+    await adapter.cleanupSessions({ project: 'p', before_date: formatDate(at(5)) });
+    await assertRollupsMatchRebuild(adapter);
+  });
+
+  test('a retention run stopped early has already dropped the expired rollup dates', async () => {
+    await adapter.rebuildRollups({ project: 'p' });
+    const cutoff = formatDate(at(5));
+    const result = await adapter.applyRetention({
+      now: NOW, projects: ['p'], policies: { default: { events_days: 5, sessions_days: null } }, chunk_size: 1, max_chunks: 1,
+    });
+    assert.equal(result.complete, false);
+    for (const table of ['daily_event_rollups', 'daily_user_rollups']) {
+      const row = await adapter._queryOne(`SELECT COUNT(*) as n FROM ${table} WHERE project_id = 'p' AND date < ?`, [cutoff]);
+      assert.equal(Number(row.n), 0, table);
+    }
+  });
+
+  test('ranges outside the coverage, and hourly stats, read raw rows', async () => {
+    await adapter.rebuildRollups({ project: 'p', date_from: formatDate(at(5)) });
+    assert.equal((await adapter.getStats({ project: 'p', since: '3d' })).source, 'rollup');
+    assert.equal((await adapter.getStats({ project: 'p', since: '30d' })).source, 'raw');
+    assert.equal((await adapter.getStats({ project: 'p', since: '3d', groupBy: 'hour' })).source, 'raw');
+    assert.equal((await adapter.getHeatmap({ project: 'other', since: '3d' })).source, 'raw');
+  });
+}
+
+describe('rollups (SQLite)', () => {
+  rollupTests(async () => new SqliteAdapter(new Database(':memory:')));
+});
+
+describe('rollups (PostgreSQL)', () => {
+  let pg;
+
+  before(async () => {
+    pg = new PGlite();
+    await pg.exec(postgresSchema);
+  });
+
+  after(async () => {
+    await pg.close();
+  });
+
+  rollupTests(async () => {
+    await pg.exec(`TRUNCATE events, sessions, identity_map, data_subject_requests,
+      daily_event_rollups, daily_user_rollups, daily_session_rollups, rollup_coverage`);
+    return new PostgresAdapter(pg);
+  });
+});
+
+describe('rollup coverage', () => {
+  test('merges touching ranges and replaces disjoint ones', () => {
+    const jan = { date_from: '2025-01-01', date_to: '2025-01-31' };
+    assert.deepEqual(mergeRollupCoverage(jan, { date_from: '2025-02-01', date_to: null }), { date_from: '2025-01-01', date_to: null });
+    assert.deepEqual(mergeRollupCoverage({ date_from: '2025-02-01', date_to: null }, jan), { date_from: '2025-01-01', date_to: null });
+    assert.deepEqual(mergeRollupCoverage(jan, { date_from: '2025-03-01', date_to: '2025-03-31' }), { date_from: '2025-03-01', date_to: '2025-03-31' });
+    assert.deepEqual(mergeRollupCoverage(jan, { date_from: null, date_to: '2025-01-10' }), { date_from: null, date_to: '2025-01-31' });
+  });
+
+  test('covers only ranges inside it', () => {
+    const coverage = { date_from: '2025-01-01', date_to: '2025-01-31' };
+    assert.equal(rollupsCover(coverage, '2025-01-05', '2025-01-31'), true);
+    assert.equal(rollupsCover(coverage, '2024-12-31', '2025-01-05'), false);
+    assert.equal(rollupsCover(coverage, '2025-01-05', '2025-02-01'), false);
+    assert.equal(rollupsCover({ ...coverage, date_to: null }, '2025-01-05', '2099-01-01'), true);
+    assert.equal(rollupsCover({ date_from: null, date_to: null }, '1970-01-01', '2099-01-01'), true);
+    assert.equal(rollupsCover(null, '2025-01-05', '2025-01-06'), false);
+  });
+
+  test('validates rebuild options', () => {
+    assert.throws(() => validateRollupRebuildOptions({}), /project required/);
+    assert.throws(() => validateRollupRebuildOptions({ project: 'p', date_from: '2025-1-1' }), /date_from must be a YYYY-MM-DD date/);
+    assert.throws(() => validateRollupRebuildOptions({ project: 'p', date_from: '2025-02-01', date_to: '2025-01-01' }), /must not be after/);
+  });
+});
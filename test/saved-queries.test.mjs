@@ -0,0 +1,247 @@
+/**
+ * Saved queries and dashboards: BaseAdapter CRUD and runs, plus the
+ * /saved-queries and /dashboards routes with their `:id` segments.
+ */
+import assert from 'node:assert/strict';
+import { test, describe, before, after, beforeEach } from 'node:test';
+import { readFileSync } from 'node:fs';
+import { resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Database from 'better-sqlite3';
+import { PGlite } from '@electric-sql/pglite';
+import { SqliteAdapter } from '../src/db/sqlite.js';
+import { PostgresAdapter } from '../src/db/postgres.js';
+import { createAnalyticsHandler } from '../src/handler.js';
+import { ERROR_CODES } from '../src/errors.js';
+import { buildRunOptions } from '../src/saved-queries.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const postgresSchema = readFileSync(resolve(__dirname, '../schema.postgres.sql'), 'utf-8');
+
+const SIGNUPS = { metrics: ['event_count'], filters: [{ field: 'event', op: 'eq', value: 'signup' }] };
+
+async function seed(adapter) {
+  const events = [
+    ['2025-03-01T10:00:00Z', 'page_view', 'u1', { path: '/' }],
+    ['2025-03-01T10:01:00Z', 'signup', 'u1', {}],
+    ['2025-03-05T10:00:00Z', 'page_view', 'u2', { path: '/pricing' }],
+    ['2025-03-05T10:01:00Z', 'signup', 'u2', {}],
+    ['2025-03-05T11:00:00Z', 'signup', 'u3', {}],
+  ];
+  for (const [iso, event, user_id, properties] of events) {
+    await adapter.trackEvent({ project: 'p', event, user_id, session_id: `s-${user_id}`, properties, timestamp: Date.parse(iso) });
+  }
+}
+
+function savedQueryTests(createAdapter) {
+  let adapter;
+
+  beforeEach(async () => {
+    adapter = await createAdapter();
+    await seed(adapter);
+  });
+
+  test('creates, lists, updates and deletes saved queries', async () => {
+    const saved = await adapter.createSavedQuery({ project: 'p', name: 'Signups', query: SIGNUPS, owner: 'agent-1' });
+    assert.equal(saved.type, 'query');
+    assert.deepEqual(saved.query, SIGNUPS);
+    await adapter.createSavedQuery({ project: 'p', name: 'Funnel', type: 'funnel', query: { steps: ['page_view', 'signup'] } });
+
+    assert.deepEqual((await adapter.listSavedQueries({ project: 'p' })).map(q => q.name), ['Funnel', 'Signups']);
+    assert.deepEqual((await adapter.listSavedQueries({ project: 'p', owner: 'agent-1' })).map(q => q.name), ['Signups']);
+    assert.deepEqual(await adapter.listSavedQueries({ project: 'other' }), []);
+
+    await assert.rejects(
+      () => adapter.createSavedQuery({ project: 'p', name: 'Signups', query: SIGNUPS }),
+      (err) => err.code === ERROR_CODES.CONFLICT,
+    );
+
+    const renamed = await adapter.updateSavedQuery({ project: 'p', id: saved.id, name: 'All signups' });
+    assert.equal(renamed.name, 'All signups');
+    assert.deepEqual(renamed.query, SIGNUPS);
+
+    await adapter.deleteSavedQuery({ project: 'p', id: saved.id });
+    assert.equal(await adapter.getSavedQuery({ project: 'p', id: saved.id }), null);
+    await assert.rejects(() => adapter.deleteSavedQuery({ project: 'p', id: saved.id }), (err) => err.code === ERROR_CODES.NOT_FOUND);
+  });
+
+  test('runs each type with overrides, scoped to its project', async () => {
+    const query = await adapter.createSavedQuery({ project: 'p', name: 'Signups', query: { ...SIGNUPS, date_from: '2025-03-01', date_to: '2025-03-31' } });
+    let run = await adapter.runSavedQuery({ project: 'p', id: query.id });
+    assert.deepEqual(run.result.rows, [{ event_count: 3 }]);
+    run = await adapter.runSavedQuery({ project: 'p', id: query.id, overrides: { date_from: '2025-03-02' } });
+    assert.deepEqual(run.result.rows, [{ event_count: 2 }]);
+    assert.equal(run.saved_query.id, query.id);
+
+    const funnel = await adapter.createSavedQuery({
+      project: 'p', name: 'Funnel', type: 'funnel', query: { steps: ['page_view', 'signup'], date_from: '2025-03-01', date_to: '2025-03-31' },
+    });
+    run = await adapter.runSavedQuery({ project: 'p', id: funnel.id });
+    assert.deepEqual(run.result.steps.map(s => s.count), [2, 2]);
+
+    await assert.rejects(
+      () => adapter.runSavedQuery({ project: 'p', id: funnel.id, overrides: { since: '30d' } }),
+      /cannot override since on a funnel query/,
+    );
+    await assert.rejects(() => adapter.runSavedQuery({ project: 'other', id: query.id }), (err) => err.code === ERROR_CODES.NOT_FOUND);
+  });
+
+  test('dashboards run their saved queries in order and lose deleted ones', async () => {
+    const signups = await adapter.createSavedQuery({ project: 'p', name: 'Signups', query: { ...SIGNUPS, date_from: '2025-03-01', date_to: '2025-03-31' } });
+    const pages = await adapter.createSavedQuery({ project: 'p', name: 'Pages', type: 'breakdown', query: { property: 'path', since: '2025-03-01' } });
+    // Saved before bodies were checked on save
+    const broken = await adapter.createSavedQuery({ project: 'p', name: 'Broken', query: {} });
+    await adapter._run('UPDATE saved_queries SET query = ? WHERE id = ?', [JSON.stringify({ metrics: ['nope'] }), broken.id]);
+    const dashboard = await adapter.createDashboard({ project: 'p', name: 'Growth', saved_query_ids: [pages.id, signups.id, broken.id] });
+
+    const fetched = await adapter.getDashboardWithQueries({ project: 'p', id: dashboard.id });
+    assert.deepEqual(fetched.queries.map(q => q.saved_query.name), ['Pages', 'Signups', 'Broken']);
+    assert.equal(fetched.queries[0].result, undefined);
+
+    const ran = await adapter.getDashboardWithQueries({ project: 'p', id: dashboard.id, run: true, overrides: { date_from: '2025-03-05' } });
+    assert.deepEqual(ran.queries[0].result.values.map(v => v.value).sort(), ['/', '/pricing']);
+    assert.deepEqual(ran.queries[1].result.rows, [{ event_count: 2 }]);
+    assert.equal(ran.queries[2].error.code, ERROR_CODES.INVALID_METRIC);
+
+    await adapter.deleteSavedQuery({ project: 'p', id: pages.id });
+    assert.deepEqual((await adapter.getDashboard({ project: 'p', id: dashboard.id })).saved_query_ids, [signups.id, broken.id]);
+
+    await assert.rejects(
+      () => adapter.updateDashboard({ project: 'p', id: dashboard.id, saved_query_ids: ['missing'] }),
+      (err) => err.code === ERROR_CODES.NOT_FOUND,
+    );
+  });
+}
+
+describe('saved queries (SQLite)', () => {
+  savedQueryTests(async () => new SqliteAdapter(new Database(':memory:')));
+
+  test('rejects invalid saved queries and overrides', async () => {
+    const adapter = new SqliteAdapter(new Database(':memory:'));
+    const cases = [
+      { name: '', query: SIGNUPS },
+      { name: 'x', query: [] },
+      { name: 'x', query: { ...SIGNUPS, project: 'q' } },
+      { name: 'x', type: 'sql', query: SIGNUPS },
+      { name: 'x', type: 'breakdown', query: { since: '7d' } },
+    ];
+    for (const input of cases) {
+      await assert.rejects(() => adapter.createSavedQuery({ project: 'p', ...input }), (err) => err.code === ERROR_CODES.MISSING_FIELDS);
+    }
+
+    // Bodies are checked as their runner would check them
+    const bodies = [
+      [{ metrics: 'event_count' }, ERROR_CODES.INVALID_METRIC],
+      [{ metrics: ['nope'] }, ERROR_CODES.INVALID_METRIC],
+      [{ group_by: ['referrer'] }, ERROR_CODES.INVALID_GROUP_BY],
+      [{ filters: [{ field: 'event', op: 'like', value: 'x' }] }, ERROR_CODES.INVALID_FILTER_OP],
+      [{ count_mode: 'all' }, ERROR_CODES.INVALID_COUNT_MODE],
+      [{ timezone: 'Mars/Olympus' }, ERROR_CODES.INVALID_TIMEZONE],
+    ];
+    for (const [query, code] of bodies) {
+      await assert.rejects(() => adapter.createSavedQuery({ project: 'p', name: 'x', query }), (err) => err.code === code && err.status === 400);
+    }
+    await assert.rejects(() => adapter.createSavedQuery({ project: 'p', name: 'x', type: 'funnel', query: { steps: ['one'] } }), /steps must be/);
+    await assert.rejects(() => adapter.createSavedQuery({ project: 'p', name: 'x', type: 'paths', query: {} }), /goal_event/);
+    const valid = await adapter.createSavedQuery({ project: 'p', name: 'x', query: SIGNUPS });
+    await assert.rejects(() => adapter.updateSavedQuery({ project: 'p', id: valid.id, query: { metrics: 'event_count' } }), /metrics must be an array/);
+    assert.deepEqual((await adapter.getSavedQuery({ project: 'p', id: valid.id })).query, SIGNUPS);
+
+    const saved = { project: 'p', type: 'query', query: SIGNUPS };
+    assert.deepEqual(buildRunOptions(saved, { limit: 5 }), { ...SIGNUPS, limit: 5, project: 'p' });
+    assert.throws(() => buildRunOptions(saved, { filters: [] }), /cannot override filters/);
+    assert.throws(() => buildRunOptions(saved, { project: 'q' }), /cannot override project/);
+  });
+});
+
+describe('saved query and dashboard routes', () => {
+  let adapter;
+  let handler;
+
+  beforeEach(async () => {
+    adapter = new SqliteAdapter(new Database(':memory:'));
+    await seed(adapter);
+    handler = createAnalyticsHandler({ db: adapter, validateRead: () => ({ valid: true }), validateWrite: () => ({ valid: true }) });
+  });
+
+  function post(path, body) {
+    return handler(new Request(`https://api.test${path}`, { method: 'POST', body: JSON.stringify(body) }));
+  }
+
+  function get(path) {
+    return handler(new Request(`https://api.test${path}`));
+  }
+
+  test('CRUD and run routes take the id from the path', async () => {
+    let { response } = await post('/saved-queries', { project: 'p', name: 'Signups', query: { ...SIGNUPS, date_from: '2025-03-01', date_to: '2025-03-31' } });
+    assert.equal(response.status, 201);
+    const { id } = (await response.json()).saved_query;
+
+    ({ response } = await get(`/saved-queries/${id}?project=p`));
+    assert.equal((await response.json()).saved_query.name, 'Signups');
+
+    ({ response } = await get('/saved-queries?project=p'));
+    assert.deepEqual((await response.json()).saved_queries.map(q => q.id), [id]);
+
+    ({ response } = await post(`/saved-queries/${id}/run`, { project: 'p', overrides: { date_to: '2025-03-01' } }));
+    const run = await response.json();
+    assert.equal(run.project, 'p');
+    assert.deepEqual(run.result.rows, [{ event_count: 1 }]);
+
+    ({ response } = await post(`/saved-queries/${id}/update`, { project: 'p', owner: 'agent-2' }));
+    assert.equal((await response.json()).saved_query.owner, 'agent-2');
+
+    ({ response } = await post('/dashboards', { project: 'p', name: 'Growth', saved_query_ids: [id] }));
+    assert.equal(response.status, 201);
+    const dashboardId = (await response.json()).dashboard.id;
+
+    ({ response } = await get(`/dashboards/${dashboardId}?project=p`));
+    assert.deepEqual((await response.json()).queries.map(q => q.saved_query.id), [id]);
+
+    ({ response } = await post(`/dashboards/${dashboardId}/run`, { project: 'p' }));
+    assert.deepEqual((await response.json()).queries[0].result.rows, [{ event_count: 3 }]);
+
+    ({ response } = await post(`/dashboards/${dashboardId}/delete`, { project: 'p' }));
+    assert.equal(response.status, 200);
+    ({ response } = await post(`/saved-queries/${id}/delete`, { project: 'p' }));
+    assert.equal(response.status, 200);
+
+    ({ response } = await get(`/saved-queries/${id}?project=p`));
+    assert.equal(response.status, 404);
+    ({ response } = await get(`/dashboards/${dashboardId}?project=p`));
+    assert.equal((await response.json()).error, ERROR_CODES.NOT_FOUND);
+  });
+
+  test('routes require a project and unknown sub-paths stay 404', async () => {
+    let { response } = await post('/saved-queries/abc/run', {});
+    assert.equal((await response.json()).error, ERROR_CODES.PROJECT_REQUIRED);
+
+    ({ response } = await get('/saved-queries/abc'));
+    assert.equal(response.status, 400);
+
+    ({ response } = await post('/saved-queries/abc/rerun', { project: 'p' }));
+    assert.equal(response.status, 404);
+    ({ response } = await get('/saved-queries/a/b?project=p'));
+    assert.equal(response.status, 404);
+    ({ response } = await get('/saved-queries/%E0?project=p'));
+    assert.equal(response.status, 404);
+  });
+});
+
+describe('saved queries (PostgreSQL)', () => {
+  let pg;
+
+  before(async () => {
+    pg = new PGlite();
+    await pg.exec(postgresSchema);
+  });
+
+  after(async () => {
+    await pg.close();
+  });
+
+  savedQueryTests(async () => {
+    await pg.exec('TRUNCATE events, sessions, saved_queries, dashboards');
+    return new PostgresAdapter(pg);
+  });
+});
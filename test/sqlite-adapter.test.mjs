@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict';
+import { test, describe, beforeEach } from 'node:test';
+import Database from 'better-sqlite3';
+import { SqliteAdapter } from '@agent-analytics/core/sqlite';
+import { createAnalyticsHandler } from '../src/handler.js';
+
+function tableNames(db) {
+  return db.prepare(`SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name`).all().map(r => r.name);
+}
+
+describe('SqliteAdapter', () => {
+  let db;
+  let adapter;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    adapter = new SqliteAdapter(db);
+  });
+
+  test('applies schema.sql on first use only', async () => {
+    assert.deepEqual(tableNames(db), []);
+    await adapter.trackEvent({ project: 'p', event: 'page_view', user_id: 'u1', session_id: 's1' });
+    assert.ok(tableNames(db).includes('events'));
+    assert.ok(tableNames(db).includes('sessions'));
+
+    const stats = await adapter.getStats({ project: 'p' });
+    assert.equal(stats.totals.total_events, 1);
+    assert.equal(stats.sessions.total_sessions, 1);
+  });
+
+  test('skips the schema when applySchema is false', async () => {
+    const bare = new SqliteAdapter(db, { applySchema: false });
+    await assert.rejects(() => bare.getEvents({ project: 'p' }), /no such table: events/);
+  });
+
+  test('_batch rolls back every statement when one fails', async () => {
+    await adapter.trackEvent({ project: 'p', event: 'seed' });
+    await assert.rejects(() => adapter._batch([
+      { sql: `INSERT INTO identity_map (previous_id, canonical_id, project_id, created_at) VALUES (?, ?, ?, ?)`, params: ['a', 'b', 'p', 1] },
+      { sql: `INSERT INTO identity_map (previous_id, canonical_id, project_id, created_at) VALUES (?, ?, ?, ?)`, params: ['a', 'c', 'p', 2] },
+    ]), /UNIQUE constraint failed/);
+    assert.equal(db.prepare('SELECT COUNT(*) as n FROM identity_map').get().n, 0);
+  });
+
+  test('reuses prepared statements and evicts the least recently used', async () => {
+    const small = new SqliteAdapter(db, { statementCacheSize: 2 });
+    await small._queryOne('SELECT 1 as a', []);
+    const first = small.statements.get('SELECT 1 as a');
+    await small._queryOne('SELECT 2 as b', []);
+    await small._queryOne('SELECT 1 as a', []);
+    assert.equal(small.statements.get('SELECT 1 as a'), first);
+
+    await small._queryOne('SELECT 3 as c', []);
+    assert.deepEqual([...small.statements.keys()], ['SELECT 1 as a', 'SELECT 3 as c']);
+  });
+
+  test('binds booleans and undefined like D1 does', async () => {
+    const row = await adapter._queryOne('SELECT ? as t, ? as f, ? as missing', [true, false, undefined]);
+    assert.deepEqual(row, { t: 1, f: 0, missing: null });
+    assert.equal(await adapter._queryOne(`SELECT 1 FROM events WHERE id = ?`, ['nope']), null);
+  });
+
+  test('serves the handler end to end', async () => {
+    const handle = createAnalyticsHandler({
+      db: adapter,
+      validateWrite: () => ({ valid: true }),
+      validateRead: () => ({ valid: true }),
+    });
+    const track = await handle(new Request('https://api.test/track', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36' },
+      body: JSON.stringify({ project: 'p', event: 'signup', user_id: 'u1' }),
+    }));
+    await Promise.all(track.writeOps);
+
+    const { response } = await handle(new Request('https://api.test/events?project=p'));
+    const data = await response.json();
+    assert.deepEqual(data.events.map(e => e.event), ['signup']);
+  });
+});
@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  normalCdf,
+  normalQuantile,
+  chiSquarePValue,
+  wilsonInterval,
+  twoProportionZTest,
+  chiSquareIndependence,
+  chiSquareGoodnessOfFit,
+} from '../src/stats.js';
+
+function close(actual, expected, tolerance = 1e-4) {
+  assert.ok(Math.abs(actual - expected) < tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
+test('normalCdf and normalQuantile match reference values', () => {
+  close(normalCdf(0), 0.5);
+  close(normalCdf(1.96), 0.975);
+  close(normalCdf(-1), 0.158655);
+  close(normalQuantile(0.975), 1.959964);
+  close(normalQuantile(0.005), -2.575829);
+});
+
+test('chiSquarePValue matches reference values', () => {
+  close(chiSquarePValue(3.841459, 1), 0.05);
+  close(chiSquarePValue(7.814728, 3), 0.05);
+  assert.equal(chiSquarePValue(1, 0), null);
+});
+
+test('wilsonInterval brackets the observed rate', () => {
+  const ci = wilsonInterval(50, 100);
+  close(ci.lower, 0.403832);
+  close(ci.upper, 0.596168);
+  assert.equal(wilsonInterval(0, 0), null);
+});
+
+test('twoProportionZTest agrees with the 2x2 chi-square test', () => {
+  const z = twoProportionZTest(100, 1000, 130, 1000);
+  const chi = chiSquareIndependence([[100, 900], [130, 870]]);
+  close(z.z, 2.102741);
+  close(z.p_value, 0.035488);
+  close(chi.statistic, z.z ** 2);
+  close(chi.p_value, z.p_value);
+  close(z.difference, 0.03);
+  assert.ok(z.difference_ci.lower > 0 && z.difference_ci.upper < 0.06);
+});
+
+test('twoProportionZTest handles identical zero-variance groups', () => {
+  const z = twoProportionZTest(0, 10, 0, 10);
+  assert.equal(z.z, 0);
+  assert.equal(z.p_value, 1);
+});
+
+test('chiSquareGoodnessOfFit flags skewed splits', () => {
+  const balanced = chiSquareGoodnessOfFit([520, 480], [50, 50]);
+  close(balanced.statistic, 1.6);
+  assert.ok(balanced.p_value > 0.2);
+  assert.deepEqual(balanced.expected, [500, 500]);
+
+  const skewed = chiSquareGoodnessOfFit([600, 400], [50, 50]);
+  assert.ok(skewed.p_value < 1e-9);
+});
@@ -0,0 +1,224 @@
+/**
+ * Tracking plans: plan validation, event checks, the schema_violations
+ * tally and enforcement on /track and /track/batch.
+ */
+import assert from 'node:assert/strict';
+import { test, describe, before, after, beforeEach } from 'node:test';
+import { readFileSync } from 'node:fs';
+import { resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Database from 'better-sqlite3';
+import { PGlite } from '@electric-sql/pglite';
+import { SqliteAdapter } from '../src/db/sqlite.js';
+import { PostgresAdapter } from '../src/db/postgres.js';
+import { createAnalyticsHandler } from '../src/handler.js';
+import { ERROR_CODES } from '../src/errors.js';
+import { checkTrackedEvent, validateTrackingPlanInput, createTrackingPlanCache } from '../src/tracking-plan.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const postgresSchema = readFileSync(resolve(__dirname, '../schema.postgres.sql'), 'utf-8');
+const CHROME = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36';
+
+const PLAN = {
+  mode: 'warn',
+  events: {
+    signup: {
+      properties: {
+        plan: { type: 'string', required: true, enum: ['free', 'pro'] },
+        seats: { type: 'integer' },
+        ref: { type: 'string', max_length: 8 },
+      },
+    },
+    checkout: { properties: { amount: { type: 'number', required: true } }, additional_properties: false },
+  },
+};
+
+test('checks events, required properties, types, enums and lengths', () => {
+  const plan = validateTrackingPlanInput(PLAN);
+  const kinds = (event, properties) => checkTrackedEvent(plan, { event, properties }).map(v => `${v.property}:${v.kind}`);
+
+  assert.deepEqual(kinds('signup', { plan: 'pro', seats: 3, ref: 'abc', extra: true }), []);
+  assert.deepEqual(kinds('signup', { seats: 1.5, ref: 'much-too-long' }), ['plan:missing_property', 'seats:wrong_type', 'ref:too_long']);
+  assert.deepEqual(kinds('signup', { plan: 'team' }), ['plan:not_in_enum']);
+  assert.deepEqual(kinds('checkout', { amount: 10, coupon: 'x' }), ['coupon:unplanned_property']);
+  assert.deepEqual(kinds('page_view', {}), ['null:unplanned_event']);
+  assert.deepEqual(kinds('toString', {}), ['null:unplanned_event']);
+  assert.deepEqual(checkTrackedEvent({ ...plan, allow_unplanned_events: true }, { event: 'page_view' }), []);
+
+  assert.match(checkTrackedEvent(plan, { event: 'signup', properties: { plan: 'team' } })[0].message, /plan: expected one of: free, pro/);
+});
+
+test('rejects malformed plans', () => {
+  const cases = [
+    [{ mode: 'strict', events: {} }, /invalid mode/],
+    [{ events: [] }, /events must be an object/],
+    [{ events: { a: { properties: { x: { type: 'date' } } } } }, /events\.a\.properties\.x\.type/],
+    [{ events: { a: { properties: { x: { type: 'boolean', enum: [true] } } } } }, /enum/],
+    [{ events: { a: { properties: { x: { type: 'integer', enum: [1.5] } } } } }, /enum values must be of type integer/],
+    [{ events: { a: { properties: { x: { type: 'number', max_length: 3 } } } } }, /max_length/],
+    [{ events: { a: { additional_properties: 'no' } } }, /additional_properties/],
+  ];
+  for (const [input, message] of cases) {
+    assert.throws(() => validateTrackingPlanInput(input), (err) => err.code === ERROR_CODES.MISSING_FIELDS && message.test(err.message));
+  }
+});
+
+test('the plan cache reads each planned project once per ttl and skips the rest', async () => {
+  const reads = [];
+  let lists = 0;
+  const planned = new Set(['a', 'b', 'c']);
+  const db = {
+    getTrackingPlanProjects: async () => { lists++; return [...planned]; },
+    getTrackingPlan: async ({ project }) => { reads.push(project); return planned.has(project) ? { mode: 'warn', project } : null; },
+  };
+  const cache = createTrackingPlanCache(db, { ttlMs: 60_000, maxKeys: 2 });
+
+  await Promise.all([cache.get('a'), cache.get('a'), cache.get('unknown-1'), cache.get('unknown-2')]);
+  assert.equal(lists, 1);
+  assert.deepEqual((await cache.get('a')).project, 'a');
+  assert.equal(await cache.get('unknown-3'), null);
+  assert.deepEqual(reads.filter(p => p !== 'a'), []);
+
+  // At most maxKeys plans are kept, the least recently used going first
+  reads.length = 0;
+  await cache.get('b');
+  await cache.get('a');
+  await cache.get('c');
+  await cache.get('a');
+  await cache.get('b');
+  assert.deepEqual(reads, ['b', 'c', 'b']);
+
+  planned.add('d');
+  cache.invalidate('d');
+  assert.equal((await cache.get('d')).project, 'd');
+  assert.equal(lists, 2);
+
+  // Without a project list every lookup goes to the adapter, and misses are not kept
+  let misses = 0;
+  const plain = createTrackingPlanCache({ getTrackingPlan: async () => { misses++; return null; } });
+  await plain.get('p');
+  await plain.get('p');
+  assert.equal(misses, 2);
+  assert.equal(await createTrackingPlanCache({}).get('p'), null);
+});
+
+function trackingPlanTests(createAdapter) {
+  let adapter;
+
+  beforeEach(async () => {
+    adapter = await createAdapter();
+  });
+
+  test('stores plans and sums violations over the period', async () => {
+    assert.equal(await adapter.getTrackingPlan({ project: 'p' }), null);
+    const saved = await adapter.setTrackingPlan({ project: 'p', ...PLAN });
+    assert.equal(saved.mode, 'warn');
+    assert.deepEqual(Object.keys(saved.events), ['signup', 'checkout']);
+    assert.equal((await adapter.setTrackingPlan({ project: 'p', ...PLAN, mode: 'reject' })).mode, 'reject');
+    await adapter.setTrackingPlan({ project: 'a', ...PLAN });
+    assert.deepEqual(await adapter.getTrackingPlanProjects(), ['a', 'p']);
+
+    const day = Date.parse('2025-03-01T12:00:00Z');
+    const missing = { event: 'signup', property: 'plan', kind: 'missing_property' };
+    const unplanned = { event: 'page_view', property: null, kind: 'unplanned_event' };
+    await adapter.recordSchemaViolations({ project: 'p', timestamp: day, violations: [missing, { ...missing, rejected: true }, unplanned] });
+    await adapter.recordSchemaViolations({ project: 'p', timestamp: day + 86_400_000, violations: [missing] });
+    await adapter.recordSchemaViolations({ project: 'q', timestamp: day, violations: [missing] });
+
+    const report = await adapter.getSchemaViolations({ project: 'p', since: '2025-03-01' });
+    assert.equal(report.total, 4);
+    assert.equal(report.rejected, 1);
+    assert.deepEqual(report.violations, [
+      { ...missing, count: 3, rejected_count: 1, last_seen_at: day + 86_400_000 },
+      { ...unplanned, count: 1, rejected_count: 0, last_seen_at: day },
+    ]);
+    assert.equal((await adapter.getSchemaViolations({ project: 'p', since: '2025-03-01', event: 'page_view' })).total, 1);
+  });
+}
+
+describe('tracking plans (SQLite)', () => {
+  trackingPlanTests(async () => new SqliteAdapter(new Database(':memory:')));
+});
+
+describe('tracking plan enforcement in the handler', () => {
+  let adapter;
+  let handle;
+
+  beforeEach(() => {
+    adapter = new SqliteAdapter(new Database(':memory:'));
+    handle = createAnalyticsHandler({ db: adapter, validateWrite: () => ({ valid: true }), validateRead: () => ({ valid: true }) });
+  });
+
+  async function call(method, path, body) {
+    const result = await handle(new Request(`https://api.test${path}`, {
+      method,
+      headers: { 'User-Agent': CHROME },
+      body: body && JSON.stringify(body),
+    }));
+    await Promise.all(result.writeOps ?? []);
+    return result.response;
+  }
+
+  test('warn mode stores events and reports violations', async () => {
+    let response = await call('POST', '/tracking-plan', { project: 'p', ...PLAN });
+    assert.equal((await response.json()).tracking_plan.mode, 'warn');
+
+    response = await call('POST', '/track', { project: 'p', event: 'signup', properties: { plan: 'team' } });
+    assert.equal(response.status, 200);
+    assert.equal((await adapter.getEvents({ project: 'p' })).length, 1);
+
+    response = await call('GET', '/tracking-plan/violations?project=p');
+    const report = await response.json();
+    assert.equal(report.total, 1);
+    assert.equal(report.violations[0].kind, 'not_in_enum');
+    assert.equal(report.violations[0].rejected_count, 0);
+  });
+
+  test('reject mode refuses violating events, alone or in a batch', async () => {
+    await call('POST', '/tracking-plan', { project: 'p', ...PLAN, mode: 'reject' });
+
+    let response = await call('POST', '/track', { project: 'p', event: 'checkout', properties: { amount: '10' } });
+    assert.equal(response.status, 400);
+    const error = await response.json();
+    assert.equal(error.error, ERROR_CODES.SCHEMA_VIOLATION);
+    assert.deepEqual(error.violations, [{ property: 'amount', kind: 'wrong_type', message: 'amount: expected number' }]);
+
+    response = await call('POST', '/track/batch', {
+      events: [
+        { project: 'p', event: 'checkout', properties: { amount: 10 } },
+        { project: 'p', event: 'page_view' },
+        { project: 'other', event: 'anything' },
+      ],
+    });
+    assert.deepEqual(await response.json(), { ok: true, count: 2, accepted: 2, rejected: [{ index: 1, reason: 'schema_violation' }] });
+    assert.deepEqual((await adapter.getEvents({ project: 'p' })).map(e => e.event), ['checkout']);
+
+    response = await call('GET', '/tracking-plan/violations?project=p');
+    const report = await response.json();
+    assert.equal(report.rejected, 2);
+
+    await call('POST', '/tracking-plan', { project: 'p', ...PLAN, mode: 'off' });
+    response = await call('POST', '/track', { project: 'p', event: 'page_view' });
+    assert.equal(response.status, 200);
+    response = await call('GET', '/tracking-plan?project=p');
+    assert.equal((await response.json()).tracking_plan.mode, 'off');
+  });
+});
+
+describe('tracking plans (PostgreSQL)', () => {
+  let pg;
+
+  before(async () => {
+    pg = new PGlite();
+    await pg.exec(postgresSchema);
+  });
+
+  after(async () => {
+    await pg.close();
+  });
+
+  trackingPlanTests(async () => {
+    await pg.exec('TRUNCATE tracking_plans, schema_violations');
+    return new PostgresAdapter(pg);
+  });
+});